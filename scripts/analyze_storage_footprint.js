@@ -0,0 +1,353 @@
+/**
+ * Storage Footprint and Quota Analysis
+ *
+ * Shows how much space the extension's data takes and where it goes, to
+ * inform pruning policies for heavy users who hit storage pressure.
+ *
+ * Reports:
+ * - navigator.storage.estimate() usage and quota (and whether storage is
+ *   persisted, i.e. exempt from eviction)
+ * - the estimated bytes of every store in Heyho_EventsDB: records, index
+ *   entries, and how much of it sits in records older than AGE_BUCKETS_DAYS
+ * - the TOP_RECORDS largest records
+ * - page visits whose metadata the backend rejects as too large
+ *   (DataValidationService, max 50KB)
+ *
+ * Record sizes are estimated as the UTF-8 length of their JSON. IndexedDB
+ * stores structured clones, compresses them and keeps its own bookkeeping,
+ * so the estimates add up to less or more than the reported usage; use them
+ * to compare stores and records, not as exact disk usage.
+ *
+ * Metadata is measured the way the server does: after sanitize_metadata
+ * truncates strings to 2000 characters, as Rails' to_json. A blob that is
+ * large locally but small after truncation is accepted.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Copy and paste this entire script
+ * 3. Press Enter to run
+ *
+ * Nothing is modified. Records are read with a cursor, so only the largest
+ * ones are kept in memory. The last report is kept in
+ * self.heyhoLastStorageReport.
+ */
+
+(async function analyzeStorageFootprint() {
+  console.log('[STORAGE] Analyzing storage footprint...\n');
+
+  const DB_NAME = 'Heyho_EventsDB';
+  const TOP_RECORDS = 10; // Largest records listed across all stores
+  const AGE_BUCKETS_DAYS = [7, 30, 90]; // Bytes in records older than these
+  const MAX_METADATA_BYTES = 50 * 1024; // DataValidationService#validate_metadata_size
+  const METADATA_MAX_STRING_LENGTH = 2000; // DataSyncService#sanitize_metadata
+  const METADATA_DANGEROUS_KEYS = ['__proto__', 'constructor', 'prototype'];
+  const MAX_METADATA_LOGGED = 25; // Oversized metadata blobs printed (all are returned)
+
+  const results = {
+    success: true,
+    database: DB_NAME,
+    quota: null,
+    stores: {},
+    totalBytes: 0,
+    largestRecords: [],
+    metadata: { limitBytes: MAX_METADATA_BYTES, checked: 0, overLimit: [], largestBytes: 0 },
+    errors: []
+  };
+
+  try {
+    results.quota = await readQuota();
+
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error('Database not found: ' + DB_NAME));
+      };
+    });
+
+    console.log('[DB] Opened:', db.name, 'v' + db.version);
+
+    const now = Date.now();
+    try {
+      for (const storeName of Array.from(db.objectStoreNames)) {
+        try {
+          const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+          results.stores[storeName] = await measureStore(store, now);
+          results.totalBytes += results.stores[storeName].totalBytes;
+        } catch (error) {
+          console.error('[ERROR] Could not read', storeName + ':', error);
+          results.errors.push({ store: storeName, message: error.message });
+        }
+      }
+    } finally {
+      db.close();
+    }
+
+    results.metadata.overLimit.sort((a, b) => b.bytes - a.bytes);
+    if (results.errors.length > 0) results.success = false;
+
+    printReport();
+    self.heyhoLastStorageReport = results;
+    return results;
+
+  } catch (error) {
+    console.error('[ERROR]:', error);
+    return { success: false, error: error.message };
+  }
+
+  async function readQuota() {
+    const storage = typeof navigator !== 'undefined' ? navigator.storage : undefined;
+    if (!storage || typeof storage.estimate !== 'function') {
+      console.log('[WARN] navigator.storage.estimate() is not available here');
+      return null;
+    }
+    try {
+      const estimate = await storage.estimate();
+      const quota = {
+        usage: estimate.usage ?? null,
+        quota: estimate.quota ?? null,
+        percentUsed: estimate.usage != null && estimate.quota ? round(estimate.usage / estimate.quota * 100) : null,
+        usageDetails: estimate.usageDetails || null,
+        persisted: null
+      };
+      if (typeof storage.persisted === 'function') quota.persisted = await storage.persisted();
+      return quota;
+    } catch (error) {
+      console.log('[WARN] navigator.storage.estimate() failed:', error.message);
+      results.errors.push({ store: null, message: 'storage.estimate: ' + error.message });
+      return null;
+    }
+  }
+
+  // Sizes every record and its index entries with a cursor
+  function measureStore(store, now) {
+    const indexes = Array.from(store.indexNames).map(name => store.index(name).keyPath);
+    const stats = {
+      records: 0,
+      recordBytes: 0,
+      indexBytes: 0,
+      totalBytes: 0,
+      averageBytes: 0,
+      largestBytes: 0,
+      metadataBytes: 0,
+      olderThan: Object.fromEntries(AGE_BUCKETS_DAYS.map(days => [days + 'd', { records: 0, bytes: 0, syncedBytes: 0 }]))
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          stats.totalBytes = stats.recordBytes + stats.indexBytes;
+          stats.averageBytes = stats.records > 0 ? Math.round(stats.recordBytes / stats.records) : 0;
+          resolve(stats);
+          return;
+        }
+
+        const record = cursor.value;
+        const key = cursor.primaryKey;
+        const bytes = byteLength(record);
+        const keyBytes = byteLength(key);
+        // Tracking entries may be bare values rather than records
+        const isRecord = record !== null && typeof record === 'object';
+
+        stats.records++;
+        stats.recordBytes += bytes;
+        stats.largestBytes = Math.max(stats.largestBytes, bytes);
+        for (const keyPath of indexes) {
+          const indexKey = readKeyPath(record, keyPath);
+          if (indexKey !== undefined) stats.indexBytes += byteLength(indexKey) + keyBytes;
+        }
+
+        const metadataBytes = isRecord && record.metadata != null ? byteLength(record.metadata) : 0;
+        stats.metadataBytes += metadataBytes;
+
+        const started = isRecord ? toTime(record.startedAt ?? record.startTime ?? record.start_time ?? record.syncedAt) : null;
+        if (started !== null) {
+          for (const days of AGE_BUCKETS_DAYS) {
+            if (now - started < days * 86400000) continue;
+            const bucket = stats.olderThan[days + 'd'];
+            bucket.records++;
+            bucket.bytes += bytes;
+            if (record.synced === true) bucket.syncedBytes += bytes;
+          }
+        }
+
+        keepLargest({ store: store.name, key, bytes, metadataBytes, summary: describeRecord(record) });
+        if (store.name === 'pageVisits' && isRecord && record.metadata != null) {
+          checkMetadata(key, record, metadataBytes);
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function keepLargest(entry) {
+    const largest = results.largestRecords;
+    if (largest.length >= TOP_RECORDS && entry.bytes <= largest[largest.length - 1].bytes) return;
+    const index = largest.findIndex(other => entry.bytes > other.bytes);
+    largest.splice(index === -1 ? largest.length : index, 0, entry);
+    if (largest.length > TOP_RECORDS) largest.pop();
+  }
+
+  // The metadata size the server validates: sanitized, then to_json with
+  // <, > and & escaped as six-byte \u003c-style sequences
+  function checkMetadata(key, visit, rawBytes) {
+    results.metadata.checked++;
+    const sanitized = sanitizeMetadata(visit.metadata);
+    const bytes = new TextEncoder().encode(JSON.stringify(sanitized).replace(/[<>&]/g, '\\u003c')).length;
+    results.metadata.largestBytes = Math.max(results.metadata.largestBytes, bytes);
+    if (bytes > MAX_METADATA_BYTES) {
+      results.metadata.overLimit.push({
+        key,
+        visitId: visit.visitId ?? visit.id ?? null,
+        url: visit.url ?? null,
+        bytes,
+        rawBytes,
+        synced: visit.synced,
+        largestKeys: Object.entries(sanitized)
+          .map(([name, value]) => ({ name, bytes: byteLength(value) }))
+          .sort((a, b) => b.bytes - a.bytes)
+          .slice(0, 3)
+      });
+    }
+  }
+
+  // Ruby truthiness: only nil and false are falsy
+  function truthy(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  // ActiveSupport #blank?
+  function blank(value) {
+    if (!truthy(value)) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  function sanitizeMetadata(metadata) {
+    if (blank(metadata)) return {};
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) return {};
+
+    const truncate = (value) => {
+      if (Array.isArray(value)) return value.map(truncate);
+      if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, nested] of Object.entries(value)) copy[key] = truncate(nested);
+        return copy;
+      }
+      if (typeof value === 'string' && value.length > METADATA_MAX_STRING_LENGTH) {
+        return value.slice(0, METADATA_MAX_STRING_LENGTH) + '...';
+      }
+      return value;
+    };
+
+    const cleaned = {};
+    for (const [key, value] of Object.entries(metadata)) {
+      if (!METADATA_DANGEROUS_KEYS.includes(key)) cleaned[key] = value;
+    }
+    return truncate(cleaned);
+  }
+
+  function byteLength(value) {
+    const json = JSON.stringify(value);
+    return json === undefined ? 0 : new TextEncoder().encode(json).length;
+  }
+
+  function readKeyPath(record, keyPath) {
+    if (Array.isArray(keyPath)) {
+      const parts = keyPath.map(path => readKeyPath(record, path));
+      return parts.includes(undefined) ? undefined : parts;
+    }
+    let value = record;
+    for (const part of String(keyPath).split('.')) {
+      if (value === null || typeof value !== 'object') return undefined;
+      value = value[part];
+    }
+    return value;
+  }
+
+  function describeRecord(record) {
+    if (record === null || typeof record !== 'object') return String(record);
+    return record.url ?? record.currentUrl ?? record.current_url ?? record.visitId ?? null;
+  }
+
+  function toTime(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string') {
+      const parsed = Date.parse(value);
+      return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return round(bytes / 1024) + ' KB';
+    if (bytes < 1024 * 1024 * 1024) return round(bytes / 1024 / 1024) + ' MB';
+    return round(bytes / 1024 / 1024 / 1024) + ' GB';
+  }
+
+  function printReport() {
+    const quota = results.quota;
+    if (quota) {
+      console.log(`[QUOTA] ${formatBytes(quota.usage)} used of ${formatBytes(quota.quota)}` +
+        (quota.percentUsed !== null ? ` (${quota.percentUsed}%)` : '') +
+        (quota.persisted === null ? '' : quota.persisted ? ', persisted' : ', not persisted (can be evicted)'));
+      if (quota.usageDetails && quota.usageDetails.indexedDB !== undefined) {
+        console.log(`  IndexedDB: ${formatBytes(quota.usageDetails.indexedDB)}`);
+      }
+      console.log('');
+    }
+
+    console.log('[STORES] Estimated size by store (JSON bytes)');
+    const buckets = AGE_BUCKETS_DAYS.map(days => days + 'd');
+    console.table(Object.fromEntries(Object.entries(results.stores).map(([name, stats]) => [name, {
+      records: stats.records,
+      total: formatBytes(stats.totalBytes),
+      indexes: formatBytes(stats.indexBytes),
+      average: formatBytes(stats.averageBytes),
+      largest: formatBytes(stats.largestBytes),
+      metadata: formatBytes(stats.metadataBytes),
+      ...Object.fromEntries(buckets.map(bucket => [`> ${bucket} old`, formatBytes(stats.olderThan[bucket].bytes)]))
+    }])));
+    console.log(`  Total: ${formatBytes(results.totalBytes)}` +
+      (quota && quota.usage ? ` (${round(results.totalBytes / quota.usage * 100)}% of reported usage)` : ''));
+
+    if (results.largestRecords.length > 0) {
+      console.log(`\n[LARGEST] Top ${results.largestRecords.length} records`);
+      for (const entry of results.largestRecords) {
+        console.log(`  ${formatBytes(entry.bytes)} ${entry.store} ${JSON.stringify(entry.key)}` +
+          (entry.metadataBytes ? ` (metadata ${formatBytes(entry.metadataBytes)})` : '') +
+          (entry.summary ? ` ${entry.summary}` : ''));
+      }
+    }
+
+    const metadata = results.metadata;
+    console.log(`\n[METADATA] Checked ${metadata.checked} page visit(s) with metadata; largest as sent ${formatBytes(metadata.largestBytes)}, limit ${formatBytes(MAX_METADATA_BYTES)}`);
+    if (metadata.overLimit.length > 0) {
+      console.log(`[WARN] ${metadata.overLimit.length} page visit(s) have metadata the server rejects as too large:`);
+      for (const entry of metadata.overLimit.slice(0, MAX_METADATA_LOGGED)) {
+        console.log(`  ${JSON.stringify(entry.key)} ${formatBytes(entry.bytes)} ${entry.url || ''}` +
+          ` - largest keys: ${entry.largestKeys.map(key => `${key.name} ${formatBytes(key.bytes)}`).join(', ')}`);
+      }
+      console.log('  See self.heyhoLastStorageReport.metadata.overLimit for all of them.');
+    } else {
+      console.log('[OK] No metadata over the server limit.');
+    }
+
+    if (results.errors.length > 0) {
+      console.log(`\n[WARN] ${results.errors.length} error(s) while reading. See results.errors.`);
+    }
+  }
+})();
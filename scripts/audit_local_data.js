@@ -0,0 +1,281 @@
+/**
+ * Local Data Quality Audit
+ *
+ * Scans pageVisits and tabAggregates for records that are wrong rather than
+ * merely unsynced. check_sync_status.js only counts synced flags; this script
+ * explains why data looks off on the insights endpoints.
+ *
+ * Checks:
+ * - duplicateVisitId:  the same visitId stored on more than one record
+ * - duplicateVisit:    the same tab, URL and start time recorded under
+ *                      different visitIds
+ * - orphanedAggregate: a tab aggregate whose tab has no page visits left
+ * - negativeDuration:  activeDuration or durationSeconds below zero
+ * - longDuration:      durations above 24h, or more active time than the
+ *                      visit lasted
+ * - futureTimestamp:   startedAt / startTime / lastActiveTime / closedAt
+ *                      later than now
+ * - clockSkew:         timestamps that only a clock change explains (before
+ *                      2020, synced before they started, last active before
+ *                      the tab opened)
+ * - closedBeforeStart: closedAt earlier than startTime
+ * - invalidUrl:        empty or non-http(s) URLs
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Copy and paste this entire script
+ * 3. Press Enter to run
+ *
+ * Nothing is modified. Every issue carries the store, the record key and a
+ * copy of the offending record; the last report is also kept in
+ * self.heyhoLastAudit for follow-up inspection.
+ */
+
+(async function auditLocalData() {
+  console.log('[AUDIT] Scanning local data for quality problems...\n');
+
+  const DB_NAME = 'Heyho_EventsDB';
+  const MAX_DURATION_SECONDS = 86400; // DataValidationService::MAX_DURATION
+  const CLOCK_TOLERANCE_MS = 5 * 60 * 1000; // Slack for small clock drift
+  const MIN_PLAUSIBLE_TIMESTAMP = Date.UTC(2020, 0, 1);
+  const MAX_ISSUES_LOGGED = 25; // Issues printed to the console (all are returned)
+
+  const CHECKS = [
+    'duplicateVisitId',
+    'duplicateVisit',
+    'orphanedAggregate',
+    'negativeDuration',
+    'longDuration',
+    'futureTimestamp',
+    'clockSkew',
+    'closedBeforeStart',
+    'invalidUrl'
+  ];
+
+  const results = {
+    success: true,
+    checked: { pageVisits: 0, tabAggregates: 0 },
+    summary: Object.fromEntries(CHECKS.map(check => [check, 0])),
+    issues: [],
+    errors: []
+  };
+
+  try {
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    console.log('[DB] Opened:', db.name, 'v' + db.version);
+
+    // Returns [{ key, record }] so issues can point at the primary key even
+    // when the store has no keyPath
+    const readStore = async (storeName) => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        console.log('[WARN] Store not found:', storeName);
+        return [];
+      }
+      const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+      const request = (source) => new Promise((resolve, reject) => {
+        source.onsuccess = () => resolve(source.result);
+        source.onerror = () => reject(source.error);
+      });
+      const [keys, records] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+      return records.map((record, index) => ({ key: keys[index], record }));
+    };
+
+    const visits = await readStore('pageVisits');
+    const aggregates = await readStore('tabAggregates');
+    db.close();
+
+    results.checked.pageVisits = visits.length;
+    results.checked.tabAggregates = aggregates.length;
+
+    const now = Date.now();
+    const invalidPrefixes = (self.Constants && self.Constants.INVALID_URL_PREFIXES) || [];
+
+    auditDuplicates(visits);
+    for (const entry of visits) {
+      auditVisit(entry, now, invalidPrefixes);
+    }
+
+    const visitedTabs = new Set(visits.map(({ record }) => record.tabId));
+    for (const entry of aggregates) {
+      auditAggregate(entry, now, visitedTabs);
+    }
+
+    printReport();
+    self.heyhoLastAudit = results;
+    return results;
+
+  } catch (error) {
+    console.error('[ERROR]:', error);
+    return { success: false, error: error.message };
+  }
+
+  function addIssue(check, store, entry, field, message) {
+    results.summary[check]++;
+    results.issues.push({
+      check,
+      store,
+      key: entry.key,
+      field,
+      message,
+      value: entry.record[field],
+      record: entry.record
+    });
+  }
+
+  function auditDuplicates(visits) {
+    const byVisitId = new Map();
+    const byContent = new Map();
+
+    for (const entry of visits) {
+      const visitId = entry.record.visitId ?? entry.record.id;
+      if (visitId !== undefined && visitId !== null) {
+        if (byVisitId.has(visitId)) {
+          const original = byVisitId.get(visitId);
+          addIssue('duplicateVisitId', 'pageVisits', entry, 'visitId', `visitId also used by record ${JSON.stringify(original.key)}`);
+        } else {
+          byVisitId.set(visitId, entry);
+        }
+      }
+
+      const { tabId, url, startedAt } = entry.record;
+      if (tabId === undefined || !url || !isTimestamp(startedAt)) continue;
+      const contentKey = JSON.stringify([tabId, url, startedAt]);
+      const original = byContent.get(contentKey);
+      if (!original) {
+        byContent.set(contentKey, entry);
+      } else if ((original.record.visitId ?? original.record.id) !== visitId) {
+        addIssue('duplicateVisit', 'pageVisits', entry, 'visitId', `same tab, URL and startedAt as ${JSON.stringify(original.key)}`);
+      }
+    }
+  }
+
+  function auditVisit(entry, now, invalidPrefixes) {
+    const visit = entry.record;
+
+    auditDuration(entry, 'activeDuration', visit.activeDuration, 1000);
+    auditDuration(entry, 'durationSeconds', visit.durationSeconds, 1);
+    if (isNonNegative(visit.activeDuration) && isNonNegative(visit.durationSeconds) &&
+        visit.activeDuration / 1000 > visit.durationSeconds + 1) {
+      addIssue('longDuration', 'pageVisits', entry, 'activeDuration',
+        `active for ${Math.round(visit.activeDuration / 1000)}s but the visit lasted ${visit.durationSeconds}s`);
+    }
+
+    if (isTimestamp(visit.startedAt)) {
+      if (visit.startedAt > now + CLOCK_TOLERANCE_MS) {
+        addIssue('futureTimestamp', 'pageVisits', entry, 'startedAt', `starts ${describeOffset(visit.startedAt - now)} in the future`);
+      } else if (visit.startedAt < MIN_PLAUSIBLE_TIMESTAMP) {
+        addIssue('clockSkew', 'pageVisits', entry, 'startedAt', `starts before 2020 (${new Date(visit.startedAt).toISOString()})`);
+      }
+      if (isTimestamp(visit.syncedAt) && visit.syncedAt < visit.startedAt - CLOCK_TOLERANCE_MS) {
+        addIssue('clockSkew', 'pageVisits', entry, 'syncedAt', `synced ${describeOffset(visit.startedAt - visit.syncedAt)} before it started`);
+      }
+    }
+
+    if (typeof visit.url !== 'string' || visit.url.trim() === '') {
+      addIssue('invalidUrl', 'pageVisits', entry, 'url', 'URL is empty');
+    } else if (!/^https?:\/\//i.test(visit.url)) {
+      const filtered = invalidPrefixes.some(prefix => visit.url.startsWith(prefix));
+      addIssue('invalidUrl', 'pageVisits', entry, 'url',
+        `not an http(s) URL${filtered ? ' (matches INVALID_URL_PREFIXES, never sent)' : ''}`);
+    }
+  }
+
+  function auditAggregate(entry, now, visitedTabs) {
+    const aggregate = entry.record;
+    const startTime = aggregate.startTime ?? aggregate.start_time;
+    const lastActiveTime = aggregate.lastActiveTime ?? aggregate.last_active_time;
+    const closedAt = aggregate.closedAt ?? aggregate.closed_at;
+    const field = (camel, snake) => (camel in aggregate ? camel : snake);
+
+    if (!visitedTabs.has(aggregate.tabId)) {
+      addIssue('orphanedAggregate', 'tabAggregates', entry, 'tabId', `no page visits left for tab ${aggregate.tabId}`);
+    }
+
+    const timestamps = [
+      [field('startTime', 'start_time'), startTime],
+      [field('lastActiveTime', 'last_active_time'), lastActiveTime],
+      [field('closedAt', 'closed_at'), closedAt]
+    ];
+    for (const [name, value] of timestamps) {
+      if (isTimestamp(value) && value > now + CLOCK_TOLERANCE_MS) {
+        addIssue('futureTimestamp', 'tabAggregates', entry, name, `${describeOffset(value - now)} in the future`);
+      }
+    }
+
+    if (isTimestamp(startTime)) {
+      if (startTime < MIN_PLAUSIBLE_TIMESTAMP) {
+        addIssue('clockSkew', 'tabAggregates', entry, field('startTime', 'start_time'), `opened before 2020 (${new Date(startTime).toISOString()})`);
+      }
+      if (isTimestamp(lastActiveTime) && lastActiveTime < startTime - CLOCK_TOLERANCE_MS) {
+        addIssue('clockSkew', 'tabAggregates', entry, field('lastActiveTime', 'last_active_time'),
+          `last active ${describeOffset(startTime - lastActiveTime)} before the tab opened`);
+      }
+      if (isTimestamp(closedAt) && closedAt < startTime) {
+        addIssue('closedBeforeStart', 'tabAggregates', entry, field('closedAt', 'closed_at'),
+          `closed ${describeOffset(startTime - closedAt)} before the tab opened`);
+      }
+    }
+
+    const url = aggregate.currentUrl ?? aggregate.current_url;
+    if (typeof url === 'string' && url !== '' && !/^https?:\/\//i.test(url)) {
+      addIssue('invalidUrl', 'tabAggregates', entry, field('currentUrl', 'current_url'), 'not an http(s) URL');
+    }
+  }
+
+  // `unit` converts the stored value to seconds (activeDuration is in ms)
+  function auditDuration(entry, field, value, unit) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    if (value < 0) {
+      addIssue('negativeDuration', 'pageVisits', entry, field, 'is negative');
+    } else if (value / unit > MAX_DURATION_SECONDS) {
+      addIssue('longDuration', 'pageVisits', entry, field, `${describeOffset(value / unit * 1000)} is longer than 24h`);
+    }
+  }
+
+  function isTimestamp(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+
+  function describeOffset(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 120) return `${minutes}m`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+    return `${Math.round(hours / 24)}d`;
+  }
+
+  function printReport() {
+    const issues = results.issues;
+
+    if (issues.length > 0) {
+      console.log('[ISSUES] Showing', Math.min(issues.length, MAX_ISSUES_LOGGED), 'of', issues.length);
+      for (const issue of issues.slice(0, MAX_ISSUES_LOGGED)) {
+        console.log(`  [${issue.check}] ${issue.store} ${JSON.stringify(issue.key)} ${issue.field}: ${issue.message}`, issue.record);
+      }
+      console.log('');
+    }
+
+    console.log('='.repeat(60));
+    console.log('[SUMMARY]');
+    console.log('='.repeat(60));
+    console.log(`  Checked ${results.checked.pageVisits} pageVisits and ${results.checked.tabAggregates} tabAggregates`);
+    for (const [check, count] of Object.entries(results.summary)) {
+      if (count > 0) console.log(`  ${check}: ${count}`);
+    }
+
+    if (issues.length > 0) {
+      console.log(`\n[WARN] ${issues.length} issue(s) found. See self.heyhoLastAudit.issues for the records.`);
+    } else {
+      console.log('\n[OK] No data quality problems found.');
+    }
+  }
+})();
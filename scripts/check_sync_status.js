@@ -1,10 +1,32 @@
 // Check Sync Status - Verify if reset worked
 // Run this in browser console to see actual sync status
+// Paste heyho_toolkit.js first (once per console session); the report download comes from it.
+//
+// Returns a diagnostic report (results.report, also kept in self.heyhoLastReport)
+// in the shape documented under "Diagnostic Reports" in scripts/README.md.
+// Set DOWNLOAD_REPORT = true to also save it as a .json file.
 
 (async function checkSyncStatus() {
   console.log('[CHECK] Starting sync status check...\n');
 
   const DB_NAME = 'Heyho_EventsDB';
+  const DOWNLOAD_REPORT = false; // Set to true to save the report as a .json file
+
+  if (!self.heyho || typeof self.heyho.downloadJson !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { downloadJson } = self.heyho;
+
+  const results = {
+    success: true,
+    database: null,
+    pageVisits: null,
+    tabAggregates: null,
+    syncedPageVisits: null,
+    report: null
+  };
+  const breakdowns = {};
 
   try {
     const db = await new Promise((resolve, reject) => {
@@ -14,30 +36,33 @@
     });
 
     console.log('[DB] Opened:', db.name, 'v' + db.version);
+    results.database = { name: db.name, version: db.version };
 
     // Check pageVisits
     console.log('\n[PAGE VISITS]');
     const pvTx = db.transaction('pageVisits', 'readonly');
     const pvStore = pvTx.objectStore('pageVisits');
 
-    const allVisits = await new Promise((resolve, reject) => {
-      const req = pvStore.getAll();
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
-
-    const syncedTrue = allVisits.filter(v => v.synced === true).length;
-    const syncedFalse = allVisits.filter(v => v.synced === false).length;
-    const noSyncedField = allVisits.filter(v => v.synced === undefined).length;
+    const visitCounts = await countSyncStates(pvStore);
+    breakdowns.pageVisits = toBreakdown(visitCounts);
+    const syncedTrue = visitCounts.synced;
+    const syncedFalse = visitCounts.unsynced;
+    const noSyncedField = visitCounts.missing;
 
-    console.log('Total pageVisits:', allVisits.length);
+    console.log('Total pageVisits:', visitCounts.total);
     console.log('  synced=true:', syncedTrue);
     console.log('  synced=false:', syncedFalse);
     console.log('  synced=undefined:', noSyncedField);
+    results.pageVisits = {
+      total: visitCounts.total,
+      synced: syncedTrue,
+      unsynced: syncedFalse,
+      missingSyncedField: noSyncedField
+    };
 
     if (syncedFalse > 0) {
       console.log('\n  Sample unsynced visit:');
-      const sample = allVisits.find(v => v.synced === false);
+      const sample = visitCounts.sampleUnsynced;
       console.log('    visitId:', sample.visitId);
       console.log('    url:', sample.url);
       console.log('    startedAt:', new Date(sample.startedAt).toLocaleString());
@@ -49,24 +74,26 @@
     const taTx = db.transaction('tabAggregates', 'readonly');
     const taStore = taTx.objectStore('tabAggregates');
 
-    const allAggregates = await new Promise((resolve, reject) => {
-      const req = taStore.getAll();
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
-
-    const aggSyncedTrue = allAggregates.filter(a => a.synced === true).length;
-    const aggSyncedFalse = allAggregates.filter(a => a.synced === false).length;
-    const aggNoSynced = allAggregates.filter(a => a.synced === undefined).length;
+    const aggregateCounts = await countSyncStates(taStore);
+    breakdowns.tabAggregates = toBreakdown(aggregateCounts);
+    const aggSyncedTrue = aggregateCounts.synced;
+    const aggSyncedFalse = aggregateCounts.unsynced;
+    const aggNoSynced = aggregateCounts.missing;
 
-    console.log('Total tabAggregates:', allAggregates.length);
+    console.log('Total tabAggregates:', aggregateCounts.total);
     console.log('  synced=true:', aggSyncedTrue);
     console.log('  synced=false:', aggSyncedFalse);
     console.log('  synced=undefined:', aggNoSynced);
+    results.tabAggregates = {
+      total: aggregateCounts.total,
+      synced: aggSyncedTrue,
+      unsynced: aggSyncedFalse,
+      missingSyncedField: aggNoSynced
+    };
 
     if (aggSyncedFalse > 0) {
       console.log('\n  Sample unsynced aggregate:');
-      const sample = allAggregates.find(a => a.synced === false);
+      const sample = aggregateCounts.sampleUnsynced;
       console.log('    tabId:', sample.tabId);
       console.log('    startTime:', new Date(sample.startTime).toLocaleString());
       console.log('    synced:', sample.synced);
@@ -77,13 +104,12 @@
     const spvTx = db.transaction('syncedPageVisits', 'readonly');
     const spvStore = spvTx.objectStore('syncedPageVisits');
 
-    const syncedVisitsCount = await new Promise((resolve, reject) => {
-      const req = spvStore.count();
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
+    const trackingCounts = await countSyncStates(spvStore);
+    const syncedVisitsCount = trackingCounts.total;
+    breakdowns.syncedPageVisits = toBreakdown(trackingCounts);
 
     console.log('Total records in syncedPageVisits:', syncedVisitsCount);
+    results.syncedPageVisits = { total: syncedVisitsCount };
 
     db.close();
 
@@ -91,23 +117,89 @@
     console.log('[SUMMARY]');
     console.log('='.repeat(60));
 
+    let verdict;
     if (syncedFalse > 0 || aggSyncedFalse > 0) {
+      verdict = 'unsynced';
       console.log('[OK] Found unsynced records:');
       console.log('  pageVisits with synced=false:', syncedFalse);
       console.log('  tabAggregates with synced=false:', aggSyncedFalse);
       console.log('\nThese records SHOULD sync on next sync attempt.');
     } else if (noSyncedField > 0 || aggNoSynced > 0) {
+      verdict = 'missingSyncedField';
       console.log('[WARN] Records missing synced field:');
       console.log('  pageVisits without synced field:', noSyncedField);
       console.log('  tabAggregates without synced field:', aggNoSynced);
       console.log('\nThese records might not sync. Run reset script again.');
     } else {
+      verdict = 'allSynced';
       console.log('[INFO] All records are marked as synced=true');
       console.log('This is why only new data is syncing.');
       console.log('\nTo sync this data, run the reset_sync_simple.js script.');
     }
 
+    results.report = publishReport(buildReport(true, [], { verdict: verdict }));
+    return results;
+
   } catch (error) {
     console.error('[ERROR]:', error);
+    const report = publishReport(buildReport(false, [{ database: results.database ? results.database.name : DB_NAME, store: null, error: error.message }], { verdict: null }));
+    return { success: false, error: error.message, report: report };
+  }
+
+  // See "Diagnostic Reports" in scripts/README.md for the shape
+  function buildReport(success, errors, details) {
+    return {
+      format: 'heyho-diagnostic-report',
+      formatVersion: 1,
+      script: 'check_sync_status.js',
+      generatedAt: new Date().toISOString(),
+      success: success,
+      databases: results.database ? [{ ...results.database, stores: breakdowns }] : [],
+      errors: errors,
+      details: details
+    };
+  }
+
+  // Keeps the report in self.heyhoLastReport and downloads it if asked to
+  function publishReport(report) {
+    self.heyhoLastReport = report;
+    if (DOWNLOAD_REPORT) {
+      const filename = `heyho-report_check_sync_status_${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+      const delivery = downloadJson(filename, JSON.stringify(report, null, 2));
+      console.log(delivery ? '[REPORT] Saved as ' + filename + ' via ' + delivery : '[REPORT] Could not download - run copy(JSON.stringify(self.heyhoLastReport)) instead');
+    }
+    return report;
+  }
+
+  function toBreakdown(counts) {
+    return { count: counts.total, synced: counts.synced, unsynced: counts.unsynced, missingSyncedField: counts.missing };
+  }
+
+  // Counts records by their synced flag with a cursor, keeping only the
+  // first unsynced record as a sample
+  function countSyncStates(store) {
+    return new Promise((resolve, reject) => {
+      const counts = { total: 0, synced: 0, unsynced: 0, missing: 0, sampleUnsynced: null };
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+        const record = cursor.value;
+        // Tracking entries may be bare values rather than records
+        const synced = record !== null && typeof record === 'object' ? record.synced : undefined;
+        counts.total++;
+        if (synced === true) counts.synced++;
+        if (synced === false) {
+          counts.unsynced++;
+          if (!counts.sampleUnsynced) counts.sampleUnsynced = record;
+        }
+        if (synced === undefined) counts.missing++;
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
   }
 })();
@@ -1,14 +1,49 @@
 // Debug Sync Flow - Check what sync function sees
 // Run this in browser console BEFORE clicking sync button
+// Paste heyho_toolkit.js first (once per console session); the report download
+// and browser detection come from it.
+//
+// Besides checking what the sync function sees, this builds the JSON body the
+// extension POSTs to /api/v1/data/sync and previews how DataSyncService will
+// transform it: ids, timestamps, ms -> seconds, tab aggregate linking, and
+// the split into batches under the server's MAX_BATCH_SIZE.
+// The body is kept in self.heyhoLastSyncPayload - copy(self.heyhoLastSyncPayload)
+// to replay it with curl.
+//
+// Returns a diagnostic report (results.report, also kept in self.heyhoLastReport)
+// in the shape documented under "Diagnostic Reports" in scripts/README.md, with
+// the synced breakdown of DB_NAME next to what StorageModule returned.
+// Set DOWNLOAD_REPORT = true to also save it as a .json file.
 
 (async function debugSyncFlow() {
   console.log('[DEBUG] Checking sync flow...\n');
 
+  const MAX_BATCH_SIZE = 1000; // DataProcessing::DataSyncService::MAX_BATCH_SIZE
+  const BATCH_SIZE = null; // Records per request to preview; null = everything in one request
+  const SAMPLE_SIZE = 3; // Transformed records shown per type
+  const DB_NAME = 'Heyho_EventsDB';
+  const DOWNLOAD_REPORT = false; // Set to true to save the report as a .json file
+
+  if (!self.heyho || typeof self.heyho.downloadJson !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { downloadJson, getExtensionVersion, detectBrowser } = self.heyho;
+
+  const database = { info: null, stores: {} };
+  const reportErrors = [];
+
   try {
+    // Step 0: What the database itself holds, to compare with StorageModule
+    await readDatabaseBreakdown();
+
     // Step 1: Check if StorageModule exists
     if (!self.StorageModule) {
       console.error('[ERROR] StorageModule not found!');
-      return;
+      const error = 'StorageModule not found - run this in the extension console';
+      reportErrors.push({ database: null, store: null, error: error });
+      const report = publishReport(buildReport(false, { unsynced: null, authenticated: null, syncState: null, payload: null, batches: [] }));
+      return { success: false, error: error, report: report };
     }
     console.log('[OK] StorageModule exists');
 
@@ -60,8 +95,9 @@
 
     // Step 5: Check authentication
     console.log('\n[CHECK] Checking authentication...');
+    let isAuth = null;
     if (self.AuthManager && self.AuthManager.isAuthenticated) {
-      const isAuth = self.AuthManager.isAuthenticated();
+      isAuth = self.AuthManager.isAuthenticated();
       console.log('isAuthenticated:', isAuth);
     } else {
       console.log('[WARN] AuthManager not available');
@@ -69,11 +105,86 @@
 
     // Step 6: Check sync state
     console.log('\n[CHECK] Checking sync state...');
+    let syncState = null;
     if (self.SyncManager && self.SyncManager.getSyncState) {
-      const syncState = self.SyncManager.getSyncState();
+      syncState = self.SyncManager.getSyncState();
       console.log('Sync state:', syncState);
     }
 
+    // Step 7: Build the request body
+    console.log('\n[PAYLOAD] Building POST /api/v1/data/sync body...');
+    const isSendable = record => {
+      const url = record.url || '';
+      return !invalidPrefixes.some(prefix => url.startsWith(prefix));
+    };
+    const browser = detectBrowser();
+    const payload = {
+      pageVisits: unsyncedVisits.filter(isSendable),
+      tabAggregates: unsyncedAggregates,
+      extensionVersion: getExtensionVersion(),
+      browserName: browser.name,
+      browserVersion: browser.version
+    };
+    self.heyhoLastSyncPayload = payload;
+
+    const payloadBytes = new TextEncoder().encode(JSON.stringify(payload)).length;
+    console.log('  pageVisits:', payload.pageVisits.length, '(' + (unsyncedVisits.length - payload.pageVisits.length) + ' dropped by INVALID_URL_PREFIXES)');
+    console.log('  tabAggregates:', payload.tabAggregates.length);
+    console.log('  extensionVersion:', payload.extensionVersion);
+    console.log('  browser:', payload.browserName, payload.browserVersion);
+    console.log('  size:', (payloadBytes / 1024).toFixed(1), 'KB');
+    console.log('  Saved to self.heyhoLastSyncPayload');
+
+    // Step 8: Preview DataSyncService transformations
+    console.log('\n[TRANSFORM] Previewing DataSyncService transformations...');
+    const transform = previewTransform(payload);
+    console.log('  page visit ids from "id":', transform.stats.visitIdFrom.id, '| from "visitId":', transform.stats.visitIdFrom.visitId, '| missing:', transform.stats.visitIdFrom.missing);
+    console.log('  activeDuration converted ms -> seconds:', transform.stats.activeDurationConverted);
+    console.log('  tab aggregate ids provided:', transform.stats.aggregateIds.provided, '| synthesized agg_<startTime>_<tabId>:', transform.stats.aggregateIds.synthesized);
+    console.log('  current_url from currentUrl/current_url/url/none:',
+      [transform.stats.currentUrlFrom.currentUrl, transform.stats.currentUrlFrom.current_url, transform.stats.currentUrlFrom.url, transform.stats.currentUrlFrom.none].join('/'));
+    console.log('  tab aggregates the server will skip:', transform.skipped.length);
+    transform.skipped.slice(0, SAMPLE_SIZE).forEach(skip => {
+      console.log('    tabId', skip.tabId + ':', skip.reason);
+    });
+
+    if (transform.pageVisits.length > 0) {
+      console.log('\n  Sample transformed page visits:');
+      console.table(transform.pageVisits.slice(0, SAMPLE_SIZE).map(v => ({
+        id: v.id,
+        visited_at: v.visited_at,
+        active_duration_seconds: v.active_duration_seconds,
+        duration_seconds: v.duration_seconds,
+        category: v.category
+      })));
+    }
+    if (transform.tabAggregates.length > 0) {
+      console.log('  Sample transformed tab aggregates:');
+      console.table(transform.tabAggregates.slice(0, SAMPLE_SIZE).map(a => ({
+        id: a.id,
+        page_visit_id: a.page_visit_id,
+        total_time_seconds: a.total_time_seconds,
+        closed_at: a.closed_at,
+        current_url: a.current_url
+      })));
+    }
+
+    // Step 9: Batches
+    console.log('\n[BATCHES] Checking batch size limit (' + MAX_BATCH_SIZE + ' records per request)...');
+    const batches = planBatches(payload, BATCH_SIZE);
+    batches.forEach(batch => {
+      const status = batch.exceedsLimit ? '[batch_size_exceeded]' : '[OK]';
+      console.log('  Batch', batch.index + ':', batch.pageVisits, 'pageVisits +', batch.tabAggregates, 'tabAggregates =', batch.total, status);
+      if (batch.exceedsLimit) {
+        console.log('    Server would answer 400: "Batch size exceeded. Maximum ' + MAX_BATCH_SIZE + ' records allowed, got ' + batch.total + '"');
+      }
+    });
+    const oversized = batches.filter(batch => batch.exceedsLimit);
+    if (oversized.length > 0 && BATCH_SIZE === null) {
+      const safeBatches = planBatches(payload, MAX_BATCH_SIZE);
+      console.log('  [HINT] Split into', safeBatches.length, 'batches of at most', MAX_BATCH_SIZE, 'records (set BATCH_SIZE to preview them)');
+    }
+
     console.log('\n' + '='.repeat(60));
     console.log('[SUMMARY]');
     console.log('='.repeat(60));
@@ -93,8 +204,312 @@
       console.log('This is unexpected. The reset may not have worked properly.');
     }
 
+    const report = publishReport(buildReport(true, {
+      unsynced: { pageVisits: unsyncedVisits.length, tabAggregates: unsyncedAggregates.length },
+      authenticated: isAuth,
+      syncState: syncState,
+      payload: { pageVisits: payload.pageVisits.length, tabAggregates: payload.tabAggregates.length, bytes: payloadBytes },
+      batches: batches
+    }));
+
+    return {
+      success: true,
+      payload: payload,
+      transform: transform,
+      batches: batches,
+      report: report
+    };
+
   } catch (error) {
     console.error('[ERROR]:', error);
     console.error('Stack:', error.stack);
+    reportErrors.push({ database: null, store: null, error: error.message });
+    const report = publishReport(buildReport(false, null));
+    return { success: false, error: error.message, report: report };
+  }
+
+  // Counts synced flags straight from DB_NAME. A missing database or store is
+  // recorded as a report error rather than failing the debug run.
+  async function readDatabaseBreakdown() {
+    let db;
+    try {
+      db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+        request.onupgradeneeded = () => {
+          request.transaction.abort();
+          reject(new Error(DB_NAME + ' does not exist'));
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.log('[WARN] Could not open', DB_NAME + ':', error.message);
+      reportErrors.push({ database: DB_NAME, store: null, error: error.message });
+      return;
+    }
+
+    database.info = { name: db.name, version: db.version };
+    for (const storeName of ['pageVisits', 'tabAggregates', 'syncedPageVisits']) {
+      if (!db.objectStoreNames.contains(storeName)) {
+        reportErrors.push({ database: db.name, store: storeName, error: 'Store not found' });
+        continue;
+      }
+      try {
+        database.stores[storeName] = await countSyncStates(db.transaction(storeName, 'readonly').objectStore(storeName));
+      } catch (error) {
+        reportErrors.push({ database: db.name, store: storeName, error: error.message });
+      }
+    }
+    db.close();
+    console.log('[DB]', db.name, 'v' + db.version + ':', Object.entries(database.stores)
+      .map(([storeName, counts]) => storeName + ' ' + counts.count + ' (' + counts.unsynced + ' unsynced)').join(', '));
+  }
+
+  function countSyncStates(store) {
+    return new Promise((resolve, reject) => {
+      const counts = { count: 0, synced: 0, unsynced: 0, missingSyncedField: 0 };
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+        const record = cursor.value;
+        const synced = record !== null && typeof record === 'object' ? record.synced : undefined;
+        counts.count++;
+        if (synced === true) counts.synced++;
+        if (synced === false) counts.unsynced++;
+        if (synced === undefined) counts.missingSyncedField++;
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // See "Diagnostic Reports" in scripts/README.md for the shape
+  function buildReport(success, details) {
+    return {
+      format: 'heyho-diagnostic-report',
+      formatVersion: 1,
+      script: 'debug_sync_flow.js',
+      generatedAt: new Date().toISOString(),
+      success: success,
+      databases: database.info ? [{ ...database.info, stores: database.stores }] : [],
+      errors: reportErrors,
+      details: details
+    };
+  }
+
+  // Keeps the report in self.heyhoLastReport and downloads it if asked to
+  function publishReport(report) {
+    self.heyhoLastReport = report;
+    if (DOWNLOAD_REPORT) {
+      const filename = `heyho-report_debug_sync_flow_${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+      const delivery = downloadJson(filename, JSON.stringify(report, null, 2));
+      console.log(delivery ? '[REPORT] Saved as ' + filename + ' via ' + delivery : '[REPORT] Could not download - run copy(JSON.stringify(self.heyhoLastReport)) instead');
+    }
+    return report;
+  }
+
+  // Ruby truthiness, as used by DataSyncService#get_value: only nil/false are falsy
+  function truthy(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  // ActiveSupport #blank?
+  function blank(value) {
+    if (!truthy(value)) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  function getValue(hash, ...keys) {
+    for (const key of keys) {
+      if (truthy(hash[key])) return hash[key];
+    }
+    return null;
+  }
+
+  function timestampToIso8601(value) {
+    if (blank(value)) return value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+    const date = new Date(typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10) || 0);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  // DataSyncService#build_tab_to_page_visit_map: each tab links to its first
+  // visit in the batch. Ruby truthiness, so tab 0 and '' count
+  function buildTabToPageVisitMap(visits) {
+    const tabToPageVisit = {};
+    for (const visit of visits) {
+      const visitId = getValue(visit, 'id', 'visitId');
+      if (truthy(visit.tabId) && truthy(visitId) && !(visit.tabId in tabToPageVisit)) {
+        tabToPageVisit[visit.tabId] = visitId;
+      }
+    }
+    return tabToPageVisit;
+  }
+
+  // Mirrors DataSyncService#build_page_visit_hash and #transform_tab_aggregates
+  function previewTransform(body) {
+    const stats = {
+      visitIdFrom: { id: 0, visitId: 0, missing: 0 },
+      activeDurationConverted: 0,
+      aggregateIds: { provided: 0, synthesized: 0 },
+      currentUrlFrom: { currentUrl: 0, current_url: 0, url: 0, none: 0 }
+    };
+
+    const pageVisits = body.pageVisits.map(visit => {
+      if (truthy(visit.id)) stats.visitIdFrom.id++;
+      else if (truthy(visit.visitId)) stats.visitIdFrom.visitId++;
+      else stats.visitIdFrom.missing++;
+      if (truthy(visit.activeDuration)) stats.activeDurationConverted++;
+
+      const activeDuration = truthy(visit.activeDuration) ? visit.activeDuration : 0;
+      return {
+        id: getValue(visit, 'id', 'visitId'),
+        url: visit.url,
+        title: visit.title,
+        visited_at: timestampToIso8601(getValue(visit, 'visited_at', 'startedAt')),
+        opened_at: timestampToIso8601(getValue(visit, 'opened_at', 'openedAt')),
+        tab_id: visit.tabId,
+        domain: visit.domain,
+        duration_seconds: getValue(visit, 'durationSeconds', 'duration_seconds'),
+        active_duration_seconds: Number.isInteger(activeDuration) ? Math.floor(activeDuration / 1000) : activeDuration / 1000,
+        engagement_rate: getValue(visit, 'engagementRate', 'engagement_rate'),
+        category: visit.category,
+        category_confidence: visit.categoryConfidence,
+        category_method: visit.categoryMethod
+      };
+    });
+
+    // The server links each aggregate to the first visit of its tab in the same request
+    const tabToPageVisit = buildTabToPageVisitMap(body.pageVisits);
+
+    const tabAggregates = [];
+    const skipped = [];
+    body.tabAggregates.forEach(aggregate => {
+      const startTime = getValue(aggregate, 'startTime', 'start_time');
+      // browser_extension_format? uses .present?, so empty strings do not count
+      if (blank(aggregate.tabId) || blank(startTime)) {
+        const pageVisitId = getValue(aggregate, 'page_visit_id', 'pageVisitId');
+        if (!pageVisitId) {
+          skipped.push({ tabId: aggregate.tabId, reason: 'missing page_visit_id' });
+          return;
+        }
+        stats.aggregateIds.provided++;
+        tabAggregates.push({
+          id: aggregate.id,
+          page_visit_id: pageVisitId,
+          total_time_seconds: getValue(aggregate, 'total_time_seconds', 'totalTimeSeconds'),
+          active_time_seconds: getValue(aggregate, 'active_time_seconds', 'activeTimeSeconds'),
+          closed_at: timestampToIso8601(getValue(aggregate, 'closed_at', 'closedAt')),
+          current_url: null
+        });
+        return;
+      }
+
+      const pageVisitId = tabToPageVisit[aggregate.tabId];
+      if (!pageVisitId) {
+        skipped.push({ tabId: aggregate.tabId, reason: 'no matching page visit found' });
+        return;
+      }
+
+      const lastActive = getValue(aggregate, 'lastActiveTime', 'last_active_time') || startTime;
+      const seconds = Math.trunc((lastActive - startTime) / 1000);
+      if (!Number.isFinite(seconds) || seconds < 0 || seconds > 365 * 24 * 3600) {
+        skipped.push({ tabId: aggregate.tabId, reason: 'invalid duration ' + seconds + 's' });
+        return;
+      }
+
+      if (truthy(aggregate.id)) stats.aggregateIds.provided++;
+      else stats.aggregateIds.synthesized++;
+
+      const urlSource = ['currentUrl', 'current_url', 'url'].find(key => truthy(aggregate[key])) || 'none';
+      stats.currentUrlFrom[urlSource]++;
+
+      const closedAtValue = getValue(aggregate, 'closedAt', 'closed_at');
+      // Ruby's isOpen || is_open: a false isOpen falls through to is_open
+      const isOpen = truthy(aggregate.isOpen) ? aggregate.isOpen : aggregate.is_open;
+      let closedAt = null;
+      if (truthy(closedAtValue)) {
+        closedAt = timestampToIso8601(closedAtValue);
+      } else if (isOpen === false) {
+        closedAt = timestampToIso8601(lastActive);
+      }
+
+      tabAggregates.push({
+        id: aggregate.id || 'agg_' + startTime + '_' + aggregate.tabId,
+        page_visit_id: pageVisitId,
+        total_time_seconds: seconds,
+        active_time_seconds: seconds,
+        scroll_depth_percent: truthy(aggregate.scroll_depth_percent) ? aggregate.scroll_depth_percent : 0,
+        closed_at: closedAt,
+        page_count: getValue(aggregate, 'pageCount', 'page_count'),
+        current_url: getValue(aggregate, 'currentUrl', 'current_url', 'url'),
+        current_domain: getValue(aggregate, 'currentDomain', 'current_domain', 'domain')
+      });
+    });
+
+    return { pageVisits, tabAggregates, skipped, stats };
+  }
+
+  // Splits the payload into requests of at most `size` records, like
+  // buildChunks() in push_sync_data.js. Each tab's visits travel with its
+  // aggregates, since the server only links an aggregate to a visit sent in
+  // the same request; a tab with more than `size` records sends its aggregate
+  // with its first visits and the rest of its visits on their own.
+  function planBatches(body, size) {
+    const total = body.pageVisits.length + body.tabAggregates.length;
+    if (size === null) {
+      return [{
+        index: 1,
+        pageVisits: body.pageVisits.length,
+        tabAggregates: body.tabAggregates.length,
+        total: total,
+        exceedsLimit: total > MAX_BATCH_SIZE
+      }];
+    }
+
+    const groups = new Map();
+    const groupFor = tabId => {
+      const key = tabId === undefined || tabId === null ? Symbol('no-tab') : tabId;
+      if (!groups.has(key)) groups.set(key, { pageVisits: 0, tabAggregates: 0 });
+      return groups.get(key);
+    };
+    body.pageVisits.forEach(visit => { groupFor(visit.tabId).pageVisits++; });
+    body.tabAggregates.forEach(aggregate => { groupFor(aggregate.tabId).tabAggregates++; });
+
+    const units = [];
+    for (const group of groups.values()) {
+      if (group.pageVisits + group.tabAggregates <= size) {
+        units.push(group);
+        continue;
+      }
+      // tabAggregates is keyed by tabId, so a tab has a single aggregate
+      const head = Math.max(size - group.tabAggregates, 1);
+      units.push({ pageVisits: Math.min(head, group.pageVisits), tabAggregates: group.tabAggregates });
+      for (let start = head; start < group.pageVisits; start += size) {
+        units.push({ pageVisits: Math.min(size, group.pageVisits - start), tabAggregates: 0 });
+      }
+    }
+
+    const batches = [];
+    let current = null;
+    for (const unit of units) {
+      const unitSize = unit.pageVisits + unit.tabAggregates;
+      if (!current || (current.total + unitSize > size && current.total > 0)) {
+        current = { index: batches.length + 1, pageVisits: 0, tabAggregates: 0, total: 0, exceedsLimit: false };
+        batches.push(current);
+      }
+      current.pageVisits += unit.pageVisits;
+      current.tabAggregates += unit.tabAggregates;
+      current.total += unitSize;
+      current.exceedsLimit = current.total > MAX_BATCH_SIZE;
+    }
+    return batches.length > 0 ? batches : [{ index: 1, pageVisits: 0, tabAggregates: 0, total: 0, exceedsLimit: false }];
   }
 })();
@@ -0,0 +1,600 @@
+/**
+ * Sync Eligibility Explainer
+ *
+ * Explains whether one record will be sent on the next sync cycle, and why
+ * not. debug_sync_flow.js and validate_sync_data.js work on counts and whole
+ * stores; this script follows a single visit or tab through every step that
+ * can hold it back:
+ * - found:        the record exists in pageVisits / tabAggregates
+ * - syncedFlag:   synced must be false (true = already sent, missing = never
+ *                 picked up)
+ * - storageModule: StorageModule.getUnsynced*() actually returns it
+ * - tracking:     a page visit listed in syncedPageVisits counts as sent
+ * - urlFilter:    a URL matching Constants.INVALID_URL_PREFIXES is dropped
+ *                 by the extension before the request is built
+ * - pageVisitLink: a tab aggregate is only kept by the server if a visit of
+ *                 the same tab is sent in the same request
+ * - authenticated: AuthManager.isAuthenticated(); without it the whole sync
+ *                 is skipped
+ * - validation:   the DataSyncService transformation and the
+ *                 DataValidationService rules (see validate_sync_data.js)
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Set VISIT_ID or TAB_ID below
+ * 3. Copy and paste this entire script
+ * 4. Press Enter to run
+ *
+ * Each check passes, fails, warns or is unknown (the extension global it needs
+ * is not available). results.verdict is 'willSync' when nothing fails,
+ * 'wontSync' when something does, and 'unknown' when nothing fails but a
+ * check could not be made; results.reasons lists why.
+ */
+
+(async function explainSyncEligibility() {
+  console.log('[EXPLAIN] Checking whether a record will sync...\n');
+
+  const DB_NAME = 'Heyho_EventsDB';
+  const VISIT_ID = null; // e.g. 'visit_abc123' - explains this page visit
+  const TAB_ID = null; // e.g. 1234567 - explains this tab's aggregate (used when VISIT_ID is null)
+
+  // Mirrors DataProcessing::DataValidationService
+  const MAX_URL_LENGTH = 2048;
+  const MAX_TITLE_LENGTH = 500;
+  const MAX_DOMAIN_LENGTH = 253;
+  const MAX_DURATION = 86400;
+  const MIN_SCROLL_DEPTH = 0;
+  const MAX_SCROLL_DEPTH = 100;
+  const MIN_ENGAGEMENT_RATE = 0.0;
+  const MAX_ENGAGEMENT_RATE = 1.0;
+  const MAX_METADATA_BYTES = 50 * 1024;
+  const VALID_URL_SCHEMES = ['http', 'https'];
+  const VALID_CATEGORY_METHODS = ['metadata', 'unclassified'];
+
+  // Mirrors PageVisit::VALID_CATEGORIES
+  const VALID_CATEGORIES = [
+    'work_coding',
+    'work_code_review',
+    'work_communication',
+    'work_documentation',
+    'learning_video',
+    'learning_reading',
+    'entertainment_video',
+    'entertainment_browsing',
+    'entertainment_short_form',
+    'social_media',
+    'news',
+    'shopping',
+    'reference',
+    'unclassified'
+  ];
+
+  // Mirrors DataSyncService#sanitize_metadata
+  const METADATA_MAX_STRING_LENGTH = 2000;
+  const METADATA_DANGEROUS_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+  const results = {
+    success: true,
+    target: null,
+    record: null,
+    checks: [],
+    verdict: null,
+    reasons: []
+  };
+
+  try {
+    if (VISIT_ID === null && TAB_ID === null) {
+      throw new Error('Set VISIT_ID or TAB_ID at the top of the script');
+    }
+    const target = VISIT_ID !== null
+      ? { store: 'pageVisits', field: 'visitId', id: VISIT_ID }
+      : { store: 'tabAggregates', field: 'tabId', id: TAB_ID };
+    results.target = target;
+    console.log('[TARGET]', target.store, target.field + ' =', JSON.stringify(target.id), '\n');
+
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${DB_NAME} does not exist`));
+      };
+    });
+
+    let record;
+    let tracking = null;
+    let tabVisits = [];
+    try {
+      record = await findRecord(db, target.store, candidate => matchesTarget(candidate, target));
+      if (record && target.store === 'pageVisits' && db.objectStoreNames.contains('syncedPageVisits')) {
+        tracking = await findTrackingEntry(db, getValue(record, 'visitId', 'id'));
+      }
+      if (record && target.store === 'tabAggregates') {
+        tabVisits = await findAll(db, 'pageVisits', visit => truthy(visit.tabId) && visit.tabId === record.tabId);
+      }
+    } finally {
+      db.close();
+    }
+
+    if (!record) {
+      addCheck('found', 'fail', `No record with ${target.field} ${JSON.stringify(target.id)} in ${target.store}`);
+      return finish();
+    }
+    results.record = record;
+    addCheck('found', 'pass', `Found in ${target.store}`);
+
+    checkSyncedFlag(record);
+    const unsyncedList = await readUnsynced(target.store);
+    checkStorageModule(record, target, unsyncedList);
+
+    const invalidPrefixes = self.Constants && Array.isArray(self.Constants.INVALID_URL_PREFIXES)
+      ? self.Constants.INVALID_URL_PREFIXES
+      : null;
+
+    if (target.store === 'pageVisits') {
+      checkTracking(tracking, record, unsyncedList);
+      checkUrlFilter(record, invalidPrefixes);
+    } else {
+      checkPageVisitLink(record, tabVisits, invalidPrefixes);
+    }
+
+    checkAuthentication();
+    checkValidation(record, target, tabVisits, invalidPrefixes);
+
+    return finish();
+
+  } catch (error) {
+    console.error('[ERROR]:', error);
+    return { success: false, error: error.message };
+  }
+
+  function addCheck(check, status, detail) {
+    results.checks.push({ check, status, detail });
+    console.log(`  [${status.toUpperCase()}] ${check}: ${detail}`);
+  }
+
+  function finish() {
+    const failed = results.checks.filter(check => check.status === 'fail');
+    const unknown = results.checks.filter(check => check.status === 'unknown');
+    results.verdict = failed.length > 0 ? 'wontSync' : (unknown.length > 0 ? 'unknown' : 'willSync');
+    results.reasons = (failed.length > 0 ? failed : unknown).map(check => `${check.check}: ${check.detail}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('[VERDICT]');
+    console.log('='.repeat(60));
+    if (results.verdict === 'willSync') {
+      console.log('[OK] The record will be sent on the next sync cycle.');
+    } else if (results.verdict === 'wontSync') {
+      console.log('[FAIL] The record will NOT be sent on the next sync cycle:');
+      results.reasons.forEach(reason => console.log('  -', reason));
+    } else {
+      console.log('[INFO] Nothing blocks the record, but some checks could not be made:');
+      results.reasons.forEach(reason => console.log('  -', reason));
+      console.log('  Run this in the extension console so StorageModule, Constants and AuthManager are available.');
+    }
+    return results;
+  }
+
+  function checkSyncedFlag(record) {
+    if (record.synced === false) {
+      addCheck('syncedFlag', 'pass', 'synced = false');
+    } else if (record.synced === true) {
+      const at = truthy(record.syncedAt) ? ` at ${new Date(record.syncedAt).toISOString()}` : '';
+      addCheck('syncedFlag', 'fail', `synced = true - already sent${at}. Reset it with FILTERS in reset_sync_simple.js to send it again`);
+    } else {
+      addCheck('syncedFlag', 'fail', `synced is ${JSON.stringify(record.synced)} - only synced = false is picked up. Run the reset script to set it`);
+    }
+  }
+
+  // What the extension itself will hand to the sync, or null when unavailable
+  async function readUnsynced(storeName) {
+    if (!self.StorageModule) return null;
+    const method = storeName === 'pageVisits' ? 'getUnsyncedPageVisits' : 'getUnsyncedTabAggregates';
+    if (typeof self.StorageModule[method] !== 'function') return null;
+    return self.StorageModule[method]();
+  }
+
+  function checkStorageModule(record, target, unsyncedList) {
+    const method = target.store === 'pageVisits' ? 'getUnsyncedPageVisits()' : 'getUnsyncedTabAggregates()';
+    if (unsyncedList === null) {
+      addCheck('storageModule', 'unknown', `StorageModule.${method} is not available`);
+    } else if (unsyncedList.some(candidate => matchesTarget(candidate, target))) {
+      addCheck('storageModule', 'pass', `Returned by StorageModule.${method}`);
+    } else {
+      addCheck('storageModule', 'fail', `Not among the ${unsyncedList.length} records StorageModule.${method} returns`);
+    }
+  }
+
+  function checkTracking(tracking, record, unsyncedList) {
+    if (!tracking) {
+      addCheck('tracking', 'pass', 'Not listed in syncedPageVisits');
+      return;
+    }
+    const visitId = getValue(record, 'visitId', 'id');
+    const stillReturned = unsyncedList !== null && unsyncedList.some(candidate => getValue(candidate, 'visitId', 'id') === visitId);
+    if (stillReturned) {
+      addCheck('tracking', 'warn', 'Listed in syncedPageVisits although StorageModule still returns it - the entry is stale');
+    } else {
+      addCheck('tracking', 'fail', 'Listed in syncedPageVisits, so the extension counts it as sent. The reset scripts remove the entry');
+    }
+  }
+
+  function checkUrlFilter(record, invalidPrefixes) {
+    if (invalidPrefixes === null) {
+      addCheck('urlFilter', 'unknown', 'Constants.INVALID_URL_PREFIXES is not available');
+      return;
+    }
+    const url = record.url || '';
+    const prefix = invalidPrefixes.find(p => url.startsWith(p));
+    if (prefix) {
+      addCheck('urlFilter', 'fail', `URL matches INVALID_URL_PREFIXES entry "${prefix}" - the extension never sends it`);
+    } else {
+      addCheck('urlFilter', 'pass', 'URL is not in INVALID_URL_PREFIXES');
+    }
+  }
+
+  // The server only links an aggregate to a visit of the same tab sent in the
+  // same request, so the tab needs a visit that goes out with it
+  function checkPageVisitLink(aggregate, tabVisits, invalidPrefixes) {
+    const startTime = getValue(aggregate, 'startTime', 'start_time');
+    if (blank(aggregate.tabId) || blank(startTime)) {
+      const pageVisitId = getValue(aggregate, 'page_visit_id', 'pageVisitId');
+      if (pageVisitId) {
+        addCheck('pageVisitLink', 'pass', `Carries page_visit_id ${pageVisitId}`);
+      } else {
+        addCheck('pageVisitLink', 'fail', 'Has neither tabId + startTime nor page_visit_id - the server skips it');
+      }
+      return;
+    }
+
+    const sendable = sendableVisits(tabVisits, invalidPrefixes);
+    if (sendable.length > 0) {
+      addCheck('pageVisitLink', 'pass', `Visit ${getValue(sendable[0], 'visitId', 'id')} of tab ${aggregate.tabId} goes out in the same sync`);
+    } else if (tabVisits.length === 0) {
+      addCheck('pageVisitLink', 'fail', `Tab ${aggregate.tabId} has no page visits left - the server skips the aggregate`);
+    } else {
+      addCheck('pageVisitLink', 'fail', `None of the ${tabVisits.length} visits of tab ${aggregate.tabId} is unsynced and sendable, so the server skips the aggregate. Reset one of them (e.g. ${getValue(tabVisits[0], 'visitId', 'id')}) too`);
+    }
+  }
+
+  function sendableVisits(visits, invalidPrefixes) {
+    return visits.filter(visit => visit.synced === false &&
+      !(invalidPrefixes || []).some(prefix => (visit.url || '').startsWith(prefix)));
+  }
+
+  function checkAuthentication() {
+    if (!self.AuthManager || typeof self.AuthManager.isAuthenticated !== 'function') {
+      addCheck('authenticated', 'unknown', 'AuthManager.isAuthenticated() is not available');
+    } else if (self.AuthManager.isAuthenticated()) {
+      addCheck('authenticated', 'pass', 'Signed in');
+    } else {
+      addCheck('authenticated', 'fail', 'Not signed in - the extension skips the whole sync');
+    }
+  }
+
+  function checkValidation(record, target, tabVisits, invalidPrefixes) {
+    let outcome;
+    if (target.store === 'pageVisits') {
+      outcome = validatePageVisit(buildPageVisitHash(record));
+    } else {
+      // A missing link is already reported by pageVisitLink; validate the
+      // other fields as if the tab's visit were sent along
+      const linked = sendableVisits(tabVisits, invalidPrefixes)[0];
+      const tabToPageVisit = { [record.tabId]: linked ? getValue(linked, 'id', 'visitId') : `(a visit of tab ${record.tabId})` };
+      const transformed = transformTabAggregate(record, tabToPageVisit);
+      if (transformed.skipped) {
+        addCheck('validation', 'fail', `Skipped by the server: ${transformed.skipped}`);
+        return;
+      }
+      outcome = validateTabAggregate(transformed.aggregate);
+    }
+
+    const describe = issues => issues.map(issue => `${issue.field} ${issue.message}`).join('; ');
+    if (outcome.errors.length > 0) {
+      addCheck('validation', 'fail', `Rejected by the server: ${describe(outcome.errors)}`);
+    } else if (outcome.warnings.length > 0) {
+      addCheck('validation', 'warn', `Accepted with warnings: ${describe(outcome.warnings)}`);
+    } else {
+      addCheck('validation', 'pass', 'Passes the server validation rules');
+    }
+  }
+
+  // Tab ids typed into TAB_ID as strings still match numeric ids
+  function matchesTarget(record, target) {
+    if (!record || typeof record !== 'object') return false;
+    const value = target.field === 'visitId' ? getValue(record, 'visitId', 'id') : record.tabId;
+    return value === target.id || (value !== null && value !== undefined && String(value) === String(target.id));
+  }
+
+  async function findRecord(db, storeName, predicate) {
+    const matches = await findAll(db, storeName, predicate, 1);
+    return matches[0] || null;
+  }
+
+  // Cursor scan, so any keyPath (or a record keyed by id instead of visitId) works
+  function findAll(db, storeName, predicate, limit = Infinity) {
+    if (!db.objectStoreNames.contains(storeName)) return Promise.resolve([]);
+    return new Promise((resolve, reject) => {
+      const matches = [];
+      const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || matches.length >= limit) {
+          resolve(matches);
+          return;
+        }
+        if (predicate(cursor.value, cursor.primaryKey)) matches.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Tracking entries may store the visit id in the record or only as their key
+  async function findTrackingEntry(db, visitId) {
+    const matches = await findAll(db, 'syncedPageVisits', (entry, key) => {
+      const trackedId = entry && typeof entry === 'object' ? (entry.visitId || entry.id || key) : key;
+      return trackedId === visitId;
+    }, 1);
+    return matches[0] || null;
+  }
+
+  // ---- DataSyncService transformations -------------------------------------
+
+  // Ruby truthiness: only nil and false are falsy
+  function truthy(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  // ActiveSupport #blank?
+  function blank(value) {
+    if (!truthy(value)) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  function getValue(hash, ...keys) {
+    for (const key of keys) {
+      if (truthy(hash[key])) return hash[key];
+    }
+    return null;
+  }
+
+  // DataSyncService#timestamp_to_iso_8601: strings starting with a date pass
+  // through, anything else is read as a millisecond timestamp
+  function timestampToIso8601(value) {
+    if (blank(value)) return value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+    const ms = typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10) || 0;
+    const date = new Date(ms);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  function sanitizeMetadata(metadata) {
+    if (blank(metadata)) return {};
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) return {};
+
+    const truncate = (value) => {
+      if (Array.isArray(value)) return value.map(truncate);
+      if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, nested] of Object.entries(value)) copy[key] = truncate(nested);
+        return copy;
+      }
+      if (typeof value === 'string' && value.length > METADATA_MAX_STRING_LENGTH) {
+        return value.slice(0, METADATA_MAX_STRING_LENGTH) + '...';
+      }
+      return value;
+    };
+
+    const cleaned = {};
+    for (const [key, value] of Object.entries(metadata)) {
+      if (!METADATA_DANGEROUS_KEYS.includes(key)) cleaned[key] = value;
+    }
+    return truncate(cleaned);
+  }
+
+  function buildPageVisitHash(visit) {
+    const activeDuration = truthy(visit.activeDuration) ? visit.activeDuration : 0;
+    return {
+      id: getValue(visit, 'id', 'visitId'),
+      url: visit.url,
+      title: visit.title,
+      visited_at: timestampToIso8601(getValue(visit, 'visited_at', 'startedAt')),
+      opened_at: timestampToIso8601(getValue(visit, 'opened_at', 'openedAt')),
+      domain: visit.domain,
+      duration_seconds: getValue(visit, 'durationSeconds', 'duration_seconds'),
+      active_duration_seconds: Number.isInteger(activeDuration) ? Math.floor(activeDuration / 1000) : activeDuration / 1000,
+      engagement_rate: getValue(visit, 'engagementRate', 'engagement_rate'),
+      category: visit.category,
+      category_confidence: visit.categoryConfidence,
+      category_method: visit.categoryMethod,
+      metadata: sanitizeMetadata(visit.metadata)
+    };
+  }
+
+  // Returns { aggregate } or { skipped: reason } like DataSyncService#transform_single_aggregate
+  function transformTabAggregate(aggregate, tabToPageVisit) {
+    const startTime = getValue(aggregate, 'startTime', 'start_time');
+    const isExtensionFormat = !blank(aggregate.tabId) && !blank(startTime);
+
+    if (!isExtensionFormat) {
+      const pageVisitId = getValue(aggregate, 'page_visit_id', 'pageVisitId');
+      if (!pageVisitId) return { skipped: 'missing page_visit_id' };
+      return {
+        aggregate: {
+          id: aggregate.id,
+          page_visit_id: pageVisitId,
+          total_time_seconds: getValue(aggregate, 'total_time_seconds', 'totalTimeSeconds'),
+          active_time_seconds: getValue(aggregate, 'active_time_seconds', 'activeTimeSeconds'),
+          scroll_depth_percent: getValue(aggregate, 'scroll_depth_percent', 'scrollDepthPercent'),
+          closed_at: timestampToIso8601(getValue(aggregate, 'closed_at', 'closedAt'))
+        }
+      };
+    }
+
+    const tabId = aggregate.tabId;
+    const pageVisitId = tabToPageVisit[tabId];
+    if (!pageVisitId) {
+      return { skipped: `no matching page visit found for tabId ${tabId} in this sync batch` };
+    }
+
+    const lastActive = getValue(aggregate, 'lastActiveTime', 'last_active_time') || startTime;
+    const seconds = Math.trunc((lastActive - startTime) / 1000);
+    if (!Number.isFinite(seconds) || seconds < 0 || seconds > 365 * 24 * 3600) {
+      return { skipped: `invalid duration ${seconds}s (${(seconds / 86400).toFixed(1)} days)` };
+    }
+
+    const closedAtValue = getValue(aggregate, 'closedAt', 'closed_at');
+    // Ruby's isOpen || is_open: a false isOpen falls through to is_open
+    const isOpen = truthy(aggregate.isOpen) ? aggregate.isOpen : aggregate.is_open;
+    let closedAt = null;
+    if (truthy(closedAtValue)) {
+      closedAt = timestampToIso8601(closedAtValue);
+    } else if (isOpen === false) {
+      closedAt = timestampToIso8601(lastActive);
+    }
+
+    // build_aggregate_hash sets no opened_at, so the server never checks it
+    // against closed_at for these records
+    return {
+      aggregate: {
+        id: aggregate.id || `agg_${startTime}_${tabId}`,
+        page_visit_id: pageVisitId,
+        total_time_seconds: seconds,
+        active_time_seconds: seconds,
+        scroll_depth_percent: truthy(aggregate.scroll_depth_percent) ? aggregate.scroll_depth_percent : 0,
+        closed_at: closedAt,
+        current_url: getValue(aggregate, 'currentUrl', 'current_url', 'url')
+      }
+    };
+  }
+
+  // ---- DataValidationService rules ------------------------------------------
+
+  function validatePageVisit(data) {
+    const errors = [];
+    const warnings = [];
+    const check = validators(errors, warnings);
+
+    check.required(data, ['id', 'url', 'visited_at']);
+    if (truthy(data.url)) check.url(data.url, 'url');
+    if (truthy(data.title)) check.length(data.title, 'title', MAX_TITLE_LENGTH);
+    if (truthy(data.domain)) check.length(data.domain, 'domain', MAX_DOMAIN_LENGTH);
+    if (truthy(data.visited_at)) check.timestamp(data.visited_at, 'visited_at');
+    if (truthy(data.duration_seconds)) check.duration(data.duration_seconds, 'duration_seconds');
+    if (truthy(data.active_duration_seconds)) check.duration(data.active_duration_seconds, 'active_duration_seconds');
+    if (truthy(data.engagement_rate)) check.range(data.engagement_rate, 'engagement_rate', MIN_ENGAGEMENT_RATE, MAX_ENGAGEMENT_RATE);
+    if (truthy(data.category) && !blank(data.category) && !VALID_CATEGORIES.includes(data.category)) {
+      errors.push({ field: 'category', message: `must be one of: ${VALID_CATEGORIES.join(', ')}` });
+    }
+    if (truthy(data.category_confidence)) check.range(data.category_confidence, 'category_confidence', 0, 1);
+    if (truthy(data.category_method) && !blank(data.category_method) && !VALID_CATEGORY_METHODS.includes(data.category_method)) {
+      warnings.push({ field: 'category_method', message: `unknown method '${data.category_method}' (expected: ${VALID_CATEGORY_METHODS.join(', ')})` });
+    }
+    if (truthy(data.metadata)) check.metadataSize(data.metadata);
+
+    return { errors, warnings };
+  }
+
+  function validateTabAggregate(data) {
+    const errors = [];
+    const warnings = [];
+    const check = validators(errors, warnings);
+
+    check.required(data, ['id']);
+    if (truthy(data.current_url)) check.url(data.current_url, 'current_url');
+    if (truthy(data.opened_at)) check.timestamp(data.opened_at, 'opened_at');
+    if (truthy(data.closed_at)) check.timestamp(data.closed_at, 'closed_at');
+    if (truthy(data.scroll_depth_percent)) check.range(data.scroll_depth_percent, 'scroll_depth_percent', MIN_SCROLL_DEPTH, MAX_SCROLL_DEPTH);
+
+    if (truthy(data.opened_at) && truthy(data.closed_at) &&
+        isIso8601(data.opened_at) && isIso8601(data.closed_at) &&
+        Date.parse(data.opened_at) > Date.parse(data.closed_at)) {
+      errors.push({ field: 'closed_at', message: 'cannot be before opened_at' });
+    }
+
+    return { errors, warnings };
+  }
+
+  // Ruby's Time.iso8601 (xmlschema): date, optionally followed by time and zone
+  function isIso8601(value) {
+    return typeof value === 'string' &&
+      /^-?\d{4,}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/.test(value) &&
+      !Number.isNaN(Date.parse(value));
+  }
+
+  function validators(errors, warnings) {
+    const error = (field, message) => errors.push({ field, message });
+    const warning = (field, message) => warnings.push({ field, message });
+
+    return {
+      required(data, fields) {
+        for (const field of fields) {
+          if (blank(data[field])) error(field, 'is required but missing');
+        }
+      },
+
+      // URI.parse is stricter than the URL constructor: it refuses spaces and
+      // characters outside RFC 3986, so check those explicitly
+      url(value, field) {
+        if (blank(value)) return error(field, 'cannot be blank');
+        if (value.length > MAX_URL_LENGTH) {
+          return error(field, `exceeds maximum length of ${MAX_URL_LENGTH} characters`);
+        }
+        if (/[\s<>"{}|\\^`]/.test(value) || /[^\x00-\x7F]/.test(value)) {
+          return error(field, 'is not a valid URL: contains characters URI.parse rejects');
+        }
+        const scheme = (value.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/) || [])[1];
+        if (!scheme || !VALID_URL_SCHEMES.includes(scheme.toLowerCase())) {
+          return error(field, 'must use http or https scheme');
+        }
+        let host = '';
+        try {
+          host = new URL(value).hostname;
+        } catch (err) {
+          host = '';
+        }
+        if (!host) warning(field, 'missing domain');
+      },
+
+      length(value, field, max) {
+        if (typeof value === 'string' && !blank(value) && value.length > max) {
+          warning(field, `exceeds recommended length of ${max} characters (will be truncated)`);
+        }
+      },
+
+      timestamp(value, field) {
+        if (blank(value)) return;
+        if (!isIso8601(value)) error(field, 'is not a valid ISO8601 timestamp');
+      },
+
+      duration(value, field) {
+        if (typeof value !== 'number') return error(field, 'must be a number');
+        if (value < 0) return error(field, 'cannot be negative');
+        if (value > MAX_DURATION) warning(field, `exceeds maximum expected duration of ${MAX_DURATION} seconds`);
+      },
+
+      range(value, field, min, max) {
+        if (typeof value !== 'number') return error(field, 'must be a number');
+        if (value < min) return error(field, `cannot be less than ${min}`);
+        if (value > max) error(field, `cannot exceed ${max}`);
+      },
+
+      // Rails' to_json escapes <, > and & as six-byte \u003c-style sequences,
+      // which count toward the limit
+      metadataSize(value) {
+        if (blank(value)) return;
+        const json = JSON.stringify(value).replace(/[<>&]/g, '\\u003c');
+        const size = new TextEncoder().encode(json).length;
+        if (size > MAX_METADATA_BYTES) {
+          error('metadata', `is too large (${size} bytes, max ${MAX_METADATA_BYTES} bytes)`);
+        }
+      }
+    };
+  }
+})();
@@ -0,0 +1,364 @@
+/**
+ * IndexedDB Snapshot Export Script
+ *
+ * Dumps every object store in the extension's IndexedDB to a versioned JSON
+ * snapshot: database name and version, each store's keyPath, autoIncrement
+ * flag and indexes, and all of its records. Run it before any destructive
+ * script (reset, repair) so unsynced local data can be restored with
+ * restore_indexeddb_snapshot.js.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Paste heyho_toolkit.js once per console session - this script takes
+ *    its file download from it
+ * 3. Copy and paste this entire script
+ * 4. Press Enter to run
+ *
+ * The snapshot is downloaded as heyho-snapshot_<db>_v<version>_<timestamp>.json.
+ * Where no download mechanism is available (service workers without the
+ * downloads permission), it is kept in `self.heyhoLastSnapshotJson` - run
+ * `copy(self.heyhoLastSnapshotJson)` and paste it into a file.
+ *
+ * All stores are read in a single readonly transaction, so the snapshot is
+ * consistent even if the extension writes while it runs.
+ *
+ * REDACTED EXPORT (for bug reports):
+ * Set REDACT = true to export the data's shape without the browsing history.
+ * Only the fields in KEPT_FIELDS (ids, timestamps, durations, categories,
+ * flags) and the store schema are kept as they are. In every store, at any
+ * depth:
+ * - URL fields (url, currentUrl, referrer, ...) become
+ *   <scheme>://<domain>/<hash of the full URL>
+ * - domain fields are cut down to the registrable domain (docs.github.com ->
+ *   github.com), or replaced by a hash when REDACT_DOMAINS = 'hash'; so are
+ *   the keys of domain maps like domainDurations
+ * - metadata is emptied
+ * - every other string becomes "redacted:<hash>", and so does every object
+ *   key that is not a known field name
+ * Numbers, booleans and null are kept.
+ * Every hash is a salted SHA-256, and the same value always gets the same
+ * hash within an export, so visits still line up with their tabs and
+ * duplicate URLs stay duplicates. The salt is random per export unless
+ * REDACT_SALT is set (to compare several exports); it is never written to
+ * the file. A redacted snapshot is downloaded as heyho-snapshot-redacted_...
+ * and still loads with restore_indexeddb_snapshot.js, so the audit and
+ * validation scripts can run on it in a scratch profile.
+ */
+
+(async function exportIndexedDBSnapshot() {
+  console.log('📦 Starting IndexedDB snapshot export...\n');
+
+  const DB_NAME = 'Heyho_EventsDB';
+  const SNAPSHOT_FORMAT = 'heyho-indexeddb-snapshot';
+  const SNAPSHOT_FORMAT_VERSION = 1;
+  const DOWNLOAD = true; // Set to false to only keep the snapshot in self.heyhoLastSnapshotJson
+  const REDACT = false; // Set to true to hash URLs, titles, domains and all other text for sharing in a bug report
+  const REDACT_DOMAINS = 'registrable'; // 'registrable' keeps e.g. github.com; 'hash' hides domains too
+  const REDACT_SALT = null; // null = random per export; set a string to get comparable hashes across exports
+
+  // Field names are compared lowercased and without '_' or '-'. Strings in
+  // any field not listed here are hashed, and unlisted object keys too.
+  const KEPT_FIELDS = [
+    'id', 'visitId', 'tabId', 'windowId', 'openerTabId', 'pageVisitId', 'sourcePageVisitId',
+    'startedAt', 'visitedAt', 'openedAt', 'startTime', 'endTime', 'lastActiveTime', 'lastHeartbeat', 'closedAt', 'syncedAt', 'createdAt', 'updatedAt', 'timestamp',
+    'activeDuration', 'durationSeconds', 'totalTimeSeconds', 'activeTimeSeconds', 'idlePeriods', 'start', 'end', 'engagementRate', 'scrollDepthPercent', 'pageCount',
+    'category', 'categoryConfidence', 'categoryMethod',
+    'synced', 'isOpen'
+  ];
+  const URL_FIELDS = ['url', 'currentUrl', 'referrer', 'referer', 'favIconUrl', 'openerUrl'];
+  const DOMAIN_FIELDS = ['domain', 'currentDomain', 'hostname', 'host'];
+  const DOMAIN_MAP_FIELDS = ['domainDurations']; // Objects keyed by hostname
+  const TEXT_FIELDS = ['title', 'currentTitle', 'description', 'keywords', 'query', 'searchQuery', 'selection', 'content'];
+  const REMOVED_FIELDS = ['metadata'];
+  // Suffixes under which the registrable domain has three labels. The full
+  // Public Suffix List is too large to paste; these cover the usual cases.
+  const MULTI_LABEL_SUFFIXES = [
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'edu.au', 'co.nz', 'co.jp',
+    'ne.jp', 'or.jp', 'co.kr', 'co.in', 'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.tw', 'co.za', 'com.sg',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev', 'blogspot.com'
+  ];
+
+  if (!self.heyho || typeof self.heyho.downloadJson !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { downloadJson } = self.heyho;
+
+  const results = {
+    success: true,
+    database: null,
+    stores: {},
+    filename: null,
+    delivery: null,
+    redaction: null,
+    errors: []
+  };
+
+  try {
+    const redactor = REDACT ? await createRedactor() : null;
+
+    const databases = await indexedDB.databases();
+    if (!databases.some(db => db.name === DB_NAME)) {
+      throw new Error(`Database ${DB_NAME} not found. Available: ${databases.map(db => db.name).join(', ') || '(none)'}`);
+    }
+
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error('Upgrade needed - database does not exist yet'));
+      };
+    });
+
+    const storeNames = Array.from(db.objectStoreNames);
+    console.log(`📂 Opened database: ${db.name} (version ${db.version})`);
+    console.log(`📋 Stores: ${storeNames.join(', ')}\n`);
+
+    const snapshot = {
+      format: SNAPSHOT_FORMAT,
+      formatVersion: SNAPSHOT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      database: {
+        name: db.name,
+        version: db.version
+      },
+      stores: {}
+    };
+    if (redactor) {
+      snapshot.redaction = redactor.describe();
+      console.log(`🙈 Redacting URLs, text and metadata (domains: ${REDACT_DOMAINS})\n`);
+    }
+
+    if (storeNames.length > 0) {
+      const transaction = db.transaction(storeNames, 'readonly');
+
+      for (const storeName of storeNames) {
+        const store = transaction.objectStore(storeName);
+
+        const getAllRequest = store.getAll();
+        const records = await new Promise((resolve, reject) => {
+          getAllRequest.onsuccess = () => resolve(getAllRequest.result);
+          getAllRequest.onerror = () => reject(getAllRequest.error);
+        });
+
+        const indexes = Array.from(store.indexNames).map(indexName => {
+          const index = store.index(indexName);
+          return {
+            name: index.name,
+            keyPath: index.keyPath,
+            unique: index.unique,
+            multiEntry: index.multiEntry
+          };
+        });
+
+        const storeSnapshot = {
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
+          indexes: indexes,
+          count: records.length,
+          records: records
+        };
+
+        // Out-of-line keys are not part of the records, so keep them alongside
+        if (store.keyPath === null) {
+          const getAllKeysRequest = store.getAllKeys();
+          storeSnapshot.keys = await new Promise((resolve, reject) => {
+            getAllKeysRequest.onsuccess = () => resolve(getAllKeysRequest.result);
+            getAllKeysRequest.onerror = () => reject(getAllKeysRequest.error);
+          });
+        }
+
+        snapshot.stores[storeName] = storeSnapshot;
+        results.stores[storeName] = { count: records.length };
+        console.log(`   ✅ ${storeName}: ${records.length} records`);
+      }
+    }
+
+    db.close();
+
+    // Hashing is async, so it runs once the readonly transaction is done
+    // rather than letting it commit halfway through the stores
+    if (redactor) {
+      for (const storeSnapshot of Object.values(snapshot.stores)) {
+        storeSnapshot.records = await redactor.redactRecords(storeSnapshot.records);
+      }
+    }
+
+    results.database = snapshot.database;
+    if (redactor) {
+      results.redaction = { ...snapshot.redaction, ...redactor.stats };
+    }
+
+    const timestamp = snapshot.exportedAt.replace(/[:.]/g, '-');
+    const filename = `heyho-snapshot${redactor ? '-redacted' : ''}_${db.name}_v${db.version}_${timestamp}.json`;
+    const json = JSON.stringify(snapshot, tagSpecialValues, 2);
+
+    results.filename = filename;
+    results.bytes = new TextEncoder().encode(json).length;
+
+    self.heyhoLastSnapshotJson = json;
+    results.delivery = DOWNLOAD ? downloadJson(filename, json) : null;
+
+    const totalRecords = Object.values(results.stores).reduce((sum, store) => sum + store.count, 0);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 SNAPSHOT SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`  Database: ${snapshot.database.name} (version ${snapshot.database.version})`);
+    console.log(`  Stores: ${storeNames.length}`);
+    console.log(`  Records: ${totalRecords}`);
+    console.log(`  Size: ${(results.bytes / 1024).toFixed(1)} KB`);
+    if (redactor) {
+      console.log(`  Redacted: ${redactor.stats.urls} URLs, ${redactor.stats.domains} domains, ${redactor.stats.texts} texts, ${redactor.stats.keys} keys, ${redactor.stats.removed} metadata fields`);
+    }
+
+    if (results.delivery) {
+      console.log(`\n✅ Snapshot saved as ${filename} (via ${results.delivery})`);
+    } else {
+      console.log('\n💡 Snapshot kept in self.heyhoLastSnapshotJson');
+      console.log('   Run copy(self.heyhoLastSnapshotJson) and paste it into a .json file.');
+    }
+
+    return results;
+
+  } catch (error) {
+    console.error('\n❌ FATAL ERROR:', error);
+    return { success: false, error: error.message };
+  }
+
+  // Keeps the allowlisted fields of records and hashes or trims everything
+  // else. Hashes are cached, so a value repeated across records and stores
+  // always maps to the same hash.
+  async function createRedactor() {
+    if (!['registrable', 'hash'].includes(REDACT_DOMAINS)) {
+      throw new Error(`REDACT_DOMAINS must be 'registrable' or 'hash', got ${REDACT_DOMAINS}`);
+    }
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new Error('crypto.subtle is not available - redaction needs a secure context (extension or https page)');
+    }
+
+    const salt = REDACT_SALT !== null ? String(REDACT_SALT) : Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    const hashes = new Map();
+    const stats = { urls: 0, domains: 0, texts: 0, keys: 0, removed: 0 };
+    const normalize = field => field.toLowerCase().replace(/[_-]/g, '');
+    const keptFields = new Set(KEPT_FIELDS.map(normalize));
+    const urlFields = new Set(URL_FIELDS.map(normalize));
+    const domainFields = new Set(DOMAIN_FIELDS.map(normalize));
+    const domainMapFields = new Set(DOMAIN_MAP_FIELDS.map(normalize));
+    const removedFields = new Set(REMOVED_FIELDS.map(normalize));
+    const knownFields = new Set([...keptFields, ...urlFields, ...domainFields, ...domainMapFields, ...TEXT_FIELDS.map(normalize), ...removedFields]);
+    const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+
+    async function hash(value) {
+      if (!hashes.has(value)) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${value}`));
+        hashes.set(value, Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join(''));
+      }
+      return hashes.get(value);
+    }
+
+    async function redactDomain(hostname) {
+      const host = hostname.toLowerCase().replace(/^www\./, '');
+      if (host === '' || host === 'localhost') return host;
+      const isIp = /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':') || host.startsWith('[');
+      if (isIp) return `${await hash(host)}.redacted`;
+
+      const labels = host.split('.');
+      const suffixLength = MULTI_LABEL_SUFFIXES.some(suffix => host === suffix || host.endsWith('.' + suffix)) ? 3 : 2;
+      const registrable = labels.slice(-suffixLength).join('.');
+      return REDACT_DOMAINS === 'hash' ? `${await hash(registrable)}.redacted` : registrable;
+    }
+
+    // Keeps the scheme so http(s) checks and INVALID_URL_PREFIXES still apply
+    async function redactUrl(value) {
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch (error) {
+        return `redacted:${await hash(value)}`;
+      }
+      const isWeb = parsed.protocol === 'http:' || parsed.protocol === 'https:';
+      const host = isWeb ? await redactDomain(parsed.hostname) : parsed.hostname;
+      return `${parsed.protocol}//${host || 'redacted'}/${await hash(value)}`;
+    }
+
+    // Hostnames that share a registrable domain are merged, adding up numbers
+    async function redactDomainMap(map) {
+      const redacted = {};
+      for (const [hostname, value] of Object.entries(map)) {
+        stats.domains++;
+        const domain = await redactDomain(hostname);
+        const redactedValue = await redactValue('', value);
+        if (typeof redacted[domain] === 'number' && typeof redactedValue === 'number') {
+          redacted[domain] += redactedValue;
+        } else if (domain in redacted) {
+          redacted[`${await hash(hostname)}.redacted`] = redactedValue;
+        } else {
+          redacted[domain] = redactedValue;
+        }
+      }
+      return redacted;
+    }
+
+    async function redactObject(value) {
+      const redacted = {};
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const name = normalize(field);
+        if (knownFields.has(name)) {
+          redacted[field] = await redactValue(name, fieldValue);
+        } else {
+          stats.keys++;
+          redacted[`redacted:${await hash(field)}`] = await redactValue('', fieldValue);
+        }
+      }
+      return redacted;
+    }
+
+    // name is the normalized field the value sits in, or '' for unknown ones
+    async function redactValue(name, value) {
+      if (removedFields.has(name)) {
+        stats.removed++;
+        return value !== null && typeof value === 'object' ? {} : null;
+      }
+      if (Array.isArray(value)) {
+        return Promise.all(value.map(item => redactValue(name, item)));
+      }
+      if (isPlainObject(value)) {
+        return domainMapFields.has(name) ? redactDomainMap(value) : redactObject(value);
+      }
+      if (typeof value !== 'string' || value === '' || keptFields.has(name)) {
+        return value;
+      }
+      if (urlFields.has(name)) {
+        stats.urls++;
+        return redactUrl(value);
+      }
+      if (domainFields.has(name)) {
+        stats.domains++;
+        return redactDomain(value);
+      }
+      stats.texts++;
+      return `redacted:${await hash(value)}`;
+    }
+
+    const saltId = (await hash('heyho-redaction-salt-id')).slice(0, 8);
+    return {
+      stats: stats,
+      redactRecords: records => Promise.all(records.map(record => redactValue('', record))),
+      // Written to the snapshot; saltId tells whether two exports share a salt
+      describe: () => ({ version: 2, domains: REDACT_DOMAINS, saltId: saltId, fixedSalt: REDACT_SALT !== null })
+    };
+  }
+
+  // JSON cannot represent Dates; tag them so restore can rebuild them
+  function tagSpecialValues(key, value) {
+    const original = this[key];
+    if (Object.prototype.toString.call(original) === '[object Date]') {
+      return { __heyhoType: 'Date', value: original.toISOString() };
+    }
+    return value;
+  }
+})();
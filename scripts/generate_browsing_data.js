@@ -0,0 +1,476 @@
+/**
+ * Synthetic Browsing Data Generator
+ *
+ * Fills the extension's IndexedDB with realistic unsynced pageVisits and
+ * tabAggregates, so the extension -> /api/v1/data/sync -> pattern detection
+ * pipeline can be exercised end to end. It is the browser-side counterpart of
+ * db/seeds/hoarder_test_data.rb, which only seeds the server.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Adjust the configuration below
+ * 3. Paste heyho_toolkit.js once per console session - this script takes
+ *    its sync guard from it
+ * 4. Copy and paste this entire script
+ * 5. Press Enter to run, then let the extension sync (or run push_sync_data.js)
+ *
+ * WHAT IT GENERATES:
+ * - Background browsing over the last DAYS days: VISITS_PER_DAY visits across
+ *   DOMAIN_COUNT domains, categories drawn from CATEGORY_MIX, grouped into tabs
+ *   of one to three visits on the same domain
+ * - PATTERNS, shaped to pass the thresholds of app/services/detections/:
+ *   - hoarderTabs: a content page opened 8-14 days ago, still open, visited
+ *     once with under 10% engagement (HoarderDetectionService)
+ *   - serialOpeners: the same URL opened 4-7 times across the period, each
+ *     time in a new tab and for under 40 seconds (SerialOpenerDetectionService)
+ *   - researchSessions: 4-7 tabs on one topic opened within 10-14 minutes
+ *     (ResearchSessionDetectionService: >= 3 tabs in 15 min, >= 10 min long).
+ *     Background visits are kept out of these windows
+ *
+ * Generated records use visitIds starting with ID_PREFIX and tabIds from
+ * TAB_ID_BASE, well above real browser tab ids. With REPLACE_GENERATED = true,
+ * records from an earlier run are removed first; that waits for an in-flight
+ * sync like the reset scripts do, and needs FORCE_WITHOUT_SYNC_STATE = true
+ * where the sync state cannot be read. Everything is written in a single
+ * transaction.
+ */
+
+(async function generateBrowsingData() {
+  console.log('🌱 Starting synthetic browsing data generation...\n');
+
+  const DB_NAME = 'Heyho_EventsDB';
+  const DAYS = 7;
+  const VISITS_PER_DAY = 40;
+  const DOMAIN_COUNT = 12; // Domains used for background browsing
+  const CATEGORY_MIX = { // Relative weights, keys from PageVisit::VALID_CATEGORIES
+    work_coding: 30,
+    work_documentation: 15,
+    learning_reading: 15,
+    news: 10,
+    social_media: 10,
+    entertainment_video: 10,
+    shopping: 5,
+    reference: 5
+  };
+  const PATTERNS = {
+    hoarderTabs: 5,
+    serialOpeners: 3,
+    researchSessions: 2
+  };
+  const SEED = null; // Set a number to generate the same data again; null = random
+  const ID_PREFIX = 'gen_';
+  const TAB_ID_BASE = 900000000;
+  const REPLACE_GENERATED = true; // Remove records from previous runs first
+  const SYNC_WAIT_TIMEOUT_MS = 60000; // How long to wait for an in-flight sync before replacing
+  const FORCE_WITHOUT_SYNC_STATE = false; // Set to true to replace even when the sync state cannot be read
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+  const RESEARCH_WINDOW_GUARD = 20 * MINUTE; // Quiet time kept around research bursts
+
+  const DOMAIN_POOL = {
+    work_coding: ['github.com', 'gitlab.com', 'stackoverflow.com'],
+    work_code_review: ['github.com', 'gitlab.com'],
+    work_communication: ['mail.google.com', 'app.slack.com'],
+    work_documentation: ['developer.mozilla.org', 'api.rubyonrails.org', 'docs.ruby-lang.org', 'notion.so'],
+    learning_video: ['youtube.com', 'egghead.io'],
+    learning_reading: ['medium.com', 'dev.to', 'freecodecamp.org', 'hackernoon.com'],
+    entertainment_video: ['youtube.com', 'netflix.com', 'twitch.tv'],
+    entertainment_browsing: ['imgur.com', '9gag.com'],
+    entertainment_short_form: ['tiktok.com'],
+    social_media: ['twitter.com', 'reddit.com', 'linkedin.com'],
+    news: ['news.ycombinator.com', 'theverge.com', 'bbc.com'],
+    shopping: ['amazon.com', 'ebay.com', 'etsy.com'],
+    reference: ['en.wikipedia.org'],
+    unclassified: ['example.com']
+  };
+  const TOPICS = [
+    'Ruby on Rails', 'JavaScript', 'React Hooks', 'Database Design', 'API Design',
+    'Testing', 'Performance', 'Security', 'DevOps', 'Clean Code', 'IndexedDB', 'PostgreSQL'
+  ];
+  const TITLE_PREFIXES = ['How to', 'Understanding', 'Complete Guide to', 'Introduction to', 'Best Practices for', 'Learn'];
+  const CONTENT_CATEGORIES = ['learning_reading', 'news'];
+  const RESEARCH_CATEGORIES = ['work_documentation', 'work_coding', 'reference'];
+
+  if (!self.heyho || typeof self.heyho.guardSync !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { guardSync, releaseSync } = self.heyho;
+
+  const results = {
+    success: true,
+    seed: null,
+    database: null,
+    range: null,
+    removed: { pageVisits: 0, tabAggregates: 0 },
+    generated: { pageVisits: 0, tabAggregates: 0 },
+    patterns: { hoarderTabs: [], serialOpeners: [], researchSessions: [] },
+    syncGuard: null,
+    errors: []
+  };
+
+  try {
+    const invalidCategories = Object.keys(CATEGORY_MIX).filter(category => !DOMAIN_POOL[category]);
+    if (invalidCategories.length > 0) {
+      throw new Error(`Unknown categories in CATEGORY_MIX: ${invalidCategories.join(', ')}`);
+    }
+
+    const seed = SEED === null ? Math.floor(Math.random() * 0x7fffffff) : SEED;
+    const random = createRandom(seed);
+    results.seed = seed;
+
+    const now = Date.now();
+    const { records, addTab } = createTabBuilder(random, seed);
+    const reserved = [];
+
+    // Patterns go first, so background browsing can keep out of the research windows
+    for (let i = 0; i < PATTERNS.researchSessions; i++) {
+      const category = pick(random, RESEARCH_CATEGORIES);
+      const topic = pick(random, TOPICS);
+      const span = randomInt(random, 10, 14) * MINUTE;
+      const start = placeInDay(random, now, randomInt(random, 0, DAYS - 1), reserved, span);
+      const tabCount = randomInt(random, 4, 7);
+      reserved.push([start - RESEARCH_WINDOW_GUARD, start + span + RESEARCH_WINDOW_GUARD]);
+
+      const visitIds = [];
+      for (let t = 0; t < tabCount; t++) {
+        const openedAt = t === tabCount - 1 ? start + span : start + Math.floor((span * t) / (tabCount - 1));
+        const domain = pick(random, DOMAIN_POOL[category]);
+        const tab = addTab(openedAt, [{ domain, category, topic, activeSeconds: randomInt(random, 60, 600), openSeconds: randomInt(random, 300, 2400) }], true);
+        visitIds.push(tab.visitIds[0]);
+      }
+      results.patterns.researchSessions.push({ topic, startedAt: new Date(start).toISOString(), tabs: tabCount, visitIds });
+    }
+
+    for (let i = 0; i < PATTERNS.hoarderTabs; i++) {
+      const category = pick(random, CONTENT_CATEGORIES);
+      const domain = pick(random, DOMAIN_POOL[category]);
+      const topic = pick(random, TOPICS);
+      const openedAt = placeInDay(random, now, randomInt(random, 8, 14), reserved);
+      const openSeconds = randomInt(random, 30, 120) * 60;
+      const activeSeconds = Math.floor(openSeconds * (0.02 + random() * 0.06));
+      const tab = addTab(openedAt, [{ domain, category, topic, activeSeconds, openSeconds }], false);
+      results.patterns.hoarderTabs.push({ url: tab.urls[0], openedAt: new Date(openedAt).toISOString(), visitId: tab.visitIds[0] });
+    }
+
+    for (let i = 0; i < PATTERNS.serialOpeners; i++) {
+      const category = pick(random, ['work_documentation', 'work_coding', 'news']);
+      const domain = pick(random, DOMAIN_POOL[category]);
+      const topic = pick(random, TOPICS);
+      const path = `/${slugify(topic)}-${randomInt(random, 100, 999)}`;
+      const count = randomInt(random, 4, 7);
+      const days = shuffle(random, Array.from({ length: Math.max(DAYS, count) }, (_, d) => d)).slice(0, count);
+
+      const visitIds = [];
+      for (const day of days) {
+        const openedAt = placeInDay(random, now, day, reserved);
+        const seconds = randomInt(random, 10, 40);
+        const tab = addTab(openedAt, [{ domain, category, topic, path, activeSeconds: Math.floor(seconds * 0.6), openSeconds: seconds }], true);
+        visitIds.push(tab.visitIds[0]);
+      }
+      results.patterns.serialOpeners.push({ url: `https://${domain}${path}`, visits: count, visitIds });
+    }
+
+    // Background browsing
+    const domains = chooseDomains(random);
+    for (let day = 0; day < DAYS; day++) {
+      let remaining = VISITS_PER_DAY;
+      while (remaining > 0) {
+        const { domain, category } = pick(random, domains);
+        const pages = Math.min(randomInt(random, 1, 3), remaining);
+        const visits = Array.from({ length: pages }, () => ({
+          domain,
+          category,
+          topic: pick(random, TOPICS),
+          activeSeconds: randomInt(random, 5, 600),
+          openSeconds: randomInt(random, 30, 1800)
+        }));
+        // The last visit starts after all the others
+        const length = visits.slice(0, -1).reduce((sum, visit) => sum + Math.max(visit.openSeconds, visit.activeSeconds) * 1000, 0);
+        const openedAt = placeInDay(random, now, day, reserved, length);
+        // A few of today's tabs are still open
+        addTab(openedAt, visits, !(day === 0 && random() < 0.1));
+        remaining -= pages;
+      }
+    }
+
+    const allStarts = records.pageVisits.map(visit => visit.startedAt);
+    results.range = {
+      from: new Date(Math.min(...allStarts)).toISOString(),
+      to: new Date(Math.max(...allStarts)).toISOString()
+    };
+
+    // Write
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${DB_NAME} does not exist - install and run the extension first`));
+      };
+    });
+    results.database = { name: db.name, version: db.version };
+
+    const missingStores = ['pageVisits', 'tabAggregates'].filter(name => !db.objectStoreNames.contains(name));
+    if (missingStores.length > 0) {
+      db.close();
+      throw new Error(`Database ${DB_NAME} is missing stores: ${missingStores.join(', ')}`);
+    }
+
+    // Replacing deletes earlier generated records, which a running sync may
+    // be sending and would write back as synced
+    const syncGuard = REPLACE_GENERATED ? await guardSync({
+      syncWaitTimeoutMs: SYNC_WAIT_TIMEOUT_MS,
+      forceWithoutSyncState: FORCE_WITHOUT_SYNC_STATE,
+      forceHint: 'set FORCE_WITHOUT_SYNC_STATE = true'
+    }) : null;
+    results.syncGuard = syncGuard;
+    if (syncGuard && !syncGuard.proceed) {
+      db.close();
+      throw new Error(syncGuard.reason);
+    }
+
+    try {
+      const transaction = db.transaction(['pageVisits', 'tabAggregates'], 'readwrite');
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('Generator transaction aborted'));
+      });
+
+      try {
+        const visitStore = transaction.objectStore('pageVisits');
+        const aggregateStore = transaction.objectStore('tabAggregates');
+
+        if (REPLACE_GENERATED) {
+          results.removed.pageVisits = await deleteWhere(visitStore, record => String(record.visitId || '').startsWith(ID_PREFIX));
+          results.removed.tabAggregates = await deleteWhere(aggregateStore, record => record.tabId >= TAB_ID_BASE);
+        }
+
+        for (const visit of records.pageVisits) {
+          await requestToPromise(visitStore.add(visit));
+        }
+        for (const aggregate of records.tabAggregates) {
+          await requestToPromise(aggregateStore.add(aggregate));
+        }
+      } catch (error) {
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // Already aborted
+        }
+        await done.catch(() => {});
+        db.close();
+        if (error && error.name === 'ConstraintError') {
+          throw new Error('Generated ids collide with existing records. Set REPLACE_GENERATED = true or change ID_PREFIX / TAB_ID_BASE.');
+        }
+        throw error;
+      }
+
+      await done;
+      db.close();
+    } finally {
+      await releaseSync(syncGuard);
+    }
+
+    results.generated.pageVisits = records.pageVisits.length;
+    results.generated.tabAggregates = records.tabAggregates.length;
+
+    console.log('='.repeat(60));
+    console.log('📊 GENERATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`  Seed: ${seed} (set SEED = ${seed} to generate the same data again)`);
+    console.log(`  Range: ${results.range.from} → ${results.range.to}`);
+    if (results.removed.pageVisits > 0 || results.removed.tabAggregates > 0) {
+      console.log(`  Removed from previous runs: ${results.removed.pageVisits} page visits, ${results.removed.tabAggregates} tab aggregates`);
+    }
+    console.log(`  Generated: ${records.pageVisits.length} page visits, ${records.tabAggregates.length} tab aggregates (all unsynced)`);
+    console.log(`  Hoarder tabs: ${results.patterns.hoarderTabs.length}`);
+    console.log(`  Serial openers: ${results.patterns.serialOpeners.map(p => `${p.url} ×${p.visits}`).join(', ') || 'none'}`);
+    console.log(`  Research sessions: ${results.patterns.researchSessions.map(p => `${p.topic} (${p.tabs} tabs)`).join(', ') || 'none'}`);
+    console.log('\n💡 Let the extension sync, or run push_sync_data.js, then check the detections on the server.');
+
+    return results;
+
+  } catch (error) {
+    console.error('\n❌ FATAL ERROR:', error);
+    return { success: false, error: error.message };
+  }
+
+  // Collects generated records; addTab adds one tab holding consecutive
+  // visits and returns their ids and urls
+  function createTabBuilder(random, seed) {
+    const records = { pageVisits: [], tabAggregates: [] };
+    let nextTabId = TAB_ID_BASE;
+    let nextVisit = 1;
+
+    function addTab(openedAt, visits, closed) {
+      const tabId = nextTabId++;
+      const tab = { visitIds: [], urls: [] };
+      let cursor = openedAt;
+
+      for (const spec of visits) {
+        const visitId = `${ID_PREFIX}${seed}_${nextVisit++}`;
+        const url = `https://${spec.domain}${spec.path || `/${slugify(spec.topic)}-${randomInt(random, 100, 999)}`}`;
+        const openSeconds = Math.max(spec.openSeconds, spec.activeSeconds, 1);
+
+        records.pageVisits.push({
+          visitId: visitId,
+          tabId: tabId,
+          url: url,
+          title: titleFor(spec.domain, spec.topic),
+          domain: spec.domain,
+          startedAt: cursor,
+          openedAt: openedAt,
+          activeDuration: spec.activeSeconds * 1000,
+          durationSeconds: openSeconds,
+          engagementRate: Math.round((spec.activeSeconds / openSeconds) * 100) / 100,
+          category: spec.category,
+          categoryConfidence: Math.round((0.7 + random() * 0.25) * 100) / 100,
+          categoryMethod: 'metadata',
+          synced: false
+        });
+        tab.visitIds.push(visitId);
+        tab.urls.push(url);
+        cursor += openSeconds * 1000;
+      }
+
+      const last = records.pageVisits[records.pageVisits.length - 1];
+      const aggregate = {
+        tabId: tabId,
+        startTime: openedAt,
+        lastActiveTime: last.startedAt + last.activeDuration,
+        currentUrl: last.url,
+        currentDomain: last.domain,
+        pageCount: visits.length,
+        isOpen: !closed,
+        synced: false
+      };
+      if (closed) {
+        aggregate.closedAt = cursor;
+      }
+      records.tabAggregates.push(aggregate);
+      return tab;
+    }
+
+    return { records, addTab };
+  }
+
+  // mulberry32: small seedable PRNG, so a run can be reproduced with SEED
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  function shuffle(random, items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  // Weighted by CATEGORY_MIX, with at least one domain per category in the mix
+  function chooseDomains(random) {
+    const categories = Object.keys(CATEGORY_MIX).filter(category => CATEGORY_MIX[category] > 0);
+    const totalWeight = categories.reduce((sum, category) => sum + CATEGORY_MIX[category], 0);
+    const chosen = [];
+    const seen = new Set();
+
+    const addDomain = category => {
+      const available = DOMAIN_POOL[category].filter(domain => !seen.has(`${category}:${domain}`));
+      if (available.length === 0) return false;
+      const domain = pick(random, available);
+      seen.add(`${category}:${domain}`);
+      chosen.push({ domain, category });
+      return true;
+    };
+
+    categories.forEach(addDomain);
+    for (let attempts = 0; chosen.length < DOMAIN_COUNT && attempts < DOMAIN_COUNT * 10; attempts++) {
+      let roll = random() * totalWeight;
+      const category = categories.find(c => (roll -= CATEGORY_MIX[c]) < 0) || categories[0];
+      addDomain(category);
+    }
+
+    // Expand into a pick list where each category appears in proportion to its weight
+    const weighted = [];
+    for (const category of categories) {
+      const inCategory = chosen.filter(entry => entry.category === category);
+      const copies = Math.max(Math.round((CATEGORY_MIX[category] / totalWeight) * 100), 1);
+      for (let i = 0; i < copies; i++) {
+        weighted.push(inCategory[i % inCategory.length]);
+      }
+    }
+    return weighted;
+  }
+
+  // A daytime moment `daysAgo` days back such that [time, time + length]
+  // stays outside the reserved research windows
+  function placeInDay(random, now, daysAgo, reserved, length = 0) {
+    const midnight = new Date(now - daysAgo * DAY);
+    midnight.setHours(0, 0, 0, 0);
+    let time = 0;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      time = midnight.getTime() + randomInt(random, 8 * 60, 22 * 60) * MINUTE + randomInt(random, 0, 59) * 1000;
+      if (time > now) time = now - randomInt(random, 1, 60) * MINUTE;
+      if (!reserved.some(([from, to]) => time <= to && time + length >= from)) return time;
+    }
+    return time;
+  }
+
+  function titleFor(domain, topic) {
+    if (domain.includes('github') || domain.includes('gitlab')) return `${slugify(topic)} - Repository`;
+    if (domain.includes('stackoverflow')) return `${topic} - Stack Overflow`;
+    if (domain.includes('wikipedia')) return `${topic} - Wikipedia`;
+    if (['amazon.com', 'ebay.com', 'etsy.com'].includes(domain)) return `${topic} Book - ${domain}`;
+    return `${TITLE_PREFIXES[topic.length % TITLE_PREFIXES.length]} ${topic}`;
+  }
+
+  function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  function deleteWhere(store, predicate) {
+    return new Promise((resolve, reject) => {
+      let deleted = 0;
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(deleted);
+          return;
+        }
+        if (predicate(cursor.value)) {
+          cursor.delete();
+          deleted++;
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+})();
@@ -0,0 +1,1205 @@
+/**
+ * Heyho Console Toolkit
+ *
+ * Installs self.heyho, one object with the everyday console commands, so
+ * they no longer have to be pasted one script at a time:
+ * - heyho.inspect()        list databases, stores, schemas and sync counts
+ * - heyho.check()          count synced / unsynced records (check_sync_status.js)
+ * - heyho.debugSync()      what the sync sees and the payload it would send
+ * - heyho.reset(options)   reset sync status (reset_indexeddb_sync_status.js)
+ * - heyho.help(command)    list the commands, or the options of one command
+ *
+ * All commands share one database layer: Heyho_EventsDB is detected once
+ * (or named with { dbName }), opened without ever triggering an upgrade, and
+ * closed again when the command is done. Commands resolve to a results
+ * object like the standalone scripts, with success: false and an error
+ * message instead of throwing.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Copy and paste this entire script (or load it into the service worker
+ *    with importScripts('scripts/heyho_toolkit.js') in a development build)
+ * 3. Run heyho.help()
+ *
+ * The standalone scripts stay available for one-off use, and for the tools
+ * the toolkit does not cover (export/restore, audit, repair, undo_reset.js).
+ * reset_indexeddb_sync_status.js and reset_sync_simple.js are thin wrappers
+ * around heyho.reset(), and the other scripts take the sync guard, file
+ * downloads and browser detection from self.heyho, so the toolkit has to be
+ * pasted before any of them.
+ * heyho.reset() runs are journaled, so undo_reset.js can restore them.
+ *
+ * Each command's result carries a diagnostic report (result.report, also kept
+ * in self.heyhoLastReport), documented under "Diagnostic Reports" in
+ * scripts/README.md. Pass { downloadReport: true } to save it as a file.
+ */
+
+(function installHeyhoToolkit() {
+  const TOOLKIT_VERSION = 1;
+  const DB_NAME = 'Heyho_EventsDB';
+  const JOURNAL_DB_NAME = 'Heyho_ResetJournal';
+  const EXTENSION_STORES = ['pageVisits', 'tabAggregates', 'syncedPageVisits'];
+  const DB_NAME_HINTS = ['heyho', 'syrupy', 'extension', 'sync', 'events'];
+  const MAX_BATCH_SIZE = 1000; // DataProcessing::DataSyncService::MAX_BATCH_SIZE
+
+  const RESET_DEFAULTS = {
+    dbName: null, // null = detect
+    storesToReset: ['pageVisits', 'tabAggregates'],
+    storesToClear: ['syncedPageVisits'],
+    dryRun: false,
+    sampleSize: 5,
+    chunkSize: 5000,
+    writeJournal: true,
+    syncWaitTimeoutMs: 60000,
+    forceWithoutSyncState: false,
+    downloadReport: false,
+    filters: { startedAfter: null, startedBefore: null, domains: [], visitIds: [] }
+  };
+
+  // How heyho.reset() names itself in its report, its journal and its hints.
+  // The standalone reset scripts pass their own file name and config names.
+  const RESET_CALLER = {
+    script: null, // null = 'heyho.reset' in the report, 'heyho_toolkit.js' in the journal
+    forceHint: 'pass { forceWithoutSyncState: true }',
+    applyHint: 'Run heyho.reset() without dryRun to apply the reset.',
+    journalHint: 'pass { writeJournal: false }'
+  };
+
+  const COMMANDS = {
+    inspect: {
+      description: 'List every IndexedDB database with its stores, schema and sync counts',
+      usage: 'heyho.inspect({ downloadReport })'
+    },
+    check: {
+      description: 'Count synced, unsynced and unflagged records in the extension database',
+      usage: 'heyho.check({ dbName, downloadReport })'
+    },
+    debugSync: {
+      description: 'Show what the sync sees and build the payload it would POST (kept in self.heyhoLastSyncPayload)',
+      usage: 'heyho.debugSync({ dbName, downloadReport })'
+    },
+    reset: {
+      description: 'Mark records unsynced and clear syncedPageVisits in one transaction, journaled for undo_reset.js',
+      usage: "heyho.reset({ dryRun: true, filters: { domains: ['github.com'] } })",
+      options: RESET_DEFAULTS
+    },
+    help: {
+      description: 'List the commands, or the options of one command',
+      usage: "heyho.help('reset')"
+    }
+  };
+
+  let detectedDbName = null;
+
+  // ===== Database layer =====
+
+  // Resolves to the name of the extension database: DB_NAME when it holds
+  // the extension stores, otherwise the first database whose name looks like
+  // the extension's (or the only database) that does. Remembered for the
+  // rest of the session.
+  async function detectDatabase() {
+    if (detectedDbName) return detectedDbName;
+
+    const databases = (await indexedDB.databases()).filter(info => info.name && info.name !== JOURNAL_DB_NAME);
+    const hinted = databases.filter(info => DB_NAME_HINTS.some(hint => info.name.toLowerCase().includes(hint)));
+    const candidates = [
+      ...databases.filter(info => info.name === DB_NAME),
+      ...hinted.filter(info => info.name !== DB_NAME),
+      ...(databases.length === 1 && hinted.length === 0 ? databases : [])
+    ];
+
+    for (const info of candidates) {
+      let db;
+      try {
+        db = await openDatabase(info.name);
+      } catch (error) {
+        continue;
+      }
+      const hasStores = EXTENSION_STORES.some(store => db.objectStoreNames.contains(store));
+      db.close();
+      if (hasStores) {
+        detectedDbName = info.name;
+        console.log('[DB] Detected database:', detectedDbName);
+        return detectedDbName;
+      }
+    }
+
+    throw new Error(`No database with the extension stores (${EXTENSION_STORES.join(', ')}) found among: ${databases.map(info => info.name).join(', ') || 'none'}. Pass { dbName } to pick one.`);
+  }
+
+  // Opens an existing database; a missing one is reported instead of created
+  function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${name} does not exist`));
+      };
+    });
+  }
+
+  // Runs fn with the extension database open, and closes it afterwards
+  async function withDatabase(dbName, fn) {
+    const db = await openDatabase(dbName || await detectDatabase());
+    try {
+      return await fn(db);
+    } finally {
+      db.close();
+    }
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Walks a store with a cursor, one record in memory at a time. visit(cursor)
+  // may return a cursor.update() / delete() request; a failed write rejects.
+  // With a label, progress is logged every chunkSize records.
+  function iterateStore(store, visit, { label = null, total = 0, chunkSize = RESET_DEFAULTS.chunkSize } = {}) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      let processed = 0;
+      let failed = false;
+      const fail = error => {
+        failed = true;
+        reject(error);
+      };
+      const logProgress = () => {
+        const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 100;
+        const rate = Math.round(processed / Math.max((Date.now() - startedAt) / 1000, 0.001));
+        console.log('  [PROGRESS]', label + ':', percent + '%', '(' + processed + '/' + total + '),', rate, 'records/s');
+      };
+
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        if (failed) return;
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          if (label && processed % chunkSize !== 0 && processed > chunkSize) logProgress();
+          resolve(processed);
+          return;
+        }
+
+        const writeRequest = visit(cursor);
+        if (writeRequest) {
+          writeRequest.onerror = () => fail(writeRequest.error);
+        }
+        processed++;
+        if (label && processed % chunkSize === 0) logProgress();
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => fail(cursorRequest.error);
+    });
+  }
+
+  // ===== Diagnostic reports =====
+
+  function emptyBreakdown() {
+    return { count: 0, synced: 0, unsynced: 0, missingSyncedField: 0 };
+  }
+
+  function tallySyncState(breakdown, record) {
+    // Tracking entries may be bare values rather than records
+    const synced = record !== null && typeof record === 'object' ? record.synced : undefined;
+    breakdown.count++;
+    if (synced === true) breakdown.synced++;
+    if (synced === false) breakdown.unsynced++;
+    if (synced === undefined) breakdown.missingSyncedField++;
+  }
+
+  // Builds the report of a command (see "Diagnostic Reports" in
+  // scripts/README.md), keeps it in self.heyhoLastReport, downloads it when
+  // asked to, and attaches it to the result
+  function attachReport(command, result, { script = 'heyho.' + command, databases = [], errors = [], details = null, download = false }) {
+    if (result.error) {
+      errors = [...errors, { database: null, store: null, error: result.error }];
+    }
+    const report = {
+      format: 'heyho-diagnostic-report',
+      formatVersion: 1,
+      script: script,
+      generatedAt: new Date().toISOString(),
+      success: result.success,
+      databases: databases,
+      errors: errors,
+      details: details
+    };
+    self.heyhoLastReport = report;
+
+    if (download) {
+      const filename = `heyho-report_${command}_${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+      const delivery = downloadJson(filename, JSON.stringify(report, null, 2));
+      console.log(delivery ? '[REPORT] Saved as ' + filename + ' via ' + delivery : '[REPORT] Could not download - run copy(JSON.stringify(self.heyhoLastReport)) instead');
+    }
+
+    result.report = report;
+    return result;
+  }
+
+  // Saves json as filename through a download link in page contexts, or
+  // chrome.downloads in a service worker with that permission. Returns how it
+  // was delivered ('download' or 'chrome.downloads'), or null if it could not be.
+  function downloadJson(filename, json) {
+    if (typeof document !== 'undefined' && typeof URL.createObjectURL === 'function') {
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      return 'download';
+    }
+
+    if (typeof chrome !== 'undefined' && chrome.downloads && chrome.downloads.download) {
+      chrome.downloads.download({
+        url: 'data:application/json;charset=utf-8,' + encodeURIComponent(json),
+        filename: filename,
+        saveAs: true
+      });
+      return 'chrome.downloads';
+    }
+
+    return null;
+  }
+
+  // ===== heyho.inspect() =====
+
+  async function inspect({ downloadReport = false } = {}) {
+    console.log('[INSPECT] Inspecting IndexedDB...\n');
+    const results = { success: true, databases: [] };
+    const reportOptions = () => {
+      const errors = [];
+      const schemas = {};
+      const databases = results.databases.map(entry => {
+        if (entry.error) errors.push({ database: entry.name, store: null, error: entry.error });
+        schemas[entry.name] = {};
+        const stores = {};
+        for (const store of entry.stores) {
+          stores[store.name] = { count: store.count, synced: store.synced, unsynced: store.unsynced, missingSyncedField: store.missingSyncedField };
+          schemas[entry.name][store.name] = { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes: store.indexes, variants: store.variants };
+        }
+        return { name: entry.name, version: entry.version, stores: stores };
+      });
+      return { databases: databases, errors: errors, details: { schemas: schemas }, download: downloadReport };
+    };
+
+    try {
+      const databases = await indexedDB.databases();
+      if (databases.length === 0) {
+        console.log('[WARN] No IndexedDB databases found - is this the extension console?');
+      }
+
+      for (const info of databases) {
+        const entry = { name: info.name, version: info.version, stores: [] };
+        results.databases.push(entry);
+        console.log('[DB]', info.name, '(version ' + info.version + ')');
+
+        let db;
+        try {
+          db = await openDatabase(info.name);
+        } catch (error) {
+          entry.error = error.message;
+          console.log('  [WARN] Could not open:', error.message);
+          continue;
+        }
+
+        try {
+          for (const storeName of Array.from(db.objectStoreNames)) {
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            const scan = await scanStore(store);
+            entry.stores.push({
+              name: storeName,
+              count: scan.count,
+              hasSyncedField: scan.hasSyncedField,
+              synced: scan.synced,
+              unsynced: scan.unsynced,
+              missingSyncedField: scan.missingSyncedField,
+              ...describeStore(store),
+              fields: scan.fields,
+              variants: findFieldVariants(scan.fields)
+            });
+          }
+        } finally {
+          db.close();
+        }
+
+        if (entry.stores.length === 0) {
+          console.log('  (empty database)');
+          continue;
+        }
+        console.table(entry.stores.map(store => ({
+          store: store.name,
+          records: store.count,
+          synced: store.hasSyncedField ? store.synced : '',
+          unsynced: store.hasSyncedField ? store.unsynced : '',
+          keyPath: JSON.stringify(store.keyPath),
+          indexes: store.indexes.map(index => index.name).join(', ')
+        })));
+        for (const store of entry.stores) {
+          for (const variant of store.variants) {
+            const spellings = Object.entries(variant.spellings).map(([field, count]) => `${field} (${count})`);
+            console.log('  [WARN]', store.name + ': field spelled several ways:', spellings.join(' / '));
+          }
+        }
+      }
+
+      return attachReport('inspect', results, reportOptions());
+    } catch (error) {
+      console.error('[ERROR]:', error);
+      return attachReport('inspect', { success: false, error: error.message }, reportOptions());
+    }
+  }
+
+  function describeStore(store) {
+    return {
+      keyPath: store.keyPath,
+      autoIncrement: store.autoIncrement,
+      indexes: Array.from(store.indexNames).map(indexName => {
+        const index = store.index(indexName);
+        return { name: index.name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+      })
+    };
+  }
+
+  // Sync counts and a top-level field histogram, read with a cursor
+  async function scanStore(store) {
+    const scan = { count: 0, hasSyncedField: false, synced: 0, unsynced: 0, missingSyncedField: 0, fields: {} };
+    await iterateStore(store, cursor => {
+      const record = cursor.value;
+      if (scan.count === 0) scan.hasSyncedField = 'synced' in Object(record);
+      if (record && record.synced === true) scan.synced++;
+      if (record && record.synced === false) scan.unsynced++;
+      if (!record || typeof record !== 'object' || record.synced === undefined) scan.missingSyncedField++;
+      if (record && typeof record === 'object') {
+        for (const [field, value] of Object.entries(record)) {
+          const entry = scan.fields[field] || (scan.fields[field] = { count: 0, nulls: 0, types: {} });
+          const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+          entry.count++;
+          entry.types[type] = (entry.types[type] || 0) + 1;
+          if (value === null || value === undefined) entry.nulls++;
+        }
+      }
+      scan.count++;
+      return null;
+    });
+    return scan;
+  }
+
+  // Groups fields that only differ in case or underscores (startTime / start_time)
+  function findFieldVariants(fields) {
+    const groups = {};
+    for (const field of Object.keys(fields)) {
+      const normalized = field.replace(/_/g, '').toLowerCase();
+      (groups[normalized] = groups[normalized] || []).push(field);
+    }
+    return Object.values(groups)
+      .filter(spellings => spellings.length > 1)
+      .map(spellings => ({ spellings: Object.fromEntries(spellings.map(field => [field, fields[field].count])) }));
+  }
+
+  // ===== heyho.check() =====
+
+  async function check({ dbName = null, downloadReport = false } = {}) {
+    console.log('[CHECK] Starting sync status check...\n');
+    const results = { success: true, database: null, pageVisits: null, tabAggregates: null, syncedPageVisits: null };
+    const breakdowns = {};
+    const reportOptions = details => ({
+      databases: results.database ? [{ ...results.database, stores: breakdowns }] : [],
+      details: details,
+      download: downloadReport
+    });
+
+    try {
+      await withDatabase(dbName, async db => {
+        results.database = { name: db.name, version: db.version };
+        console.log('[DB] Opened:', db.name, 'v' + db.version);
+
+        for (const storeName of ['pageVisits', 'tabAggregates']) {
+          if (!db.objectStoreNames.contains(storeName)) {
+            console.log('[WARN] No', storeName, 'store');
+            continue;
+          }
+          const breakdown = emptyBreakdown();
+          const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+          await iterateStore(store, cursor => {
+            tallySyncState(breakdown, cursor.value);
+            return null;
+          });
+          breakdowns[storeName] = breakdown;
+          const counts = { total: breakdown.count, synced: breakdown.synced, unsynced: breakdown.unsynced, missingSyncedField: breakdown.missingSyncedField };
+          results[storeName] = counts;
+          console.log('[' + storeName + ']', counts.total, 'total:', counts.synced, 'synced,', counts.unsynced, 'unsynced,', counts.missingSyncedField, 'without synced field');
+        }
+
+        if (db.objectStoreNames.contains('syncedPageVisits')) {
+          const breakdown = emptyBreakdown();
+          const store = db.transaction('syncedPageVisits', 'readonly').objectStore('syncedPageVisits');
+          await iterateStore(store, cursor => {
+            tallySyncState(breakdown, cursor.value);
+            return null;
+          });
+          breakdowns.syncedPageVisits = breakdown;
+          results.syncedPageVisits = { total: breakdown.count };
+          console.log('[syncedPageVisits]', results.syncedPageVisits.total, 'tracking entries');
+        }
+      });
+
+      const stores = [results.pageVisits, results.tabAggregates].filter(Boolean);
+      const unsynced = stores.reduce((sum, counts) => sum + counts.unsynced, 0);
+      const missing = stores.reduce((sum, counts) => sum + counts.missingSyncedField, 0);
+
+      console.log('\n[SUMMARY]');
+      let verdict;
+      if (unsynced > 0) {
+        verdict = 'unsynced';
+        console.log('[OK]', unsynced, 'unsynced records - they SHOULD sync on the next sync attempt.');
+      } else if (missing > 0) {
+        verdict = 'missingSyncedField';
+        console.log('[WARN]', missing, 'records have no synced field and might not sync. Run heyho.reset() again.');
+      } else {
+        verdict = 'allSynced';
+        console.log('[INFO] All records are marked as synced=true. Run heyho.reset() to sync them again.');
+      }
+
+      return attachReport('check', results, reportOptions({ verdict: verdict }));
+    } catch (error) {
+      console.error('[ERROR]:', error);
+      return attachReport('check', { success: false, error: error.message }, reportOptions({ verdict: null }));
+    }
+  }
+
+  // ===== heyho.debugSync() =====
+
+  async function debugSync({ dbName = null, downloadReport = false } = {}) {
+    console.log('[DEBUG] Checking sync flow...\n');
+    const database = await readSyncBreakdowns(dbName);
+
+    try {
+      if (!self.StorageModule) {
+        throw new Error('StorageModule not found - run this in the extension console');
+      }
+
+      const unsyncedVisits = await self.StorageModule.getUnsyncedPageVisits();
+      const unsyncedAggregates = await self.StorageModule.getUnsyncedTabAggregates();
+      console.log('[RESULT] getUnsyncedPageVisits:', unsyncedVisits.length, '| getUnsyncedTabAggregates:', unsyncedAggregates.length);
+
+      const invalidPrefixes = (self.Constants && self.Constants.INVALID_URL_PREFIXES) || [];
+      const isSendable = record => !invalidPrefixes.some(prefix => (record.url || '').startsWith(prefix));
+      const pageVisits = unsyncedVisits.filter(isSendable);
+      console.log('[CHECK] INVALID_URL_PREFIXES:', invalidPrefixes.length > 0 ? invalidPrefixes.join(', ') : '(not available)', '- filtered', unsyncedVisits.length - pageVisits.length, 'visits');
+
+      const authenticated = self.AuthManager && self.AuthManager.isAuthenticated ? self.AuthManager.isAuthenticated() : null;
+      console.log('[CHECK] isAuthenticated:', authenticated === null ? '(AuthManager not available)' : authenticated);
+
+      const syncState = self.SyncManager && self.SyncManager.getSyncState ? self.SyncManager.getSyncState() : null;
+      console.log('[CHECK] Sync state:', syncState === null ? '(SyncManager not available)' : syncState);
+
+      const browser = detectBrowser();
+      const payload = {
+        pageVisits: pageVisits,
+        tabAggregates: unsyncedAggregates,
+        extensionVersion: getExtensionVersion(),
+        browserName: browser.name,
+        browserVersion: browser.version
+      };
+      self.heyhoLastSyncPayload = payload;
+
+      const total = payload.pageVisits.length + payload.tabAggregates.length;
+      const bytes = new TextEncoder().encode(JSON.stringify(payload)).length;
+      const batches = Math.max(1, Math.ceil(total / MAX_BATCH_SIZE));
+      console.log('\n[PAYLOAD]', payload.pageVisits.length, 'pageVisits +', payload.tabAggregates.length, 'tabAggregates,', (bytes / 1024).toFixed(1), 'KB - saved to self.heyhoLastSyncPayload');
+      if (total > MAX_BATCH_SIZE) {
+        console.log('[WARN] More than', MAX_BATCH_SIZE, 'records: the server rejects this as one request, it needs', batches, 'batches');
+      }
+      console.log('[INFO] debug_sync_flow.js previews the DataSyncService transformations in detail.');
+
+      const results = {
+        success: true,
+        unsynced: { pageVisits: unsyncedVisits.length, tabAggregates: unsyncedAggregates.length },
+        filtered: unsyncedVisits.length - pageVisits.length,
+        authenticated: authenticated,
+        syncState: syncState,
+        payload: { pageVisits: payload.pageVisits.length, tabAggregates: payload.tabAggregates.length, bytes: bytes },
+        batches: batches
+      };
+      const { success, ...details } = results;
+      return attachReport('debugSync', results, { ...database, details: details, download: downloadReport });
+    } catch (error) {
+      console.error('[ERROR]:', error);
+      return attachReport('debugSync', { success: false, error: error.message }, { ...database, download: downloadReport });
+    }
+  }
+
+  // Synced breakdown of the extension stores, so the report can be compared
+  // with what StorageModule returned. Problems become report errors.
+  async function readSyncBreakdowns(dbName) {
+    const breakdowns = { databases: [], errors: [] };
+    try {
+      await withDatabase(dbName, async db => {
+        const stores = {};
+        breakdowns.databases.push({ name: db.name, version: db.version, stores: stores });
+        for (const storeName of EXTENSION_STORES) {
+          if (!db.objectStoreNames.contains(storeName)) {
+            breakdowns.errors.push({ database: db.name, store: storeName, error: 'Store not found' });
+            continue;
+          }
+          const breakdown = emptyBreakdown();
+          await iterateStore(db.transaction(storeName, 'readonly').objectStore(storeName), cursor => {
+            tallySyncState(breakdown, cursor.value);
+            return null;
+          });
+          stores[storeName] = breakdown;
+        }
+      });
+    } catch (error) {
+      breakdowns.errors.push({ database: dbName, store: null, error: error.message });
+    }
+    return breakdowns;
+  }
+
+  function getExtensionVersion() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest) {
+        return chrome.runtime.getManifest().version;
+      }
+    } catch (err) {
+      // Not running inside the extension
+    }
+    return null;
+  }
+
+  function detectBrowser() {
+    const ua = (typeof navigator !== 'undefined' && navigator.userAgent) || '';
+    const patterns = [
+      ['Edge', /Edg\/([\d.]+)/],
+      ['Opera', /OPR\/([\d.]+)/],
+      ['Firefox', /Firefox\/([\d.]+)/],
+      ['Chrome', /Chrome\/([\d.]+)/],
+      ['Safari', /Version\/([\d.]+).*Safari/]
+    ];
+    for (const [name, pattern] of patterns) {
+      const match = ua.match(pattern);
+      if (match) {
+        const isBrave = name === 'Chrome' && typeof navigator !== 'undefined' && navigator.brave;
+        return { name: isBrave ? 'Brave' : name, version: match[1] };
+      }
+    }
+    return { name: null, version: null };
+  }
+
+  // ===== heyho.reset(options) =====
+
+  // One readwrite transaction, optional filters and dry run, the sync guard,
+  // and a journal undo_reset.js can restore. caller overrides RESET_CALLER
+  // for the standalone reset scripts.
+  async function reset(userOptions = {}, caller = {}) {
+    console.log('[RESET] Starting IndexedDB Sync Status Reset...\n');
+    caller = { ...RESET_CALLER, ...caller };
+
+    const results = {
+      success: true,
+      dryRun: false,
+      outcome: null, // 'committed' or 'rolledBack' once the reset has run
+      stores: {},
+      cleared: {},
+      journal: null,
+      syncGuard: null,
+      database: null,
+      errors: []
+    };
+    // Synced breakdown per store as read before the reset
+    const breakdowns = {};
+    const withReport = result => {
+      const databaseName = results.database ? results.database.name : null;
+      const errors = results.errors.map(entry => ({ database: databaseName, store: entry.store, error: entry.error }));
+      const failedStores = new Set(errors.map(entry => entry.store));
+      const stores = Object.fromEntries(Object.entries(breakdowns).filter(([storeName]) => !failedStores.has(storeName)));
+      return attachReport('reset', result, {
+        script: caller.script || undefined,
+        databases: results.database ? [{ ...results.database, stores: stores }] : [],
+        errors: errors,
+        details: {
+          dryRun: results.dryRun,
+          outcome: results.outcome,
+          filters: results.filters || null,
+          stores: results.stores,
+          cleared: results.cleared,
+          preview: results.preview || null,
+          journal: results.journal,
+          syncGuard: results.syncGuard
+        },
+        download: userOptions.downloadReport === true
+      });
+    };
+
+    try {
+      const unknown = Object.keys(userOptions).filter(name => !(name in RESET_DEFAULTS));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown reset option(s): ${unknown.join(', ')} - see heyho.help('reset')`);
+      }
+      const options = { ...RESET_DEFAULTS, ...userOptions, filters: { ...RESET_DEFAULTS.filters, ...userOptions.filters } };
+      results.dryRun = options.dryRun;
+
+      const db = await openDatabase(options.dbName || await detectDatabase());
+      console.log('[DB] Opened database:', db.name, '(version', db.version + ')');
+      results.database = { name: db.name, version: db.version };
+
+      const availableStores = options.storesToReset.filter(store => db.objectStoreNames.contains(store));
+      const availableStoresToClear = options.storesToClear.filter(store => db.objectStoreNames.contains(store));
+      if (availableStores.length === 0 && availableStoresToClear.length === 0) {
+        db.close();
+        throw new Error('None of the expected stores found: ' + [...options.storesToReset, ...options.storesToClear].join(', '));
+      }
+
+      const filters = normalizeFilters(options.filters);
+      let selection = null;
+      if (filters) {
+        selection = await selectFilteredVisits(db, filters);
+        results.filters = filters.description;
+        results.matched = { pageVisits: selection.visitIds.size, tabs: selection.tabIds.size };
+        console.log('[FILTER]', filters.description.join(', '));
+        console.log('  Matched', selection.visitIds.size, 'page visits across', selection.tabIds.size, 'tabs');
+      }
+
+      if (options.dryRun) {
+        try {
+          return withReport(await previewReset(db, availableStores, availableStoresToClear, selection, options, results, breakdowns, caller));
+        } finally {
+          db.close();
+        }
+      }
+
+      const syncGuard = await guardSync({
+        syncWaitTimeoutMs: options.syncWaitTimeoutMs,
+        forceWithoutSyncState: options.forceWithoutSyncState,
+        forceHint: caller.forceHint
+      });
+      results.syncGuard = syncGuard;
+      if (!syncGuard.proceed) {
+        db.close();
+        throw new Error(syncGuard.reason);
+      }
+
+      // Whatever happens from here on, the paused sync is resumed
+      try {
+        let journal = null;
+        if (options.writeJournal) {
+          try {
+            journal = await openJournal(db, { filters: filters, script: caller.script || 'heyho_toolkit.js', chunkSize: options.chunkSize });
+          } catch (error) {
+            throw new Error(`Could not open the undo journal (${error.message}) - nothing was changed. Free up storage and retry, or ${caller.journalHint} to reset without one.`);
+          }
+        }
+
+        const transaction = db.transaction([...availableStores, ...availableStoresToClear], 'readwrite');
+        const done = new Promise((resolve, reject) => {
+          transaction.oncomplete = () => resolve();
+          transaction.onabort = () => reject(transaction.error || new Error('Reset transaction aborted'));
+        });
+
+        const pendingStores = {};
+        const pendingCleared = {};
+        let currentStore = null;
+
+        try {
+          for (const storeName of availableStores) {
+            currentStore = storeName;
+            const store = transaction.objectStore(storeName);
+            const total = await requestToPromise(store.count());
+            const stats = { count: total, updated: 0, skipped: 0, unmatched: 0 };
+            breakdowns[storeName] = emptyBreakdown();
+
+            await iterateStore(store, cursor => {
+              const record = cursor.value;
+              tallySyncState(breakdowns[storeName], record);
+              if (selection && !isSelected(storeName, record, selection)) {
+                stats.unmatched++;
+                return null;
+              }
+              if (!('synced' in record)) {
+                stats.skipped++;
+                return null;
+              }
+              if (journal) journal.add('stores', storeName, priorSyncState(record, cursor.primaryKey));
+              record.synced = false;
+              delete record.syncedAt;
+              stats.updated++;
+              return cursor.update(record);
+            }, { label: storeName, total: total, chunkSize: options.chunkSize });
+
+            pendingStores[storeName] = stats;
+            console.log('[OK]', storeName + ':', stats.updated, 'of', total, 'reset,', stats.skipped, 'without synced field,', stats.unmatched, 'outside filters');
+          }
+
+          for (const storeName of availableStoresToClear) {
+            currentStore = storeName;
+            const store = transaction.objectStore(storeName);
+            const count = await requestToPromise(store.count());
+            let cleared = 0;
+            breakdowns[storeName] = emptyBreakdown();
+
+            await iterateStore(store, cursor => {
+              tallySyncState(breakdowns[storeName], cursor.value);
+              if (selection && !selection.visitIds.has(trackedVisitId(cursor.value, cursor.primaryKey))) return null;
+              if (journal) journal.add('cleared', storeName, { key: cursor.primaryKey, value: cursor.value });
+              cleared++;
+              return cursor.delete();
+            }, { label: storeName, total: count, chunkSize: options.chunkSize });
+
+            pendingCleared[storeName] = { count: count, cleared: cleared };
+            console.log('[OK]', storeName + ':', cleared, 'of', count, 'tracking entries cleared');
+          }
+          currentStore = null;
+        } catch (error) {
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // Already aborted
+          }
+          await done.catch(() => {});
+          results.errors.push({ store: currentStore, error: error.message });
+        }
+
+        if (results.errors.length === 0) {
+          try {
+            await done;
+          } catch (error) {
+            // The commit itself failed (e.g. quota exceeded): nothing was written
+            results.errors.push({ store: null, error: error.message });
+          }
+        }
+
+        if (results.errors.length === 0) {
+          results.outcome = 'committed';
+          results.stores = pendingStores;
+          results.cleared = pendingCleared;
+          if (journal) {
+            results.journal = await journal.finish(true);
+          }
+          const updated = Object.values(pendingStores).reduce((sum, stats) => sum + stats.updated, 0);
+          const cleared = Object.values(pendingCleared).reduce((sum, stats) => sum + stats.cleared, 0);
+          console.log('\n[SUCCESS]', updated, 'records marked as unsynced,', cleared, 'tracking records cleared');
+        } else {
+          results.outcome = 'rolledBack';
+          results.success = false;
+          if (journal) await journal.finish(false);
+          console.error('\n[ERROR] Reset failed' + (currentStore ? ' in ' + currentStore : '') + ':', results.errors[0].error);
+          console.error('  The transaction was rolled back - no records were changed.');
+        }
+      } finally {
+        await releaseSync(syncGuard);
+        db.close();
+      }
+      return withReport(results);
+    } catch (error) {
+      console.error('[ERROR]:', error);
+      return withReport({ success: false, error: error.message });
+    }
+  }
+
+  async function previewReset(db, storesToReset, storesToClear, selection, options, results, breakdowns, caller) {
+    console.log('[DRY RUN] No records will be modified\n');
+    results.preview = {};
+
+    for (const storeName of [...storesToReset, ...storesToClear]) {
+      const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+      const clearing = storesToClear.includes(storeName);
+      const total = await requestToPromise(store.count());
+      const preview = { action: clearing ? 'clear' : 'reset', count: total, affected: 0, skipped: 0, unmatched: 0, alreadyUnsynced: 0, samples: [] };
+      breakdowns[storeName] = emptyBreakdown();
+
+      await iterateStore(store, cursor => {
+        const record = cursor.value;
+        tallySyncState(breakdowns[storeName], record);
+        const selected = !selection || (clearing
+          ? selection.visitIds.has(trackedVisitId(record, cursor.primaryKey))
+          : isSelected(storeName, record, selection));
+        if (!selected) {
+          preview.unmatched++;
+          return null;
+        }
+        if (!clearing && !('synced' in record)) {
+          preview.skipped++;
+          return null;
+        }
+        preview.affected++;
+        if (!clearing && record.synced === false) preview.alreadyUnsynced++;
+        if (preview.samples.length < options.sampleSize) preview.samples.push(summarizeRecord(record, store.keyPath));
+        return null;
+      });
+
+      results.preview[storeName] = preview;
+      console.log('[PREVIEW]', storeName + ':', preview.affected, 'of', total, 'records would be', clearing ? 'cleared' : 'reset');
+      if (preview.samples.length > 0) {
+        console.table(preview.samples);
+      }
+    }
+
+    console.log('\n[INFO] Nothing was changed.', caller.applyHint);
+    return results;
+  }
+
+  // Turns the filters option into comparable values, or null when no filter is set
+  function normalizeFilters(filters) {
+    const toTimestamp = value => {
+      if (value === null || value === undefined || value === '') return null;
+      const timestamp = typeof value === 'number' ? value : Date.parse(value);
+      if (Number.isNaN(timestamp)) {
+        throw new Error(`Invalid date in filters: ${value}`);
+      }
+      return timestamp;
+    };
+
+    const normalized = {
+      startedAfter: toTimestamp(filters.startedAfter),
+      startedBefore: toTimestamp(filters.startedBefore),
+      domains: (filters.domains || []).map(domain => domain.toLowerCase().replace(/^www\./, '')),
+      visitIds: new Set(filters.visitIds || []),
+      description: []
+    };
+
+    if (normalized.startedAfter !== null) {
+      normalized.description.push(`startedAt >= ${new Date(normalized.startedAfter).toISOString()}`);
+    }
+    if (normalized.startedBefore !== null) {
+      normalized.description.push(`startedAt < ${new Date(normalized.startedBefore).toISOString()}`);
+    }
+    if (normalized.domains.length > 0) {
+      normalized.description.push(`domain in [${normalized.domains.join(', ')}]`);
+    }
+    if (normalized.visitIds.size > 0) {
+      normalized.description.push(`${normalized.visitIds.size} visitId(s)`);
+    }
+
+    return normalized.description.length > 0 ? normalized : null;
+  }
+
+  function visitMatchesFilters(visit, filters) {
+    if (filters.startedAfter !== null && !(visit.startedAt >= filters.startedAfter)) return false;
+    if (filters.startedBefore !== null && !(visit.startedAt < filters.startedBefore)) return false;
+
+    if (filters.domains.length > 0) {
+      let domain = visit.domain || '';
+      if (!domain) {
+        try {
+          domain = new URL(visit.url).hostname;
+        } catch (err) {
+          return false;
+        }
+      }
+      domain = domain.toLowerCase().replace(/^www\./, '');
+      if (!filters.domains.some(d => domain === d || domain.endsWith('.' + d))) return false;
+    }
+
+    if (filters.visitIds.size > 0 && !filters.visitIds.has(visit.visitId || visit.id)) return false;
+
+    return true;
+  }
+
+  // Scans pageVisits once and collects the matching visit ids and their tab ids
+  async function selectFilteredVisits(db, filters) {
+    const selection = { visitIds: new Set(), tabIds: new Set() };
+    if (!db.objectStoreNames.contains('pageVisits')) return selection;
+
+    const store = db.transaction('pageVisits', 'readonly').objectStore('pageVisits');
+    await iterateStore(store, cursor => {
+      const visit = cursor.value;
+      if (!visitMatchesFilters(visit, filters)) return null;
+      selection.visitIds.add(visit.visitId || visit.id);
+      if (visit.tabId !== undefined && visit.tabId !== null) {
+        selection.tabIds.add(visit.tabId);
+      }
+      return null;
+    });
+    return selection;
+  }
+
+  // pageVisits match by visit id, tabAggregates by the tab of a matched visit
+  function isSelected(storeName, record, selection) {
+    if (storeName === 'pageVisits') return selection.visitIds.has(record.visitId || record.id);
+    if (storeName === 'tabAggregates') return selection.tabIds.has(record.tabId);
+    return false;
+  }
+
+  // Tracking entries may store the visit id in the record or only as their key
+  function trackedVisitId(record, primaryKey) {
+    if (record && typeof record === 'object') {
+      return record.visitId || record.id || primaryKey;
+    }
+    return primaryKey;
+  }
+
+  // The sync fields as they were before the reset; syncedAt is only kept
+  // when the record had one, so undo can remove it again otherwise
+  function priorSyncState(record, key) {
+    const prior = { key: key, synced: record.synced };
+    if ('syncedAt' in record) {
+      prior.syncedAt = record.syncedAt;
+    }
+    return prior;
+  }
+
+  // Compact view of a record for previews: its key plus the sync-related fields
+  function summarizeRecord(record, keyPath) {
+    const summary = {};
+    if (typeof keyPath === 'string' && keyPath in record) {
+      summary[keyPath] = record[keyPath];
+    }
+    for (const field of ['visitId', 'tabId', 'url', 'currentUrl', 'startedAt', 'startTime', 'synced', 'syncedAt']) {
+      if (field in record && !(field in summary)) {
+        summary[field] = record[field];
+      }
+    }
+    return summary;
+  }
+
+  // Streams a reset run into the journal database read by undo_reset.js. The
+  // run header is saved as 'pending' before the reset writes anything; add()
+  // buffers the prior state of each touched record and saves it in chunks of
+  // chunkSize entries while the reset walks its stores, so the journal is
+  // never held in memory as a whole. finish() marks the run 'committed', or
+  // deletes it again when the reset rolled back or touched nothing. The
+  // format is described under "Undoing a Reset" in scripts/README.md.
+  async function openJournal(db, { filters, script, chunkSize }) {
+    const createdAt = new Date().toISOString();
+    const run = {
+      runId: `reset_${createdAt.replace(/[:.]/g, '-')}_${Math.random().toString(36).slice(2, 6)}`,
+      formatVersion: 2,
+      status: 'pending',
+      createdAt: createdAt,
+      script: script,
+      database: { name: db.name, version: db.version },
+      filters: filters ? filters.description : null,
+      counts: { stores: {}, cleared: {} },
+      chunks: 0,
+      undoneAt: null
+    };
+
+    const journalDb = await openJournalDatabase();
+    try {
+      await journalTransaction(journalDb, ['runs'], transaction => transaction.objectStore('runs').put(run));
+    } catch (error) {
+      journalDb.close();
+      throw error;
+    }
+
+    // Stores are walked one after the other, so one buffer is enough
+    let buffer = null;
+    const writes = [];
+    let writeError = null;
+    const flush = () => {
+      if (!buffer || buffer.entries.length === 0) return;
+      const chunk = { runId: run.runId, seq: run.chunks++, kind: buffer.kind, store: buffer.store, entries: buffer.entries, undoneAt: null };
+      buffer = { ...buffer, entries: [] };
+      writes.push(journalTransaction(journalDb, ['chunks'], transaction => transaction.objectStore('chunks').put(chunk))
+        .catch(error => { writeError = writeError || error; }));
+    };
+
+    return {
+      // kind is 'stores' (the prior sync state of a reset record) or
+      // 'cleared' (a removed tracking entry)
+      add(kind, storeName, entry) {
+        if (!buffer || buffer.kind !== kind || buffer.store !== storeName) {
+          flush();
+          buffer = { kind: kind, store: storeName, entries: [] };
+        }
+        buffer.entries.push(entry);
+        run.counts[kind][storeName] = (run.counts[kind][storeName] || 0) + 1;
+        if (buffer.entries.length >= chunkSize) flush();
+      },
+
+      async finish(committed) {
+        flush();
+        await Promise.all(writes);
+
+        if (!committed || run.chunks === 0) {
+          // Nothing to undo: the pending run is dropped again
+          try {
+            await journalTransaction(journalDb, ['runs', 'chunks'], transaction => {
+              transaction.objectStore('runs').delete(run.runId);
+              transaction.objectStore('chunks').delete(IDBKeyRange.bound([run.runId, 0], [run.runId, Infinity]));
+            });
+          } catch (error) {
+            console.error('[WARN] Could not remove the unused journal run', run.runId + ':', error.message);
+          } finally {
+            journalDb.close();
+          }
+          return null;
+        }
+
+        try {
+          run.status = writeError ? 'incomplete' : 'committed';
+          await journalTransaction(journalDb, ['runs'], transaction => transaction.objectStore('runs').put(run));
+          if (writeError) throw writeError;
+
+          console.log('[JOURNAL] Saved as', run.runId, 'in', JOURNAL_DB_NAME, '(' + run.chunks, 'chunks) - run undo_reset.js to restore the previous sync state');
+          return { runId: run.runId, saved: true, chunks: run.chunks };
+        } catch (error) {
+          console.error('[WARN] Could not save the undo journal:', error.message);
+          console.error('  The reset is applied, but undo_reset.js cannot restore', run.runId);
+          return { runId: run.runId, saved: false, chunks: run.chunks, error: error.message };
+        } finally {
+          journalDb.close();
+        }
+      }
+    };
+  }
+
+  // Keeps each run header in 'runs' and its entries in 'chunks', keyed
+  // [runId, seq]. repair_local_data.js saves its runs (type 'repair') in the
+  // same stores, through heyho.openJournalDatabase().
+  function openJournalDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(JOURNAL_DB_NAME, 2);
+      request.onupgradeneeded = () => {
+        const journalDb = request.result;
+        journalDb.createObjectStore('runs', { keyPath: 'runId' });
+        journalDb.createObjectStore('chunks', { keyPath: ['runId', 'seq'] });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Resolves once the writes made by write(transaction) have committed
+  function journalTransaction(journalDb, storeNames, write) {
+    return new Promise((resolve, reject) => {
+      const transaction = journalDb.transaction(storeNames, 'readwrite');
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || new Error('Journal transaction aborted'));
+      write(transaction);
+    });
+  }
+
+  // Keeps the extension from syncing while a command or script writes: an
+  // in-flight sync is waited for up to syncWaitTimeoutMs, and with
+  // self.HEYHO_SYNC_HOOKS = { pause, resume } the sync is also paused until
+  // releaseSync(). When the sync state cannot be read it refuses, unless
+  // forceWithoutSyncState is set; forceHint tells the user how to set it.
+  // Never throws; resolves to { proceed, reason, status, paused, waitedMs }.
+  // The standalone scripts that write call it as heyho.guardSync().
+  async function guardSync({ syncWaitTimeoutMs, forceWithoutSyncState, forceHint }) {
+    const guard = { proceed: true, reason: null, status: 'idle', paused: false, waitedMs: 0 };
+    const readState = () => {
+      try {
+        const state = self.SyncManager && typeof self.SyncManager.getSyncState === 'function'
+          ? self.SyncManager.getSyncState()
+          : null;
+        return state && typeof state.isSyncing === 'boolean' ? state : null;
+      } catch (error) {
+        return null;
+      }
+    };
+    const refuse = (status, reason) => Object.assign(guard, { proceed: false, status: status, reason: reason });
+
+    let state = readState();
+    if (!state) {
+      guard.status = 'unknown';
+      if (forceWithoutSyncState) {
+        console.warn('[WARN] Could not read the sync state - continuing anyway, as forced');
+        return guard;
+      }
+      return refuse('unknown', `Could not determine whether the extension is syncing (SyncManager.getSyncState() unavailable). Run this in the extension console, or ${forceHint}.`);
+    }
+
+    const hooks = self.HEYHO_SYNC_HOOKS;
+    if (hooks) {
+      if (typeof hooks.pause !== 'function' || typeof hooks.resume !== 'function') {
+        return refuse('unknown', 'self.HEYHO_SYNC_HOOKS needs both a pause() and a resume() function');
+      }
+      try {
+        await hooks.pause();
+      } catch (error) {
+        return refuse('unknown', `Could not pause the sync: ${error.message}`);
+      }
+      guard.paused = true;
+      console.log('[SYNC] Paused through self.HEYHO_SYNC_HOOKS');
+    }
+
+    if (state.isSyncing) {
+      console.log('[SYNC] A sync is in progress - waiting for it to finish...');
+      const startedAt = Date.now();
+      while (state && state.isSyncing && Date.now() - startedAt < syncWaitTimeoutMs) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(500, syncWaitTimeoutMs)));
+        state = readState();
+      }
+      guard.waitedMs = Date.now() - startedAt;
+
+      if (!state || state.isSyncing) {
+        await releaseSync(guard);
+        return state
+          ? refuse('syncing', `The extension is still syncing after ${Math.round(guard.waitedMs / 1000)}s. Run again once it is done.`)
+          : refuse('unknown', 'Lost track of the sync state while waiting for the sync to finish');
+      }
+      guard.status = 'waited';
+      console.log('[SYNC] Finished after', Math.round(guard.waitedMs / 1000) + 's');
+    }
+
+    return guard;
+  }
+
+  // Resumes a sync paused by guardSync(); a failure is only reported, since
+  // the data has already been written by then
+  async function releaseSync(guard) {
+    if (!guard || !guard.paused) return;
+    guard.paused = false;
+    try {
+      await self.HEYHO_SYNC_HOOKS.resume();
+      console.log('[SYNC] Resumed');
+    } catch (error) {
+      guard.resumeError = error.message;
+      console.error('[WARN] Could not resume the sync:', error.message, '- resume it by hand');
+    }
+  }
+
+  // ===== heyho.help() =====
+
+  function help(command) {
+    if (command !== undefined) {
+      const entry = COMMANDS[command];
+      if (!entry) {
+        console.log('[HELP] Unknown command:', command, '- available:', Object.keys(COMMANDS).join(', '));
+        return null;
+      }
+      console.log('[HELP]', entry.usage);
+      console.log(' ', entry.description);
+      if (entry.options) {
+        console.table(Object.entries(entry.options).map(([name, value]) => ({ option: name, default: JSON.stringify(value) })));
+      }
+      return { command: command, ...entry };
+    }
+
+    console.log('[HELP] heyho console toolkit v' + TOOLKIT_VERSION);
+    console.table(Object.entries(COMMANDS).map(([name, entry]) => ({ command: name, usage: entry.usage, description: entry.description })));
+    return Object.keys(COMMANDS);
+  }
+
+  self.heyho = {
+    version: TOOLKIT_VERSION,
+    inspect: inspect,
+    check: check,
+    debugSync: debugSync,
+    reset: reset,
+    help: help,
+    detectDatabase: detectDatabase,
+    openDatabase: openDatabase,
+
+    // Shared with the standalone scripts
+    guardSync: guardSync,
+    releaseSync: releaseSync,
+    openJournalDatabase: openJournalDatabase,
+    downloadJson: downloadJson,
+    getExtensionVersion: getExtensionVersion,
+    detectBrowser: detectBrowser
+  };
+
+  console.log('[heyho] Toolkit v' + TOOLKIT_VERSION + ' installed - run heyho.help() to list the commands');
+  return TOOLKIT_VERSION;
+})();
@@ -4,18 +4,45 @@
  * This script inspects all IndexedDB databases and their object stores
  * to help you identify the correct names for the reset script.
  *
+ * For every store it also reports the schema (keyPath, autoIncrement,
+ * indexes) and a histogram of the top-level record fields: how often each
+ * field appears, which types it holds and how often it is null. Fields
+ * spelled in several ways (startTime / start_time, closedAt / closed_at) are
+ * listed as variants - that is the schema drift DataSyncService absorbs with
+ * its fallbacks.
+ *
+ * The result carries a diagnostic report (results.report, also kept in
+ * self.heyhoLastReport) in the shape documented under "Diagnostic Reports"
+ * in scripts/README.md. Set DOWNLOAD_REPORT = true to save it as a file.
+ *
  * USAGE:
  * 1. Open your browser where the extension is installed
  * 2. Open Developer Tools (F12 or Cmd+Option+I)
  * 3. Go to the Console tab
- * 4. Copy and paste this entire script
- * 5. Press Enter to run
+ * 4. Paste heyho_toolkit.js once per console session - this script takes
+ *    its file download from it
+ * 5. Copy and paste this entire script
+ * 6. Press Enter to run
  */
 
 (async function inspectIndexedDB() {
   console.log('🔍 Inspecting IndexedDB...\n');
   console.log('='.repeat(60));
 
+  const DOWNLOAD_REPORT = false; // Set to true to save the report as a .json file
+
+  if (!self.heyho || typeof self.heyho.downloadJson !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { downloadJson } = self.heyho;
+
+  const results = {
+    success: true,
+    databases: [],
+    report: null
+  };
+
   try {
     // Get all databases
     const databases = await indexedDB.databases();
@@ -26,7 +53,8 @@
       console.log('   - Extension is not installed');
       console.log('   - Extension hasn\'t created any data yet');
       console.log('   - Wrong browser context');
-      return;
+      results.report = publishReport(buildReport(true, []));
+      return results;
     }
 
     console.log(`📊 Found ${databases.length} database(s):\n`);
@@ -35,6 +63,8 @@
     for (let i = 0; i < databases.length; i++) {
       const dbInfo = databases[i];
       console.log(`${i + 1}. Database: "${dbInfo.name}" (version ${dbInfo.version || 'unknown'})`);
+      const dbResult = { name: dbInfo.name, version: dbInfo.version || null, stores: [] };
+      results.databases.push(dbResult);
 
       try {
         // Open the database to inspect its structure
@@ -61,6 +91,7 @@
             try {
               const transaction = db.transaction(storeName, 'readonly');
               const store = transaction.objectStore(storeName);
+              const schema = describeStore(store);
               const countRequest = store.count();
 
               const count = await new Promise((resolve, reject) => {
@@ -70,25 +101,35 @@
 
               // Check if records have 'synced' property
               if (count > 0) {
-                const getAllRequest = store.getAll();
-                const records = await new Promise((resolve, reject) => {
-                  getAllRequest.onsuccess = () => resolve(getAllRequest.result);
-                  getAllRequest.onerror = () => resolve([]);
-                });
+                const { scanned, hasSyncedProp, syncedCount, unsyncedCount, missingCount, fields } = await scanStore(store);
+                const variants = findFieldVariants(fields);
 
-                const hasSyncedProp = records.length > 0 && 'synced' in records[0];
-                const syncedCount = records.filter(r => r.synced === true).length;
-                const unsyncedCount = records.filter(r => r.synced === false).length;
+                dbResult.stores.push({
+                  name: storeName,
+                  count: count,
+                  hasSyncedField: hasSyncedProp,
+                  synced: syncedCount,
+                  unsynced: unsyncedCount,
+                  missingSyncedField: missingCount,
+                  ...schema,
+                  fields: fields,
+                  variants: variants
+                });
 
                 if (hasSyncedProp) {
                   console.log(`      ✅ "${storeName}" - ${count} records (${syncedCount} synced, ${unsyncedCount} unsynced)`);
                 } else {
                   console.log(`      📦 "${storeName}" - ${count} records (no 'synced' property)`);
                 }
+                logSchema(schema);
+                logFields(fields, scanned, variants);
               } else {
+                dbResult.stores.push({ name: storeName, count: count, hasSyncedField: false, synced: 0, unsynced: 0, missingSyncedField: 0, ...schema, fields: {}, variants: [] });
                 console.log(`      📦 "${storeName}" - ${count} records`);
+                logSchema(schema);
               }
             } catch (err) {
+              dbResult.stores.push({ name: storeName, count: null, error: err.message });
               console.log(`      📦 "${storeName}" - (couldn't count)`);
             }
           }
@@ -98,6 +139,7 @@
         console.log('');
 
       } catch (err) {
+        dbResult.error = err.message;
         console.log(`   ⚠️  Could not inspect: ${err.message}\n`);
       }
     }
@@ -111,8 +153,152 @@
     console.log('   - Set DB_NAME to the correct database name');
     console.log('   - Set STORES_TO_RESET to the list of stores with synced data');
 
+    results.report = publishReport(buildReport(true, []));
+    return results;
+
   } catch (error) {
     console.error('\n❌ Error:', error);
     console.error('\n💡 Try running: await indexedDB.databases()');
+    const report = publishReport(buildReport(false, [{ database: null, store: null, error: error.message }]));
+    return { success: false, error: error.message, report: report };
+  }
+
+  // See "Diagnostic Reports" in scripts/README.md for the shape. Databases
+  // or stores that could not be read are listed in errors.
+  function buildReport(success, errors) {
+    const schemas = {};
+    const databases = results.databases.map(dbResult => {
+      if (dbResult.error) {
+        errors.push({ database: dbResult.name, store: null, error: dbResult.error });
+      }
+      const stores = {};
+      schemas[dbResult.name] = {};
+      for (const store of dbResult.stores) {
+        if (store.error || typeof store.count !== 'number') {
+          errors.push({ database: dbResult.name, store: store.name, error: store.error || 'Could not count records' });
+          continue;
+        }
+        stores[store.name] = { count: store.count, synced: store.synced, unsynced: store.unsynced, missingSyncedField: store.missingSyncedField };
+        schemas[dbResult.name][store.name] = { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes: store.indexes, variants: store.variants };
+      }
+      return { name: dbResult.name, version: dbResult.version, stores: stores };
+    });
+
+    return {
+      format: 'heyho-diagnostic-report',
+      formatVersion: 1,
+      script: 'inspect_indexeddb.js',
+      generatedAt: new Date().toISOString(),
+      success: success,
+      databases: databases,
+      errors: errors,
+      details: { schemas: schemas }
+    };
+  }
+
+  // Keeps the report in self.heyhoLastReport and downloads it if asked to
+  function publishReport(report) {
+    self.heyhoLastReport = report;
+    if (DOWNLOAD_REPORT) {
+      const filename = `heyho-report_inspect_indexeddb_${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+      const delivery = downloadJson(filename, JSON.stringify(report, null, 2));
+      console.log(delivery ? `💾 Report saved as ${filename} via ${delivery}` : '⚠️  Could not download the report - run copy(JSON.stringify(self.heyhoLastReport)) instead');
+    }
+    return report;
+  }
+
+  function describeStore(store) {
+    return {
+      keyPath: store.keyPath,
+      autoIncrement: store.autoIncrement,
+      indexes: Array.from(store.indexNames).map(indexName => {
+        const index = store.index(indexName);
+        return {
+          name: index.name,
+          keyPath: index.keyPath,
+          unique: index.unique,
+          multiEntry: index.multiEntry
+        };
+      })
+    };
+  }
+
+  function valueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Object.prototype.toString.call(value) === '[object Date]') return 'date';
+    return typeof value;
+  }
+
+  // Walks the store with a cursor, so large stores are inspected without
+  // loading them into memory; a failed read keeps what was scanned so far
+  function scanStore(store) {
+    return new Promise(resolve => {
+      const scan = { scanned: 0, hasSyncedProp: false, syncedCount: 0, unsyncedCount: 0, missingCount: 0, fields: {} };
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(scan);
+          return;
+        }
+        const record = cursor.value;
+        if (scan.scanned === 0) scan.hasSyncedProp = 'synced' in Object(record);
+        if (record && record.synced === true) scan.syncedCount++;
+        if (record && record.synced === false) scan.unsyncedCount++;
+        if (!record || typeof record !== 'object' || record.synced === undefined) scan.missingCount++;
+        addToHistogram(scan.fields, record);
+        scan.scanned++;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => resolve(scan);
+    });
+  }
+
+  // Per top-level field: records containing it, the types it holds, and how
+  // many of those records have it null or undefined
+  function addToHistogram(fields, record) {
+    if (!record || typeof record !== 'object') return;
+    for (const [field, value] of Object.entries(record)) {
+      const entry = fields[field] || (fields[field] = { count: 0, nulls: 0, types: {} });
+      const type = valueType(value);
+      entry.count++;
+      entry.types[type] = (entry.types[type] || 0) + 1;
+      if (value === null || value === undefined) entry.nulls++;
+    }
+  }
+
+  // Groups fields that only differ in case or underscores (startTime / start_time)
+  function findFieldVariants(fields) {
+    const groups = {};
+    for (const field of Object.keys(fields)) {
+      const normalized = field.replace(/_/g, '').toLowerCase();
+      (groups[normalized] = groups[normalized] || []).push(field);
+    }
+    return Object.values(groups)
+      .filter(spellings => spellings.length > 1)
+      .map(spellings => ({
+        spellings: Object.fromEntries(spellings.map(field => [field, fields[field].count]))
+      }));
+  }
+
+  function logSchema(schema) {
+    const indexes = schema.indexes.map(index =>
+      `${index.name}${index.unique ? ' (unique)' : ''}${index.multiEntry ? ' (multiEntry)' : ''}`
+    );
+    console.log(`         keyPath: ${JSON.stringify(schema.keyPath)}, autoIncrement: ${schema.autoIncrement}, indexes: ${indexes.join(', ') || 'none'}`);
+  }
+
+  function logFields(fields, total, variants) {
+    console.table(Object.entries(fields).map(([field, entry]) => ({
+      field: field,
+      present: `${entry.count}/${total}`,
+      types: Object.entries(entry.types).map(([type, count]) => `${type}:${count}`).join(' '),
+      nulls: entry.nulls
+    })));
+    for (const variant of variants) {
+      const spellings = Object.entries(variant.spellings).map(([field, count]) => `${field} (${count})`);
+      console.log(`         ⚠️  Field spelled several ways: ${spellings.join(' / ')}`);
+    }
   }
 })();
@@ -0,0 +1,346 @@
+// The sync API's transformation and validation rules, for the Node tools.
+//
+// DataProcessing::DataSyncService turns the extension's camelCase records
+// into the server's hashes and DataValidationService decides which are
+// rejected. mock_sync_server.js requires this module. The console scripts
+// cannot require anything, so validate_sync_data.js,
+// explain_sync_eligibility.js, analyze_storage_footprint.js,
+// debug_sync_flow.js and push_sync_data.js carry copies of the parts they
+// use; scripts/test/sync_rules.test.js runs the same records through every
+// copy and this module. Change the rules here and in the copies together.
+
+'use strict';
+
+// Mirrors DataProcessing::DataValidationService
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 500;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_DURATION = 86400;
+const MIN_SCROLL_DEPTH = 0;
+const MAX_SCROLL_DEPTH = 100;
+const MIN_ENGAGEMENT_RATE = 0.0;
+const MAX_ENGAGEMENT_RATE = 1.0;
+const MAX_METADATA_BYTES = 50 * 1024;
+const VALID_URL_SCHEMES = ['http', 'https'];
+const VALID_CATEGORY_METHODS = ['metadata', 'unclassified'];
+
+// Mirrors PageVisit::VALID_CATEGORIES
+const VALID_CATEGORIES = [
+  'work_coding',
+  'work_code_review',
+  'work_communication',
+  'work_documentation',
+  'learning_video',
+  'learning_reading',
+  'entertainment_video',
+  'entertainment_browsing',
+  'entertainment_short_form',
+  'social_media',
+  'news',
+  'shopping',
+  'reference',
+  'unclassified'
+];
+
+// Mirrors DataSyncService#sanitize_metadata
+const METADATA_MAX_STRING_LENGTH = 2000;
+const METADATA_DANGEROUS_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// ---- DataSyncService transformations -----------------------------------------
+
+// Ruby truthiness: only nil and false are falsy
+function truthy(value) {
+  return value !== null && value !== undefined && value !== false;
+}
+
+// ActiveSupport #blank?
+function blank(value) {
+  if (!truthy(value)) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function getValue(hash, ...keys) {
+  for (const key of keys) {
+    if (truthy(hash[key])) return hash[key];
+  }
+  return null;
+}
+
+// DataSyncService#timestamp_to_iso_8601: strings starting with a date pass
+// through, anything else is read as a millisecond timestamp
+function timestampToIso8601(value) {
+  if (blank(value)) return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+  const ms = typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10) || 0;
+  const date = new Date(ms);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function sanitizeMetadata(metadata) {
+  if (blank(metadata)) return {};
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) return {};
+
+  const truncate = (value) => {
+    if (Array.isArray(value)) return value.map(truncate);
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, nested] of Object.entries(value)) copy[key] = truncate(nested);
+      return copy;
+    }
+    if (typeof value === 'string' && value.length > METADATA_MAX_STRING_LENGTH) {
+      return value.slice(0, METADATA_MAX_STRING_LENGTH) + '...';
+    }
+    return value;
+  };
+
+  const cleaned = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!METADATA_DANGEROUS_KEYS.includes(key)) cleaned[key] = value;
+  }
+  return truncate(cleaned);
+}
+
+function buildPageVisitHash(visit) {
+  const activeDuration = truthy(visit.activeDuration) ? visit.activeDuration : 0;
+  return {
+    id: getValue(visit, 'id', 'visitId'),
+    url: visit.url,
+    title: visit.title,
+    visited_at: timestampToIso8601(getValue(visit, 'visited_at', 'startedAt')),
+    opened_at: timestampToIso8601(getValue(visit, 'opened_at', 'openedAt')),
+    domain: visit.domain,
+    duration_seconds: getValue(visit, 'durationSeconds', 'duration_seconds'),
+    active_duration_seconds: Number.isInteger(activeDuration) ? Math.floor(activeDuration / 1000) : activeDuration / 1000,
+    engagement_rate: getValue(visit, 'engagementRate', 'engagement_rate'),
+    category: visit.category,
+    category_confidence: visit.categoryConfidence,
+    category_method: visit.categoryMethod,
+    metadata: sanitizeMetadata(visit.metadata)
+  };
+}
+
+// DataSyncService#build_tab_to_page_visit_map: each tab links to its first
+// visit in the batch. Ruby truthiness, so tab 0 and '' count
+function buildTabToPageVisitMap(visits) {
+  const tabToPageVisit = {};
+  for (const visit of visits) {
+    const visitId = getValue(visit, 'id', 'visitId');
+    if (truthy(visit.tabId) && truthy(visitId) && !(visit.tabId in tabToPageVisit)) {
+      tabToPageVisit[visit.tabId] = visitId;
+    }
+  }
+  return tabToPageVisit;
+}
+
+// Returns { aggregate } or { skipped: reason } like DataSyncService#transform_single_aggregate
+function transformTabAggregate(aggregate, tabToPageVisit) {
+  const startTime = getValue(aggregate, 'startTime', 'start_time');
+  const isExtensionFormat = !blank(aggregate.tabId) && !blank(startTime);
+
+  if (!isExtensionFormat) {
+    const pageVisitId = getValue(aggregate, 'page_visit_id', 'pageVisitId');
+    if (!pageVisitId) return { skipped: 'missing page_visit_id' };
+    return {
+      aggregate: {
+        id: aggregate.id,
+        page_visit_id: pageVisitId,
+        total_time_seconds: getValue(aggregate, 'total_time_seconds', 'totalTimeSeconds'),
+        active_time_seconds: getValue(aggregate, 'active_time_seconds', 'activeTimeSeconds'),
+        scroll_depth_percent: getValue(aggregate, 'scroll_depth_percent', 'scrollDepthPercent'),
+        closed_at: timestampToIso8601(getValue(aggregate, 'closed_at', 'closedAt'))
+      }
+    };
+  }
+
+  const tabId = aggregate.tabId;
+  const pageVisitId = tabToPageVisit[tabId];
+  if (!pageVisitId) {
+    return { skipped: `no matching page visit found for tabId ${tabId} in this sync batch` };
+  }
+
+  const lastActive = getValue(aggregate, 'lastActiveTime', 'last_active_time') || startTime;
+  const seconds = Math.trunc((lastActive - startTime) / 1000);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > 365 * 24 * 3600) {
+    return { skipped: `invalid duration ${seconds}s (${(seconds / 86400).toFixed(1)} days)` };
+  }
+
+  const closedAtValue = getValue(aggregate, 'closedAt', 'closed_at');
+  // Ruby's isOpen || is_open: a false isOpen falls through to is_open
+  const isOpen = truthy(aggregate.isOpen) ? aggregate.isOpen : aggregate.is_open;
+  let closedAt = null;
+  if (truthy(closedAtValue)) {
+    closedAt = timestampToIso8601(closedAtValue);
+  } else if (isOpen === false) {
+    closedAt = timestampToIso8601(lastActive);
+  }
+
+  // build_aggregate_hash sets no opened_at, so the server never checks it
+  // against closed_at for these records
+  return {
+    aggregate: {
+      id: aggregate.id || `agg_${startTime}_${tabId}`,
+      page_visit_id: pageVisitId,
+      total_time_seconds: seconds,
+      active_time_seconds: seconds,
+      scroll_depth_percent: truthy(aggregate.scroll_depth_percent) ? aggregate.scroll_depth_percent : 0,
+      closed_at: closedAt,
+      current_url: getValue(aggregate, 'currentUrl', 'current_url', 'url')
+    }
+  };
+}
+
+// ---- DataValidationService rules --------------------------------------------
+
+function validatePageVisit(data) {
+  const errors = [];
+  const warnings = [];
+  const check = validators(errors, warnings);
+
+  check.required(data, ['id', 'url', 'visited_at']);
+  if (truthy(data.url)) check.url(data.url, 'url');
+  if (truthy(data.title)) check.length(data.title, 'title', MAX_TITLE_LENGTH);
+  if (truthy(data.domain)) check.length(data.domain, 'domain', MAX_DOMAIN_LENGTH);
+  if (truthy(data.visited_at)) check.timestamp(data.visited_at, 'visited_at');
+  if (truthy(data.duration_seconds)) check.duration(data.duration_seconds, 'duration_seconds');
+  if (truthy(data.active_duration_seconds)) check.duration(data.active_duration_seconds, 'active_duration_seconds');
+  if (truthy(data.engagement_rate)) check.range(data.engagement_rate, 'engagement_rate', MIN_ENGAGEMENT_RATE, MAX_ENGAGEMENT_RATE);
+  if (truthy(data.category) && !blank(data.category) && !VALID_CATEGORIES.includes(data.category)) {
+    errors.push({ field: 'category', message: `must be one of: ${VALID_CATEGORIES.join(', ')}` });
+  }
+  if (truthy(data.category_confidence)) check.range(data.category_confidence, 'category_confidence', 0, 1);
+  if (truthy(data.category_method) && !blank(data.category_method) && !VALID_CATEGORY_METHODS.includes(data.category_method)) {
+    warnings.push({ field: 'category_method', message: `unknown method '${data.category_method}' (expected: ${VALID_CATEGORY_METHODS.join(', ')})` });
+  }
+  if (truthy(data.metadata)) check.metadataSize(data.metadata);
+
+  return { errors, warnings };
+}
+
+function validateTabAggregate(data) {
+  const errors = [];
+  const warnings = [];
+  const check = validators(errors, warnings);
+
+  check.required(data, ['id']);
+  if (truthy(data.current_url)) check.url(data.current_url, 'current_url');
+  if (truthy(data.opened_at)) check.timestamp(data.opened_at, 'opened_at');
+  if (truthy(data.closed_at)) check.timestamp(data.closed_at, 'closed_at');
+  if (truthy(data.scroll_depth_percent)) check.range(data.scroll_depth_percent, 'scroll_depth_percent', MIN_SCROLL_DEPTH, MAX_SCROLL_DEPTH);
+
+  if (truthy(data.opened_at) && truthy(data.closed_at) &&
+      isIso8601(data.opened_at) && isIso8601(data.closed_at) &&
+      Date.parse(data.opened_at) > Date.parse(data.closed_at)) {
+    errors.push({ field: 'closed_at', message: 'cannot be before opened_at' });
+  }
+
+  return { errors, warnings };
+}
+
+// Ruby's Time.iso8601 (xmlschema): date, optionally followed by time and zone
+function isIso8601(value) {
+  return typeof value === 'string' &&
+    /^-?\d{4,}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/.test(value) &&
+    !Number.isNaN(Date.parse(value));
+}
+
+function validators(errors, warnings) {
+  const error = (field, message) => errors.push({ field, message });
+  const warning = (field, message) => warnings.push({ field, message });
+
+  return {
+    required(data, fields) {
+      for (const field of fields) {
+        if (blank(data[field])) error(field, 'is required but missing');
+      }
+    },
+
+    // URI.parse is stricter than the URL constructor: it refuses spaces and
+    // characters outside RFC 3986, so check those explicitly
+    url(value, field) {
+      if (blank(value)) return error(field, 'cannot be blank');
+      if (value.length > MAX_URL_LENGTH) {
+        return error(field, `exceeds maximum length of ${MAX_URL_LENGTH} characters`);
+      }
+      if (/[\s<>"{}|\\^`]/.test(value) || /[^\x00-\x7F]/.test(value)) {
+        return error(field, 'is not a valid URL: contains characters URI.parse rejects');
+      }
+      const scheme = (value.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/) || [])[1];
+      if (!scheme || !VALID_URL_SCHEMES.includes(scheme.toLowerCase())) {
+        return error(field, 'must use http or https scheme');
+      }
+      let host = '';
+      try {
+        host = new URL(value).hostname;
+      } catch (err) {
+        host = '';
+      }
+      if (!host) warning(field, 'missing domain');
+    },
+
+    length(value, field, max) {
+      if (typeof value === 'string' && !blank(value) && value.length > max) {
+        warning(field, `exceeds recommended length of ${max} characters (will be truncated)`);
+      }
+    },
+
+    timestamp(value, field) {
+      if (blank(value)) return;
+      if (!isIso8601(value)) error(field, 'is not a valid ISO8601 timestamp');
+    },
+
+    duration(value, field) {
+      if (typeof value !== 'number') return error(field, 'must be a number');
+      if (value < 0) return error(field, 'cannot be negative');
+      if (value > MAX_DURATION) warning(field, `exceeds maximum expected duration of ${MAX_DURATION} seconds`);
+    },
+
+    range(value, field, min, max) {
+      if (typeof value !== 'number') return error(field, 'must be a number');
+      if (value < min) return error(field, `cannot be less than ${min}`);
+      if (value > max) error(field, `cannot exceed ${max}`);
+    },
+
+    // Rails' to_json escapes <, > and & as six-byte \u003c-style sequences,
+    // which count toward the limit
+    metadataSize(value) {
+      if (blank(value)) return;
+      const json = JSON.stringify(value).replace(/[<>&]/g, '\\u003c');
+      const size = new TextEncoder().encode(json).length;
+      if (size > MAX_METADATA_BYTES) {
+        error('metadata', `is too large (${size} bytes, max ${MAX_METADATA_BYTES} bytes)`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_URL_LENGTH,
+  MAX_TITLE_LENGTH,
+  MAX_DOMAIN_LENGTH,
+  MAX_DURATION,
+  MIN_SCROLL_DEPTH,
+  MAX_SCROLL_DEPTH,
+  MIN_ENGAGEMENT_RATE,
+  MAX_ENGAGEMENT_RATE,
+  MAX_METADATA_BYTES,
+  VALID_URL_SCHEMES,
+  VALID_CATEGORY_METHODS,
+  VALID_CATEGORIES,
+  METADATA_MAX_STRING_LENGTH,
+  METADATA_DANGEROUS_KEYS,
+  truthy,
+  blank,
+  getValue,
+  timestampToIso8601,
+  sanitizeMetadata,
+  buildPageVisitHash,
+  buildTabToPageVisitMap,
+  transformTabAggregate,
+  validatePageVisit,
+  validateTabAggregate,
+  isIso8601
+};
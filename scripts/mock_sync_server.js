@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+// Local stand-in for the sync API, with fault injection.
+//
+// This one runs under Node, not in the browser console:
+//
+//   node scripts/mock_sync_server.js [--port 3000] [--fault 429=2] ...
+//
+// Point the extension (or push_sync_data.js / replay_sync_payloads.js) at it
+// to test sync, retry and marking behaviour without running Rails. It serves
+//
+//   POST /api/v1/data/sync        the DataSyncService contract: records are
+//                                 transformed and validated with the rules
+//                                 in lib/sync_rules.js, rejected ones
+//                                 come back in data.validation_errors, and a
+//                                 batch over 1000 records gets 400 Batch size
+//                                 exceeded
+//   GET  /api/v1/browsing_data    the stored records, paginated
+//   GET  /api/v1/health           200 OK
+//   POST /api/v1/auth/login       any email and password; issues a token
+//   POST /api/v1/auth/logout      revokes the token
+//
+// Records are kept in memory and upserted by id; the server's merge of
+// duplicate ids within a batch is not reproduced.
+//
+// Faults apply to sync requests: --fault <kind>[=<when>], with kind 401
+// (expired token), 429 (throttled, with Retry-After), 500 or slow (adds
+// --delay-ms), and when N (the next N requests), N% (that share of requests)
+// or nothing (every request). --reject-rate / --reject-ids reject records as
+// if they failed validation. Faults can be changed while the server runs:
+//
+//   curl -X POST localhost:3000/__mock/faults -d '{"faults":["500=1"]}'
+//   curl localhost:3000/__mock/state
+//   curl -X POST localhost:3000/__mock/reset
+
+'use strict';
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const {
+  blank,
+  buildPageVisitHash,
+  buildTabToPageVisitMap,
+  transformTabAggregate,
+  validatePageVisit,
+  validateTabAggregate
+} = require('./lib/sync_rules');
+
+const SYNC_PATH = '/api/v1/data/sync';
+const MAX_BATCH_SIZE = 1000; // DataProcessing::DataSyncService::MAX_BATCH_SIZE
+const FAULT_KINDS = ['401', '429', '500', 'slow'];
+
+const USAGE = `Usage: node scripts/mock_sync_server.js [options]
+
+Serves the ${SYNC_PATH} contract locally, with fault injection.
+
+Options:
+  --port <n>             Port to listen on (default: 3000)
+  --host <host>          Interface to listen on (default: 127.0.0.1)
+  --fault <kind>[=<when>] Inject a fault into sync requests; repeatable
+                         kind: 401, 429, 500 or slow
+                         when: N (next N requests), N% (share of requests), omitted (every request)
+  --delay-ms <ms>        Delay of the slow fault (default: 2000)
+  --retry-after <s>      Retry-After header of 429 answers (default: 30)
+  --reject-rate <0-1>    Share of records rejected as invalid (default: 0)
+  --reject-ids <a,b>     Record ids always rejected as invalid
+  --token-ttl <s>        Lifetime of tokens from /api/v1/auth/login (default: 3600)
+  --strict-auth          Only accept tokens issued by this server (default: any Bearer token)
+  --quiet                Do not log requests
+  --help                 Show this help`;
+
+class UsageError extends Error {}
+
+// "429=2" -> { kind: '429', remaining: 2 }, "500=20%" -> { kind: '500', rate: 0.2 },
+// "slow" -> { kind: 'slow' }
+function parseFault(spec) {
+  const [kind, when] = String(spec).split('=');
+  if (!FAULT_KINDS.includes(kind)) {
+    throw new UsageError(`Unknown fault ${kind} - use one of ${FAULT_KINDS.join(', ')}`);
+  }
+  if (when === undefined || when === '') return { kind: kind };
+  if (/^\d+(\.\d+)?%$/.test(when)) {
+    const rate = parseFloat(when) / 100;
+    if (rate > 1) throw new UsageError(`Fault ${spec}: a share cannot exceed 100%`);
+    return { kind: kind, rate: rate };
+  }
+  if (/^\d+$/.test(when)) return { kind: kind, remaining: parseInt(when, 10) };
+  throw new UsageError(`Fault ${spec}: expected a count (2) or a share (20%) after =`);
+}
+
+function parseArgs(argv) {
+  const options = {
+    port: 3000,
+    host: '127.0.0.1',
+    faults: [],
+    delayMs: 2000,
+    retryAfterSeconds: 30,
+    rejectRate: 0,
+    rejectIds: [],
+    tokenTtlSeconds: 3600,
+    strictAuth: false,
+    quiet: false,
+    help: false
+  };
+
+  const valueOf = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) throw new UsageError(`${flag} needs a value`);
+    return value;
+  };
+  const numberOf = (flag, index, max = Infinity) => {
+    const value = Number(valueOf(flag, index));
+    if (!Number.isFinite(value) || value < 0 || value > max) throw new UsageError(`${flag} must be a number from 0 to ${max}`);
+    return value;
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    switch (arg) {
+      case '--port': options.port = numberOf(arg, index++, 65535); break;
+      case '--host': options.host = valueOf(arg, index++); break;
+      case '--fault': options.faults.push(valueOf(arg, index++)); break;
+      case '--delay-ms': options.delayMs = numberOf(arg, index++); break;
+      case '--retry-after': options.retryAfterSeconds = numberOf(arg, index++); break;
+      case '--reject-rate': options.rejectRate = numberOf(arg, index++, 1); break;
+      case '--reject-ids': options.rejectIds = valueOf(arg, index++).split(',').filter(Boolean); break;
+      case '--token-ttl': options.tokenTtlSeconds = numberOf(arg, index++); break;
+      case '--strict-auth': options.strictAuth = true; break;
+      case '--quiet': options.quiet = true; break;
+      case '--help': case '-h': options.help = true; break;
+      default: throw new UsageError(`Unknown option ${arg}`);
+    }
+  }
+  options.faults.forEach(parseFault);
+  return options;
+}
+
+// Returns { server, state, setFaults, reset, listen, close }. `random` can be
+// replaced to make N% faults deterministic in tests.
+function createMockSyncServer(options = {}) {
+  const settings = {
+    delayMs: 2000,
+    retryAfterSeconds: 30,
+    rejectRate: 0,
+    rejectIds: [],
+    tokenTtlSeconds: 3600,
+    strictAuth: false,
+    log: () => {},
+    random: Math.random,
+    now: Date.now,
+    ...options
+  };
+
+  const state = {
+    pageVisits: new Map(),
+    tabAggregates: new Map(),
+    syncLogs: [],
+    tokens: new Map(),
+    faults: [],
+    requests: 0
+  };
+
+  const mock = {
+    state: state,
+    setFaults(specs, changes = {}) {
+      state.faults = (specs || []).map(parseFault);
+      for (const key of ['delayMs', 'retryAfterSeconds', 'rejectRate', 'rejectIds', 'tokenTtlSeconds', 'strictAuth']) {
+        if (changes[key] !== undefined) settings[key] = changes[key];
+      }
+    },
+    reset() {
+      state.pageVisits.clear();
+      state.tabAggregates.clear();
+      state.syncLogs.length = 0;
+      state.tokens.clear();
+      state.faults = [];
+      state.requests = 0;
+    },
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        mock.server.once('error', reject);
+        mock.server.listen(port, host, () => {
+          const address = mock.server.address();
+          mock.url = `http://${address.address}:${address.port}`;
+          resolve(mock.url);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => mock.server.close(() => resolve()));
+    },
+    describe() {
+      return {
+        records: { pageVisits: state.pageVisits.size, tabAggregates: state.tabAggregates.size },
+        syncLogs: state.syncLogs,
+        requests: state.requests,
+        faults: state.faults,
+        settings: {
+          delayMs: settings.delayMs,
+          retryAfterSeconds: settings.retryAfterSeconds,
+          rejectRate: settings.rejectRate,
+          rejectIds: settings.rejectIds,
+          tokenTtlSeconds: settings.tokenTtlSeconds,
+          strictAuth: settings.strictAuth
+        }
+      };
+    }
+  };
+  mock.setFaults(options.faults);
+
+  mock.server = http.createServer((req, res) => {
+    const started = settings.now();
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      let outcome;
+      try {
+        outcome = await route(req.method, url, req.headers, text);
+      } catch (error) {
+        outcome = { status: 500, body: { success: false, message: 'Data sync failed' }, note: error.message };
+      }
+      const headers = { ...(outcome.headers || {}) };
+      let payload = outcome.body;
+      if (typeof payload === 'string') {
+        headers['Content-Type'] = 'text/plain';
+      } else {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(payload);
+      }
+      res.writeHead(outcome.status, headers);
+      res.end(payload);
+      settings.log(`${req.method} ${url.pathname} ${outcome.status} ${settings.now() - started}ms${outcome.note ? ' - ' + outcome.note : ''}`);
+    });
+  });
+
+  async function route(method, url, headers, text) {
+    const path = url.pathname.replace(/\/+$/, '');
+    if (method === 'GET' && path === '/api/v1/health') return { status: 200, body: 'OK' };
+    if (method === 'POST' && path === '/api/v1/auth/login') return login(parseJson(text));
+    if (method === 'POST' && path === '/api/v1/auth/logout') return logout(headers);
+    if (method === 'POST' && path === SYNC_PATH) return sync(headers, text);
+    if (method === 'GET' && path === '/api/v1/browsing_data') return browsingData(headers, url.searchParams);
+    if (method === 'GET' && path === '/__mock/state') return { status: 200, body: mock.describe() };
+    if (method === 'POST' && path === '/__mock/reset') {
+      mock.reset();
+      return { status: 200, body: mock.describe() };
+    }
+    if (method === 'POST' && path === '/__mock/faults') {
+      const body = parseJson(text) || {};
+      try {
+        mock.setFaults(body.faults, body);
+      } catch (error) {
+        return { status: 400, body: { success: false, message: error.message } };
+      }
+      return { status: 200, body: mock.describe() };
+    }
+    return { status: 404, body: { success: false, message: `No mock for ${method} ${url.pathname}` } };
+  }
+
+  // Rodauth's login_response shape; any email and password are accepted
+  function login(body) {
+    if (!body || blank(body.email) || blank(body.password)) {
+      return { status: 401, body: { error: 'There was an error logging in', 'field-error': ['password', 'invalid password'] } };
+    }
+    const token = `mock.${crypto.randomBytes(12).toString('hex')}`;
+    state.tokens.set(token, { email: body.email, expiresAt: settings.now() + settings.tokenTtlSeconds * 1000 });
+    return {
+      status: 200,
+      headers: { Authorization: `Bearer ${token}` },
+      body: {
+        statusCode: 200,
+        message: 'User logged in successfully',
+        error: false,
+        data: { AccessToken: token, ExpiresIn: settings.tokenTtlSeconds, IdToken: `${token}.id`, RefreshToken: `${token}.refresh`, TokenType: 'Bearer' }
+      }
+    };
+  }
+
+  function logout(headers) {
+    const token = bearerToken(headers);
+    if (token) state.tokens.delete(token);
+    return { status: 200, body: { statusCode: 200, message: 'User logged out successfully', error: false } };
+  }
+
+  function bearerToken(headers) {
+    const header = headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+  }
+
+  // Tokens this server issued must be known and unexpired; others are only
+  // accepted without strictAuth
+  function authenticated(headers) {
+    const token = bearerToken(headers);
+    if (!token) return false;
+    const issued = state.tokens.get(token);
+    if (issued) return issued.expiresAt > settings.now();
+    return !settings.strictAuth;
+  }
+
+  function unauthorized(note) {
+    return { status: 401, body: { success: false, message: 'You need to sign in or sign up before continuing.' }, note: note };
+  }
+
+  // The first fault due for this request; counted faults are used up
+  function takeFault(kinds) {
+    for (const fault of state.faults) {
+      if (!kinds.includes(fault.kind)) continue;
+      if (fault.remaining !== undefined) {
+        if (fault.remaining <= 0) continue;
+        fault.remaining--;
+        return fault.kind;
+      }
+      if (fault.rate !== undefined) {
+        if (settings.random() < fault.rate) return fault.kind;
+        continue;
+      }
+      return fault.kind;
+    }
+    return null;
+  }
+
+  async function sync(headers, text) {
+    state.requests++;
+    const notes = [];
+    if (takeFault(['slow'])) {
+      notes.push(`slow ${settings.delayMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, settings.delayMs));
+    }
+
+    if (!authenticated(headers)) return unauthorized(notes.concat('not authenticated').join(', '));
+
+    const fault = takeFault(['401', '429', '500']);
+    if (fault === '401') return unauthorized(notes.concat('fault 401').join(', '));
+    if (fault === '429') {
+      return {
+        status: 429,
+        headers: { 'Retry-After': String(settings.retryAfterSeconds) },
+        body: { success: false, message: 'Rate limit exceeded. Try again later.' },
+        note: notes.concat('fault 429').join(', ')
+      };
+    }
+    if (fault === '500') {
+      return { status: 500, body: { success: false, message: 'Data sync failed' }, note: notes.concat('fault 500').join(', ') };
+    }
+
+    const body = parseJson(text);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { status: 400, body: { success: false, message: 'Invalid JSON body' }, note: notes.join(', ') };
+    }
+    const result = processBatch(body);
+    result.note = [result.note, ...notes].filter(Boolean).join(', ');
+    return result;
+  }
+
+  // DataSyncService#sync: batch size, transform and validate every record,
+  // save the valid ones and report the rest in validation_errors
+  function processBatch(body) {
+    const rawVisits = Array.isArray(body.pageVisits) ? body.pageVisits : [];
+    const rawAggregates = Array.isArray(body.tabAggregates) ? body.tabAggregates : [];
+    const total = rawVisits.length + rawAggregates.length;
+    if (total > MAX_BATCH_SIZE) {
+      return { status: 400, body: { success: false, message: `Batch size exceeded. Maximum ${MAX_BATCH_SIZE} records allowed, got ${total}` }, note: `${total} records` };
+    }
+
+    const syncLog = {
+      syncedAt: new Date(settings.now()).toISOString(),
+      status: 'processing',
+      client: { extensionVersion: body.extensionVersion || null, browserName: body.browserName || null, browserVersion: body.browserVersion || null },
+      pageVisitsSynced: 0,
+      tabAggregatesSynced: 0,
+      validationErrors: []
+    };
+    state.syncLogs.push(syncLog);
+
+    const rejectedRecords = [];
+    const reject = (id, type, errors) => {
+      rejectedRecords.push(id);
+      errors.forEach(error => syncLog.validationErrors.push({ record_id: id, record_type: type, field: error.field, message: error.message }));
+    };
+
+    const pageVisits = [];
+    for (const raw of rawVisits) {
+      const visit = buildPageVisitHash(raw);
+      const errors = validatePageVisit(visit).errors.concat(injectedErrors(visit.id));
+      if (errors.length > 0) reject(visit.id, 'page_visit', errors);
+      else pageVisits.push(visit);
+    }
+
+    // Aggregates link to the first visit of their tab among all visits sent,
+    // rejected ones included
+    const tabToPageVisit = buildTabToPageVisitMap(rawVisits);
+    const tabAggregates = [];
+    for (const raw of rawAggregates) {
+      const outcome = transformTabAggregate(raw, tabToPageVisit);
+      if (outcome.skipped) continue;
+      const errors = validateTabAggregate(outcome.aggregate).errors.concat(injectedErrors(outcome.aggregate.id));
+      if (errors.length > 0) reject(outcome.aggregate.id, 'tab_aggregate', errors);
+      else tabAggregates.push(outcome.aggregate);
+    }
+
+    // As in the server, a batch whose records were all rejected fails
+    // without completing its SyncLog
+    if (pageVisits.length === 0 && tabAggregates.length === 0 && rejectedRecords.length > 0) {
+      return { status: 400, body: { success: false, message: 'Validation failed for one or more records' }, note: `${rejectedRecords.length} rejected` };
+    }
+
+    pageVisits.forEach(visit => state.pageVisits.set(String(visit.id), visit));
+    tabAggregates.forEach(aggregate => state.tabAggregates.set(String(aggregate.id), aggregate));
+    syncLog.status = 'completed';
+    syncLog.pageVisitsSynced = pageVisits.length;
+    syncLog.tabAggregatesSynced = tabAggregates.length;
+
+    // SyncLog#data_quality_score counts every validation error as a rejected record
+    const synced = pageVisits.length + tabAggregates.length;
+    const dataQualityScore = synced + syncLog.validationErrors.length === 0
+      ? 100.0
+      : Math.round(synced / (synced + syncLog.validationErrors.length) * 10000) / 100;
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: rejectedRecords.length > 0
+          ? `Data synced with ${rejectedRecords.length} record(s) rejected due to validation errors`
+          : 'Data synced successfully',
+        data: {
+          page_visits_synced: pageVisits.length,
+          tab_aggregates_synced: tabAggregates.length,
+          rejected_records_count: rejectedRecords.length,
+          data_quality_score: dataQualityScore,
+          validation_errors: syncLog.validationErrors
+        }
+      },
+      note: `${pageVisits.length} visits, ${tabAggregates.length} aggregates${rejectedRecords.length ? `, ${rejectedRecords.length} rejected` : ''}`
+    };
+  }
+
+  // --reject-ids always, --reject-rate by a hash of the id, so a retried
+  // record is rejected again like a really invalid one would be
+  function injectedErrors(id) {
+    const key = String(id);
+    if (settings.rejectIds.map(String).includes(key) ||
+        (settings.rejectRate > 0 && crypto.createHash('sha1').update(key).digest().readUInt32BE(0) / 0x100000000 < settings.rejectRate)) {
+      return [{ field: 'id', message: 'rejected by the mock server (fault injection)' }];
+    }
+    return [];
+  }
+
+  function browsingData(headers, params) {
+    if (!authenticated(headers)) return { status: 401, body: { success: false, message: 'Invalid or expired token' } };
+    const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+    const perPage = Math.min(parseInt(params.get('per_page'), 10) || 50, 100);
+    const slice = map => Array.from(map.values()).slice((page - 1) * perPage, page * perPage);
+    return {
+      status: 200,
+      body: {
+        success: true,
+        data: {
+          page_visits: slice(state.pageVisits),
+          tab_aggregates: slice(state.tabAggregates),
+          pagination: { page: page, per_page: perPage, total_page_visits: state.pageVisits.size, total_tab_aggregates: state.tabAggregates.size }
+        }
+      }
+    };
+  }
+
+  return mock;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return { code: 2 };
+  }
+  if (options.help) {
+    stdout.write(USAGE + '\n');
+    return { code: 0 };
+  }
+
+  const mock = createMockSyncServer({
+    ...options,
+    log: options.quiet ? () => {} : line => stdout.write(`[${new Date().toISOString()}] ${line}\n`)
+  });
+  const url = await mock.listen(options.port, options.host);
+  stdout.write(`Mock sync server listening on ${url}\n`);
+  stdout.write(`  POST ${SYNC_PATH}, GET /api/v1/browsing_data, GET /api/v1/health, POST /api/v1/auth/login|logout\n`);
+  stdout.write(`  Faults: ${mock.state.faults.length ? options.faults.join(', ') : 'none'}` +
+    (options.rejectRate || options.rejectIds.length ? `; rejecting ${options.rejectRate * 100}% of records${options.rejectIds.length ? ` and ${options.rejectIds.join(', ')}` : ''}` : '') + '\n');
+  stdout.write('  Change faults with POST /__mock/faults, inspect with GET /__mock/state\n');
+  return { code: null, mock: mock };
+}
+
+if (require.main === module) {
+  main().then(({ code, mock }) => {
+    if (code !== null) {
+      process.exitCode = code;
+      return;
+    }
+    const shutdown = () => {
+      process.stdout.write('Stopping mock sync server\n');
+      mock.close().then(() => process.exit(0));
+      // Keep-alive connections would hold close() open
+      if (typeof mock.server.closeAllConnections === 'function') mock.server.closeAllConnections();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  }, error => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createMockSyncServer, parseArgs, parseFault, main, UsageError, MAX_BATCH_SIZE };
@@ -0,0 +1,360 @@
+// Monitor Sync - Live view of the local sync backlog
+// Browser-side counterpart of monitor_sync.rb: paste into the extension
+// console and it refreshes every INTERVAL_MS with
+// - synced / unsynced counts per store
+// - the backlog: unsynced records and how old the oldest one is
+// - SyncManager.getSyncState()
+// - the last successful sync (from the sync state, else the newest syncedAt)
+// - throughput since the monitor started and an ETA for the backlog
+//
+// The monitor keeps running after the script returns. Stop it with
+//   await heyhoSyncMonitor.stop()
+// which resolves to a summary; heyhoSyncMonitor.refresh() refreshes right
+// away and heyhoSyncMonitor.latest holds the last sample. Running the script
+// again stops the previous monitor first.
+
+(async function monitorSync() {
+  const DB_NAME = 'Heyho_EventsDB';
+  const INTERVAL_MS = 5000;
+  const MAX_TICKS = null; // Stop on its own after this many refreshes (null = until stopped)
+  const CLEAR_CONSOLE = true; // Clear the console before every refresh after the first
+
+  const STORES = ['pageVisits', 'tabAggregates', 'syncedPageVisits'];
+  // Stores whose synced count feeds the throughput
+  const RECORD_STORES = ['pageVisits', 'tabAggregates'];
+  // SyncManager.getSyncState() fields that may carry the last successful sync
+  const LAST_SYNC_FIELDS = ['lastSuccessfulSync', 'lastSuccessfulSyncAt', 'lastSyncTime', 'lastSyncedAt'];
+
+  const results = {
+    success: true,
+    database: DB_NAME,
+    intervalMs: INTERVAL_MS,
+    first: null
+  };
+
+  const startedAt = Date.now();
+  let ticks = 0;
+  let timer = null;
+  let stopped = false;
+  let inFlight = null;
+  let baseline = null;
+  let previous = null;
+  let resolveDone;
+
+  const monitor = {
+    startedAt: new Date(startedAt).toISOString(),
+    running: true,
+    latest: null,
+    done: new Promise(resolve => { resolveDone = resolve; }),
+    refresh: refresh,
+    stop: stop
+  };
+
+  try {
+    if (self.heyhoSyncMonitor && typeof self.heyhoSyncMonitor.stop === 'function' && self.heyhoSyncMonitor.running) {
+      console.log('[MONITOR] Stopping the monitor that was already running');
+      await self.heyhoSyncMonitor.stop();
+    }
+
+    const first = await refresh();
+    if (first.error) {
+      monitor.running = false;
+      stopped = true;
+      resolveDone(summarize('error'));
+      throw new Error(first.error);
+    }
+
+    self.heyhoSyncMonitor = monitor;
+    results.first = first;
+
+    if (MAX_TICKS !== null && ticks >= MAX_TICKS) {
+      await stop('maxTicks');
+    } else {
+      schedule();
+    }
+    return results;
+
+  } catch (error) {
+    console.error('[ERROR]:', error);
+    return { success: false, error: error.message };
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      timer = null;
+      await refresh();
+      if (MAX_TICKS !== null && ticks >= MAX_TICKS) {
+        await stop('maxTicks');
+        return;
+      }
+      schedule();
+    }, INTERVAL_MS);
+  }
+
+  // Takes and prints one sample; a refresh already running is shared
+  // instead of starting a second read
+  function refresh() {
+    if (!inFlight) {
+      inFlight = takeSample().finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  }
+
+  // Cancels the next refresh, waits for one in flight and resolves to the
+  // summary (also the value of heyhoSyncMonitor.done)
+  async function stop(reason) {
+    if (stopped) return monitor.done;
+    stopped = true;
+    monitor.running = false;
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (inFlight) await inFlight;
+
+    const summary = summarize(typeof reason === 'string' ? reason : 'stopped');
+    console.log(`[MONITOR] Stopped after ${summary.ticks} refresh(es) and ${formatDuration(summary.elapsedMs)}` +
+      (summary.throughput ? ` - ${summary.throughput.syncedSinceStart} record(s) synced (${summary.throughput.perMinute}/min)` : ''));
+    resolveDone(summary);
+    return summary;
+  }
+
+  function summarize(reason) {
+    const latest = monitor.latest;
+    return {
+      reason: reason,
+      startedAt: monitor.startedAt,
+      stoppedAt: new Date().toISOString(),
+      elapsedMs: Date.now() - startedAt,
+      ticks: ticks,
+      throughput: latest && !latest.error ? latest.throughput : null,
+      latest: latest
+    };
+  }
+
+  async function takeSample() {
+    ticks++;
+    const now = Date.now();
+    const sample = {
+      tick: ticks,
+      at: new Date(now).toISOString(),
+      stores: {},
+      backlog: null,
+      syncState: readSyncState(),
+      lastSuccessfulSync: null,
+      throughput: null,
+      error: null
+    };
+
+    try {
+      const scans = await scanDatabase();
+      let unsynced = 0;
+      let totalSynced = 0;
+      let oldestUnsynced = null;
+      let newestSyncedAt = null;
+
+      for (const [storeName, scan] of Object.entries(scans)) {
+        sample.stores[storeName] = { count: scan.count, synced: scan.synced, unsynced: scan.unsynced, missingSyncedField: scan.missing };
+        if (RECORD_STORES.includes(storeName)) {
+          unsynced += scan.unsynced;
+          totalSynced += scan.synced;
+        }
+        if (scan.oldestUnsynced !== null && (oldestUnsynced === null || scan.oldestUnsynced < oldestUnsynced)) {
+          oldestUnsynced = scan.oldestUnsynced;
+        }
+        if (scan.newestSyncedAt !== null && (newestSyncedAt === null || scan.newestSyncedAt > newestSyncedAt)) {
+          newestSyncedAt = scan.newestSyncedAt;
+        }
+      }
+
+      sample.backlog = {
+        unsynced: unsynced,
+        oldestUnsyncedAt: oldestUnsynced === null ? null : new Date(oldestUnsynced).toISOString(),
+        ageMs: oldestUnsynced === null ? null : Math.max(0, now - oldestUnsynced)
+      };
+      sample.lastSuccessfulSync = findLastSuccessfulSync(sample.syncState, newestSyncedAt);
+
+      // Throughput counts records that turned synced since the first sample;
+      // a reset while the monitor runs makes it drop
+      if (!baseline) baseline = { at: now, synced: totalSynced };
+      const elapsedMs = now - baseline.at;
+      const syncedSinceStart = totalSynced - baseline.synced;
+      const perMinute = elapsedMs > 0 ? Math.round(syncedSinceStart / (elapsedMs / 60000) * 10) / 10 : 0;
+      sample.throughput = {
+        syncedSinceStart: syncedSinceStart,
+        sinceLastRefresh: previous ? totalSynced - previous.synced : 0,
+        perMinute: perMinute,
+        etaMs: perMinute > 0 && unsynced > 0 ? Math.round(unsynced / perMinute * 60000) : null
+      };
+      previous = { at: now, synced: totalSynced };
+    } catch (error) {
+      sample.error = error.message;
+    }
+
+    monitor.latest = sample;
+    render(sample);
+    return sample;
+  }
+
+  // Never throws; the state is copied so later changes in the extension do
+  // not show up in older samples
+  function readSyncState() {
+    try {
+      const state = self.SyncManager && typeof self.SyncManager.getSyncState === 'function'
+        ? self.SyncManager.getSyncState()
+        : null;
+      return state ? JSON.parse(JSON.stringify(state)) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Prefers a timestamp the sync state reports; otherwise the newest syncedAt
+  // written by a sync is the last one that succeeded
+  function findLastSuccessfulSync(state, newestSyncedAt) {
+    if (state) {
+      for (const field of LAST_SYNC_FIELDS) {
+        const time = toTime(state[field]);
+        if (time !== null) {
+          return { at: new Date(time).toISOString(), source: 'syncState.' + field };
+        }
+      }
+    }
+    return newestSyncedAt === null ? null : { at: new Date(newestSyncedAt).toISOString(), source: 'syncedAt' };
+  }
+
+  function toTime(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && value > 0) return value;
+    if (typeof value === 'string') {
+      const parsed = Date.parse(value);
+      return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+  }
+
+  // Opens the database without creating it and scans the monitored stores
+  // it has
+  async function scanDatabase() {
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error('Database not found: ' + DB_NAME));
+      };
+    });
+
+    try {
+      const scans = {};
+      for (const storeName of STORES) {
+        if (!db.objectStoreNames.contains(storeName)) continue;
+        scans[storeName] = await scanStore(db.transaction(storeName, 'readonly').objectStore(storeName));
+      }
+      return scans;
+    } finally {
+      db.close();
+    }
+  }
+
+  // Counts records by their synced flag with a cursor and keeps the oldest
+  // unsynced start and the newest syncedAt
+  function scanStore(store) {
+    return new Promise((resolve, reject) => {
+      const scan = { count: 0, synced: 0, unsynced: 0, missing: 0, oldestUnsynced: null, newestSyncedAt: null };
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          resolve(scan);
+          return;
+        }
+        const record = cursor.value;
+        // Tracking entries may be bare values rather than records
+        const isRecord = record !== null && typeof record === 'object';
+        const synced = isRecord ? record.synced : undefined;
+        scan.count++;
+        if (synced === true) scan.synced++;
+        if (synced === false) {
+          scan.unsynced++;
+          const start = toTime(record.startedAt ?? record.startTime ?? record.start_time);
+          if (start !== null && (scan.oldestUnsynced === null || start < scan.oldestUnsynced)) {
+            scan.oldestUnsynced = start;
+          }
+        }
+        if (synced === undefined) scan.missing++;
+        const syncedAt = isRecord ? toTime(record.syncedAt) : null;
+        if (syncedAt !== null && (scan.newestSyncedAt === null || syncedAt > scan.newestSyncedAt)) {
+          scan.newestSyncedAt = syncedAt;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function render(sample) {
+    if (CLEAR_CONSOLE && sample.tick > 1 && typeof console.clear === 'function') {
+      console.clear();
+    }
+
+    console.log(`[MONITOR] Sync monitor - ${new Date(sample.at).toLocaleTimeString()} (refresh ${sample.tick}, every ${formatDuration(INTERVAL_MS)})`);
+    console.log('='.repeat(60));
+
+    if (sample.error) {
+      console.error('[ERROR] Could not read ' + DB_NAME + ': ' + sample.error);
+    } else {
+      console.log('\n[LOCAL STORES]');
+      for (const [storeName, counts] of Object.entries(sample.stores)) {
+        if (RECORD_STORES.includes(storeName)) {
+          console.log(`  ${(storeName + ':').padEnd(18)} ${counts.synced} synced, ${counts.unsynced} unsynced` +
+            (counts.missingSyncedField ? `, ${counts.missingSyncedField} without synced field` : ''));
+        } else {
+          console.log(`  ${(storeName + ':').padEnd(18)} ${counts.count} entries`);
+        }
+      }
+
+      console.log('\n[BACKLOG]');
+      console.log('  Unsynced records: ', sample.backlog.unsynced);
+      console.log('  Oldest unsynced:  ', sample.backlog.oldestUnsyncedAt
+        ? `${new Date(sample.backlog.oldestUnsyncedAt).toLocaleString()} (${formatDuration(sample.backlog.ageMs)} ago)`
+        : 'none');
+    }
+
+    console.log('\n[SYNC STATE]');
+    console.log('  ', sample.syncState === null ? 'unavailable (SyncManager.getSyncState() not found)' : sample.syncState);
+
+    if (!sample.error) {
+      console.log('\n[LAST SUCCESSFUL SYNC]');
+      const last = sample.lastSuccessfulSync;
+      console.log('  ', last
+        ? `${new Date(last.at).toLocaleString()} (${formatDuration(Date.parse(sample.at) - Date.parse(last.at))} ago, from ${last.source})`
+        : 'none found');
+
+      console.log('\n[THROUGHPUT]');
+      const throughput = sample.throughput;
+      console.log(`  ${signed(throughput.syncedSinceStart)} synced since start (${throughput.perMinute}/min), ${signed(throughput.sinceLastRefresh)} since last refresh`);
+      if (throughput.etaMs !== null) {
+        console.log(`  Backlog clears in about ${formatDuration(throughput.etaMs)} at this rate`);
+      }
+    }
+
+    console.log('\n' + '-'.repeat(60));
+    console.log('Run await heyhoSyncMonitor.stop() to stop');
+  }
+
+  function signed(value) {
+    return value > 0 ? '+' + value : String(value);
+  }
+
+  function formatDuration(ms) {
+    const seconds = Math.round(Math.max(0, ms) / 1000);
+    if (seconds < 60) return seconds + 's';
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+})();
@@ -0,0 +1,472 @@
+/**
+ * Manual Sync Push Script
+ *
+ * Sends unsynced local records to POST /api/v1/data/sync from the console,
+ * instead of resetting flags and waiting for the extension's sync cycle.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Set ACCESS_TOKEN below (or leave it null if AuthManager exposes
+ *    getAccessToken()) and check API_BASE_URL
+ * 3. Paste heyho_toolkit.js once per console session - this script takes
+ *    its browser detection from it
+ * 4. Copy and paste this entire script
+ * 5. Press Enter to run
+ *
+ * HOW IT WORKS:
+ * - Reads unsynced records through StorageModule.getUnsyncedPageVisits() and
+ *   getUnsyncedTabAggregates(), dropping URLs in Constants.INVALID_URL_PREFIXES
+ *   like the extension does
+ * - Sends them in chunks of at most MAX_BATCH_SIZE records. A tab's visits and
+ *   aggregates travel in the same chunk, since the server only links an
+ *   aggregate to a visit of the same request
+ * - Retries network errors, 408/429 and 5xx answers with exponential backoff
+ * - Marks records synced: true (and adds page visits to syncedPageVisits) only
+ *   when the server accepted them. Records listed in the response's
+ *   validation_errors, and aggregates the server skips while transforming,
+ *   stay unsynced
+ */
+
+(async function pushSyncData() {
+  console.log('📤 Starting manual sync push...\n');
+
+  const API_BASE_URL = 'http://localhost:3000';
+  const ACCESS_TOKEN = null; // JWT from POST /api/v1/auth/login; null = ask AuthManager
+  const DB_NAME = 'Heyho_EventsDB';
+  const MAX_BATCH_SIZE = 1000; // DataProcessing::DataSyncService::MAX_BATCH_SIZE
+  const CHUNK_SIZE = 1000; // Records per request, capped at MAX_BATCH_SIZE
+  const MAX_RETRIES = 3;
+  const RETRY_BASE_DELAY_MS = 1000; // Doubled on every retry
+
+  if (!self.heyho || typeof self.heyho.getExtensionVersion !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { getExtensionVersion, detectBrowser } = self.heyho;
+
+  const results = {
+    success: true,
+    batches: [],
+    acknowledged: { pageVisits: 0, tabAggregates: 0 },
+    rejected: [],
+    skipped: [],
+    errors: []
+  };
+
+  try {
+    if (!self.StorageModule) {
+      throw new Error('StorageModule not found - run this in the extension console');
+    }
+
+    if (self.SyncManager && self.SyncManager.getSyncState) {
+      const syncState = self.SyncManager.getSyncState();
+      if (syncState && syncState.isSyncing) {
+        throw new Error('The extension is syncing right now. Wait for it to finish and run again.');
+      }
+    }
+
+    const token = await resolveAccessToken();
+    const endpoint = API_BASE_URL.replace(/\/+$/, '') + '/api/v1/data/sync';
+
+    const invalidPrefixes = (self.Constants && self.Constants.INVALID_URL_PREFIXES) || [];
+    const isSendable = record => !invalidPrefixes.some(prefix => (record.url || '').startsWith(prefix));
+
+    const unsyncedVisits = await self.StorageModule.getUnsyncedPageVisits();
+    const unsyncedAggregates = await self.StorageModule.getUnsyncedTabAggregates();
+    const pageVisits = unsyncedVisits
+      .filter(isSendable)
+      .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+
+    console.log(`📊 Unsynced: ${pageVisits.length} page visits (${unsyncedVisits.length - pageVisits.length} filtered by URL), ${unsyncedAggregates.length} tab aggregates`);
+
+    if (pageVisits.length === 0 && unsyncedAggregates.length === 0) {
+      console.log('\n✅ Nothing to sync.');
+      return results;
+    }
+
+    const chunks = buildChunks(pageVisits, unsyncedAggregates, Math.min(CHUNK_SIZE, MAX_BATCH_SIZE));
+    const browser = detectBrowser();
+    console.log(`📦 Sending ${chunks.length} batch(es) to ${endpoint}\n`);
+
+    const db = await openDatabase();
+
+    try {
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const batch = {
+          index: i + 1,
+          pageVisits: chunk.pageVisits.length,
+          tabAggregates: chunk.tabAggregates.length,
+          status: null,
+          attempts: 0,
+          acknowledged: { pageVisits: 0, tabAggregates: 0 },
+          rejected: 0,
+          skipped: 0,
+          error: null
+        };
+        results.batches.push(batch);
+
+        const response = await postWithRetry(endpoint, token, {
+          pageVisits: chunk.pageVisits,
+          tabAggregates: chunk.tabAggregates,
+          extensionVersion: getExtensionVersion(),
+          browserName: browser.name,
+          browserVersion: browser.version
+        });
+        batch.status = response.status;
+        batch.attempts = response.attempts;
+
+        if (!response.ok) {
+          batch.error = response.error;
+          results.success = false;
+          results.errors.push({ batch: batch.index, status: response.status, message: response.error });
+          console.error(`   ❌ Batch ${batch.index}: ${response.error} (after ${response.attempts} attempt(s))`);
+
+          if (response.status === 401) {
+            console.error('\n❌ Access token rejected - stopping. Log in again and rerun.');
+            break;
+          }
+          continue;
+        }
+
+        const outcome = acknowledge(chunk, response.body);
+        batch.rejected = outcome.rejected.length;
+        batch.skipped = outcome.skipped.length;
+        results.rejected.push(...outcome.rejected);
+        results.skipped.push(...outcome.skipped);
+
+        try {
+          await markSynced(db, outcome.pageVisits, outcome.tabAggregates);
+          batch.acknowledged = { pageVisits: outcome.pageVisits.length, tabAggregates: outcome.tabAggregates.length };
+          results.acknowledged.pageVisits += outcome.pageVisits.length;
+          results.acknowledged.tabAggregates += outcome.tabAggregates.length;
+        } catch (error) {
+          // The server has the records; the next sync re-sends them and the server merges duplicates
+          batch.error = `Accepted by server but not marked locally: ${error.message}`;
+          results.success = false;
+          results.errors.push({ batch: batch.index, message: batch.error });
+        }
+
+        const flag = batch.error ? '⚠️ ' : '✅';
+        console.log(`   ${flag} Batch ${batch.index}: ${outcome.pageVisits.length}/${chunk.pageVisits.length} visits, ${outcome.tabAggregates.length}/${chunk.tabAggregates.length} aggregates acknowledged` +
+          (batch.rejected > 0 ? `, ${batch.rejected} rejected` : '') +
+          (batch.skipped > 0 ? `, ${batch.skipped} skipped` : '') +
+          (batch.attempts > 1 ? ` (${batch.attempts} attempts)` : ''));
+      }
+    } finally {
+      db.close();
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 PUSH SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`  Batches: ${results.batches.length}/${chunks.length} sent, ${results.batches.filter(b => !b.error).length} succeeded`);
+    console.log(`  Acknowledged: ${results.acknowledged.pageVisits} page visits, ${results.acknowledged.tabAggregates} tab aggregates`);
+    console.log(`  Rejected by validation: ${results.rejected.length}`);
+    console.log(`  Skipped by the server: ${results.skipped.length}`);
+
+    if (results.rejected.length > 0) {
+      console.log('\n⚠️  Rejected records (left unsynced):');
+      console.table(results.rejected.slice(0, 20).map(record => ({
+        type: record.type,
+        id: record.id,
+        errors: record.errors.map(error => `${error.field}: ${error.message}`).join('; ')
+      })));
+    }
+    if (results.skipped.length > 0) {
+      console.log('\n⚠️  Skipped tab aggregates (left unsynced):');
+      results.skipped.slice(0, 20).forEach(skip => console.log(`   tabId ${skip.tabId}: ${skip.reason}`));
+    }
+
+    return results;
+
+  } catch (error) {
+    console.error('\n❌ FATAL ERROR:', error);
+    return { success: false, error: error.message };
+  }
+
+  async function resolveAccessToken() {
+    if (ACCESS_TOKEN) return ACCESS_TOKEN;
+    if (self.AuthManager && typeof self.AuthManager.getAccessToken === 'function') {
+      const token = await self.AuthManager.getAccessToken();
+      if (token) return token;
+    }
+    throw new Error('No access token. Set ACCESS_TOKEN at the top of the script.');
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${DB_NAME} does not exist`));
+      };
+    });
+  }
+
+  // Groups records by tab so each chunk carries the visits its aggregates link
+  // to. A tab with more records than fit in one chunk is split, and its
+  // aggregate goes with the part holding its first visit.
+  function buildChunks(visits, aggregates, size) {
+    const groups = new Map();
+    const groupFor = tabId => {
+      const key = tabId === undefined || tabId === null ? Symbol('no-tab') : tabId;
+      if (!groups.has(key)) groups.set(key, { pageVisits: [], tabAggregates: [] });
+      return groups.get(key);
+    };
+    visits.forEach(visit => groupFor(visit.tabId).pageVisits.push(visit));
+    aggregates.forEach(aggregate => groupFor(aggregate.tabId).tabAggregates.push(aggregate));
+
+    const units = [];
+    for (const group of groups.values()) {
+      if (group.pageVisits.length + group.tabAggregates.length <= size) {
+        units.push(group);
+        continue;
+      }
+      // tabAggregates is keyed by tabId, so a tab has a single aggregate
+      const head = Math.max(size - group.tabAggregates.length, 1);
+      units.push({ pageVisits: group.pageVisits.slice(0, head), tabAggregates: group.tabAggregates });
+      for (let start = head; start < group.pageVisits.length; start += size) {
+        units.push({ pageVisits: group.pageVisits.slice(start, start + size), tabAggregates: [] });
+      }
+    }
+
+    const chunks = [];
+    let current = null;
+    for (const unit of units) {
+      const unitSize = unit.pageVisits.length + unit.tabAggregates.length;
+      if (!current || current.pageVisits.length + current.tabAggregates.length + unitSize > size) {
+        current = { pageVisits: [], tabAggregates: [] };
+        chunks.push(current);
+      }
+      current.pageVisits.push(...unit.pageVisits);
+      current.tabAggregates.push(...unit.tabAggregates);
+    }
+    return chunks;
+  }
+
+  async function postWithRetry(url, token, body) {
+    const json = JSON.stringify(body);
+    let lastError = null;
+    let lastStatus = null;
+
+    for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+      let retryable;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: json
+        });
+        const payload = await response.json().catch(() => null);
+
+        if (response.ok) {
+          return { ok: true, status: response.status, body: payload, attempts: attempt };
+        }
+
+        lastStatus = response.status;
+        lastError = `HTTP ${response.status}: ${(payload && (payload.message || payload.error)) || response.statusText}`;
+        retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      } catch (error) {
+        lastStatus = null;
+        lastError = `Network error: ${error.message}`;
+        retryable = true;
+      }
+
+      if (!retryable || attempt > MAX_RETRIES) {
+        return { ok: false, status: lastStatus, error: lastError, attempts: attempt };
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+      console.log(`   ⏳ ${lastError} - retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Splits a chunk into the records the server saved and those it did not,
+  // using the ids in data.validation_errors and the aggregate linking rules
+  // of DataSyncService#transform_tab_aggregates
+  function acknowledge(chunk, body) {
+    const validationErrors = (body && body.data && body.data.validation_errors) || [];
+    const rejectedErrors = { page_visit: new Map(), tab_aggregate: new Map() };
+    validationErrors.forEach(error => {
+      const byId = rejectedErrors[error.record_type];
+      if (!byId) return;
+      const key = String(error.record_id);
+      if (!byId.has(key)) byId.set(key, []);
+      byId.get(key).push({ field: error.field, message: error.message });
+    });
+
+    const outcome = { pageVisits: [], tabAggregates: [], rejected: [], skipped: [] };
+
+    const tabToPageVisit = buildTabToPageVisitMap(chunk.pageVisits);
+    chunk.pageVisits.forEach(visit => {
+      const id = getValue(visit, 'id', 'visitId');
+      const errors = rejectedErrors.page_visit.get(String(id));
+      if (errors) {
+        outcome.rejected.push({ type: 'page_visit', id: id, errors: errors });
+      } else {
+        outcome.pageVisits.push(visit);
+      }
+    });
+
+    chunk.tabAggregates.forEach(aggregate => {
+      const reason = skipReason(aggregate, tabToPageVisit);
+      if (reason) {
+        outcome.skipped.push({ tabId: aggregate.tabId, reason: reason });
+        return;
+      }
+
+      const id = serverAggregateId(aggregate);
+      const errors = rejectedErrors.tab_aggregate.get(String(id));
+      if (errors) {
+        outcome.rejected.push({ type: 'tab_aggregate', id: id, tabId: aggregate.tabId, errors: errors });
+      } else {
+        outcome.tabAggregates.push(aggregate);
+      }
+    });
+
+    return outcome;
+  }
+
+  // DataSyncService#build_tab_to_page_visit_map: each tab links to its first
+  // visit in the batch. Ruby truthiness, so tab 0 and '' count
+  function buildTabToPageVisitMap(visits) {
+    const tabToPageVisit = {};
+    for (const visit of visits) {
+      const visitId = getValue(visit, 'id', 'visitId');
+      if (truthy(visit.tabId) && truthy(visitId) && !(visit.tabId in tabToPageVisit)) {
+        tabToPageVisit[visit.tabId] = visitId;
+      }
+    }
+    return tabToPageVisit;
+  }
+
+  // DataSyncService#browser_extension_format? uses .present?, so empty
+  // strings do not count
+  function isExtensionFormat(aggregate) {
+    return !blank(aggregate.tabId) && !blank(getValue(aggregate, 'startTime', 'start_time'));
+  }
+
+  function serverAggregateId(aggregate) {
+    if (truthy(aggregate.id) || !isExtensionFormat(aggregate)) return aggregate.id;
+    return `agg_${getValue(aggregate, 'startTime', 'start_time')}_${aggregate.tabId}`;
+  }
+
+  function skipReason(aggregate, tabToPageVisit) {
+    if (!isExtensionFormat(aggregate)) {
+      return getValue(aggregate, 'page_visit_id', 'pageVisitId') ? null : 'missing page_visit_id';
+    }
+    if (!tabToPageVisit[aggregate.tabId]) {
+      return 'no page visit for this tab in the batch';
+    }
+    const startTime = getValue(aggregate, 'startTime', 'start_time');
+    const lastActive = getValue(aggregate, 'lastActiveTime', 'last_active_time') || startTime;
+    const seconds = Math.trunc((lastActive - startTime) / 1000);
+    if (!Number.isFinite(seconds) || seconds < 0 || seconds > 365 * 24 * 3600) {
+      return `invalid duration ${seconds}s`;
+    }
+    return null;
+  }
+
+  // Flags the acknowledged records in one transaction, re-reading each record
+  // so changes the extension made since StorageModule returned it are kept
+  async function markSynced(db, visits, aggregates) {
+    if (visits.length === 0 && aggregates.length === 0) return;
+
+    const storeNames = ['pageVisits', 'tabAggregates', 'syncedPageVisits'].filter(name => db.objectStoreNames.contains(name));
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || new Error('Marking transaction aborted'));
+    });
+    const syncedAt = Date.now();
+
+    try {
+      const visitStore = transaction.objectStore('pageVisits');
+      for (const visit of visits) {
+        await markRecord(visitStore, keyOf(visitStore, visit), syncedAt);
+      }
+
+      if (storeNames.includes('tabAggregates')) {
+        const aggregateStore = transaction.objectStore('tabAggregates');
+        for (const aggregate of aggregates) {
+          await markRecord(aggregateStore, keyOf(aggregateStore, aggregate), syncedAt);
+        }
+      }
+
+      if (storeNames.includes('syncedPageVisits')) {
+        const trackingStore = transaction.objectStore('syncedPageVisits');
+        for (const visit of visits) {
+          const visitId = getValue(visit, 'visitId', 'id');
+          const entry = { visitId: visitId, syncedAt: syncedAt };
+          const request = typeof trackingStore.keyPath === 'string' && trackingStore.keyPath !== 'visitId'
+            ? trackingStore.put({ ...entry, [trackingStore.keyPath]: visitId })
+            : trackingStore.keyPath === null && !trackingStore.autoIncrement
+              ? trackingStore.put(entry, visitId)
+              : trackingStore.put(entry);
+          await requestToPromise(request);
+        }
+      }
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // Already aborted
+      }
+      await done.catch(() => {});
+      throw error;
+    }
+
+    await done;
+  }
+
+  function keyOf(store, record) {
+    const keyPath = store.keyPath;
+    if (typeof keyPath === 'string') return record[keyPath];
+    if (Array.isArray(keyPath)) return keyPath.map(path => record[path]);
+    return getValue(record, 'visitId', 'id');
+  }
+
+  async function markRecord(store, key, syncedAt) {
+    if (key === undefined || key === null) return;
+    const current = await requestToPromise(store.get(key));
+    if (!current) return;
+    current.synced = true;
+    current.syncedAt = syncedAt;
+    await requestToPromise(store.keyPath === null ? store.put(current, key) : store.put(current));
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Ruby truthiness, as used by DataSyncService#get_value: only nil/false are falsy
+  function truthy(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  // ActiveSupport #blank?
+  function blank(value) {
+    if (!truthy(value)) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  function getValue(hash, ...keys) {
+    for (const key of keys) {
+      if (truthy(hash[key])) return hash[key];
+    }
+    return null;
+  }
+})();
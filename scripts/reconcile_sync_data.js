@@ -0,0 +1,450 @@
+/**
+ * Local vs Server Reconciliation Script
+ *
+ * Pages through GET /api/v1/browsing_data and compares the server's page
+ * visits and tab aggregates with the local IndexedDB stores by id.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Set ACCESS_TOKEN below (or leave it null if AuthManager exposes
+ *    getAccessToken()) and check API_BASE_URL
+ * 3. Paste heyho_toolkit.js once per console session - this script takes
+ *    its sync guard and file download from it
+ * 4. Copy and paste this entire script
+ * 5. Press Enter to run
+ *
+ * REPORTS:
+ * - missingOnServer: local records the server does not have, split into
+ *   those flagged synced locally (lost or rejected) and those not synced yet
+ * - onlyOnServer: server records with no local counterpart (other browsers,
+ *   or local data that was cleared)
+ * - mismatches: records on both sides whose title, URL, domain, visit time or
+ *   durations differ after applying the server's own transformations
+ *
+ * With MARK_MISSING_UNSYNCED = true, the records that are flagged synced
+ * locally but missing on the server are set back to synced: false, without
+ * a syncedAt (and their syncedPageVisits entries removed), so the next sync
+ * sends only those. For a missing tab aggregate the first visit of its tab
+ * is resent as well, since the server only links aggregates to visits of the
+ * same request. Marking waits for an in-flight sync first (see the sync guard
+ * in heyho_toolkit.js), and is skipped if the sync state cannot be read
+ * unless FORCE_WITHOUT_SYNC_STATE = true.
+ */
+
+(async function reconcileSyncData() {
+  console.log('🔎 Starting local vs server reconciliation...\n');
+
+  const API_BASE_URL = 'http://localhost:3000';
+  const ACCESS_TOKEN = null; // JWT from POST /api/v1/auth/login; null = ask AuthManager
+  const DB_NAME = 'Heyho_EventsDB';
+  const PER_PAGE = 100; // Server maximum
+  const MARK_MISSING_UNSYNCED = false; // Set to true to reset the synced flag of records missing on the server
+  const DURATION_TOLERANCE_SECONDS = 1;
+  const MAX_ROWS_LOGGED = 20;
+  const SYNC_WAIT_TIMEOUT_MS = 60000; // How long to wait for an in-flight sync before marking
+  const FORCE_WITHOUT_SYNC_STATE = false; // Set to true to mark even when the sync state cannot be read
+
+  // DataProcessing::DataValidationService limits applied by DataSanitizationService
+  const MAX_TITLE_LENGTH = 500;
+  const MAX_DURATION = 86400;
+
+  if (!self.heyho || typeof self.heyho.guardSync !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { guardSync, releaseSync } = self.heyho;
+
+  const results = {
+    success: true,
+    server: { pageVisits: 0, tabAggregates: 0, pages: 0 },
+    local: { pageVisits: 0, tabAggregates: 0, filtered: 0 },
+    missingOnServer: { pageVisits: [], tabAggregates: [] },
+    onlyOnServer: { pageVisits: [], tabAggregates: [] },
+    mismatches: [],
+    marked: null,
+    syncGuard: null,
+    errors: []
+  };
+
+  try {
+    const token = await resolveAccessToken();
+    const server = await fetchServerData(token);
+    results.server.pageVisits = server.pageVisits.size;
+    results.server.tabAggregates = server.tabAggregates.size;
+    results.server.pages = server.pages;
+    console.log(`🌐 Server: ${server.pageVisits.size} page visits, ${server.tabAggregates.size} tab aggregates (${server.pages} page(s))`);
+
+    const db = await openDatabase();
+    let local;
+    try {
+      local = await readLocalData(db);
+    } finally {
+      db.close();
+    }
+
+    const invalidPrefixes = (self.Constants && self.Constants.INVALID_URL_PREFIXES) || [];
+    const isSendable = record => !invalidPrefixes.some(prefix => (record.url || '').startsWith(prefix));
+    const sendableVisits = local.pageVisits.filter(isSendable);
+    results.local.pageVisits = sendableVisits.length;
+    results.local.tabAggregates = local.tabAggregates.length;
+    results.local.filtered = local.pageVisits.length - sendableVisits.length;
+    console.log(`💾 Local: ${sendableVisits.length} page visits (${results.local.filtered} never synced by URL filter), ${local.tabAggregates.length} tab aggregates\n`);
+
+    // Page visits
+    const localVisitIds = new Set();
+    for (const visit of sendableVisits) {
+      const id = String(getValue(visit, 'id', 'visitId'));
+      localVisitIds.add(id);
+      const remote = server.pageVisits.get(id);
+      if (!remote) {
+        results.missingOnServer.pageVisits.push({ id: id, syncedLocally: visit.synced === true, startedAt: visit.startedAt, url: visit.url });
+        continue;
+      }
+      compareVisit(id, visit, remote);
+    }
+    for (const [id, remote] of server.pageVisits) {
+      if (!localVisitIds.has(id)) {
+        results.onlyOnServer.pageVisits.push({ id: id, visited_at: remote.visited_at, url: remote.url });
+      }
+    }
+
+    // Tab aggregates, under the id DataSyncService gives them
+    const localAggregateIds = new Set();
+    for (const aggregate of local.tabAggregates) {
+      const id = String(serverAggregateId(aggregate));
+      localAggregateIds.add(id);
+      const remote = server.tabAggregates.get(id);
+      if (!remote) {
+        results.missingOnServer.tabAggregates.push({ id: id, tabId: aggregate.tabId, syncedLocally: aggregate.synced === true, url: aggregate.currentUrl || aggregate.url });
+        continue;
+      }
+      compareAggregate(id, aggregate, remote);
+    }
+    for (const [id, remote] of server.tabAggregates) {
+      if (!localAggregateIds.has(id)) {
+        results.onlyOnServer.tabAggregates.push({ id: id, page_visit_id: remote.page_visit_id, current_url: remote.current_url });
+      }
+    }
+
+    const lostVisits = results.missingOnServer.pageVisits.filter(record => record.syncedLocally);
+    const lostAggregates = results.missingOnServer.tabAggregates.filter(record => record.syncedLocally);
+
+    if (MARK_MISSING_UNSYNCED && (lostVisits.length > 0 || lostAggregates.length > 0)) {
+      const visitIds = new Set(lostVisits.map(record => record.id));
+      const tabIds = new Set(lostAggregates.map(record => record.tabId));
+
+      // The server drops an aggregate unless a visit of its tab is in the same
+      // request, so resend the tab's first visit too (the server merges it)
+      const linkedVisits = sendableVisits
+        .filter(visit => tabIds.has(visit.tabId))
+        .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+      const linkedTabs = new Set();
+      for (const visit of linkedVisits) {
+        if (linkedTabs.has(visit.tabId)) continue;
+        linkedTabs.add(visit.tabId);
+        visitIds.add(String(getValue(visit, 'id', 'visitId')));
+      }
+
+      // A sync running now could flag the records synced again right after
+      const syncGuard = await guardSync({
+        syncWaitTimeoutMs: SYNC_WAIT_TIMEOUT_MS,
+        forceWithoutSyncState: FORCE_WITHOUT_SYNC_STATE,
+        forceHint: 'set FORCE_WITHOUT_SYNC_STATE = true'
+      });
+      results.syncGuard = syncGuard;
+      if (syncGuard.proceed) {
+        try {
+          const markDb = await openDatabase();
+          try {
+            results.marked = await markUnsynced(markDb, visitIds, tabIds);
+          } finally {
+            markDb.close();
+          }
+        } finally {
+          await releaseSync(syncGuard);
+        }
+      } else {
+        results.errors.push({ step: 'markUnsynced', error: syncGuard.reason });
+        console.warn(`⚠️  Not marking records unsynced: ${syncGuard.reason}`);
+      }
+    }
+
+    console.log('='.repeat(60));
+    console.log('📊 RECONCILIATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`  Missing on server: ${results.missingOnServer.pageVisits.length} page visits (${lostVisits.length} flagged synced locally), ${results.missingOnServer.tabAggregates.length} tab aggregates (${lostAggregates.length} flagged synced locally)`);
+    console.log(`  Only on server: ${results.onlyOnServer.pageVisits.length} page visits, ${results.onlyOnServer.tabAggregates.length} tab aggregates`);
+    console.log(`  Field mismatches: ${results.mismatches.length}`);
+
+    if (lostVisits.length > 0 || lostAggregates.length > 0) {
+      console.log('\n⚠️  Flagged synced locally but missing on the server:');
+      console.table([...lostVisits, ...lostAggregates].slice(0, MAX_ROWS_LOGGED));
+    }
+    if (results.mismatches.length > 0) {
+      console.log('\n⚠️  Field mismatches:');
+      console.table(results.mismatches.slice(0, MAX_ROWS_LOGGED));
+    }
+
+    if (results.marked) {
+      console.log(`\n✅ Marked unsynced: ${results.marked.pageVisits} page visits, ${results.marked.tabAggregates} tab aggregates, removed ${results.marked.syncedPageVisits} syncedPageVisits entries`);
+      console.log('   Trigger a sync to send them again.');
+    } else if (lostVisits.length > 0 || lostAggregates.length > 0) {
+      console.log('\n💡 Set MARK_MISSING_UNSYNCED = true to resend only these records on the next sync.');
+    }
+
+    return results;
+
+  } catch (error) {
+    console.error('\n❌ FATAL ERROR:', error);
+    return { success: false, error: error.message };
+  }
+
+  async function resolveAccessToken() {
+    if (ACCESS_TOKEN) return ACCESS_TOKEN;
+    if (self.AuthManager && typeof self.AuthManager.getAccessToken === 'function') {
+      const token = await self.AuthManager.getAccessToken();
+      if (token) return token;
+    }
+    throw new Error('No access token. Set ACCESS_TOKEN at the top of the script.');
+  }
+
+  // Both lists share the page parameter, so keep paging until the longer one
+  // is exhausted. Records are keyed by id, which also absorbs duplicates when
+  // a sync shifts the pages while we read them.
+  async function fetchServerData(token) {
+    const baseUrl = API_BASE_URL.replace(/\/+$/, '') + '/api/v1/browsing_data';
+    const pageVisits = new Map();
+    const tabAggregates = new Map();
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await fetch(`${baseUrl}?page=${page}&per_page=${PER_PAGE}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const body = await response.json().catch(() => null);
+      if (!response.ok || !body || !body.data) {
+        throw new Error(`GET /api/v1/browsing_data page ${page} failed: HTTP ${response.status} ${(body && body.message) || response.statusText}`);
+      }
+
+      const { page_visits: visits, tab_aggregates: aggregates, pagination } = body.data;
+      visits.forEach(visit => pageVisits.set(String(visit.id), visit));
+      aggregates.forEach(aggregate => tabAggregates.set(String(aggregate.id), aggregate));
+
+      const total = Math.max(pagination.total_page_visits, pagination.total_tab_aggregates);
+      totalPages = Math.max(Math.ceil(total / pagination.per_page), 1);
+      page++;
+    } while (page <= totalPages);
+
+    return { pageVisits, tabAggregates, pages: totalPages };
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${DB_NAME} does not exist`));
+      };
+    });
+  }
+
+  async function readLocalData(db) {
+    const storeNames = ['pageVisits', 'tabAggregates'].filter(name => db.objectStoreNames.contains(name));
+    const data = { pageVisits: [], tabAggregates: [] };
+    if (storeNames.length === 0) return data;
+
+    const transaction = db.transaction(storeNames, 'readonly');
+    for (const storeName of storeNames) {
+      data[storeName] = await requestToPromise(transaction.objectStore(storeName).getAll());
+    }
+    return data;
+  }
+
+  function compareVisit(id, visit, remote) {
+    const title = truthy(visit.title) ? sanitizeText(visit.title) : null;
+    if (title !== null && title !== remote.title) {
+      addMismatch('pageVisits', id, 'title', title, remote.title);
+    }
+    if (visit.url !== remote.url) {
+      addMismatch('pageVisits', id, 'url', visit.url, remote.url);
+    }
+    if (truthy(visit.domain) && sanitizeDomain(visit.domain) !== remote.domain) {
+      addMismatch('pageVisits', id, 'domain', visit.domain, remote.domain);
+    }
+
+    const startedAt = getValue(visit, 'visited_at', 'startedAt');
+    if (truthy(startedAt) && secondsOf(startedAt) !== secondsOf(remote.visited_at)) {
+      addMismatch('pageVisits', id, 'visited_at', isoOf(startedAt), remote.visited_at);
+    }
+
+    const durationSeconds = getValue(visit, 'durationSeconds', 'duration_seconds');
+    if (truthy(durationSeconds)) {
+      compareDuration('pageVisits', id, 'duration_seconds', clampDuration(durationSeconds), remote.duration_seconds);
+    }
+    if (truthy(visit.activeDuration)) {
+      compareDuration('pageVisits', id, 'active_duration_seconds', clampDuration(visit.activeDuration / 1000), remote.active_duration_seconds);
+    }
+  }
+
+  function compareAggregate(id, aggregate, remote) {
+    const startTime = getValue(aggregate, 'startTime', 'start_time');
+    if (truthy(startTime)) {
+      const lastActive = getValue(aggregate, 'lastActiveTime', 'last_active_time') || startTime;
+      compareDuration('tabAggregates', id, 'total_time_seconds', Math.trunc((lastActive - startTime) / 1000), remote.total_time_seconds);
+    }
+
+    const currentUrl = getValue(aggregate, 'currentUrl', 'current_url', 'url');
+    if (truthy(currentUrl) && currentUrl !== remote.current_url) {
+      addMismatch('tabAggregates', id, 'current_url', currentUrl, remote.current_url);
+    }
+
+    const pageCount = getValue(aggregate, 'pageCount', 'page_count');
+    if (truthy(pageCount) && Number(pageCount) !== Number(remote.page_count)) {
+      addMismatch('tabAggregates', id, 'page_count', pageCount, remote.page_count);
+    }
+  }
+
+  function compareDuration(store, id, field, localValue, serverValue) {
+    const serverNumber = serverValue === null || serverValue === undefined ? null : Number(serverValue);
+    if (serverNumber === null || Math.abs(Number(localValue) - serverNumber) > DURATION_TOLERANCE_SECONDS) {
+      addMismatch(store, id, field, localValue, serverValue);
+    }
+  }
+
+  function addMismatch(store, id, field, localValue, serverValue) {
+    results.mismatches.push({ store: store, id: id, field: field, local: localValue, server: serverValue });
+  }
+
+  // Resets the synced flag of the given records in one transaction. Each
+  // record is re-read inside it, so a change made since the comparison (e.g.
+  // by a sync that finished in between) is kept rather than overwritten.
+  async function markUnsynced(db, visitIds, tabIds) {
+    const storeNames = ['pageVisits', 'tabAggregates', 'syncedPageVisits'].filter(name => db.objectStoreNames.contains(name));
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || new Error('Marking transaction aborted'));
+    });
+    const marked = { pageVisits: 0, tabAggregates: 0, syncedPageVisits: 0 };
+
+    try {
+      marked.pageVisits = await markRecords(transaction.objectStore('pageVisits'), visit => visitIds.has(String(getValue(visit, 'id', 'visitId'))));
+
+      if (storeNames.includes('tabAggregates')) {
+        marked.tabAggregates = await markRecords(transaction.objectStore('tabAggregates'), aggregate => tabIds.has(aggregate.tabId));
+      }
+
+      if (storeNames.includes('syncedPageVisits')) {
+        const trackingStore = transaction.objectStore('syncedPageVisits');
+        marked.syncedPageVisits = await new Promise((resolve, reject) => {
+          let deleted = 0;
+          const cursorRequest = trackingStore.openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+              resolve(deleted);
+              return;
+            }
+            const entry = cursor.value;
+            const visitId = entry && typeof entry === 'object' ? (entry.visitId || entry.id || cursor.primaryKey) : cursor.primaryKey;
+            if (visitIds.has(String(visitId))) {
+              cursor.delete();
+              deleted++;
+            }
+            cursor.continue();
+          };
+          cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+      }
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // Already aborted
+      }
+      await done.catch(() => {});
+      throw error;
+    }
+
+    await done;
+    return marked;
+  }
+
+  // Sets synced = false and drops syncedAt on every record matches() picks,
+  // as the record is now
+  function markRecords(store, matches) {
+    return new Promise((resolve, reject) => {
+      let count = 0;
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(count);
+          return;
+        }
+        const record = cursor.value;
+        if (matches(record)) {
+          record.synced = false;
+          delete record.syncedAt;
+          const updateRequest = cursor.update(record);
+          updateRequest.onerror = () => reject(updateRequest.error);
+          count++;
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  function serverAggregateId(aggregate) {
+    const startTime = getValue(aggregate, 'startTime', 'start_time');
+    if (truthy(aggregate.id) || !truthy(aggregate.tabId) || !truthy(startTime)) return aggregate.id;
+    return `agg_${startTime}_${aggregate.tabId}`;
+  }
+
+  // DataSanitizationService#sanitize_text
+  function sanitizeText(text) {
+    return String(text).trim().replace(/[\u0000-\u001f\u007f]/g, '').slice(0, MAX_TITLE_LENGTH);
+  }
+
+  // DataSanitizationService#sanitize_domain
+  function sanitizeDomain(domain) {
+    return String(domain).toLowerCase().trim().replace(/^www\./, '');
+  }
+
+  // DataSanitizationService#sanitize_duration, stored in an integer column
+  function clampDuration(seconds) {
+    return Math.round(Math.min(Math.max(Number(seconds), 0), MAX_DURATION));
+  }
+
+  function secondsOf(value) {
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+  }
+
+  function isoOf(value) {
+    return typeof value === 'number' ? new Date(value).toISOString() : value;
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Ruby truthiness, as used by DataSyncService#get_value: only nil/false are falsy
+  function truthy(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  function getValue(hash, ...keys) {
+    for (const key of keys) {
+      if (truthy(hash[key])) return hash[key];
+    }
+    return null;
+  }
+})();
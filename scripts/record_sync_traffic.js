@@ -0,0 +1,498 @@
+// Record Sync Traffic - Capture sync and auth requests as a HAR file
+// Run this in the extension's service worker / background console. It wraps
+// fetch and records every request to POST /api/v1/data/sync and the auth
+// endpoints the extension calls, with
+// - timing (time to response headers, time to read the body), status, and
+//   request / response sizes
+// - the pageVisits / tabAggregates counts a sync request sent
+// - the response body, and from it the SyncLog stats the server returns
+//   (page_visits_synced, tab_aggregates_synced, rejected_records_count,
+//   data_quality_score) and the rejected records with their validation errors
+//
+// Paste heyho_toolkit.js first (once per console session); the HAR download
+// comes from it.
+//
+// The recorder keeps running after the script returns. Control it through
+// self.heyhoSyncRecorder:
+//   heyhoSyncRecorder.entries          recorded requests so far
+//   await heyhoSyncRecorder.export()   build the HAR, download it and keep the
+//                                      JSON in self.heyhoLastSyncTrafficJson
+//   heyhoSyncRecorder.clear()          drop the recorded requests
+//   await heyhoSyncRecorder.stop()     put the original fetch back
+// The HAR opens in the Network panel of Chrome and Firefox (Import HAR); the
+// sync details are in each entry's _heyho field.
+//
+// Only calls made through the global fetch after the script runs are seen.
+// Credentials (Authorization and cookie headers, password / token fields) are
+// replaced by "[redacted]" unless REDACT_CREDENTIALS is false. Sync request
+// bodies hold browsing history - set INCLUDE_SYNC_BODIES = false to keep only
+// their counts.
+
+(async function recordSyncTraffic() {
+  console.log('[RECORDER] Installing sync traffic recorder...\n');
+
+  const SYNC_PATH = '/api/v1/data/sync';
+  const AUTH_PATHS = ['/api/v1/auth/', '/api/v1/oauth/token'];
+  const MAX_ENTRIES = 500; // Oldest entries are dropped beyond this
+  const MAX_BODY_CHARS = 2000000; // Longer request / response bodies are truncated
+  const INCLUDE_SYNC_BODIES = true; // false = keep only the record counts of sync requests
+  const REDACT_CREDENTIALS = true;
+  const DOWNLOAD = true; // Default for export(); false = only keep self.heyhoLastSyncTrafficJson
+
+  const REDACTED = '[redacted]';
+  const SECRET_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-csrf-token'];
+  const SECRET_FIELD = /password|token|secret|^code$/i;
+
+  if (!self.heyho || typeof self.heyho.downloadJson !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { downloadJson } = self.heyho;
+
+  const results = {
+    success: true,
+    syncPath: SYNC_PATH,
+    authPaths: AUTH_PATHS
+  };
+
+  const entries = [];
+  const pending = new Set();
+  let dropped = 0;
+  let sequence = 0;
+  let stopped = false;
+  const startedAt = new Date().toISOString();
+
+  try {
+    if (typeof self.fetch !== 'function') {
+      throw new Error('fetch is not available in this context');
+    }
+
+    if (self.heyhoSyncRecorder && typeof self.heyhoSyncRecorder.stop === 'function' && self.heyhoSyncRecorder.recording) {
+      console.log('[RECORDER] Stopping the recorder that was already running');
+      await self.heyhoSyncRecorder.stop();
+    }
+
+    const originalFetch = self.fetch;
+    const recordingFetch = function (input, init) {
+      const url = requestUrl(input);
+      const kind = stopped ? null : classify(url);
+      if (!kind) return originalFetch.call(self, input, init);
+      return recordRequest(originalFetch, kind, url, input, init);
+    };
+
+    const recorder = {
+      startedAt: startedAt,
+      recording: true,
+      get entries() {
+        return entries;
+      },
+      get dropped() {
+        return dropped;
+      },
+      summary: () => summarize(),
+      clear: () => {
+        entries.length = 0;
+        dropped = 0;
+      },
+      export: exportHar,
+      stop: async () => {
+        if (!stopped) {
+          stopped = true;
+          recorder.recording = false;
+          if (self.fetch === recordingFetch) {
+            self.fetch = originalFetch;
+          } else {
+            console.warn('[WARN] fetch was wrapped again after the recorder - leaving it in place; the recorder no longer records');
+          }
+        }
+        await settle();
+        const summary = summarize();
+        console.log(`[RECORDER] Stopped - ${summary.requests} request(s) recorded`);
+        return summary;
+      }
+    };
+
+    self.fetch = recordingFetch;
+    self.heyhoSyncRecorder = recorder;
+
+    console.log('[RECORDER] Recording fetch calls to:');
+    console.log('  ' + SYNC_PATH);
+    AUTH_PATHS.forEach(path => console.log('  ' + path + (path.endsWith('/') ? '*' : '')));
+    console.log('\nTrigger a sync, then run:');
+    console.log('  await heyhoSyncRecorder.export()  // download the HAR');
+    console.log('  await heyhoSyncRecorder.stop()    // restore fetch');
+
+    return results;
+
+  } catch (error) {
+    console.error('[ERROR]:', error);
+    return { success: false, error: error.message };
+  }
+
+  function requestUrl(input) {
+    if (typeof input === 'string') return input;
+    if (input && typeof input.url === 'string') return input.url;
+    return String(input);
+  }
+
+  function classify(url) {
+    let path;
+    try {
+      path = new URL(url, self.location ? self.location.href : undefined).pathname;
+    } catch (error) {
+      return null;
+    }
+    if (path === SYNC_PATH || path === SYNC_PATH + '/') return 'sync';
+    if (AUTH_PATHS.some(prefix => prefix.endsWith('/') ? path.startsWith(prefix) : path === prefix)) return 'auth';
+    return null;
+  }
+
+  // Calls through and records the exchange; the caller gets the original
+  // response (or error) and the body is read from a clone in the background
+  async function recordRequest(originalFetch, kind, url, input, init) {
+    const started = Date.now();
+    const startedTick = now();
+    const request = await describeRequest(kind, url, input, init);
+    const entry = { seq: ++sequence, kind: kind, startedDateTime: new Date(started).toISOString(), request: request, response: null, timings: null, error: null, sync: null };
+
+    let response;
+    try {
+      response = await originalFetch.call(self, input, init);
+    } catch (error) {
+      entry.timings = { wait: now() - startedTick, receive: 0 };
+      entry.error = error.message;
+      finish(entry);
+      throw error;
+    }
+
+    const headersTick = now();
+    let clone = null;
+    try {
+      clone = response.clone();
+    } catch (error) {
+      entry.error = 'Could not read the response body: ' + error.message;
+    }
+
+    const reading = (async () => {
+      let text = '';
+      if (clone) {
+        try {
+          text = await clone.text();
+        } catch (error) {
+          entry.error = 'Could not read the response body: ' + error.message;
+        }
+      }
+      entry.timings = { wait: headersTick - startedTick, receive: now() - headersTick };
+      entry.response = {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: readHeaders(response.headers),
+        mimeType: (response.headers && response.headers.get && response.headers.get('content-type')) || '',
+        bodySize: byteLength(text),
+        text: kind === 'auth' ? redactBody(text) : text
+      };
+      finish(entry);
+    })();
+    pending.add(reading);
+    reading.finally(() => pending.delete(reading));
+
+    return response;
+  }
+
+  function finish(entry) {
+    if (entry.kind === 'sync') entry.sync = describeSync(entry);
+    if (!INCLUDE_SYNC_BODIES && entry.kind === 'sync') entry.request.text = null;
+    // Bodies finish reading out of order; entries stay in request order
+    let index = entries.length;
+    while (index > 0 && entries[index - 1].seq > entry.seq) index--;
+    entries.splice(index, 0, entry);
+    while (entries.length > MAX_ENTRIES) {
+      entries.shift();
+      dropped++;
+    }
+    logEntry(entry);
+  }
+
+  async function describeRequest(kind, url, input, init) {
+    const options = init || {};
+    const isRequest = input && typeof input === 'object' && typeof input.url === 'string';
+    let text = '';
+    if (options.body !== undefined && options.body !== null) {
+      text = typeof options.body === 'string' ? options.body : await bodyText(options.body);
+    } else if (isRequest && typeof input.clone === 'function') {
+      text = await input.clone().text().catch(() => '');
+    }
+    const headers = readHeaders(options.headers || (isRequest ? input.headers : null));
+    const contentType = headers.find(header => header.name.toLowerCase() === 'content-type');
+    return {
+      method: (options.method || (isRequest ? input.method : null) || 'GET').toUpperCase(),
+      url: url,
+      headers: headers,
+      mimeType: contentType ? contentType.value : '',
+      bodySize: byteLength(text),
+      text: kind === 'auth' ? redactBody(text) : text
+    };
+  }
+
+  async function bodyText(body) {
+    if (typeof body.text === 'function') return body.text().catch(() => '');
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) return body.toString();
+    return '';
+  }
+
+  // Accepts a Headers object, an array of pairs or a plain object
+  function readHeaders(headers) {
+    const list = [];
+    if (!headers) return list;
+    if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+      headers.forEach((value, name) => list.push({ name: name, value: value }));
+    } else if (Array.isArray(headers)) {
+      headers.forEach(([name, value]) => list.push({ name: name, value: String(value) }));
+    } else {
+      Object.entries(headers).forEach(([name, value]) => list.push({ name: name, value: String(value) }));
+    }
+    if (!REDACT_CREDENTIALS) return list;
+    return list.map(header => SECRET_HEADERS.includes(header.name.toLowerCase()) ? { name: header.name, value: REDACTED } : header);
+  }
+
+  // Auth bodies carry passwords and tokens: JSON fields that look like one
+  // are redacted, anything that is not JSON is dropped
+  function redactBody(text) {
+    if (!REDACT_CREDENTIALS || !text) return text;
+    const json = parseJson(text);
+    if (json === undefined) return REDACTED;
+    return JSON.stringify(json, (key, value) => SECRET_FIELD.test(key) && value !== null && typeof value !== 'object' ? REDACTED : value);
+  }
+
+  // Record counts sent, and what the server made of them: SyncLog stats on
+  // success, the error and its errors list otherwise
+  function describeSync(entry) {
+    const body = parseJson(entry.request.text);
+    const sync = {
+      sent: {
+        pageVisits: body && Array.isArray(body.pageVisits) ? body.pageVisits.length : 0,
+        tabAggregates: body && Array.isArray(body.tabAggregates) ? body.tabAggregates.length : 0
+      },
+      extensionVersion: (body && body.extensionVersion) || null,
+      outcome: 'networkError',
+      message: null,
+      stats: null,
+      rejected: [],
+      errors: []
+    };
+    if (!entry.response) return sync;
+
+    const payload = parseJson(entry.response.text);
+    sync.message = payload && typeof payload.message === 'string' ? payload.message : null;
+    const status = entry.response.status;
+
+    if (status >= 200 && status < 300 && payload && payload.data) {
+      const data = payload.data;
+      const validationErrors = Array.isArray(data.validation_errors) ? data.validation_errors : [];
+      sync.stats = {
+        pageVisitsSynced: data.page_visits_synced ?? null,
+        tabAggregatesSynced: data.tab_aggregates_synced ?? null,
+        rejectedRecordsCount: data.rejected_records_count ?? validationErrors.length,
+        dataQualityScore: data.data_quality_score ?? null
+      };
+      sync.rejected = groupValidationErrors(validationErrors);
+      sync.outcome = sync.stats.rejectedRecordsCount > 0 ? 'partial' : 'success';
+    } else if (status >= 200 && status < 300) {
+      sync.outcome = 'success';
+    } else {
+      sync.outcome = status === 400 && sync.message && sync.message.startsWith('Batch size exceeded') ? 'batchSizeExceeded' : 'error';
+      sync.errors = payload && Array.isArray(payload.errors) ? payload.errors : [];
+    }
+    return sync;
+  }
+
+  // One entry per rejected record, as push_sync_data.js groups them
+  function groupValidationErrors(validationErrors) {
+    const byRecord = new Map();
+    validationErrors.forEach(error => {
+      const key = `${error.record_type}:${error.record_id}`;
+      if (!byRecord.has(key)) byRecord.set(key, { type: error.record_type, id: error.record_id, errors: [] });
+      byRecord.get(key).errors.push({ field: error.field, message: error.message });
+    });
+    return Array.from(byRecord.values());
+  }
+
+  function logEntry(entry) {
+    const path = safePath(entry.request.url);
+    const took = entry.timings ? Math.round(entry.timings.wait + entry.timings.receive) + 'ms' : '?';
+    const status = entry.response ? entry.response.status : 'failed';
+    let line = `[${entry.kind === 'sync' ? 'SYNC' : 'AUTH'}] ${entry.request.method} ${path} ${status} in ${took}`;
+    if (entry.sync) {
+      line += ` - sent ${entry.sync.sent.pageVisits} visits, ${entry.sync.sent.tabAggregates} aggregates`;
+      if (entry.sync.stats) {
+        line += `; synced ${entry.sync.stats.pageVisitsSynced} + ${entry.sync.stats.tabAggregatesSynced}, rejected ${entry.sync.stats.rejectedRecordsCount}`;
+      } else if (entry.sync.message) {
+        line += `; ${entry.sync.message}`;
+      }
+    }
+    if (entry.error) line += ` (${entry.error})`;
+    if (entry.error || (entry.response && entry.response.status >= 400) || (entry.sync && entry.sync.outcome === 'partial')) {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  function summarize() {
+    const summary = {
+      requests: entries.length,
+      dropped: dropped,
+      byKind: { sync: 0, auth: 0 },
+      statuses: {},
+      sync: { sent: { pageVisits: 0, tabAggregates: 0 }, synced: { pageVisits: 0, tabAggregates: 0 }, rejected: 0, failed: 0 }
+    };
+    entries.forEach(entry => {
+      summary.byKind[entry.kind]++;
+      const status = entry.response ? String(entry.response.status) : 'failed';
+      summary.statuses[status] = (summary.statuses[status] || 0) + 1;
+      if (!entry.sync) return;
+      summary.sync.sent.pageVisits += entry.sync.sent.pageVisits;
+      summary.sync.sent.tabAggregates += entry.sync.sent.tabAggregates;
+      if (entry.sync.stats) {
+        summary.sync.synced.pageVisits += entry.sync.stats.pageVisitsSynced || 0;
+        summary.sync.synced.tabAggregates += entry.sync.stats.tabAggregatesSynced || 0;
+        summary.sync.rejected += entry.sync.stats.rejectedRecordsCount || 0;
+      }
+      if (['error', 'batchSizeExceeded', 'networkError'].includes(entry.sync.outcome)) summary.sync.failed++;
+    });
+    return summary;
+  }
+
+  async function settle() {
+    while (pending.size > 0) {
+      await Promise.all(Array.from(pending));
+    }
+  }
+
+  // Builds a HAR 1.2 log; fields starting with _ are HAR custom fields
+  async function exportHar(options) {
+    const download = options && options.download !== undefined ? options.download : DOWNLOAD;
+    await settle();
+
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'heyho record_sync_traffic.js', version: '1' },
+        pages: [],
+        entries: entries.map(toHarEntry),
+        _heyho: {
+          startedAt: startedAt,
+          exportedAt: new Date().toISOString(),
+          redacted: REDACT_CREDENTIALS,
+          syncBodies: INCLUDE_SYNC_BODIES,
+          summary: summarize()
+        }
+      }
+    };
+
+    const json = JSON.stringify(har, null, 2);
+    const filename = `heyho-sync-traffic_${har.log._heyho.exportedAt.replace(/[:.]/g, '-')}.har`;
+    self.heyhoLastSyncTrafficJson = json;
+    const delivery = download ? downloadJson(filename, json) : null;
+
+    if (delivery) {
+      console.log(`[RECORDER] ${har.log.entries.length} request(s) saved as ${filename} via ${delivery}`);
+    } else {
+      console.log(`[RECORDER] ${har.log.entries.length} request(s) kept in self.heyhoLastSyncTrafficJson - run copy(self.heyhoLastSyncTrafficJson)`);
+    }
+    return { filename: filename, delivery: delivery, bytes: byteLength(json), entries: har.log.entries.length, har: har };
+  }
+
+  function toHarEntry(entry) {
+    const requestText = truncate(entry.request.text);
+    const responseText = entry.response ? truncate(entry.response.text) : null;
+    const wait = entry.timings ? round(entry.timings.wait) : 0;
+    const receive = entry.timings ? round(entry.timings.receive) : 0;
+    return {
+      startedDateTime: entry.startedDateTime,
+      time: round(wait + receive),
+      request: {
+        method: entry.request.method,
+        url: entry.request.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: entry.request.headers,
+        queryString: queryString(entry.request.url),
+        ...(requestText ? { postData: { mimeType: entry.request.mimeType, text: requestText.text, ...requestText.comment } } : {}),
+        headersSize: -1,
+        bodySize: entry.request.bodySize
+      },
+      response: entry.response
+        ? {
+            status: entry.response.status,
+            statusText: entry.response.statusText,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: entry.response.headers,
+            content: { size: entry.response.bodySize, mimeType: entry.response.mimeType, text: responseText.text, ...responseText.comment },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: entry.response.bodySize
+          }
+        : {
+            // HAR marks requests that got no response with status 0
+            status: 0,
+            statusText: '',
+            httpVersion: '',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1,
+            _error: entry.error
+          },
+      cache: {},
+      timings: { send: 0, wait: wait, receive: receive },
+      _heyho: { kind: entry.kind, error: entry.error, ...(entry.sync ? { sync: entry.sync } : {}) }
+    };
+  }
+
+  function truncate(text) {
+    if (text === null || text === undefined || text === '') return null;
+    if (text.length <= MAX_BODY_CHARS) return { text: text, comment: {} };
+    return { text: text.slice(0, MAX_BODY_CHARS), comment: { comment: `Truncated from ${text.length} to ${MAX_BODY_CHARS} characters` } };
+  }
+
+  function queryString(url) {
+    try {
+      return Array.from(new URL(url, self.location ? self.location.href : undefined).searchParams.entries()).map(([name, value]) => ({ name: name, value: value }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function safePath(url) {
+    try {
+      return new URL(url, self.location ? self.location.href : undefined).pathname;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  function parseJson(text) {
+    if (typeof text !== 'string' || text === '') return undefined;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  function byteLength(text) {
+    return text ? new TextEncoder().encode(text).length : 0;
+  }
+
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  function round(ms) {
+    return Math.round(ms * 10) / 10;
+  }
+})();
@@ -0,0 +1,579 @@
+/**
+ * Local Data Repair
+ *
+ * Fixes the common local corruption that audit_local_data.js reports, so the
+ * records sync cleanly instead of being rejected by the backend or skewing
+ * the insights data:
+ * - dedupeVisits:     keeps one record per duplicate visit (same tab, URL and
+ *                     startedAt). A synced copy is kept over an unsynced one,
+ *                     so nothing is resent
+ * - clampScrollDepth: clamps scrollDepthPercent / scroll_depth_percent to 0-100
+ * - fixClosedAt:      closedAt before startTime is swapped with startTime when
+ *                     lastActiveTime lies between the two (the values were
+ *                     stored the wrong way round), and set to null otherwise
+ * - dropFilteredUrls: deletes page visits whose URL matches
+ *                     Constants.INVALID_URL_PREFIXES (the extension never sends
+ *                     them), and tab aggregates on such a URL that have no
+ *                     other visits left
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Paste heyho_toolkit.js once per console session - this script takes
+ *    its sync guard, journal database and file download from it
+ * 3. Copy and paste this entire script
+ * 4. Press Enter to run
+ *
+ * Every change is recorded in a journal with the record before and after.
+ * The journal is saved as a repair run in the Heyho_ResetJournal database
+ * (next to the reset runs undo_reset.js reads) before anything is written,
+ * and downloaded as heyho-repair-journal_<db>_<timestamp>.json. To revert
+ * the latest repair, set UNDO = true and run again. To revert from the file
+ * instead, paste its contents into self.HEYHO_REPAIR_JOURNAL first. Records
+ * changed again since the repair are left alone and reported as conflicts.
+ *
+ * The stores are read and the changes planned first. The changes are then
+ * applied in a single readwrite transaction that checks every record is
+ * still as it was read: a run either applies completely or not at all, and a
+ * run that does not apply leaves no journal behind. Like the reset scripts, a
+ * run that writes first waits for an in-flight sync to finish, pausing it
+ * through self.HEYHO_SYNC_HOOKS when set, and refuses to write if the sync
+ * state cannot be read (FORCE_WITHOUT_SYNC_STATE = true overrides).
+ */
+
+(async function repairLocalData() {
+  const DB_NAME = 'Heyho_EventsDB';
+  const DRY_RUN = false; // Set to true to list the changes without writing anything
+  const UNDO = false; // Set to true to revert the changes recorded in a repair journal
+  const DOWNLOAD_JOURNAL = true; // Set to false to only save the journal in the Heyho_ResetJournal database
+  const MAX_CHANGES_LOGGED = 25; // Changes printed to the console (all are journaled)
+  const SYNC_WAIT_TIMEOUT_MS = 60000; // How long to wait for an in-flight sync before giving up
+  const FORCE_WITHOUT_SYNC_STATE = false; // Set to true to write even when the sync state cannot be read
+
+  const REPAIRS = {
+    dedupeVisits: true,
+    clampScrollDepth: true,
+    fixClosedAt: true,
+    dropFilteredUrls: true
+  };
+
+  const JOURNAL_FORMAT = 'heyho-repair-journal';
+  const JOURNAL_FORMAT_VERSION = 1;
+  const JOURNAL_DB_NAME = 'Heyho_ResetJournal';
+  const JOURNAL_CHUNK_SIZE = 500; // Changes per journal chunk
+  const STORES = ['pageVisits', 'tabAggregates'];
+  const SCROLL_DEPTH_FIELDS = ['scrollDepthPercent', 'scroll_depth_percent'];
+
+  console.log(UNDO ? '[UNDO] Reverting a repair journal...\n' : '[REPAIR] Repairing local data...\n');
+
+  if (!self.heyho || typeof self.heyho.guardSync !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { guardSync, releaseSync, openJournalDatabase, downloadJson } = self.heyho;
+
+  const results = {
+    success: true,
+    mode: UNDO ? 'undo' : 'repair',
+    dryRun: DRY_RUN,
+    repairs: Object.fromEntries(Object.keys(REPAIRS).map(name => [name, 0])),
+    changes: [],
+    conflicts: [],
+    journal: null,
+    delivery: null,
+    syncGuard: null,
+    errors: []
+  };
+
+  try {
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${DB_NAME} does not exist - install and run the extension first`));
+      };
+    });
+
+    console.log('[DB] Opened:', db.name, 'v' + db.version);
+
+    const missingStores = STORES.filter(name => !db.objectStoreNames.contains(name));
+    if (missingStores.length > 0) {
+      db.close();
+      throw new Error(`Database ${DB_NAME} is missing stores: ${missingStores.join(', ')}`);
+    }
+
+    let undoRun = null;
+    if (UNDO) {
+      try {
+        undoRun = await loadJournal(db);
+      } catch (error) {
+        db.close();
+        throw error;
+      }
+    }
+
+    // Dry runs only read, so they do not need to hold off the sync
+    const syncGuard = DRY_RUN ? null : await guardSync({
+      syncWaitTimeoutMs: SYNC_WAIT_TIMEOUT_MS,
+      forceWithoutSyncState: FORCE_WITHOUT_SYNC_STATE,
+      forceHint: 'set FORCE_WITHOUT_SYNC_STATE = true'
+    });
+    results.syncGuard = syncGuard;
+    if (syncGuard && !syncGuard.proceed) {
+      db.close();
+      throw new Error(syncGuard.reason);
+    }
+
+    // Whatever happens from here on, the paused sync is resumed
+    try {
+      const data = await readStores(db);
+      results.changes = UNDO ? planUndo(undoRun.journal, data) : planRepairs(data);
+
+      if (!DRY_RUN && results.changes.length > 0) {
+        // The journal is saved before the first write, and dropped again if
+        // the changes do not apply
+        const journal = UNDO ? null : await saveJournal(db, results.changes);
+        try {
+          await applyChanges(db, results.changes);
+        } catch (error) {
+          if (journal) await dropJournal(journal.runId);
+          throw error;
+        }
+
+        if (journal) {
+          results.journal = journal;
+          await updateRun(journal.runId, { status: 'committed' });
+          if (DOWNLOAD_JOURNAL) {
+            const filename = `heyho-repair-journal_${db.name}_${journal.createdAt.replace(/[:.]/g, '-')}.json`;
+            results.delivery = downloadJson(filename, JSON.stringify(journal, null, 2));
+          }
+        } else if (undoRun.runId) {
+          await updateRun(undoRun.runId, { undoneAt: new Date().toISOString() });
+        }
+      }
+    } finally {
+      db.close();
+      await releaseSync(syncGuard);
+    }
+
+    printReport();
+    return results;
+
+  } catch (error) {
+    console.error('[ERROR]:', error);
+    return { success: false, error: error.message };
+  }
+
+  // ---- Repairs ---------------------------------------------------------------
+
+  // Deletions first (filtered URLs, duplicates), then at most one update per
+  // remaining record, so each record appears once in the journal. pageVisits
+  // is keyed by visitId, so duplicates can only differ in their visitId.
+  function planRepairs(data) {
+    const changes = [];
+    const remove = (store, entry, repair, reason) => {
+      changes.push({ store, key: entry.key, action: 'delete', repairs: [repair], reason, before: entry.record, after: null });
+      results.repairs[repair]++;
+    };
+
+    let visits = data.pageVisits;
+    let aggregates = data.tabAggregates;
+
+    if (REPAIRS.dropFilteredUrls) {
+      const invalidPrefixes = self.Constants && self.Constants.INVALID_URL_PREFIXES;
+      if (!invalidPrefixes) {
+        console.log('[WARN] Constants.INVALID_URL_PREFIXES not available - skipping dropFilteredUrls (run in the extension console)');
+      } else {
+        const isFiltered = url => typeof url === 'string' && invalidPrefixes.some(prefix => url.startsWith(prefix));
+        visits = visits.filter(entry => {
+          if (!isFiltered(entry.record.url)) return true;
+          remove('pageVisits', entry, 'dropFilteredUrls', `URL ${entry.record.url} matches INVALID_URL_PREFIXES`);
+          return false;
+        });
+
+        const visitedTabs = new Set(visits.map(entry => entry.record.tabId));
+        aggregates = aggregates.filter(entry => {
+          const url = entry.record.currentUrl ?? entry.record.current_url;
+          if (!isFiltered(url) || visitedTabs.has(entry.record.tabId)) return true;
+          remove('tabAggregates', entry, 'dropFilteredUrls', `URL ${url} matches INVALID_URL_PREFIXES and the tab has no other visits`);
+          return false;
+        });
+      }
+    }
+
+    if (REPAIRS.dedupeVisits) {
+      const dropped = new Set();
+      const survivors = new Map();
+      for (const entry of visits) {
+        const { tabId, url, startedAt } = entry.record;
+        if (tabId === undefined || !url || typeof startedAt !== 'number') continue;
+        const key = JSON.stringify([tabId, url, startedAt]);
+        const current = survivors.get(key);
+        if (!current) {
+          survivors.set(key, entry);
+          continue;
+        }
+        // Keep a synced copy so the server does not receive the visit twice
+        const [keep, drop] = entry.record.synced === true && current.record.synced !== true ? [entry, current] : [current, entry];
+        survivors.set(key, keep);
+        dropped.add(drop);
+        remove('pageVisits', drop, 'dedupeVisits', `same tab, URL and startedAt as ${JSON.stringify(keep.key)}`);
+      }
+      visits = visits.filter(entry => !dropped.has(entry));
+    }
+
+    for (const [store, entries] of [['pageVisits', visits], ['tabAggregates', aggregates]]) {
+      for (const entry of entries) {
+        let record = entry.record;
+        const repairs = [];
+        const reasons = [];
+        const fixes = [
+          ['clampScrollDepth', clampScrollDepth],
+          ['fixClosedAt', store === 'tabAggregates' ? fixClosedAt : null]
+        ];
+        for (const [repair, fix] of fixes) {
+          if (!REPAIRS[repair] || !fix) continue;
+          const fixed = fix(record);
+          if (!fixed) continue;
+          record = fixed.record;
+          repairs.push(repair);
+          reasons.push(fixed.reason);
+          results.repairs[repair]++;
+        }
+        if (repairs.length > 0) {
+          changes.push({ store, key: entry.key, action: 'update', repairs, reason: reasons.join('; '), before: entry.record, after: record });
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  function clampScrollDepth(original) {
+    let updated = null;
+    const reasons = [];
+    for (const field of SCROLL_DEPTH_FIELDS) {
+      const value = original[field];
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+      const clamped = Math.min(100, Math.max(0, value));
+      if (clamped !== value) {
+        updated = updated || { ...original };
+        updated[field] = clamped;
+        reasons.push(`${field} ${value} -> ${clamped}`);
+      }
+    }
+    return updated ? { record: updated, reason: reasons.join(', ') } : null;
+  }
+
+  function fixClosedAt(original) {
+    const startField = 'startTime' in original ? 'startTime' : 'start_time';
+    const closedField = 'closedAt' in original ? 'closedAt' : 'closed_at';
+    const startTime = original[startField];
+    const closedAt = original[closedField];
+    if (typeof startTime !== 'number' || typeof closedAt !== 'number' || closedAt >= startTime) return null;
+
+    const lastActiveTime = original.lastActiveTime ?? original.last_active_time;
+    const updated = { ...original };
+    if (typeof lastActiveTime === 'number' && lastActiveTime >= closedAt && lastActiveTime <= startTime) {
+      updated[startField] = closedAt;
+      updated[closedField] = startTime;
+      return { record: updated, reason: `${closedField} before ${startField}, swapped` };
+    }
+    updated[closedField] = null;
+    return { record: updated, reason: `${closedField} before ${startField}, set to null` };
+  }
+
+  // ---- Undo ------------------------------------------------------------------
+
+  // The journal to revert: a downloaded file pasted into
+  // self.HEYHO_REPAIR_JOURNAL, or else the latest repair run of this database
+  // in the journal database. runId is null for a pasted file.
+  async function loadJournal(db) {
+    const provided = self.HEYHO_REPAIR_JOURNAL;
+    let journal = typeof provided === 'string' ? JSON.parse(provided) : provided;
+    let runId = null;
+    if (!journal) {
+      const run = await findRepairRun(db.name);
+      if (!run) {
+        throw new Error('No repair journal found. Set self.HEYHO_REPAIR_JOURNAL = <journal JSON> and run again.');
+      }
+      runId = run.runId;
+      journal = { format: JOURNAL_FORMAT, formatVersion: JOURNAL_FORMAT_VERSION, database: run.database, createdAt: run.createdAt, changes: await readJournalChanges(run) };
+    }
+    if (!journal || journal.format !== JOURNAL_FORMAT) {
+      throw new Error('Not a Heyho repair journal (missing or wrong "format" field)');
+    }
+    if (journal.formatVersion !== JOURNAL_FORMAT_VERSION) {
+      throw new Error(`Unsupported journal formatVersion ${journal.formatVersion} (supported: ${JOURNAL_FORMAT_VERSION})`);
+    }
+    if (journal.database.name !== db.name) {
+      throw new Error(`Journal is for database ${journal.database.name}, not ${db.name}`);
+    }
+    console.log(`[JOURNAL] ${journal.changes.length} change(s) from ${journal.createdAt}${runId ? ` (${runId})` : ''}`);
+    return { journal, runId };
+  }
+
+  // Puts every journaled record back as it was, newest change first. A record
+  // that no longer matches what the repair left behind was changed since
+  // (e.g. synced again) and is reported instead of overwritten.
+  function planUndo(journal, data) {
+    const current = {};
+    for (const name of STORES) {
+      current[name] = new Map(data[name].map(entry => [JSON.stringify(entry.key), entry.record]));
+    }
+
+    const changes = [];
+    for (const change of [...journal.changes].reverse()) {
+      const existing = current[change.store] && current[change.store].get(JSON.stringify(change.key));
+      const expected = change.action === 'delete' ? undefined : change.after;
+      if (JSON.stringify(existing) !== JSON.stringify(expected)) {
+        results.conflicts.push({ store: change.store, key: change.key, repairs: change.repairs, current: existing ?? null });
+        continue;
+      }
+      changes.push({
+        store: change.store,
+        key: change.key,
+        action: 'restore',
+        repairs: change.repairs,
+        reason: `undo ${change.repairs.join(', ')}`,
+        before: existing ?? null,
+        after: change.before
+      });
+    }
+    return changes;
+  }
+
+  // ---- Journal database ------------------------------------------------------
+
+  // Saves the repair as a 'pending' run with its changes in chunks, in one
+  // transaction. Returns the journal as it is downloaded, with its runId.
+  async function saveJournal(db, changes) {
+    const createdAt = new Date().toISOString();
+    const journal = {
+      format: JOURNAL_FORMAT,
+      formatVersion: JOURNAL_FORMAT_VERSION,
+      runId: `repair_${createdAt.replace(/[:.]/g, '-')}_${Math.random().toString(36).slice(2, 6)}`,
+      database: { name: db.name, version: db.version },
+      createdAt: createdAt,
+      changes: changes
+    };
+    const chunks = [];
+    for (let start = 0; start < changes.length; start += JOURNAL_CHUNK_SIZE) {
+      chunks.push({ runId: journal.runId, seq: chunks.length, kind: 'changes', entries: changes.slice(start, start + JOURNAL_CHUNK_SIZE), undoneAt: null });
+    }
+    const run = {
+      runId: journal.runId,
+      type: 'repair',
+      status: 'pending',
+      createdAt: createdAt,
+      script: 'repair_local_data.js',
+      database: journal.database,
+      repairs: { ...results.repairs },
+      changes: changes.length,
+      chunks: chunks.length,
+      undoneAt: null
+    };
+
+    try {
+      await withJournalDb(transaction => {
+        transaction.objectStore('runs').put(run);
+        for (const chunk of chunks) {
+          transaction.objectStore('chunks').put(chunk);
+        }
+      });
+    } catch (error) {
+      throw new Error(`Could not save the repair journal (${error.message}) - nothing was changed`);
+    }
+    return journal;
+  }
+
+  // The most recent committed repair run of the database not undone yet
+  async function findRepairRun(dbName) {
+    const databases = await indexedDB.databases();
+    if (!databases.some(entry => entry.name === JOURNAL_DB_NAME)) return null;
+
+    let latest = null;
+    await withJournalDb(transaction => new Promise((resolve, reject) => {
+      const cursorRequest = transaction.objectStore('runs').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const run = cursor.value;
+        if (run.type === 'repair' && run.status === 'committed' && !run.undoneAt && run.database.name === dbName &&
+            (!latest || run.createdAt > latest.createdAt)) {
+          latest = run;
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    }), 'readonly');
+    return latest;
+  }
+
+  async function readJournalChanges(run) {
+    const changes = [];
+    await withJournalDb(async transaction => {
+      const store = transaction.objectStore('chunks');
+      for (let seq = 0; seq < run.chunks; seq++) {
+        const chunk = await requestToPromise(store.get([run.runId, seq]));
+        if (!chunk) throw new Error(`Chunk ${seq} of ${run.runId} is missing from the journal`);
+        changes.push(...chunk.entries);
+      }
+    }, 'readonly');
+    return changes;
+  }
+
+  // Failing to update the run is only reported: the changes are applied
+  async function updateRun(runId, fields) {
+    try {
+      await withJournalDb(async transaction => {
+        const store = transaction.objectStore('runs');
+        const run = await requestToPromise(store.get(runId));
+        await requestToPromise(store.put({ ...run, ...fields }));
+      });
+    } catch (error) {
+      console.error(`[WARN] Changes applied, but journal run ${runId} could not be updated: ${error.message}`);
+      results.errors.push({ store: 'runs', error: error.message });
+    }
+  }
+
+  async function dropJournal(runId) {
+    try {
+      await withJournalDb(transaction => {
+        transaction.objectStore('runs').delete(runId);
+        transaction.objectStore('chunks').delete(IDBKeyRange.bound([runId, 0], [runId, Infinity]));
+      });
+    } catch (error) {
+      console.error(`[WARN] Could not remove the unused journal run ${runId}: ${error.message}`);
+    }
+  }
+
+  // Runs fn(transaction) against the runs and chunks stores and waits for the
+  // transaction to commit
+  async function withJournalDb(fn, mode = 'readwrite') {
+    const journalDb = await openJournalDatabase();
+    try {
+      const transaction = journalDb.transaction(['runs', 'chunks'], mode);
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('Journal transaction aborted'));
+      });
+      try {
+        await fn(transaction);
+      } catch (error) {
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // Already aborted
+        }
+        await done.catch(() => {});
+        throw error;
+      }
+      await done;
+    } finally {
+      journalDb.close();
+    }
+  }
+
+  // ---- IndexedDB helpers -----------------------------------------------------
+
+  async function readStores(db) {
+    const transaction = db.transaction(STORES, 'readonly');
+    const data = {};
+    for (const name of STORES) {
+      data[name] = await readEntries(transaction.objectStore(name));
+    }
+    return data;
+  }
+
+  async function readEntries(store) {
+    const [keys, records] = await Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]);
+    return records.map((record, index) => ({ key: keys[index], record }));
+  }
+
+  // Applies every change in one readwrite transaction, after checking that
+  // its record is still as it was read
+  async function applyChanges(db, changes) {
+    const transaction = db.transaction(STORES, 'readwrite');
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || new Error('Repair transaction aborted'));
+    });
+
+    try {
+      for (const change of changes) {
+        const store = transaction.objectStore(change.store);
+        const current = await requestToPromise(store.get(change.key));
+        if (JSON.stringify(current ?? null) !== JSON.stringify(change.before)) {
+          throw new Error(`${change.store} ${JSON.stringify(change.key)} changed while the run was planned - nothing was changed, run the script again`);
+        }
+        await applyChange(store, change);
+      }
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // Already aborted
+      }
+      await done.catch(() => {});
+      throw error;
+    }
+    await done;
+  }
+
+  function applyChange(store, change) {
+    if (change.action === 'delete') {
+      return requestToPromise(store.delete(change.key));
+    }
+    return requestToPromise(store.keyPath === null ? store.put(change.after, change.key) : store.put(change.after));
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function printReport() {
+    const changes = results.changes;
+
+    if (changes.length > 0) {
+      console.log('\n[CHANGES] Showing', Math.min(changes.length, MAX_CHANGES_LOGGED), 'of', changes.length);
+      for (const change of changes.slice(0, MAX_CHANGES_LOGGED)) {
+        console.log(`  [${change.action.toUpperCase()}] ${change.store} ${JSON.stringify(change.key)}: ${change.reason}`);
+      }
+    }
+    if (results.conflicts.length > 0) {
+      console.log(`\n[WARN] ${results.conflicts.length} record(s) changed since the repair and were left alone:`);
+      for (const conflict of results.conflicts.slice(0, MAX_CHANGES_LOGGED)) {
+        console.log(`  ${conflict.store} ${JSON.stringify(conflict.key)} (${conflict.repairs.join(', ')})`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('[SUMMARY]');
+    console.log('='.repeat(60));
+    if (!UNDO) {
+      for (const [repair, count] of Object.entries(results.repairs)) {
+        console.log(`  ${repair}: ${REPAIRS[repair] ? count : 'disabled'}`);
+      }
+    }
+
+    if (DRY_RUN) {
+      console.log(`\n[INFO] Dry run: ${changes.length} change(s) planned, nothing was written. Set DRY_RUN = false to apply.`);
+    } else if (changes.length === 0) {
+      console.log(UNDO ? '\n[INFO] Nothing to undo.' : '\n[OK] Nothing to repair.');
+    } else if (UNDO) {
+      console.log(`\n[OK] Reverted ${changes.length} change(s).`);
+    } else {
+      console.log(`\n[OK] Applied ${changes.length} change(s) in one transaction.`);
+      console.log(`  Journal saved as ${results.journal.runId} in ${JOURNAL_DB_NAME}` + (results.delivery ? ` and downloaded via ${results.delivery}.` : '.'));
+      console.log('  To revert: set UNDO = true and run this script again.');
+    }
+  }
+})();
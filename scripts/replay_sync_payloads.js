@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+// Replays captured POST /api/v1/data/sync bodies against a backend.
+//
+// This one runs under Node, not in the browser console:
+//
+//   node scripts/replay_sync_payloads.js --token <jwt> [options] <file...>
+//
+// A file can hold a single sync body (copy(self.heyhoLastSyncPayload) from
+// debug_sync_flow.js), an array of bodies, or a HAR export of
+// record_sync_traffic.js, whose sync requests are replayed in order. Every
+// body is sent as-is as one batch, so a body over MAX_BATCH_SIZE gets the
+// same 400 the user saw.
+//
+// The sync response only says how many records were saved. To split that
+// into created and updated, the ids already on the server are read from
+// GET /api/v1/browsing_data first (skip with --no-classify), and a record
+// counts as updated if its id was there before its batch.
+//
+// Exits with 0 when every batch was accepted in full, 1 when a batch failed
+// or had rejected records, and 2 for bad arguments or unreadable files.
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { truthy, getValue, buildTabToPageVisitMap, transformTabAggregate } = require('./lib/sync_rules');
+
+const SYNC_PATH = '/api/v1/data/sync';
+const BROWSING_DATA_PATH = '/api/v1/browsing_data';
+const MAX_BATCH_SIZE = 1000; // DataProcessing::DataSyncService::MAX_BATCH_SIZE
+const PER_PAGE = 100; // Maximum per_page of GET /api/v1/browsing_data
+
+const USAGE = `Usage: node scripts/replay_sync_payloads.js [options] <file...>
+
+Replays captured POST ${SYNC_PATH} bodies, one batch per body.
+
+Options:
+  --base-url <url>   Backend to replay against (default: $HEYHO_API_BASE_URL or http://localhost:3000)
+  --token <jwt>      Bearer token, e.g. from POST /api/v1/auth/login (default: $HEYHO_ACCESS_TOKEN)
+  --delay <ms>       Wait between batches (default: 0)
+  --timeout <ms>     Give up on a request after this long (default: 30000)
+  --no-classify      Do not read existing ids first; created / updated are then unknown
+  --dry-run          Only list the batches that would be sent
+  --json             Print the report as JSON
+  --help             Show this help`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv, env = process.env) {
+  const options = {
+    baseUrl: env.HEYHO_API_BASE_URL || 'http://localhost:3000',
+    token: env.HEYHO_ACCESS_TOKEN || null,
+    delayMs: 0,
+    timeoutMs: 30000,
+    classify: true,
+    dryRun: false,
+    json: false,
+    help: false,
+    files: []
+  };
+
+  const valueOf = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) throw new UsageError(`${flag} needs a value`);
+    return value;
+  };
+  const numberOf = (flag, index) => {
+    const value = Number(valueOf(flag, index));
+    if (!Number.isFinite(value) || value < 0) throw new UsageError(`${flag} must be a number of milliseconds`);
+    return value;
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    switch (arg) {
+      case '--base-url': options.baseUrl = valueOf(arg, index++); break;
+      case '--token': options.token = valueOf(arg, index++); break;
+      case '--delay': options.delayMs = numberOf(arg, index++); break;
+      case '--timeout': options.timeoutMs = numberOf(arg, index++); break;
+      case '--no-classify': options.classify = false; break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--json': options.json = true; break;
+      case '--help': case '-h': options.help = true; break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+        options.files.push(arg);
+    }
+  }
+
+  if (options.help) return options;
+  if (options.files.length === 0) throw new UsageError('No payload files given');
+  if (!options.token && !options.dryRun) throw new UsageError('No token given - pass --token or set HEYHO_ACCESS_TOKEN');
+  try {
+    options.baseUrl = new URL(options.baseUrl).toString().replace(/\/+$/, '');
+  } catch (error) {
+    throw new UsageError(`Invalid --base-url ${options.baseUrl}`);
+  }
+  return options;
+}
+
+function isSyncBody(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    (Array.isArray(value.pageVisits) || Array.isArray(value.tabAggregates));
+}
+
+// Reads the sync bodies in one file as [{ label, body }]
+function loadPayloads(file) {
+  const name = path.basename(file);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read ${file}: ${error.message}`);
+  }
+
+  let bodies;
+  let skipped = 0;
+  if (json && json.log && Array.isArray(json.log.entries)) {
+    bodies = [];
+    for (const entry of json.log.entries) {
+      const request = entry.request || {};
+      if (request.method !== 'POST' || !isSyncUrl(request.url)) continue;
+      const body = parseJson(request.postData && request.postData.text);
+      if (isSyncBody(body)) bodies.push(body);
+      else skipped++;
+    }
+  } else if (Array.isArray(json)) {
+    bodies = json.filter(isSyncBody);
+    skipped = json.length - bodies.length;
+  } else {
+    bodies = isSyncBody(json) ? [json] : [];
+  }
+
+  if (bodies.length === 0) {
+    throw new UsageError(skipped > 0
+      ? `${file} has ${skipped} sync request(s) but no bodies - record with INCLUDE_SYNC_BODIES = true`
+      : `No sync payloads found in ${file}`);
+  }
+  return {
+    payloads: bodies.map((body, index) => ({ label: bodies.length > 1 ? `${name}#${index + 1}` : name, body: body })),
+    skipped: skipped
+  };
+}
+
+function isSyncUrl(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '') === SYNC_PATH;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseJson(text) {
+  if (typeof text !== 'string') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// The ids DataSyncService stores the records under. Aggregates it skips,
+// such as those without a visit of their tab in the same request, get none
+function serverIds(body) {
+  const visits = body.pageVisits || [];
+  const pageVisits = visits.map(visit => getValue(visit, 'id', 'visitId'));
+  const tabToPageVisit = buildTabToPageVisitMap(visits);
+  const tabAggregates = [];
+  for (const aggregate of body.tabAggregates || []) {
+    const outcome = transformTabAggregate(aggregate, tabToPageVisit);
+    if (!outcome.skipped && truthy(outcome.aggregate.id)) tabAggregates.push(outcome.aggregate.id);
+  }
+  return {
+    pageVisits: pageVisits.filter(truthy).map(String),
+    tabAggregates: tabAggregates.map(String)
+  };
+}
+
+async function request(url, options, timeoutMs) {
+  const started = performance.now();
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+  const text = await response.text();
+  return { response: response, body: parseJson(text) ?? null, text: text, latencyMs: Math.round(performance.now() - started) };
+}
+
+// Pages through GET /api/v1/browsing_data like reconcile_sync_data.js
+async function fetchExistingIds(options) {
+  const existing = { pageVisits: new Set(), tabAggregates: new Set() };
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const { response, body } = await request(`${options.baseUrl}${BROWSING_DATA_PATH}?page=${page}&per_page=${PER_PAGE}`, {
+      headers: { Authorization: `Bearer ${options.token}` }
+    }, options.timeoutMs);
+    if (!response.ok || !body || !body.data) {
+      throw new Error(`GET ${BROWSING_DATA_PATH} page ${page} failed: HTTP ${response.status} ${(body && body.message) || response.statusText}`);
+    }
+    const { page_visits: visits, tab_aggregates: aggregates, pagination } = body.data;
+    visits.forEach(visit => existing.pageVisits.add(String(visit.id)));
+    aggregates.forEach(aggregate => existing.tabAggregates.add(String(aggregate.id)));
+    const total = Math.max(pagination.total_page_visits, pagination.total_tab_aggregates);
+    totalPages = Math.max(Math.ceil(total / pagination.per_page), 1);
+    page++;
+  } while (page <= totalPages);
+  return existing;
+}
+
+// Counts created / updated per record type from the ids the batch sent,
+// minus those listed in validation_errors; null when existing ids are unknown
+function classify(ids, rejectedIds, existing) {
+  const counts = {};
+  for (const type of ['pageVisits', 'tabAggregates']) {
+    const rejected = rejectedIds[type];
+    const accepted = new Set(ids[type].filter(id => !rejected.has(id)));
+    if (!existing) {
+      counts[type] = { created: null, updated: null };
+      continue;
+    }
+    let updated = 0;
+    accepted.forEach(id => {
+      if (existing[type].has(id)) updated++;
+      existing[type].add(id);
+    });
+    counts[type] = { created: accepted.size - updated, updated: updated };
+  }
+  return counts;
+}
+
+function rejectedRecords(validationErrors) {
+  const byRecord = new Map();
+  for (const error of validationErrors) {
+    const key = `${error.record_type}:${error.record_id}`;
+    if (!byRecord.has(key)) byRecord.set(key, { type: error.record_type, id: error.record_id, errors: [] });
+    byRecord.get(key).errors.push({ field: error.field, message: error.message });
+  }
+  return Array.from(byRecord.values());
+}
+
+async function replayBatch(payload, options, existing) {
+  const body = payload.body;
+  const batch = {
+    label: payload.label,
+    sent: { pageVisits: (body.pageVisits || []).length, tabAggregates: (body.tabAggregates || []).length },
+    status: null,
+    latencyMs: null,
+    ok: false,
+    message: null,
+    pageVisits: null,
+    tabAggregates: null,
+    dataQualityScore: null,
+    rejected: [],
+    errors: []
+  };
+
+  let result;
+  try {
+    result = await request(`${options.baseUrl}${SYNC_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${options.token}` },
+      body: JSON.stringify(body)
+    }, options.timeoutMs);
+  } catch (error) {
+    batch.message = error.name === 'TimeoutError' ? `No response within ${options.timeoutMs}ms` : `Network error: ${error.message}`;
+    return batch;
+  }
+
+  const { response, body: answer } = result;
+  batch.status = response.status;
+  batch.latencyMs = result.latencyMs;
+  batch.message = (answer && (answer.message || answer.error)) || (response.ok ? null : response.statusText);
+
+  if (!response.ok) {
+    batch.errors = answer && Array.isArray(answer.errors) ? answer.errors : [];
+    return batch;
+  }
+
+  const data = (answer && answer.data) || {};
+  batch.rejected = rejectedRecords(Array.isArray(data.validation_errors) ? data.validation_errors : []);
+  const rejectedIds = {
+    pageVisits: new Set(batch.rejected.filter(record => record.type === 'page_visit').map(record => String(record.id))),
+    tabAggregates: new Set(batch.rejected.filter(record => record.type === 'tab_aggregate').map(record => String(record.id)))
+  };
+  const counts = classify(serverIds(body), rejectedIds, existing);
+  batch.pageVisits = { synced: data.page_visits_synced ?? null, ...counts.pageVisits, rejected: rejectedIds.pageVisits.size };
+  batch.tabAggregates = { synced: data.tab_aggregates_synced ?? null, ...counts.tabAggregates, rejected: rejectedIds.tabAggregates.size };
+  batch.dataQualityScore = data.data_quality_score ?? null;
+  batch.ok = (data.rejected_records_count ?? batch.rejected.length) === 0;
+  return batch;
+}
+
+async function replay(payloads, options, log = () => {}) {
+  const report = {
+    baseUrl: options.baseUrl,
+    startedAt: new Date().toISOString(),
+    classified: false,
+    classifyError: null,
+    batches: [],
+    totals: null
+  };
+
+  let existing = null;
+  if (options.classify) {
+    try {
+      existing = await fetchExistingIds(options);
+      report.classified = true;
+      log(`Existing records on the server: ${existing.pageVisits.size} page visits, ${existing.tabAggregates.size} tab aggregates\n`);
+    } catch (error) {
+      report.classifyError = error.message;
+      log(`Could not read the existing records (${error.message}) - created / updated will be unknown\n`);
+    }
+  }
+
+  for (const [index, payload] of payloads.entries()) {
+    if (index > 0 && options.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, options.delayMs));
+    }
+    const batch = await replayBatch(payload, options, existing);
+    report.batches.push(batch);
+    log(formatBatch(batch, index, payloads.length));
+  }
+
+  report.totals = summarize(report.batches);
+  return report;
+}
+
+function summarize(batches) {
+  const totals = { batches: batches.length, accepted: 0, partial: 0, failed: 0, pageVisits: {}, tabAggregates: {}, latencyMs: null };
+  for (const batch of batches) {
+    if (batch.ok) totals.accepted++;
+    else if (batch.pageVisits) totals.partial++;
+    else totals.failed++;
+  }
+
+  // Only answered batches have counts; one unknown count makes the total unknown
+  const answered = batches.filter(batch => batch.pageVisits);
+  for (const type of ['pageVisits', 'tabAggregates']) {
+    const sum = field => {
+      const values = answered.map(batch => batch[type][field]);
+      return values.includes(null) ? null : values.reduce((total, value) => total + value, 0);
+    };
+    totals[type] = { synced: sum('synced'), created: sum('created'), updated: sum('updated'), rejected: sum('rejected') };
+  }
+
+  const latencies = batches.map(batch => batch.latencyMs).filter(value => value !== null).sort((a, b) => a - b);
+  if (latencies.length > 0) {
+    totals.latencyMs = {
+      min: latencies[0],
+      median: latencies[Math.floor((latencies.length - 1) / 2)],
+      max: latencies[latencies.length - 1]
+    };
+  }
+  return totals;
+}
+
+function formatCounts(counts) {
+  const known = value => value === null ? '?' : value;
+  return `${known(counts.created)} created, ${known(counts.updated)} updated, ${counts.rejected} rejected`;
+}
+
+function formatBatch(batch, index, total) {
+  const lines = [];
+  const sent = `${batch.sent.pageVisits} visits + ${batch.sent.tabAggregates} aggregates`;
+  if (batch.status === null) {
+    lines.push(`[${index + 1}/${total}] ${batch.label}: ${sent} - FAILED: ${batch.message}`);
+    return lines.join('\n');
+  }
+  lines.push(`[${index + 1}/${total}] ${batch.label}: ${sent} - HTTP ${batch.status} in ${batch.latencyMs}ms`);
+  if (batch.pageVisits) {
+    lines.push(`    page visits:    ${formatCounts(batch.pageVisits)}`);
+    lines.push(`    tab aggregates: ${formatCounts(batch.tabAggregates)}`);
+    for (const record of batch.rejected) {
+      lines.push(`    rejected ${record.type} ${record.id}: ${record.errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    }
+  } else {
+    lines.push(`    ${batch.message}`);
+    for (const error of batch.errors) {
+      lines.push(`    ${typeof error === 'string' ? error : JSON.stringify(error)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatTotals(totals) {
+  const lines = [
+    '',
+    `${totals.batches} batch(es): ${totals.accepted} accepted, ${totals.partial} with rejections, ${totals.failed} failed`,
+    `  page visits:    ${formatCounts(totals.pageVisits)}`,
+    `  tab aggregates: ${formatCounts(totals.tabAggregates)}`
+  ];
+  if (totals.latencyMs) {
+    lines.push(`  latency:        min ${totals.latencyMs.min}ms, median ${totals.latencyMs.median}ms, max ${totals.latencyMs.max}ms`);
+  }
+  return lines.join('\n');
+}
+
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  let options;
+  const payloads = [];
+  try {
+    options = parseArgs(argv, env);
+    if (options.help) {
+      stdout.write(USAGE + '\n');
+      return 0;
+    }
+    for (const file of options.files) {
+      const loaded = loadPayloads(file);
+      if (loaded.skipped > 0) stderr.write(`Skipped ${loaded.skipped} entry(ies) of ${file} without a sync body\n`);
+      payloads.push(...loaded.payloads);
+    }
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const log = options.json ? () => {} : line => stdout.write(line + '\n');
+  for (const payload of payloads) {
+    const size = (payload.body.pageVisits || []).length + (payload.body.tabAggregates || []).length;
+    if (size > MAX_BATCH_SIZE) {
+      stderr.write(`${payload.label} holds ${size} records - the server rejects batches over ${MAX_BATCH_SIZE}\n`);
+    }
+  }
+
+  if (options.dryRun) {
+    const batches = payloads.map(payload => ({
+      label: payload.label,
+      sent: { pageVisits: (payload.body.pageVisits || []).length, tabAggregates: (payload.body.tabAggregates || []).length }
+    }));
+    if (options.json) {
+      stdout.write(JSON.stringify({ baseUrl: options.baseUrl, dryRun: true, batches: batches }, null, 2) + '\n');
+    } else {
+      batches.forEach((batch, index) => log(`[${index + 1}/${batches.length}] ${batch.label}: ${batch.sent.pageVisits} visits + ${batch.sent.tabAggregates} aggregates`));
+    }
+    return 0;
+  }
+
+  log(`Replaying ${payloads.length} batch(es) against ${options.baseUrl}\n`);
+  const report = await replay(payloads, options, log);
+  if (options.json) {
+    stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    log(formatTotals(report.totals));
+  }
+  return report.totals.accepted === report.totals.batches ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  }, error => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, loadPayloads, serverIds, replay, summarize, main, UsageError };
@@ -0,0 +1,280 @@
+/**
+ * IndexedDB Snapshot Restore Script
+ *
+ * Loads a snapshot written by export_indexeddb_snapshot.js back into the
+ * extension's IndexedDB, typically in a fresh browser profile.
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Make the snapshot available, either:
+ *    - paste it first:  self.HEYHO_SNAPSHOT = <contents of the .json file>;
+ *    - or, in a page context (extension popup/options page), leave it unset
+ *      and pick the file in the file dialog the script opens
+ * 3. Paste heyho_toolkit.js once per console session - this script takes
+ *    its sync guard from it
+ * 4. Copy and paste this entire script
+ * 5. Press Enter to run
+ *
+ * BEHAVIOUR:
+ * - If the database does not exist, it is created with the snapshot's version,
+ *   stores, keyPaths and indexes.
+ * - If it exists, its version must match the snapshot and every snapshot
+ *   store must exist. Stores that already hold records are only overwritten
+ *   when OVERWRITE = true.
+ * - All records are written in a single readwrite transaction: the restore
+ *   either applies completely or not at all. A database the restore created
+ *   is deleted again when the write fails.
+ * - Redacted snapshots (export with REDACT = true) restore like any other, so
+ *   a bug report's data can be audited in a scratch profile.
+ *
+ * The extension may write to the same stores, so the restore waits for an
+ * in-flight sync (SyncManager.getSyncState()) to finish before it opens (or
+ * creates) the database, and pauses the sync for its duration when
+ * self.HEYHO_SYNC_HOOKS = { pause, resume } is set. It refuses to run if the
+ * sync state cannot be read, unless FORCE_WITHOUT_SYNC_STATE = true.
+ */
+
+(async function restoreIndexedDBSnapshot() {
+  console.log('♻️  Starting IndexedDB snapshot restore...\n');
+
+  const SNAPSHOT_FORMAT = 'heyho-indexeddb-snapshot';
+  const SUPPORTED_FORMAT_VERSIONS = [1];
+  const OVERWRITE = false; // Set to true to replace records in stores that are not empty
+  const DB_NAME_OVERRIDE = null; // Restore under a different database name (e.g. for testing)
+  const SYNC_WAIT_TIMEOUT_MS = 60000; // How long to wait for an in-flight sync before giving up
+  const FORCE_WITHOUT_SYNC_STATE = false; // Set to true to write even when the sync state cannot be read
+
+  if (!self.heyho || typeof self.heyho.guardSync !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { guardSync, releaseSync } = self.heyho;
+
+  const results = {
+    success: true,
+    database: null,
+    created: false,
+    redacted: false,
+    stores: {},
+    syncGuard: null,
+    errors: []
+  };
+
+  try {
+    const snapshot = reviveSpecialValues(await loadSnapshot());
+
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+      throw new Error('Not a Heyho IndexedDB snapshot (missing or wrong "format" field)');
+    }
+    if (!SUPPORTED_FORMAT_VERSIONS.includes(snapshot.formatVersion)) {
+      throw new Error(`Unsupported snapshot formatVersion ${snapshot.formatVersion} (supported: ${SUPPORTED_FORMAT_VERSIONS.join(', ')})`);
+    }
+
+    const dbName = DB_NAME_OVERRIDE || snapshot.database.name;
+    const dbVersion = snapshot.database.version;
+    const storeNames = Object.keys(snapshot.stores);
+
+    console.log(`📄 Snapshot of ${snapshot.database.name} (version ${dbVersion}) exported ${snapshot.exportedAt}`);
+    console.log(`📋 Stores: ${storeNames.map(name => `${name} (${snapshot.stores[name].records.length})`).join(', ')}\n`);
+    if (snapshot.redaction) {
+      results.redacted = true;
+      console.log(`🙈 Redacted snapshot: URLs, titles and metadata are hashed (domains: ${snapshot.redaction.domains})`);
+      console.log('   Restore it into a scratch profile or with DB_NAME_OVERRIDE, not over real browsing data.\n');
+    }
+
+    const databases = await indexedDB.databases();
+    const existing = databases.find(db => db.name === dbName);
+
+    if (existing && existing.version !== dbVersion) {
+      throw new Error(`Database ${dbName} exists with version ${existing.version}, snapshot is version ${dbVersion}. Restore into a profile running the same extension version.`);
+    }
+
+    // Wait for the sync before opening: opening a new database creates it
+    const syncGuard = await guardSync({
+      syncWaitTimeoutMs: SYNC_WAIT_TIMEOUT_MS,
+      forceWithoutSyncState: FORCE_WITHOUT_SYNC_STATE,
+      forceHint: 'set FORCE_WITHOUT_SYNC_STATE = true'
+    });
+    results.syncGuard = syncGuard;
+    if (!syncGuard.proceed) {
+      throw new Error(syncGuard.reason);
+    }
+
+    let db = null;
+    try {
+      // Open, creating the schema from the snapshot if the database is new
+      db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, dbVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onupgradeneeded = () => {
+          if (existing) {
+            request.transaction.abort();
+            reject(new Error('Unexpected upgrade of an existing database'));
+            return;
+          }
+          const upgradeDb = request.result;
+          for (const storeName of storeNames) {
+            const definition = snapshot.stores[storeName];
+            const options = { autoIncrement: definition.autoIncrement };
+            if (definition.keyPath !== null) {
+              options.keyPath = definition.keyPath;
+            }
+            const store = upgradeDb.createObjectStore(storeName, options);
+            for (const index of definition.indexes || []) {
+              store.createIndex(index.name, index.keyPath, {
+                unique: index.unique,
+                multiEntry: index.multiEntry
+              });
+            }
+          }
+          results.created = true;
+        };
+      });
+
+      results.database = { name: db.name, version: db.version };
+      console.log(`📂 ${results.created ? 'Created' : 'Opened existing'} database: ${db.name} (version ${db.version})`);
+
+      const missingStores = storeNames.filter(name => !db.objectStoreNames.contains(name));
+      if (missingStores.length > 0) {
+        throw new Error(`Existing database is missing stores: ${missingStores.join(', ')}`);
+      }
+
+      if (storeNames.length === 0) {
+        console.log('ℹ️  Snapshot has no stores, nothing to restore.');
+        return results;
+      }
+
+      const transaction = db.transaction(storeNames, 'readwrite');
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('Restore transaction aborted'));
+      });
+
+      try {
+        for (const storeName of storeNames) {
+          const store = transaction.objectStore(storeName);
+          const definition = snapshot.stores[storeName];
+
+          const countRequest = store.count();
+          const existingCount = await new Promise((resolve, reject) => {
+            countRequest.onsuccess = () => resolve(countRequest.result);
+            countRequest.onerror = () => reject(countRequest.error);
+          });
+
+          if (existingCount > 0 && !OVERWRITE) {
+            throw new Error(`Store ${storeName} already has ${existingCount} records. Set OVERWRITE = true to replace them.`);
+          }
+
+          if (existingCount > 0) {
+            const clearRequest = store.clear();
+            await new Promise((resolve, reject) => {
+              clearRequest.onsuccess = () => resolve();
+              clearRequest.onerror = () => reject(clearRequest.error);
+            });
+          }
+
+          for (let i = 0; i < definition.records.length; i++) {
+            const putRequest = definition.keyPath === null
+              ? store.put(definition.records[i], definition.keys[i])
+              : store.put(definition.records[i]);
+            await new Promise((resolve, reject) => {
+              putRequest.onsuccess = () => resolve();
+              putRequest.onerror = () => reject(putRequest.error);
+            });
+          }
+
+          results.stores[storeName] = {
+            restored: definition.records.length,
+            replaced: existingCount
+          };
+          console.log(`   ✅ ${storeName}: ${definition.records.length} records${existingCount > 0 ? ` (replaced ${existingCount})` : ''}`);
+        }
+      } catch (error) {
+        // A failed request has usually aborted the transaction already
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // Already aborted
+        }
+        await done.catch(() => {});
+        throw error;
+      }
+      await done;
+    } catch (error) {
+      // Leave no empty database behind when the restore created it
+      if (results.created) {
+        if (db) db.close();
+        db = null;
+        await deleteDatabase(dbName).catch(deleteError => {
+          console.error(`[WARN] Could not delete the database ${dbName} created for the restore:`, deleteError, '- delete it by hand');
+        });
+      }
+      throw error;
+    } finally {
+      if (db) db.close();
+      await releaseSync(syncGuard);
+    }
+
+    const totalRestored = Object.values(results.stores).reduce((sum, store) => sum + store.restored, 0);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`✅ Restored ${totalRestored} records into ${dbName}`);
+    console.log('='.repeat(60));
+    console.log('\n💡 Reload the extension so it picks up the restored data.');
+
+    return results;
+
+  } catch (error) {
+    console.error('\n❌ RESTORE FAILED (nothing was written):', error);
+    return { success: false, error: error.message };
+  }
+
+  function deleteDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Uses self.HEYHO_SNAPSHOT when set, otherwise asks for a file in page contexts
+  async function loadSnapshot() {
+    const provided = self.HEYHO_SNAPSHOT;
+    if (provided) {
+      return typeof provided === 'string' ? JSON.parse(provided) : provided;
+    }
+
+    if (typeof document === 'undefined') {
+      throw new Error('No snapshot found. Set self.HEYHO_SNAPSHOT = <snapshot JSON> and run again.');
+    }
+
+    console.log('📁 Select the snapshot file in the file dialog...');
+    const file = await new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.onchange = () => (input.files[0] ? resolve(input.files[0]) : reject(new Error('No file selected')));
+      input.click();
+    });
+    return JSON.parse(await file.text());
+  }
+
+  // Rebuilds values the export tagged because JSON cannot represent them
+  function reviveSpecialValues(value) {
+    if (Array.isArray(value)) {
+      return value.map(reviveSpecialValues);
+    }
+    if (value && typeof value === 'object') {
+      if (value.__heyhoType === 'Date') {
+        return new Date(value.value);
+      }
+      const revived = {};
+      for (const [key, nested] of Object.entries(value)) {
+        revived[key] = reviveSpecialValues(nested);
+      }
+      return revived;
+    }
+    return value;
+  }
+})();
@@ -0,0 +1,103 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./support/harness');
+const { DAY, eventsDatabase, pageVisit, sampleDatabase } = require('./support/fixtures');
+
+const bytes = value => Buffer.byteLength(JSON.stringify(value));
+
+function storageStub({ usage = 5 * 1024 * 1024, quota = 100 * 1024 * 1024, persisted = false } = {}) {
+  return {
+    storage: {
+      estimate: async () => ({ usage, quota, usageDetails: { indexedDB: usage - 1024 } }),
+      persisted: async () => persisted
+    }
+  };
+}
+
+async function analyze(database, { globals = { navigator: storageStub() }, config } = {}) {
+  const env = createEnvironment({ databases: { Heyho_EventsDB: database }, globals });
+  const result = await env.run('analyze_storage_footprint.js', { config });
+  return { env, result };
+}
+
+describe('analyze_storage_footprint.js', () => {
+  it('reports quota, per-store sizes and the largest records', async () => {
+    const database = sampleDatabase();
+    const recent = pageVisit({ visitId: 'visit_recent', tabId: 105, startedAt: Date.now() - 10 * DAY, title: 'x'.repeat(500) });
+    database.stores.pageVisits.records.push(recent);
+
+    const { env, result } = await analyze(database, { config: { TOP_RECORDS: 3 } });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.quota, {
+      usage: 5 * 1024 * 1024,
+      quota: 100 * 1024 * 1024,
+      percentUsed: 5,
+      usageDetails: { indexedDB: 5 * 1024 * 1024 - 1024 },
+      persisted: false
+    });
+    assert.deepEqual(Object.keys(result.stores).sort(), ['pageVisits', 'syncedPageVisits', 'tabAggregates']);
+
+    const visits = result.stores.pageVisits;
+    const records = database.stores.pageVisits.records;
+    assert.equal(visits.records, 5);
+    assert.equal(visits.recordBytes, records.reduce((sum, record) => sum + bytes(record), 0));
+    // startedAt, domain and tabId indexes each hold the index key plus the primary key
+    assert.equal(visits.indexBytes, records.reduce((sum, record) =>
+      sum + bytes(record.startedAt) + bytes(record.domain) + bytes(record.tabId) + 3 * bytes(record.visitId), 0));
+    assert.equal(visits.totalBytes, visits.recordBytes + visits.indexBytes);
+    assert.equal(visits.largestBytes, bytes(recent));
+    assert.deepEqual(visits.olderThan['7d'], { records: 5, bytes: visits.recordBytes, syncedBytes: visits.recordBytes - bytes(records[2]) - bytes(records[3]) });
+    assert.equal(visits.olderThan['30d'].records, 4);
+    assert.equal(result.totalBytes, Object.values(result.stores).reduce((sum, store) => sum + store.totalBytes, 0));
+
+    assert.equal(result.largestRecords.length, 3);
+    assert.deepEqual(result.largestRecords[0], { store: 'pageVisits', key: 'visit_recent', bytes: bytes(recent), metadataBytes: 0, summary: recent.url });
+    assert.ok(result.largestRecords.every((entry, index) => index === 0 || entry.bytes <= result.largestRecords[index - 1].bytes));
+
+    assert.equal(env.sandbox.heyhoLastStorageReport.totalBytes, result.totalBytes);
+    assert.match(env.output(), /\[QUOTA\] 5 MB used of 100 MB \(5%\), not persisted \(can be evicted\)/);
+    assert.match(env.output(), /\[OK\] No metadata over the server limit\./);
+  });
+
+  it('flags metadata the server rejects, measured after sanitizing and with Rails escaping', async () => {
+    const database = eventsDatabase({
+      pageVisits: [
+        // 30 strings of 1900 characters: about 57KB as sent
+        pageVisit({ visitId: 'visit_wide', metadata: Object.fromEntries(Array.from({ length: 30 }, (_, index) => ['field' + index, 'a'.repeat(1900)])) }),
+        // 100KB locally, but truncated to 2000 characters before validation
+        pageVisit({ visitId: 'visit_long', tabId: 102, metadata: { description: 'b'.repeat(100 * 1024) } }),
+        // 20KB locally, but to_json turns every < into \u003c
+        pageVisit({ visitId: 'visit_html', tabId: 103, metadata: Object.fromEntries(Array.from({ length: 10 }, (_, index) => ['html' + index, '<'.repeat(2000)])) }),
+        pageVisit({ visitId: 'visit_plain', tabId: 104, metadata: { ogTitle: 'heyho' } })
+      ]
+    });
+
+    const { env, result } = await analyze(database);
+
+    assert.equal(result.metadata.checked, 4);
+    assert.deepEqual(result.metadata.overLimit.map(entry => entry.key), ['visit_html', 'visit_wide']);
+    const [html, wide] = result.metadata.overLimit;
+    const htmlMetadata = database.stores.pageVisits.records[2].metadata;
+    assert.equal(html.bytes, bytes(htmlMetadata) + 10 * 2000 * 5);
+    assert.equal(html.rawBytes, bytes(htmlMetadata));
+    assert.ok(wide.bytes > 50 * 1024);
+    assert.equal(wide.largestKeys.length, 3);
+    assert.equal(wide.url, 'https://github.com/heyho/sync');
+    assert.equal(result.stores.pageVisits.metadataBytes > 100 * 1024, true);
+    assert.match(env.output(), /\[WARN\] 2 page visit\(s\) have metadata the server rejects as too large/);
+  });
+
+  it('works without the storage API and reports a missing database', async () => {
+    const { env, result } = await analyze(sampleDatabase(), { globals: {} });
+    assert.equal(result.success, true);
+    assert.equal(result.quota, null);
+    assert.match(env.output(), /navigator\.storage\.estimate\(\) is not available here/);
+
+    const missing = createEnvironment({ globals: { navigator: storageStub() } });
+    const failed = await missing.run('analyze_storage_footprint.js');
+    assert.deepEqual(failed, { success: false, error: 'Database not found: Heyho_EventsDB' });
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./support/harness');
+const { BASE, DAY, eventsDatabase, pageVisit, tabAggregate, sampleDatabase } = require('./support/fixtures');
+
+async function audit(database, stubs) {
+  const env = createEnvironment({ databases: { Heyho_EventsDB: database }, stubs });
+  const result = await env.run('audit_local_data.js');
+  return { env, result };
+}
+
+function issuesFor(result, check) {
+  return result.issues.filter(issue => issue.check === check).map(issue => [issue.store, issue.key, issue.field]);
+}
+
+describe('audit_local_data.js', () => {
+  it('only flags the chrome:// visit in the sample data', async () => {
+    const { env, result } = await audit(sampleDatabase());
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.checked, { pageVisits: 4, tabAggregates: 3 });
+    assert.equal(result.issues.length, 1);
+    assert.deepEqual(issuesFor(result, 'invalidUrl'), [['pageVisits', 'visit_4', 'url']]);
+    assert.equal(result.issues[0].record.url, 'chrome://extensions');
+    assert.match(result.issues[0].message, /INVALID_URL_PREFIXES/);
+    assert.equal(env.sandbox.heyhoLastAudit.issues.length, 1);
+  });
+
+  it('finds duplicate visitIds and duplicate visits', async () => {
+    const database = eventsDatabase({
+      pageVisits: [
+        pageVisit(),
+        pageVisit({ title: 'stored twice' }),
+        pageVisit({ visitId: 'visit_copy' }),
+        pageVisit({ visitId: 'visit_other', startedAt: BASE + 60000 })
+      ]
+    });
+    // Older extension builds keyed pageVisits by an autoIncrement id
+    database.stores.pageVisits = { autoIncrement: true, records: database.stores.pageVisits.records };
+
+    const { result } = await audit(database);
+
+    assert.deepEqual(issuesFor(result, 'duplicateVisitId'), [['pageVisits', 2, 'visitId']]);
+    assert.deepEqual(issuesFor(result, 'duplicateVisit'), [['pageVisits', 3, 'visitId']]);
+    assert.match(result.issues.find(issue => issue.check === 'duplicateVisit').message, /as 1$/);
+  });
+
+  it('finds aggregates whose tab has no visits left', async () => {
+    const { result } = await audit(eventsDatabase({
+      pageVisits: [pageVisit({ tabId: 0 })],
+      tabAggregates: [tabAggregate({ tabId: 0 }), tabAggregate({ tabId: 555 })]
+    }));
+
+    assert.deepEqual(issuesFor(result, 'orphanedAggregate'), [['tabAggregates', 555, 'tabId']]);
+  });
+
+  it('flags negative and implausibly long durations', async () => {
+    const { result } = await audit(eventsDatabase({
+      pageVisits: [
+        pageVisit({ visitId: 'negative', activeDuration: -5000 }),
+        pageVisit({ visitId: 'long', durationSeconds: 90000, activeDuration: 1000 }),
+        pageVisit({ visitId: 'overactive', durationSeconds: 60, activeDuration: 600000 })
+      ]
+    }));
+
+    assert.deepEqual(issuesFor(result, 'negativeDuration'), [['pageVisits', 'negative', 'activeDuration']]);
+    assert.deepEqual(issuesFor(result, 'longDuration'), [
+      ['pageVisits', 'long', 'durationSeconds'],
+      ['pageVisits', 'overactive', 'activeDuration']
+    ]);
+  });
+
+  it('flags future timestamps and clock skew', async () => {
+    const future = Date.now() + 2 * DAY;
+    const { result } = await audit(eventsDatabase({
+      pageVisits: [
+        pageVisit({ visitId: 'future', startedAt: future, synced: false, syncedAt: undefined }),
+        pageVisit({ visitId: 'epoch', startedAt: 1000, synced: false, syncedAt: undefined }),
+        pageVisit({ visitId: 'synced_early', syncedAt: BASE - DAY }),
+        pageVisit({ visitId: 'drift', syncedAt: BASE - 60000 })
+      ],
+      tabAggregates: [
+        tabAggregate({ lastActiveTime: BASE - DAY }),
+        tabAggregate({ tabId: 102, closedAt: future })
+      ]
+    }));
+
+    assert.deepEqual(issuesFor(result, 'futureTimestamp'), [
+      ['pageVisits', 'future', 'startedAt'],
+      ['tabAggregates', 102, 'closedAt']
+    ]);
+    assert.deepEqual(issuesFor(result, 'clockSkew'), [
+      ['pageVisits', 'epoch', 'startedAt'],
+      ['pageVisits', 'synced_early', 'syncedAt'],
+      ['tabAggregates', 101, 'lastActiveTime']
+    ]);
+  });
+
+  it('flags aggregates closed before they opened, in either spelling', async () => {
+    const { result } = await audit(eventsDatabase({
+      pageVisits: [pageVisit(), pageVisit({ visitId: 'visit_2', tabId: 102 })],
+      tabAggregates: [
+        tabAggregate({ closedAt: BASE - 60000 }),
+        tabAggregate({ tabId: 102, startTime: undefined, start_time: BASE, closed_at: BASE - DAY })
+      ]
+    }));
+
+    assert.deepEqual(issuesFor(result, 'closedBeforeStart'), [
+      ['tabAggregates', 101, 'closedAt'],
+      ['tabAggregates', 102, 'closed_at']
+    ]);
+    assert.equal(result.issues[1].value, BASE - DAY);
+  });
+
+  it('flags empty and non-http URLs', async () => {
+    const { result } = await audit(eventsDatabase({
+      pageVisits: [
+        pageVisit({ visitId: 'empty', url: '  ' }),
+        pageVisit({ visitId: 'missing', url: undefined }),
+        pageVisit({ visitId: 'ftp', url: 'ftp://files.example.com/a' })
+      ],
+      tabAggregates: [tabAggregate({ currentUrl: 'file:///tmp/a.html' })]
+    }));
+
+    assert.deepEqual(issuesFor(result, 'invalidUrl'), [
+      ['pageVisits', 'empty', 'url'],
+      ['pageVisits', 'ftp', 'url'],
+      ['pageVisits', 'missing', 'url'],
+      ['tabAggregates', 101, 'currentUrl']
+    ]);
+    assert.equal(result.summary.invalidUrl, 4);
+  });
+
+  it('does not modify the database', async () => {
+    const database = eventsDatabase({ pageVisits: [pageVisit({ activeDuration: -1 })] });
+    const { env } = await audit(database);
+
+    assert.deepEqual(env.dump('Heyho_EventsDB').pageVisits, database.stores.pageVisits.records);
+  });
+
+  it('fails when the database cannot be opened', async () => {
+    const env = createEnvironment();
+    env.sandbox.indexedDB.open = () => {
+      const request = {};
+      setTimeout(() => {
+        request.error = new Error('blocked');
+        request.onerror();
+      });
+      return request;
+    };
+
+    const result = await env.run('audit_local_data.js');
+
+    assert.deepEqual(result, { success: false, error: 'blocked' });
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { eventsDatabase, pageVisit, sampleDatabase } = require('./support/fixtures');
+
+describe('check_sync_status.js', () => {
+  it('counts synced, unsynced and unflagged records per store', async () => {
+    const database = sampleDatabase();
+    database.stores.pageVisits.records.push(pageVisit({ visitId: 'visit_5', synced: undefined, syncedAt: undefined }));
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+
+    const result = await env.run('check_sync_status.js');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.database, { name: 'Heyho_EventsDB', version: 3 });
+    assert.deepEqual(result.pageVisits, { total: 5, synced: 2, unsynced: 2, missingSyncedField: 1 });
+    assert.deepEqual(result.tabAggregates, { total: 3, synced: 2, unsynced: 1, missingSyncedField: 0 });
+    assert.deepEqual(result.syncedPageVisits, { total: 2 });
+    assert.match(env.output(), /\[OK\] Found unsynced records/);
+  });
+
+  it('suggests the reset script when everything is synced', async () => {
+    const env = await createToolkitEnvironment({
+      databases: { Heyho_EventsDB: eventsDatabase({ pageVisits: [pageVisit()] }) }
+    });
+
+    const result = await env.run('check_sync_status.js');
+
+    assert.equal(result.pageVisits.synced, 1);
+    assert.match(env.output(), /All records are marked as synced=true/);
+  });
+
+  it('fails when the database has no extension stores', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: { version: 1, stores: {} } } });
+
+    const result = await env.run('check_sync_status.js');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /pageVisits/);
+    assert.equal(result.report.success, false);
+    assert.deepEqual(result.report.errors.map(error => error.database), ['Heyho_EventsDB']);
+  });
+
+  it('returns a diagnostic report with the synced breakdown per store', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const { report } = await env.run('check_sync_status.js');
+
+    assert.equal(report.format, 'heyho-diagnostic-report');
+    assert.equal(report.formatVersion, 1);
+    assert.equal(report.script, 'check_sync_status.js');
+    assert.deepEqual(report.databases, [{
+      name: 'Heyho_EventsDB',
+      version: 3,
+      stores: {
+        pageVisits: { count: 4, synced: 2, unsynced: 2, missingSyncedField: 0 },
+        tabAggregates: { count: 3, synced: 2, unsynced: 1, missingSyncedField: 0 },
+        syncedPageVisits: { count: 2, synced: 0, unsynced: 0, missingSyncedField: 2 }
+      }
+    }]);
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(report.details, { verdict: 'unsynced' });
+    assert.deepEqual(structuredClone(env.sandbox.heyhoLastReport), report);
+  });
+
+  it('downloads the report when DOWNLOAD_REPORT is set', async () => {
+    const downloads = [];
+    const env = await createToolkitEnvironment({
+      databases: { Heyho_EventsDB: sampleDatabase() },
+      globals: { chrome: { downloads: { download: options => downloads.push(options) } } }
+    });
+
+    const { report } = await env.run('check_sync_status.js', { config: { DOWNLOAD_REPORT: true } });
+
+    assert.equal(downloads.length, 1);
+    assert.match(downloads[0].filename, /^heyho-report_check_sync_status_.+\.json$/);
+    const saved = JSON.parse(decodeURIComponent(downloads[0].url.replace('data:application/json;charset=utf-8,', '')));
+    assert.deepEqual(saved, report);
+  });
+});
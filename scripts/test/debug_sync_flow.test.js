@@ -0,0 +1,42 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, eventsDatabase, pageVisit, tabAggregate } = require('./support/fixtures');
+
+const unsynced = { synced: false, syncedAt: undefined };
+
+// `count` unsynced visits of tab 201 and one of tab 202, with an aggregate each
+function busyTabDatabase(count) {
+  const visits = Array.from({ length: count }, (_, index) => pageVisit({ visitId: `visit_${index}`, tabId: 201, startedAt: BASE + index, ...unsynced }));
+  return eventsDatabase({
+    pageVisits: [...visits, pageVisit({ visitId: 'visit_other', tabId: 202, ...unsynced })],
+    tabAggregates: [tabAggregate({ tabId: 201, ...unsynced }), tabAggregate({ tabId: 202, ...unsynced })],
+    syncedPageVisits: []
+  });
+}
+
+const sizes = result => result.batches.map(batch => [batch.pageVisits, batch.tabAggregates]);
+
+describe('debug_sync_flow.js', () => {
+  it('splits a tab with more records than BATCH_SIZE across batches', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: busyTabDatabase(5) } });
+
+    const result = await env.run('debug_sync_flow.js', { config: { BATCH_SIZE: 3 } });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(sizes(result), [[2, 1], [3, 0], [1, 1]]);
+    assert.ok(result.batches.every(batch => batch.total <= 3 && !batch.exceedsLimit));
+  });
+
+  it('hints at a split that keeps every batch under MAX_BATCH_SIZE', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: busyTabDatabase(1999) } });
+
+    const result = await env.run('debug_sync_flow.js');
+
+    assert.deepEqual(sizes(result), [[2000, 2]]);
+    assert.equal(result.batches[0].exceedsLimit, true);
+    assert.match(env.output(), /\[HINT\] Split into 3 batches of at most 1000 records/);
+  });
+});
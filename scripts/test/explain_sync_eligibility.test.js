@@ -0,0 +1,120 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./support/harness');
+const { eventsDatabase, pageVisit, sampleDatabase, tabAggregate } = require('./support/fixtures');
+
+const statuses = result => Object.fromEntries(result.checks.map(check => [check.check, check.status]));
+
+describe('explain_sync_eligibility.js', () => {
+  it('passes every check for an unsynced visit the server accepts', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_3' } });
+
+    assert.equal(result.verdict, 'willSync');
+    assert.deepEqual(result.reasons, []);
+    assert.deepEqual(statuses(result), {
+      found: 'pass', syncedFlag: 'pass', storageModule: 'pass', tracking: 'pass', urlFilter: 'pass', authenticated: 'pass', validation: 'pass'
+    });
+  });
+
+  it('explains a visit that was already synced and is still tracked', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_1' } });
+
+    assert.equal(result.verdict, 'wontSync');
+    assert.deepEqual(result.reasons.map(reason => reason.split(':')[0]), ['syncedFlag', 'storageModule', 'tracking']);
+    assert.match(env.output(), /synced = true - already sent at 2025-10-20T09:01:00.000Z/);
+  });
+
+  it('flags a stale syncedPageVisits entry without blocking the visit', async () => {
+    const database = sampleDatabase();
+    database.stores.syncedPageVisits.records.push({ visitId: 'visit_3', syncedAt: 1 });
+    const env = createEnvironment({ databases: { Heyho_EventsDB: database } });
+
+    const result = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_3' } });
+
+    assert.equal(result.verdict, 'willSync');
+    assert.equal(statuses(result).tracking, 'warn');
+  });
+
+  it('reports the URL filter and the server validation errors', async () => {
+    const env = createEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          pageVisits: [
+            pageVisit({ synced: false, syncedAt: undefined }),
+            pageVisit({ visitId: 'visit_2', synced: false, syncedAt: undefined, category: 'gaming', engagementRate: 1.5 })
+          ]
+        })
+      },
+      globals: { Constants: { INVALID_URL_PREFIXES: ['https://github.com/heyho'] } }
+    });
+
+    const filtered = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_1' } });
+    const rejected = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_2' } });
+
+    assert.equal(statuses(filtered).urlFilter, 'fail');
+    assert.match(filtered.reasons[0], /INVALID_URL_PREFIXES entry "https:\/\/github.com\/heyho"/);
+    assert.equal(statuses(rejected).validation, 'fail');
+    assert.match(rejected.reasons.join('\n'), /engagement_rate cannot exceed 1/);
+    assert.match(rejected.reasons.join('\n'), /category must be one of/);
+  });
+
+  it('explains a tab aggregate whose tab has no visit going out with it', async () => {
+    const env = createEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          pageVisits: [pageVisit()],
+          tabAggregates: [tabAggregate({ synced: false, syncedAt: undefined })]
+        })
+      }
+    });
+
+    const result = await env.run('explain_sync_eligibility.js', { config: { TAB_ID: '101' } });
+
+    assert.equal(result.target.store, 'tabAggregates');
+    assert.equal(result.verdict, 'wontSync');
+    assert.equal(statuses(result).pageVisitLink, 'fail');
+    assert.match(result.reasons[0], /Reset one of them \(e\.g\. visit_1\) too/);
+  });
+
+  it('skips the whole sync when signed out', async () => {
+    const env = createEnvironment({
+      databases: { Heyho_EventsDB: sampleDatabase() },
+      globals: { AuthManager: { isAuthenticated: () => false } }
+    });
+
+    const result = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_3' } });
+
+    assert.equal(result.verdict, 'wontSync');
+    assert.deepEqual(result.reasons, ['authenticated: Not signed in - the extension skips the whole sync']);
+  });
+
+  it('is unsure when the extension globals are missing', async () => {
+    const env = createEnvironment({
+      databases: { Heyho_EventsDB: sampleDatabase() },
+      globals: { StorageModule: undefined, AuthManager: undefined, Constants: undefined }
+    });
+
+    const result = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_3' } });
+
+    assert.equal(result.verdict, 'unknown');
+    assert.deepEqual(result.reasons.map(reason => reason.split(':')[0]), ['storageModule', 'urlFilter', 'authenticated']);
+  });
+
+  it('fails for an unknown record and without a target', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const missing = await env.run('explain_sync_eligibility.js', { config: { VISIT_ID: 'visit_404' } });
+    const untargeted = await env.run('explain_sync_eligibility.js');
+
+    assert.equal(missing.verdict, 'wontSync');
+    assert.deepEqual(statuses(missing), { found: 'fail' });
+    assert.equal(untargeted.success, false);
+    assert.match(untargeted.error, /Set VISIT_ID or TAB_ID/);
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, pageVisit, tabAggregate, sampleDatabase } = require('./support/fixtures');
+
+const HASHED_PATH = '[0-9a-f]{16}';
+
+async function exportSnapshot(database, config = {}) {
+  const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+  const result = await env.run('export_indexeddb_snapshot.js', { config: { DOWNLOAD: false, ...config } });
+  return { env, result, json: env.sandbox.heyhoLastSnapshotJson, snapshot: JSON.parse(env.sandbox.heyhoLastSnapshotJson) };
+}
+
+describe('export_indexeddb_snapshot.js', () => {
+  it('exports every store with its schema and records', async () => {
+    const { result, snapshot } = await exportSnapshot(sampleDatabase());
+
+    assert.equal(result.success, true);
+    assert.match(result.filename, /^heyho-snapshot_Heyho_EventsDB_v3_/);
+    assert.equal(snapshot.redaction, undefined);
+    assert.deepEqual(Object.keys(snapshot.stores).sort(), ['pageVisits', 'syncedPageVisits', 'tabAggregates']);
+    assert.equal(snapshot.stores.pageVisits.keyPath, 'visitId');
+    assert.equal(snapshot.stores.pageVisits.records[0].url, 'https://github.com/heyho/sync');
+  });
+
+  it('redacts URLs, titles and metadata but keeps timestamps, durations and categories', async () => {
+    const database = sampleDatabase();
+    database.stores.pageVisits.records[0].metadata = { description: 'Private notes', ogImage: 'https://github.com/a.png' };
+    const original = database.stores.pageVisits.records.map(record => ({ ...record }));
+
+    const { result, json, snapshot } = await exportSnapshot(database, { REDACT: true });
+
+    assert.match(result.filename, /^heyho-snapshot-redacted_Heyho_EventsDB_v3_/);
+    assert.deepEqual(snapshot.redaction, { version: 2, domains: 'registrable', saltId: snapshot.redaction.saltId, fixedSalt: false });
+    assert.deepEqual(result.redaction.urls, 7);
+
+    const [visit, news, docs, chromePage] = snapshot.stores.pageVisits.records;
+    assert.match(visit.url, new RegExp(`^https://github\\.com/${HASHED_PATH}$`));
+    assert.match(visit.title, new RegExp(`^redacted:${HASHED_PATH}$`));
+    assert.deepEqual(visit.metadata, {});
+    assert.equal(news.domain, 'ycombinator.com');
+    assert.equal(docs.domain, 'github.com');
+    assert.match(chromePage.url, new RegExp(`^chrome://extensions/${HASHED_PATH}$`));
+
+    for (const [index, record] of snapshot.stores.pageVisits.records.entries()) {
+      for (const field of ['visitId', 'tabId', 'startedAt', 'activeDuration', 'durationSeconds', 'category', 'synced']) {
+        assert.equal(record[field], original[index][field]);
+      }
+    }
+
+    // The same URL gets the same hash everywhere, so tabs still match their visits
+    assert.equal(snapshot.stores.tabAggregates.records[0].currentUrl, visit.url);
+    for (const secret of ['heyho/sync', 'Private notes', 'docs.github.com', 'news.ycombinator.com']) {
+      assert.equal(json.includes(secret), false, secret);
+    }
+  });
+
+  it('hashes the keys of domain maps and every field it does not know', async () => {
+    const database = sampleDatabase();
+    database.stores.tabAggregates.records[0] = tabAggregate({
+      domainDurations: { 'secret.internal.example.com': 1200, 'wiki.internal.example.com': 300, 'github.com': 60 },
+      statistics: { searchTerms: ['salary review'] }
+    });
+    database.stores.pageVisits.records[0].pageTitle = 'Offer letter - Jane Doe';
+
+    const { result, json, snapshot } = await exportSnapshot(database, { REDACT: true });
+
+    const [aggregate] = snapshot.stores.tabAggregates.records;
+    assert.deepEqual(aggregate.domainDurations, { 'example.com': 1500, 'github.com': 60 });
+    assert.deepEqual([aggregate.tabId, aggregate.startTime, aggregate.pageCount, aggregate.synced], [101, BASE, 1, true]);
+
+    const visit = snapshot.stores.pageVisits.records[0];
+    const hashedKeys = Object.keys(visit).filter(key => key.startsWith('redacted:'));
+    assert.equal(hashedKeys.length, 1);
+    assert.match(visit[hashedKeys[0]], new RegExp(`^redacted:${HASHED_PATH}$`));
+    assert.equal(result.redaction.keys, 3);
+
+    for (const secret of ['internal', 'pageTitle', 'Offer letter', 'statistics', 'searchTerms', 'salary']) {
+      assert.equal(json.includes(secret), false, secret);
+    }
+  });
+
+  it('hashes domains on request and keeps hashes stable with a fixed salt', async () => {
+    const config = { REDACT: true, REDACT_DOMAINS: 'hash', REDACT_SALT: 'ticket-4711' };
+
+    const first = await exportSnapshot(sampleDatabase(), config);
+    const second = await exportSnapshot(sampleDatabase(), config);
+    const otherSalt = await exportSnapshot(sampleDatabase(), { ...config, REDACT_SALT: 'ticket-4712' });
+
+    const visit = first.snapshot.stores.pageVisits.records[0];
+    assert.match(visit.domain, new RegExp(`^${HASHED_PATH}\\.redacted$`));
+    assert.equal(visit.url.startsWith(`https://${visit.domain}/`), true);
+    assert.equal(first.json.includes('github'), false);
+    assert.equal(first.json.includes('ticket-4711'), false);
+    assert.deepEqual(second.snapshot.stores, first.snapshot.stores);
+    assert.equal(second.snapshot.redaction.saltId, first.snapshot.redaction.saltId);
+    assert.notEqual(otherSalt.snapshot.stores.pageVisits.records[0].url, visit.url);
+  });
+
+  it('produces a snapshot the restore and audit scripts can load', async () => {
+    const database = sampleDatabase();
+    database.stores.pageVisits.records.push(pageVisit({ visitId: 'visit_5', tabId: 101, startedAt: BASE - 1000, activeDuration: -5 }));
+    const { env: source, json } = await exportSnapshot(database, { REDACT: true });
+    const before = await source.run('audit_local_data.js');
+
+    const env = await createToolkitEnvironment();
+    env.sandbox.HEYHO_SNAPSHOT = json;
+    const restored = await env.run('restore_indexeddb_snapshot.js');
+    const after = await env.run('audit_local_data.js');
+
+    assert.equal(restored.success, true);
+    assert.equal(restored.redacted, true);
+    assert.deepEqual(after.summary, before.summary);
+    assert.match(env.output(), /Redacted snapshot/);
+  });
+
+  it('rejects an unknown REDACT_DOMAINS mode', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('export_indexeddb_snapshot.js', { config: { DOWNLOAD: false, REDACT: true, REDACT_DOMAINS: 'keep' } });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /REDACT_DOMAINS/);
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { sampleDatabase } = require('./support/fixtures');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+async function generate(config = {}) {
+  const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+  const result = await env.run('generate_browsing_data.js', { config: { SEED: 42, ...config } });
+  return { env, result, db: env.dump('Heyho_EventsDB') };
+}
+
+describe('generate_browsing_data.js', () => {
+  it('writes unsynced visits and aggregates next to the existing data', async () => {
+    const { result, db } = await generate({ DAYS: 3, VISITS_PER_DAY: 20 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.seed, 42);
+    const generated = db.pageVisits.filter(visit => visit.visitId.startsWith('gen_'));
+    assert.equal(generated.length, result.generated.pageVisits);
+    assert.equal(db.pageVisits.length, 4 + generated.length);
+    assert.equal(db.tabAggregates.length, 3 + result.generated.tabAggregates);
+    assert.ok(generated.every(visit => visit.synced === false));
+
+    const tabIds = new Set(db.tabAggregates.map(aggregate => aggregate.tabId));
+    assert.ok(generated.every(visit => tabIds.has(visit.tabId)));
+  });
+
+  it('generates records DataValidationService accepts', async () => {
+    const { env } = await generate();
+
+    const validation = await env.run('validate_sync_data.js');
+
+    assert.equal(validation.summary.pageVisits.rejected, 0);
+    assert.equal(validation.summary.tabAggregates.rejected, 0);
+    assert.equal(validation.summary.tabAggregates.skipped, 0);
+  });
+
+  it('shapes hoarder tabs as old, open and barely engaged', async () => {
+    const { result, db } = await generate({ PATTERNS: { hoarderTabs: 4, serialOpeners: 0, researchSessions: 0 } });
+
+    assert.equal(result.patterns.hoarderTabs.length, 4);
+    for (const hoarder of result.patterns.hoarderTabs) {
+      const visit = db.pageVisits.find(v => v.visitId === hoarder.visitId);
+      const aggregate = db.tabAggregates.find(a => a.tabId === visit.tabId);
+      assert.ok(Date.now() - visit.startedAt >= 7 * DAY);
+      assert.ok(visit.engagementRate < 0.1);
+      assert.equal(aggregate.isOpen, true);
+      assert.equal('closedAt' in aggregate, false);
+    }
+  });
+
+  it('repeats serial opener URLs with under five minutes in total', async () => {
+    const { result, db } = await generate({ PATTERNS: { hoarderTabs: 0, serialOpeners: 3, researchSessions: 0 } });
+
+    for (const opener of result.patterns.serialOpeners) {
+      const visits = db.pageVisits.filter(v => opener.visitIds.includes(v.visitId));
+      assert.ok(visits.length >= 4);
+      assert.ok(visits.every(v => v.url === opener.url));
+      assert.equal(new Set(visits.map(v => v.tabId)).size, visits.length);
+      assert.ok(visits.reduce((sum, v) => sum + v.durationSeconds, 0) < 300);
+    }
+  });
+
+  it('keeps research bursts within 15 minutes and free of other visits', async () => {
+    const { result, db } = await generate({ PATTERNS: { hoarderTabs: 2, serialOpeners: 2, researchSessions: 3 } });
+
+    for (const session of result.patterns.researchSessions) {
+      const starts = db.pageVisits.filter(v => session.visitIds.includes(v.visitId)).map(v => v.startedAt);
+      const first = Math.min(...starts);
+      const last = Math.max(...starts);
+      assert.ok(starts.length >= 3);
+      assert.ok(last - first >= 10 * MINUTE && last - first <= 15 * MINUTE);
+
+      const intruders = db.pageVisits.filter(v =>
+        !session.visitIds.includes(v.visitId) && v.startedAt >= first - 15 * MINUTE && v.startedAt <= last + 15 * MINUTE
+      );
+      assert.deepEqual(intruders.map(v => v.visitId), []);
+    }
+  });
+
+  it('replaces records from an earlier run but keeps real ones', async () => {
+    const { env } = await generate({ DAYS: 2, VISITS_PER_DAY: 10 });
+    const firstRun = env.dump('Heyho_EventsDB').pageVisits.length;
+
+    const result = await env.run('generate_browsing_data.js', { config: { SEED: 7, DAYS: 2, VISITS_PER_DAY: 10 } });
+    const db = env.dump('Heyho_EventsDB');
+
+    assert.equal(result.removed.pageVisits, firstRun - 4);
+    assert.ok(db.pageVisits.filter(v => v.visitId.startsWith('gen_')).every(v => v.visitId.startsWith('gen_7_')));
+    assert.deepEqual(db.pageVisits.filter(v => !v.visitId.startsWith('gen_')).map(v => v.visitId), ['visit_1', 'visit_2', 'visit_3', 'visit_4']);
+  });
+
+  it('writes nothing when generated ids collide', async () => {
+    const { env } = await generate({ DAYS: 1, VISITS_PER_DAY: 5 });
+    const before = env.dump('Heyho_EventsDB');
+
+    const result = await env.run('generate_browsing_data.js', { config: { SEED: 42, DAYS: 1, VISITS_PER_DAY: 5, REPLACE_GENERATED: false } });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /collide/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), before);
+  });
+});
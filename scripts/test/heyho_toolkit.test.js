@@ -0,0 +1,153 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./support/harness');
+const { BASE, DAY, eventsDatabase, pageVisit, sampleDatabase } = require('./support/fixtures');
+
+// Installs the toolkit and returns a runner for its commands, with results
+// cloned out of the vm context like env.run() does
+async function install(options) {
+  const env = createEnvironment(options);
+  await env.run('heyho_toolkit.js');
+  const heyho = async (command, ...args) => structuredClone(await env.sandbox.heyho[command](...args));
+  return { env, heyho };
+}
+
+describe('heyho_toolkit.js', () => {
+  it('installs self.heyho with its commands', async () => {
+    const { env, heyho } = await install();
+
+    assert.deepEqual(await heyho('help'), ['inspect', 'check', 'debugSync', 'reset', 'help']);
+    assert.equal((await heyho('help', 'reset')).options.chunkSize, 5000);
+    assert.match(env.output(), /Toolkit v1 installed/);
+  });
+
+  it('checks sync status like check_sync_status.js', async () => {
+    const { env, heyho } = await install({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const { report, ...result } = await heyho('check');
+    const { report: scriptReport, ...script } = await env.run('check_sync_status.js');
+
+    assert.deepEqual(result, script);
+    assert.equal(report.script, 'heyho.check');
+    assert.deepEqual(report.databases, scriptReport.databases);
+    assert.deepEqual(report.details, scriptReport.details);
+  });
+
+  it('inspects every database like inspect_indexeddb.js', async () => {
+    const { env, heyho } = await install({
+      databases: {
+        Heyho_EventsDB: sampleDatabase(),
+        OtherDB: { version: 2, stores: { settings: { keyPath: 'key', records: [{ key: 'theme', value: 'dark' }] } } }
+      }
+    });
+
+    const result = await heyho('inspect');
+    const script = await env.run('inspect_indexeddb.js');
+
+    const summary = inspected => inspected.databases.map(db => [db.name, db.stores.map(store => [store.name, store.count, store.synced, store.unsynced, store.keyPath])]);
+    assert.deepEqual(summary(result), summary(script));
+    assert.deepEqual(result.databases[0].stores[0].variants, []);
+  });
+
+  it('detects the extension database under another name and skips the reset journal', async () => {
+    const { heyho } = await install({
+      databases: {
+        Heyho_ResetJournal: { version: 1, stores: { runs: { keyPath: 'runId' } } },
+        OtherDB: { version: 1, stores: { settings: { keyPath: 'key' } } },
+        heyho_events_v2: sampleDatabase()
+      }
+    });
+
+    const result = await heyho('check');
+
+    assert.equal(result.database.name, 'heyho_events_v2');
+    assert.equal(result.pageVisits.total, 4);
+  });
+
+  it('fails when no database holds the extension stores', async () => {
+    const { heyho } = await install({ databases: { OtherDB: { version: 1, stores: { settings: { keyPath: 'key' } } } } });
+
+    const result = await heyho('check');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /No database with the extension stores/);
+  });
+
+  it('resets like the reset scripts and journals the run for undo_reset.js', async () => {
+    const { env, heyho } = await install({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const result = await heyho('reset');
+
+    assert.equal(result.outcome, 'committed');
+    assert.deepEqual(result.stores.pageVisits, { count: 4, updated: 4, skipped: 0, unmatched: 0 });
+    assert.deepEqual(result.cleared, { syncedPageVisits: { count: 2, cleared: 2 } });
+    assert.equal(result.journal.saved, true);
+    assert.deepEqual(env.dump('Heyho_EventsDB').syncedPageVisits, []);
+
+    const undo = await env.run('undo_reset.js');
+
+    assert.equal(undo.runId, result.journal.runId);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('previews a filtered reset without writing', async () => {
+    const { env, heyho } = await install({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const before = env.dump('Heyho_EventsDB');
+    const filters = { startedAfter: BASE + DAY, startedBefore: BASE + 2 * DAY };
+
+    const result = await heyho('reset', { dryRun: true, filters: filters });
+    const script = await env.run('reset_sync_simple.js', { config: { DRY_RUN: true, FILTERS: { ...filters, domains: [], visitIds: [] } } });
+
+    assert.deepEqual(result.preview, script.preview);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), before);
+  });
+
+  it('rejects unknown reset options', async () => {
+    const { env, heyho } = await install({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const before = env.dump('Heyho_EventsDB');
+
+    const result = await heyho('reset', { dry_run: true });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Unknown reset option\(s\): dry_run/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), before);
+  });
+
+  it('waits for the sync before resetting', async () => {
+    const { env, heyho } = await install({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    env.sandbox.SyncManager = { getSyncState: () => ({ isSyncing: true }) };
+
+    const result = await heyho('reset', { syncWaitTimeoutMs: 50 });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /still syncing/);
+  });
+
+  it('builds the sync payload in debugSync', async () => {
+    const { env, heyho } = await install({
+      databases: { Heyho_EventsDB: eventsDatabase({ pageVisits: [pageVisit({ synced: false }), pageVisit({ visitId: 'visit_2', url: 'chrome://newtab', synced: false })] }) }
+    });
+
+    const result = await heyho('debugSync');
+
+    assert.deepEqual(result.unsynced, { pageVisits: 2, tabAggregates: 0 });
+    assert.equal(result.filtered, 1);
+    assert.equal(result.payload.pageVisits, 1);
+    assert.equal(env.sandbox.heyhoLastSyncPayload.pageVisits[0].visitId, 'visit_1');
+    assert.deepEqual(result.report.databases[0].stores.pageVisits, { count: 2, synced: 0, unsynced: 2, missingSyncedField: 0 });
+  });
+
+  it('reports reset runs like the reset scripts', async () => {
+    const { env, heyho } = await install({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const { report } = await heyho('reset', { dryRun: true });
+    const script = await env.run('reset_indexeddb_sync_status.js', { config: { DRY_RUN: true } });
+
+    assert.equal(report.script, 'heyho.reset');
+    assert.deepEqual(report.databases, script.report.databases);
+    assert.deepEqual(report.details.preview, script.report.details.preview);
+  });
+});
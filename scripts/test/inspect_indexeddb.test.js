@@ -0,0 +1,149 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { sampleDatabase, eventsDatabase, tabAggregate } = require('./support/fixtures');
+
+describe('inspect_indexeddb.js', () => {
+  it('lists every database with per-store sync counts', async () => {
+    const env = await createToolkitEnvironment({
+      databases: {
+        Heyho_EventsDB: sampleDatabase(),
+        OtherDB: { version: 2, stores: { settings: { keyPath: 'key', records: [{ key: 'theme', value: 'dark' }] } } }
+      }
+    });
+
+    const result = await env.run('inspect_indexeddb.js');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.databases.map(db => [db.name, db.version]), [['Heyho_EventsDB', 3], ['OtherDB', 2]]);
+
+    const stores = Object.fromEntries(result.databases[0].stores.map(store => [store.name, store]));
+    const counts = store => ({ count: store.count, hasSyncedField: store.hasSyncedField, synced: store.synced, unsynced: store.unsynced });
+    assert.deepEqual(counts(stores.pageVisits), { count: 4, hasSyncedField: true, synced: 2, unsynced: 2 });
+    assert.deepEqual(counts(stores.tabAggregates), { count: 3, hasSyncedField: true, synced: 2, unsynced: 1 });
+    assert.equal(stores.syncedPageVisits.hasSyncedField, false);
+    assert.equal(result.databases[1].stores[0].hasSyncedField, false);
+  });
+
+  it('reports empty stores', async () => {
+    const env = await createToolkitEnvironment({
+      databases: { Heyho_EventsDB: { version: 1, stores: { pageVisits: { keyPath: 'visitId' } } } }
+    });
+
+    const result = await env.run('inspect_indexeddb.js');
+
+    assert.deepEqual(result.databases[0].stores, [
+      {
+        name: 'pageVisits', count: 0, hasSyncedField: false, synced: 0, unsynced: 0, missingSyncedField: 0,
+        keyPath: 'visitId', autoIncrement: false, indexes: [], fields: {}, variants: []
+      }
+    ]);
+  });
+
+  it('reports each store keyPath, autoIncrement flag and indexes', async () => {
+    const env = await createToolkitEnvironment({
+      databases: {
+        Heyho_EventsDB: sampleDatabase(),
+        OtherDB: {
+          stores: {
+            log: { autoIncrement: true, indexes: { tags: { keyPath: 'tags', multiEntry: true }, ref: { keyPath: ['a', 'b'], unique: true } } }
+          }
+        }
+      }
+    });
+
+    const result = await env.run('inspect_indexeddb.js');
+
+    const [events, other] = result.databases;
+    const pageVisits = events.stores.find(store => store.name === 'pageVisits');
+    assert.equal(pageVisits.keyPath, 'visitId');
+    assert.equal(pageVisits.autoIncrement, false);
+    assert.deepEqual(pageVisits.indexes.map(index => index.name).sort(), ['domain', 'startedAt', 'tabId']);
+    assert.deepEqual(pageVisits.indexes.find(index => index.name === 'tabId'), { name: 'tabId', keyPath: 'tabId', unique: false, multiEntry: false });
+
+    const log = other.stores[0];
+    assert.equal(log.keyPath, null);
+    assert.equal(log.autoIncrement, true);
+    assert.deepEqual(log.indexes.find(index => index.name === 'tags'), { name: 'tags', keyPath: 'tags', unique: false, multiEntry: true });
+    assert.deepEqual(log.indexes.find(index => index.name === 'ref'), { name: 'ref', keyPath: ['a', 'b'], unique: true, multiEntry: false });
+    assert.match(env.output(), /keyPath: "visitId", autoIncrement: false/);
+  });
+
+  it('builds a field histogram with types and null counts', async () => {
+    const env = await createToolkitEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          tabAggregates: [
+            tabAggregate({ tabId: 1, closedAt: null }),
+            tabAggregate({ tabId: 2, closedAt: 1700000000000 }),
+            tabAggregate({ tabId: 3, closedAt: undefined, notes: ['a'] })
+          ]
+        })
+      }
+    });
+
+    const result = await env.run('inspect_indexeddb.js');
+
+    const aggregates = result.databases[0].stores.find(store => store.name === 'tabAggregates');
+    assert.deepEqual(aggregates.fields.closedAt, { count: 2, nulls: 1, types: { null: 1, number: 1 } });
+    assert.deepEqual(aggregates.fields.notes, { count: 1, nulls: 0, types: { array: 1 } });
+    assert.deepEqual(aggregates.fields.tabId, { count: 3, nulls: 0, types: { number: 3 } });
+    assert.deepEqual(aggregates.variants, []);
+    assert.ok(env.logs.some(entry => entry.level === 'table'));
+  });
+
+  it('flags camelCase and snake_case variants of the same field', async () => {
+    const env = await createToolkitEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          tabAggregates: [
+            tabAggregate({ tabId: 1, closedAt: 1700000300000 }),
+            tabAggregate({ tabId: 2, startTime: undefined, start_time: 1700000000000, closed_at: 1700000500000 })
+          ]
+        })
+      }
+    });
+
+    const result = await env.run('inspect_indexeddb.js');
+
+    const aggregates = result.databases[0].stores.find(store => store.name === 'tabAggregates');
+    assert.deepEqual(aggregates.variants, [
+      { spellings: { startTime: 1, start_time: 1 } },
+      { spellings: { closedAt: 1, closed_at: 1 } }
+    ]);
+    assert.match(env.output(), /Field spelled several ways: startTime \(1\) \/ start_time \(1\)/);
+  });
+
+  it('reports every database and store, with unreadable ones as errors', async () => {
+    const env = await createToolkitEnvironment({
+      databases: {
+        Heyho_EventsDB: sampleDatabase(),
+        OtherDB: { version: 2, stores: { settings: { keyPath: 'key', records: [{ key: 'theme', value: 'dark' }] } } }
+      }
+    });
+    env.idb.failNext('settings', 'UnknownError', { mode: 'readonly' });
+
+    const { report } = await env.run('inspect_indexeddb.js');
+
+    assert.equal(report.script, 'inspect_indexeddb.js');
+    assert.deepEqual(report.databases.map(db => [db.name, db.version, Object.keys(db.stores)]), [
+      ['Heyho_EventsDB', 3, ['pageVisits', 'syncedPageVisits', 'tabAggregates']],
+      ['OtherDB', 2, []]
+    ]);
+    assert.deepEqual(report.databases[0].stores.tabAggregates, { count: 3, synced: 2, unsynced: 1, missingSyncedField: 0 });
+    assert.deepEqual(report.errors.map(error => [error.database, error.store]), [['OtherDB', 'settings']]);
+    assert.equal(report.details.schemas.Heyho_EventsDB.pageVisits.keyPath, 'visitId');
+  });
+
+  it('returns an empty list when there are no databases', async () => {
+    const env = await createToolkitEnvironment();
+
+    const { report, ...result } = await env.run('inspect_indexeddb.js');
+
+    assert.deepEqual(result, { success: true, databases: [] });
+    assert.deepEqual(report.databases, []);
+    assert.match(env.output(), /No IndexedDB databases found/);
+  });
+});
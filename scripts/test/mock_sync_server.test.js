@@ -0,0 +1,164 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockSyncServer, main } = require('../mock_sync_server');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, pageVisit, tabAggregate, sampleDatabase } = require('./support/fixtures');
+
+const SYNC_PATH = '/api/v1/data/sync';
+
+// Starts a mock server for one test and closes it afterwards
+const withServer = (options, test) => async () => {
+  const mock = createMockSyncServer(options);
+  const url = await mock.listen(0);
+  try {
+    await test(mock, url);
+  } finally {
+    await mock.close();
+  }
+};
+
+async function post(url, path, body, token = 'jwt-123') {
+  const response = await fetch(url + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function push(url) {
+  const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch } });
+  const result = await env.run('push_sync_data.js', { config: { ACCESS_TOKEN: 'jwt-123', API_BASE_URL: url, RETRY_BASE_DELAY_MS: 1 } });
+  return { env, result, db: env.dump('Heyho_EventsDB') };
+}
+
+describe('mock_sync_server.js', () => {
+  it('accepts a push, reports rejected records and keeps them unsynced locally', withServer({ rejectIds: ['visit_3'] }, async (mock, url) => {
+    const { result, db } = await push(url);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.acknowledged, { pageVisits: 0, tabAggregates: 1 });
+    assert.deepEqual(result.rejected.map(record => record.id), ['visit_3']);
+    assert.equal(db.pageVisits.find(visit => visit.visitId === 'visit_3').synced, false);
+    assert.equal(db.tabAggregates.find(aggregate => aggregate.tabId === 103).synced, true);
+
+    assert.equal(mock.state.pageVisits.size, 0);
+    assert.equal(mock.state.tabAggregates.size, 1);
+    assert.deepEqual(mock.state.syncLogs.map(log => [log.status, log.pageVisitsSynced, log.tabAggregatesSynced]), [['completed', 0, 1]]);
+  }));
+
+  it('mirrors the success, validation and batch size answers of the sync endpoint', withServer({}, async (mock, url) => {
+    const accepted = await post(url, SYNC_PATH, {
+      pageVisits: [pageVisit(), pageVisit({ visitId: 'visit_2', tabId: 102, url: 'ftp://example.com/' })],
+      tabAggregates: [tabAggregate(), tabAggregate({ tabId: 999 })]
+    });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.message, 'Data synced with 1 record(s) rejected due to validation errors');
+    assert.deepEqual({ ...accepted.body.data, validation_errors: undefined }, {
+      page_visits_synced: 1,
+      tab_aggregates_synced: 1,
+      rejected_records_count: 1,
+      data_quality_score: 66.67,
+      validation_errors: undefined
+    });
+    assert.deepEqual(accepted.body.data.validation_errors, [
+      { record_id: 'visit_2', record_type: 'page_visit', field: 'url', message: 'must use http or https scheme' }
+    ]);
+
+    const invalid = await post(url, SYNC_PATH, { pageVisits: [pageVisit({ startedAt: null })], tabAggregates: [] });
+    assert.deepEqual([invalid.status, invalid.body], [400, { success: false, message: 'Validation failed for one or more records' }]);
+
+    const visits = Array.from({ length: 1001 }, (_, index) => pageVisit({ visitId: `visit_${index}`, startedAt: BASE + index }));
+    const oversized = await post(url, SYNC_PATH, { pageVisits: visits, tabAggregates: [] });
+    assert.deepEqual([oversized.status, oversized.body.message], [400, 'Batch size exceeded. Maximum 1000 records allowed, got 1001']);
+
+    const page = await (await fetch(`${url}/api/v1/browsing_data?per_page=10`, { headers: { Authorization: 'Bearer jwt-123' } })).json();
+    assert.deepEqual(page.data.page_visits.map(visit => visit.id), ['visit_1']);
+    assert.equal(page.data.pagination.total_tab_aggregates, 1);
+  }));
+
+  it('links aggregates to visits of tab 0 like the server', withServer({}, async (mock, url) => {
+    const response = await post(url, SYNC_PATH, {
+      pageVisits: [pageVisit({ visitId: 'visit_0', tabId: 0 })],
+      tabAggregates: [tabAggregate({ tabId: 0 })]
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.tab_aggregates_synced, 1);
+    assert.deepEqual(Array.from(mock.state.tabAggregates.values()).map(aggregate => [aggregate.id, aggregate.page_visit_id]), [[`agg_${BASE}_0`, 'visit_0']]);
+  }));
+
+  it('accepts an aggregate opened after it was closed, as the server does', withServer({}, async (mock, url) => {
+    const response = await post(url, SYNC_PATH, {
+      pageVisits: [pageVisit()],
+      tabAggregates: [tabAggregate({ openedAt: BASE + 60000, closedAt: BASE })]
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.tab_aggregates_synced, 1);
+    assert.deepEqual(response.body.data.validation_errors, []);
+  }));
+
+  it('injects 429 and 500 answers that the push script retries, and 401s that stop it', withServer({ faults: ['429=1', '500=1'], retryAfterSeconds: 7 }, async (mock, url) => {
+    const retried = await push(url);
+    assert.equal(retried.result.success, true);
+    assert.equal(retried.result.batches[0].attempts, 3);
+    assert.deepEqual(retried.result.acknowledged, { pageVisits: 1, tabAggregates: 1 });
+    assert.equal(mock.state.requests, 3);
+
+    await post(url, '/__mock/faults', { faults: ['429'] });
+    const throttled = await post(url, SYNC_PATH, { pageVisits: [], tabAggregates: [] });
+    assert.equal(throttled.status, 429);
+    assert.equal(throttled.headers.get('retry-after'), '7');
+
+    await post(url, '/__mock/faults', { faults: ['401=1'] });
+    const expired = await push(url);
+    assert.equal(expired.result.success, false);
+    assert.equal(expired.result.errors[0].status, 401);
+    assert.equal(expired.result.batches[0].attempts, 1);
+    assert.equal(expired.db.pageVisits.find(visit => visit.visitId === 'visit_3').synced, false);
+
+    const bad = await post(url, '/__mock/faults', { faults: ['503'] });
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.message, /Unknown fault 503/);
+  }));
+
+  it('issues, expires and revokes tokens with strict auth, and serves health', async () => {
+    let now = BASE;
+    await withServer({ strictAuth: true, tokenTtlSeconds: 60, now: () => now }, async (mock, url) => {
+      const health = await fetch(`${url}/api/v1/health`);
+      assert.deepEqual([health.status, await health.text()], [200, 'OK']);
+
+      const unknown = await post(url, SYNC_PATH, { pageVisits: [], tabAggregates: [] });
+      assert.deepEqual([unknown.status, unknown.body.message], [401, 'You need to sign in or sign up before continuing.']);
+
+      const login = await post(url, '/api/v1/auth/login', { email: 'dev@heyho.test', password: 'secret' }, null);
+      assert.equal(login.body.message, 'User logged in successfully');
+      assert.equal(login.body.data.ExpiresIn, 60);
+      const token = login.body.data.AccessToken;
+      assert.equal((await post(url, SYNC_PATH, { pageVisits: [], tabAggregates: [] }, token)).status, 200);
+
+      now += 61 * 1000;
+      assert.equal((await post(url, SYNC_PATH, { pageVisits: [], tabAggregates: [] }, token)).status, 401);
+
+      const again = (await post(url, '/api/v1/auth/login', { email: 'dev@heyho.test', password: 'secret' }, null)).body.data.AccessToken;
+      assert.equal((await post(url, '/api/v1/auth/logout', {}, again)).body.message, 'User logged out successfully');
+      assert.equal((await post(url, SYNC_PATH, { pageVisits: [], tabAggregates: [] }, again)).status, 401);
+      assert.equal((await post(url, '/api/v1/auth/login', { email: 'dev@heyho.test' }, null)).status, 401);
+    })();
+  });
+
+  it('rejects unknown options and faults', async () => {
+    let stderr = '';
+    const io = { stdout: { write: () => {} }, stderr: { write: text => { stderr += text; } } };
+
+    assert.equal((await main(['--fault', 'timeout'], io)).code, 2);
+    assert.match(stderr, /Unknown fault timeout/);
+    assert.equal((await main(['--fault', '500=150%'], io)).code, 2);
+    assert.match(stderr, /cannot exceed 100%/);
+    assert.equal((await main(['--retries', '3'], io)).code, 2);
+    assert.match(stderr, /Unknown option --retries/);
+  });
+});
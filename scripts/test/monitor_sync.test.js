@@ -0,0 +1,128 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./support/harness');
+const { BASE, DAY, sampleDatabase } = require('./support/fixtures');
+
+function request(source) {
+  return new Promise((resolve, reject) => {
+    source.onsuccess = () => resolve(source.result);
+    source.onerror = () => reject(source.error);
+  });
+}
+
+// Marks a record synced behind the monitor's back, as a sync would
+async function markSynced(env, storeName, key, syncedAt) {
+  const db = await request(env.idb.open('Heyho_EventsDB'));
+  const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+  const record = await request(store.get(key));
+  await request(store.put({ ...record, synced: true, syncedAt: syncedAt }));
+  db.close();
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('monitor_sync.js', () => {
+  it('shows counts, backlog age, sync state and the last successful sync', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('monitor_sync.js', { config: { MAX_TICKS: 1 } });
+
+    assert.equal(result.success, true);
+    const first = result.first;
+    assert.deepEqual(first.stores.pageVisits, { count: 4, synced: 2, unsynced: 2, missingSyncedField: 0 });
+    assert.deepEqual(first.stores.tabAggregates, { count: 3, synced: 2, unsynced: 1, missingSyncedField: 0 });
+    assert.equal(first.stores.syncedPageVisits.count, 2);
+    assert.equal(first.backlog.unsynced, 3);
+    assert.equal(first.backlog.oldestUnsyncedAt, new Date(BASE + 2 * DAY).toISOString());
+    assert.ok(first.backlog.ageMs > 0);
+    assert.deepEqual(first.syncState, { isSyncing: false });
+    assert.deepEqual(first.lastSuccessfulSync, { at: new Date(BASE + DAY + 60000).toISOString(), source: 'syncedAt' });
+    assert.deepEqual(first.throughput, { syncedSinceStart: 0, sinceLastRefresh: 0, perMinute: 0, etaMs: null });
+    assert.equal(env.sandbox.heyhoSyncMonitor.running, false);
+    assert.equal((await env.sandbox.heyhoSyncMonitor.done).reason, 'maxTicks');
+    assert.match(env.output(), /\[BACKLOG\]/);
+  });
+
+  it('prefers the last sync time the sync state reports', async () => {
+    const lastSyncTime = BASE + 3 * DAY;
+    const env = createEnvironment({
+      databases: { Heyho_EventsDB: sampleDatabase() },
+      stubs: { syncState: { isSyncing: true, lastSyncTime: lastSyncTime } }
+    });
+
+    const result = await env.run('monitor_sync.js', { config: { MAX_TICKS: 1 } });
+
+    assert.deepEqual(result.first.syncState, { isSyncing: true, lastSyncTime: lastSyncTime });
+    assert.deepEqual(result.first.lastSuccessfulSync, { at: new Date(lastSyncTime).toISOString(), source: 'syncState.lastSyncTime' });
+  });
+
+  it('measures throughput across refreshes and stops cleanly', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('monitor_sync.js', { config: { INTERVAL_MS: 60000 } });
+    const monitor = env.sandbox.heyhoSyncMonitor;
+    assert.equal(result.success, true);
+    assert.equal(monitor.running, true);
+
+    await wait(20);
+    await markSynced(env, 'pageVisits', 'visit_3', Date.now());
+    await markSynced(env, 'tabAggregates', 103, Date.now());
+    const sample = structuredClone(await monitor.refresh());
+
+    assert.equal(sample.tick, 2);
+    assert.equal(sample.backlog.unsynced, 1);
+    assert.equal(sample.throughput.syncedSinceStart, 2);
+    assert.equal(sample.throughput.sinceLastRefresh, 2);
+    assert.ok(sample.throughput.perMinute > 0);
+    assert.ok(sample.throughput.etaMs > 0);
+    assert.equal(sample.lastSuccessfulSync.source, 'syncedAt');
+
+    const summary = structuredClone(await monitor.stop());
+    const logCount = env.logs.length;
+    await wait(30);
+
+    assert.equal(summary.reason, 'stopped');
+    assert.equal(summary.ticks, 2);
+    assert.equal(summary.throughput.syncedSinceStart, 2);
+    assert.deepEqual(structuredClone(await monitor.done), summary);
+    assert.equal(monitor.running, false);
+    assert.equal(env.logs.length, logCount);
+  });
+
+  it('refreshes on the interval until MAX_TICKS', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    await env.run('monitor_sync.js', { config: { INTERVAL_MS: 5, MAX_TICKS: 3 } });
+    const summary = structuredClone(await env.sandbox.heyhoSyncMonitor.done);
+
+    assert.equal(summary.reason, 'maxTicks');
+    assert.equal(summary.ticks, 3);
+    assert.equal(summary.latest.tick, 3);
+  });
+
+  it('stops a monitor that is already running before starting another', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    await env.run('monitor_sync.js', { config: { INTERVAL_MS: 60000 } });
+    const previous = env.sandbox.heyhoSyncMonitor;
+    await env.run('monitor_sync.js', { config: { INTERVAL_MS: 60000 } });
+    const current = env.sandbox.heyhoSyncMonitor;
+
+    assert.notEqual(current, previous);
+    assert.equal(previous.running, false);
+    assert.equal(current.running, true);
+    await current.stop();
+  });
+
+  it('fails without starting when the database does not exist', async () => {
+    const env = createEnvironment();
+
+    const result = await env.run('monitor_sync.js');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Database not found: Heyho_EventsDB/);
+    assert.equal(env.sandbox.heyhoSyncMonitor, undefined);
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, eventsDatabase, pageVisit, tabAggregate } = require('./support/fixtures');
+
+const unsynced = { synced: false, syncedAt: undefined };
+
+// Unsynced visits of tabs 201, 202, 0 and '', and aggregates of those tabs
+// plus tab 999, which has no visit
+function pushDatabase() {
+  const tabs = [201, 202, 0, ''];
+  return eventsDatabase({
+    pageVisits: tabs.map((tabId, index) => pageVisit({ visitId: `visit_${index + 1}`, tabId, startedAt: BASE + index, ...unsynced })),
+    tabAggregates: [...tabs, 999].map(tabId => tabAggregate({ tabId, ...unsynced })),
+    syncedPageVisits: []
+  });
+}
+
+// Answers every request with the next entry of responses: a status and body,
+// or an Error to throw as a network failure
+function stubFetch(responses) {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, options });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return {
+      ok: next.status >= 200 && next.status < 300,
+      status: next.status,
+      statusText: next.statusText || '',
+      json: async () => next.body
+    };
+  };
+  return { fetch, calls };
+}
+
+const accepted = (validationErrors = []) => ({ status: 200, body: { success: true, data: { validation_errors: validationErrors } } });
+
+function push(env, config = {}) {
+  return env.run('push_sync_data.js', { config: { ACCESS_TOKEN: 'jwt-123', RETRY_BASE_DELAY_MS: 1, ...config } });
+}
+
+const syncedFlags = (db, store, key) => Object.fromEntries(db[store].map(record => [record[key], record.synced]));
+
+describe('push_sync_data.js', () => {
+  it('retries 5xx answers and network errors with the same body', async () => {
+    const { fetch, calls } = stubFetch([{ status: 503, body: { message: 'Maintenance' } }, new Error('socket hang up'), accepted()]);
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: pushDatabase() }, globals: { fetch } });
+
+    const result = await push(env);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.batches.map(batch => [batch.status, batch.attempts]), [[200, 3]]);
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0].url, 'http://localhost:3000/api/v1/data/sync');
+    assert.equal(calls[0].options.headers.Authorization, 'Bearer jwt-123');
+    assert.ok(calls.every(call => call.options.body === calls[0].options.body));
+    assert.match(env.output(), /HTTP 503: Maintenance - retrying in 1ms \(attempt 2\/4\)/);
+    assert.match(env.output(), /Network error: socket hang up - retrying in 2ms \(attempt 3\/4\)/);
+  });
+
+  it('marks only the records the server acknowledged', async () => {
+    const { fetch } = stubFetch([accepted([
+      { record_id: 'visit_2', record_type: 'page_visit', field: 'url', message: 'must use http or https scheme' },
+      { record_id: `agg_${BASE}_201`, record_type: 'tab_aggregate', field: 'closed_at', message: 'cannot be before opened_at' }
+    ])]);
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: pushDatabase() }, globals: { fetch } });
+
+    const result = await push(env);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.acknowledged, { pageVisits: 3, tabAggregates: 2 });
+    assert.deepEqual(result.rejected.map(record => [record.type, record.id]), [['page_visit', 'visit_2'], ['tab_aggregate', `agg_${BASE}_201`]]);
+    // An empty-string tabId is not the browser extension format, so the
+    // server wants a page_visit_id for it
+    assert.deepEqual(result.skipped, [
+      { tabId: '', reason: 'missing page_visit_id' },
+      { tabId: 999, reason: 'no page visit for this tab in the batch' }
+    ]);
+
+    const db = env.dump('Heyho_EventsDB');
+    assert.deepEqual(syncedFlags(db, 'pageVisits', 'visitId'), { visit_1: true, visit_2: false, visit_3: true, visit_4: true });
+    assert.deepEqual(syncedFlags(db, 'tabAggregates', 'tabId'), { 0: true, 201: false, 202: true, 999: false, '': false });
+    assert.deepEqual(db.syncedPageVisits.map(entry => entry.visitId), ['visit_1', 'visit_3', 'visit_4']);
+  });
+
+  it('stops at a rejected token and leaves every record unsynced', async () => {
+    const { fetch, calls } = stubFetch([{ status: 401, statusText: 'Unauthorized', body: { message: 'Token expired' } }]);
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: pushDatabase() }, globals: { fetch } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const result = await push(env, { CHUNK_SIZE: 2 });
+
+    assert.equal(result.success, false);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(result.errors, [{ batch: 1, status: 401, message: 'HTTP 401: Token expired' }]);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('gives up on a batch after MAX_RETRIES and goes on with the next', async () => {
+    const { fetch, calls } = stubFetch([{ status: 500, body: null }, { status: 500, body: null }, accepted(), accepted()]);
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: pushDatabase() }, globals: { fetch } });
+
+    const result = await push(env, { CHUNK_SIZE: 4, MAX_RETRIES: 1 });
+
+    assert.equal(result.success, false);
+    assert.equal(calls.length, 4);
+    assert.deepEqual(result.batches.map(batch => [batch.status, batch.attempts, batch.error]), [[500, 2, 'HTTP 500: '], [200, 1, null], [200, 1, null]]);
+    assert.deepEqual(JSON.parse(calls[0].options.body).pageVisits.map(visit => visit.visitId), ['visit_1', 'visit_2']);
+    const db = env.dump('Heyho_EventsDB');
+    assert.deepEqual(syncedFlags(db, 'pageVisits', 'visitId'), { visit_1: false, visit_2: false, visit_3: true, visit_4: true });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockSyncServer } = require('../mock_sync_server');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, pageVisit, tabAggregate, sampleDatabase } = require('./support/fixtures');
+
+function request(source) {
+  return new Promise((resolve, reject) => {
+    source.onsuccess = () => resolve(source.result);
+    source.onerror = () => reject(source.error);
+  });
+}
+
+// A server holding visit_1 / tab 101 of the sample database, plus a visit and
+// aggregate from another browser
+async function withServer(test) {
+  const mock = createMockSyncServer({});
+  const url = await mock.listen(0);
+  try {
+    const response = await fetch(url + '/api/v1/data/sync', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer jwt-123' },
+      body: JSON.stringify({
+        pageVisits: [pageVisit(), pageVisit({ visitId: 'visit_remote', tabId: 201, startedAt: BASE + 5000 })],
+        tabAggregates: [tabAggregate(), tabAggregate({ tabId: 201 })]
+      })
+    });
+    assert.equal(response.status, 200);
+    await test(url);
+  } finally {
+    await mock.close();
+  }
+}
+
+function reconcile(env, url, config = {}) {
+  return env.run('reconcile_sync_data.js', { config: { ACCESS_TOKEN: 'jwt-123', API_BASE_URL: url, ...config } });
+}
+
+describe('reconcile_sync_data.js', () => {
+  it('pages through the server and reports what is missing on either side', () => withServer(async url => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const result = await reconcile(env, url, { PER_PAGE: 1 });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.server, { pageVisits: 2, tabAggregates: 2, pages: 2 });
+    assert.deepEqual(result.local, { pageVisits: 3, tabAggregates: 3, filtered: 1 });
+    assert.deepEqual(result.missingOnServer.pageVisits.map(record => [record.id, record.syncedLocally]), [['visit_2', true], ['visit_3', false]]);
+    assert.deepEqual(result.missingOnServer.tabAggregates.map(record => [record.tabId, record.syncedLocally]), [[102, true], [103, false]]);
+    assert.deepEqual(result.onlyOnServer.pageVisits.map(record => record.id), ['visit_remote']);
+    assert.deepEqual(result.onlyOnServer.tabAggregates.map(record => record.page_visit_id), ['visit_remote']);
+    assert.equal(result.marked, null);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    assert.match(env.output(), /Set MARK_MISSING_UNSYNCED = true/);
+  }));
+
+  it('fails when a page cannot be fetched', async () => {
+    const fetchStub = async () => ({ ok: false, status: 401, statusText: 'Unauthorized', json: async () => ({ message: 'Token expired' }) });
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch: fetchStub } });
+
+    const result = await reconcile(env, 'http://localhost:3000');
+
+    assert.deepEqual(result, { success: false, error: 'GET /api/v1/browsing_data page 1 failed: HTTP 401 Token expired' });
+  });
+
+  it('marks lost records unsynced as they are at the time of writing', () => withServer(async url => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch } });
+    // The extension updates visit_2 after the comparison, while the sync is paused
+    env.sandbox.HEYHO_SYNC_HOOKS = {
+      pause: async () => {
+        const db = await request(env.idb.open('Heyho_EventsDB'));
+        const store = db.transaction('pageVisits', 'readwrite').objectStore('pageVisits');
+        await request(store.put({ ...(await request(store.get('visit_2'))), title: 'Hacker News' }));
+        db.close();
+      },
+      resume: () => {}
+    };
+
+    const result = await reconcile(env, url, { MARK_MISSING_UNSYNCED: true });
+
+    assert.deepEqual(result.marked, { pageVisits: 1, tabAggregates: 1, syncedPageVisits: 1 });
+    const db = env.dump('Heyho_EventsDB');
+    const visit = db.pageVisits.find(record => record.visitId === 'visit_2');
+    assert.equal(visit.title, 'Hacker News');
+    assert.equal(visit.synced, false);
+    assert.equal('syncedAt' in visit, false);
+    const aggregate = db.tabAggregates.find(record => record.tabId === 102);
+    assert.equal(aggregate.synced, false);
+    assert.equal('syncedAt' in aggregate, false);
+    assert.deepEqual(db.syncedPageVisits.map(entry => entry.visitId), ['visit_1']);
+    assert.equal(db.pageVisits.find(record => record.visitId === 'visit_1').synced, true);
+  }));
+
+  it('closes the database when marking fails', () => withServer(async url => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch } });
+    const original = env.dump('Heyho_EventsDB');
+    env.idb.failNext('pageVisits', 'QuotaExceededError');
+
+    const result = await reconcile(env, url, { MARK_MISSING_UNSYNCED: true });
+
+    assert.deepEqual(result, { success: false, error: 'Injected QuotaExceededError on pageVisits' });
+    assert.equal(env.idb.openConnections('Heyho_EventsDB'), 0);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  }));
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { sampleDatabase } = require('./support/fixtures');
+
+const API = 'http://localhost:3000';
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// A server that answers every request with the next queued response
+function fakeServer(responses) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push({ url, init });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { fetch, calls };
+}
+
+async function startRecorder(server, config = {}) {
+  const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch: server.fetch } });
+  const result = await env.run('record_sync_traffic.js', { config: { DOWNLOAD: false, ...config } });
+  return { env, result, recorder: env.sandbox.heyhoSyncRecorder };
+}
+
+describe('record_sync_traffic.js', () => {
+  it('records a partially rejected sync with its counts, stats and rejected records', async () => {
+    const server = fakeServer([
+      jsonResponse(200, {
+        success: true,
+        message: 'Data synced with 1 record(s) rejected due to validation errors',
+        data: {
+          page_visits_synced: 0,
+          tab_aggregates_synced: 1,
+          rejected_records_count: 1,
+          data_quality_score: 50.0,
+          validation_errors: [
+            { record_id: 'visit_3', record_type: 'page_visit', field: 'title', message: 'title is too long' },
+            { record_id: 'visit_3', record_type: 'page_visit', field: 'url', message: 'url is invalid' }
+          ]
+        }
+      })
+    ]);
+    const { env, result, recorder } = await startRecorder(server);
+    assert.equal(result.success, true);
+
+    const push = await env.run('push_sync_data.js', { config: { ACCESS_TOKEN: 'secret-jwt', API_BASE_URL: API, RETRY_BASE_DELAY_MS: 1 } });
+    const exported = structuredClone(await recorder.export());
+
+    assert.equal(push.success, true);
+    assert.equal(server.calls.length, 1);
+    assert.equal(exported.entries, 1);
+    assert.equal(exported.delivery, null);
+    assert.match(exported.filename, /^heyho-sync-traffic_.*\.har$/);
+
+    const [entry] = exported.har.log.entries;
+    assert.equal(entry.request.method, 'POST');
+    assert.equal(entry.request.url, `${API}/api/v1/data/sync`);
+    assert.deepEqual(entry.request.headers.find(header => header.name === 'Authorization'), { name: 'Authorization', value: '[redacted]' });
+    assert.equal(entry.request.bodySize, Buffer.byteLength(server.calls[0].init.body));
+    assert.equal(entry.response.status, 200);
+    assert.match(entry.response.content.text, /validation_errors/);
+    assert.ok(Math.abs(entry.time - (entry.timings.wait + entry.timings.receive)) < 0.01);
+
+    const sync = entry._heyho.sync;
+    assert.deepEqual(sync.sent, { pageVisits: 1, tabAggregates: 1 });
+    assert.equal(sync.outcome, 'partial');
+    assert.deepEqual(sync.stats, { pageVisitsSynced: 0, tabAggregatesSynced: 1, rejectedRecordsCount: 1, dataQualityScore: 50 });
+    assert.deepEqual(sync.rejected, [{
+      type: 'page_visit',
+      id: 'visit_3',
+      errors: [{ field: 'title', message: 'title is too long' }, { field: 'url', message: 'url is invalid' }]
+    }]);
+
+    assert.deepEqual(exported.har.log._heyho.summary.sync, {
+      sent: { pageVisits: 1, tabAggregates: 1 }, synced: { pageVisits: 0, tabAggregates: 1 }, rejected: 1, failed: 0
+    });
+    assert.equal(env.sandbox.heyhoLastSyncTrafficJson.includes('secret-jwt'), false);
+    assert.match(env.output(), /\[SYNC\] POST \/api\/v1\/data\/sync 200 in .* - sent 1 visits, 1 aggregates; synced 0 \+ 1, rejected 1/);
+  });
+
+  it('redacts credentials in auth requests and responses', async () => {
+    const server = fakeServer([
+      jsonResponse(200, { success: 'Login successful', access_token: 'jwt-123', user: { email: 'dev@heyho.test' } }, { Authorization: 'Bearer jwt-123' }),
+      jsonResponse(200, { status: 'ok' })
+    ]);
+    const { env, recorder } = await startRecorder(server);
+
+    await env.sandbox.fetch(`${API}/api/v1/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'dev@heyho.test', password: 'hunter22' })
+    });
+    await env.sandbox.fetch(`${API}/api/v1/health`);
+    const { har } = structuredClone(await recorder.export({ download: false }));
+
+    assert.equal(har.log.entries.length, 1);
+    const [entry] = har.log.entries;
+    assert.equal(entry._heyho.kind, 'auth');
+    assert.deepEqual(JSON.parse(entry.request.postData.text), { email: 'dev@heyho.test', password: '[redacted]' });
+    assert.deepEqual(JSON.parse(entry.response.content.text), { success: 'Login successful', access_token: '[redacted]', user: { email: 'dev@heyho.test' } });
+    assert.equal(entry.response.headers.find(header => header.name === 'authorization').value, '[redacted]');
+    for (const secret of ['hunter22', 'jwt-123']) {
+      assert.equal(env.sandbox.heyhoLastSyncTrafficJson.includes(secret), false, secret);
+    }
+  });
+
+  it('records failed syncs, including requests that got no response', async () => {
+    const server = fakeServer([
+      jsonResponse(400, { success: false, message: 'Batch size exceeded. Maximum 1000 records allowed, got 1200' }),
+      jsonResponse(400, { success: false, message: 'Validation failed for one or more records', errors: [{ path: 'page_visits[0]', message: 'url is required' }] }),
+      jsonResponse(500, { success: false, message: 'Data sync failed' }),
+      new TypeError('Failed to fetch')
+    ]);
+    const { env, recorder } = await startRecorder(server, { INCLUDE_SYNC_BODIES: false });
+    const body = JSON.stringify({ pageVisits: [{ visitId: 'visit_3' }], tabAggregates: [] });
+    const post = () => env.sandbox.fetch(`${API}/api/v1/data/sync`, { method: 'POST', body });
+
+    await post();
+    await post();
+    await post();
+    await assert.rejects(post(), /Failed to fetch/);
+    const { har } = structuredClone(await recorder.export({ download: false }));
+
+    assert.deepEqual(har.log.entries.map(entry => entry._heyho.sync.outcome), ['batchSizeExceeded', 'error', 'error', 'networkError']);
+    assert.deepEqual(har.log.entries[1]._heyho.sync.errors, [{ path: 'page_visits[0]', message: 'url is required' }]);
+    assert.equal(har.log.entries[2]._heyho.sync.message, 'Data sync failed');
+    assert.equal(har.log.entries[3].response.status, 0);
+    assert.equal(har.log.entries[3].response._error, 'Failed to fetch');
+    assert.equal(har.log.entries.every(entry => entry.request.postData === undefined), true);
+    assert.deepEqual(har.log.entries[0]._heyho.sync.sent, { pageVisits: 1, tabAggregates: 0 });
+    assert.deepEqual(har.log._heyho.summary.statuses, { 400: 2, 500: 1, failed: 1 });
+    assert.equal(har.log._heyho.summary.sync.failed, 4);
+  });
+
+  it('restores fetch when stopped and replaces a recorder that is already running', async () => {
+    const server = fakeServer([jsonResponse(200, { success: true, data: {} })]);
+    const { env, recorder } = await startRecorder(server);
+    const recordingFetch = env.sandbox.fetch;
+
+    await env.run('record_sync_traffic.js', { config: { DOWNLOAD: false } });
+    const current = env.sandbox.heyhoSyncRecorder;
+    assert.equal(recorder.recording, false);
+    assert.notEqual(env.sandbox.fetch, recordingFetch);
+
+    const summary = structuredClone(await current.stop());
+    assert.equal(env.sandbox.fetch, server.fetch);
+    assert.equal(summary.requests, 0);
+
+    await env.sandbox.fetch(`${API}/api/v1/data/sync`, { method: 'POST', body: '{}' });
+    assert.equal(current.entries.length, 0);
+  });
+});
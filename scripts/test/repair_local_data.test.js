@@ -0,0 +1,258 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, DAY, eventsDatabase, pageVisit, tabAggregate, sampleDatabase } = require('./support/fixtures');
+
+function request(source) {
+  return new Promise((resolve, reject) => {
+    source.onsuccess = () => resolve(source.result);
+    source.onerror = () => reject(source.error);
+  });
+}
+
+function changesFor(result, repair) {
+  return result.changes.filter(change => change.repairs.includes(repair)).map(change => [change.store, change.key, change.action]);
+}
+
+describe('repair_local_data.js', () => {
+  it('drops visits the extension would filter, and aggregates left without visits', async () => {
+    const database = sampleDatabase();
+    database.stores.tabAggregates.records.push(
+      tabAggregate({ tabId: 104, currentUrl: 'chrome://extensions' }),
+      tabAggregate({ tabId: 101, currentUrl: 'chrome://newtab' })
+    );
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(changesFor(result, 'dropFilteredUrls'), [
+      ['pageVisits', 'visit_4', 'delete'],
+      ['tabAggregates', 104, 'delete']
+    ]);
+    const db = env.dump('Heyho_EventsDB');
+    assert.deepEqual(db.pageVisits.map(visit => visit.visitId), ['visit_1', 'visit_2', 'visit_3']);
+    assert.deepEqual(db.tabAggregates.map(aggregate => aggregate.tabId), [101, 102, 103]);
+  });
+
+  it('skips dropFilteredUrls outside the extension', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { Constants: undefined } });
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.equal(result.repairs.dropFilteredUrls, 0);
+    assert.equal(env.dump('Heyho_EventsDB').pageVisits.length, 4);
+    assert.match(env.output(), /INVALID_URL_PREFIXES not available/);
+  });
+
+  it('keeps one visit per duplicate, preferring the synced copy', async () => {
+    const database = eventsDatabase({
+      pageVisits: [
+        pageVisit({ synced: false, syncedAt: undefined }),
+        pageVisit({ visitId: 'visit_copy', title: 'stored twice' }),
+        pageVisit({ visitId: 'visit_copy_2', synced: false, syncedAt: undefined }),
+        pageVisit({ visitId: 'visit_other', startedAt: BASE + 60000 })
+      ]
+    });
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.deepEqual(changesFor(result, 'dedupeVisits'), [
+      ['pageVisits', 'visit_1', 'delete'],
+      ['pageVisits', 'visit_copy_2', 'delete']
+    ]);
+    const visits = env.dump('Heyho_EventsDB').pageVisits;
+    assert.deepEqual(visits.map(visit => [visit.visitId, visit.title]), [['visit_copy', 'stored twice'], ['visit_other', 'heyho/sync']]);
+  });
+
+  it('clamps scroll depth and fixes closedAt in one change per record', async () => {
+    const env = await createToolkitEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          pageVisits: [pageVisit(), pageVisit({ visitId: 'visit_2', tabId: 102 }), pageVisit({ visitId: 'visit_3', tabId: 103, scrollDepthPercent: 140 })],
+          tabAggregates: [
+            tabAggregate({ scroll_depth_percent: -3, closedAt: BASE - DAY }),
+            tabAggregate({ tabId: 102, startTime: BASE + DAY, lastActiveTime: BASE + 60000, closedAt: BASE }),
+            tabAggregate({ tabId: 103, scroll_depth_percent: 55 })
+          ]
+        })
+      }
+    });
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.deepEqual(result.repairs, { dedupeVisits: 0, clampScrollDepth: 2, fixClosedAt: 2, dropFilteredUrls: 0 });
+    assert.deepEqual(result.changes.map(change => [change.store, change.key, change.repairs]), [
+      ['pageVisits', 'visit_3', ['clampScrollDepth']],
+      ['tabAggregates', 101, ['clampScrollDepth', 'fixClosedAt']],
+      ['tabAggregates', 102, ['fixClosedAt']]
+    ]);
+
+    const db = env.dump('Heyho_EventsDB');
+    assert.equal(db.pageVisits[2].scrollDepthPercent, 100);
+    assert.equal(db.tabAggregates[0].scroll_depth_percent, 0);
+    // lastActiveTime outside both values: the closedAt is unusable
+    assert.equal(db.tabAggregates[0].closedAt, null);
+    assert.equal(db.tabAggregates[0].startTime, BASE);
+    // lastActiveTime between the two: they were stored the wrong way round
+    assert.equal(db.tabAggregates[1].startTime, BASE);
+    assert.equal(db.tabAggregates[1].closedAt, BASE + DAY);
+  });
+
+  it('journals every change and undoes a run exactly', async () => {
+    const database = sampleDatabase();
+    database.stores.tabAggregates.records[0].closedAt = BASE - DAY;
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const repair = await env.run('repair_local_data.js', { config: { JOURNAL_CHUNK_SIZE: 1 } });
+
+    assert.equal(repair.changes.length, 2);
+    assert.equal(repair.journal.format, 'heyho-repair-journal');
+    assert.deepEqual(repair.journal.changes, repair.changes);
+    assert.notDeepEqual(env.dump('Heyho_EventsDB'), original);
+    const journal = env.dump('Heyho_ResetJournal');
+    assert.deepEqual(journal.runs.map(run => [run.runId, run.type, run.status, run.changes, run.chunks]), [[repair.journal.runId, 'repair', 'committed', 2, 2]]);
+    assert.deepEqual(journal.chunks.flatMap(chunk => chunk.entries), repair.changes);
+
+    const undo = await env.run('repair_local_data.js', { config: { UNDO: true } });
+
+    assert.equal(undo.success, true);
+    assert.equal(undo.mode, 'undo');
+    assert.equal(undo.changes.length, 2);
+    assert.deepEqual(undo.conflicts, []);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    assert.ok(env.dump('Heyho_ResetJournal').runs[0].undoneAt);
+
+    const again = await env.run('repair_local_data.js', { config: { UNDO: true } });
+    assert.match(again.error, /No repair journal found/);
+  });
+
+  it('undoes a run from a downloaded journal pasted into self.HEYHO_REPAIR_JOURNAL', async () => {
+    const database = sampleDatabase();
+    database.stores.tabAggregates.records[0].closedAt = BASE - DAY;
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+    const original = env.dump('Heyho_EventsDB');
+    const repair = await env.run('repair_local_data.js');
+    await request(env.idb.deleteDatabase('Heyho_ResetJournal'));
+
+    env.sandbox.HEYHO_REPAIR_JOURNAL = JSON.stringify(repair.journal);
+    const undo = await env.run('repair_local_data.js', { config: { UNDO: true } });
+
+    assert.equal(undo.success, true);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('leaves records changed since the repair alone when undoing', async () => {
+    const database = eventsDatabase({
+      pageVisits: [pageVisit(), pageVisit({ visitId: 'visit_2', tabId: 102, scrollDepthPercent: 120 })],
+      tabAggregates: [tabAggregate({ scroll_depth_percent: 150 })]
+    });
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+    await env.run('repair_local_data.js');
+
+    const reset = await env.run('reset_sync_simple.js', { config: { STORES_TO_CLEAR: [] } });
+    const undo = await env.run('repair_local_data.js', { config: { UNDO: true } });
+
+    assert.deepEqual(undo.conflicts.map(conflict => [conflict.store, conflict.key]), [
+      ['tabAggregates', 101],
+      ['pageVisits', 'visit_2']
+    ]);
+    assert.equal(undo.changes.length, 0);
+    assert.equal(env.dump('Heyho_EventsDB').tabAggregates[0].scroll_depth_percent, 100);
+
+    // The repair run shares the journal database, but undo_reset.js only sees the reset
+    const undoReset = await env.run('undo_reset.js');
+    const nothingLeft = await env.run('undo_reset.js');
+    assert.equal(undoReset.runId, reset.journal.runId);
+    assert.match(nothingLeft.error, /already been undone/);
+  });
+
+  it('writes nothing in dry-run mode', async () => {
+    const database = sampleDatabase();
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+
+    const result = await env.run('repair_local_data.js', { config: { DRY_RUN: true } });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(changesFor(result, 'dropFilteredUrls'), [['pageVisits', 'visit_4', 'delete']]);
+    assert.equal(result.journal, null);
+    assert.equal(env.dump('Heyho_EventsDB').pageVisits.length, 4);
+  });
+
+  it('rolls back every change when a write fails', async () => {
+    const database = sampleDatabase();
+    database.stores.tabAggregates.records[0].closedAt = BASE - DAY;
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+    const original = env.dump('Heyho_EventsDB');
+    env.idb.failNext('tabAggregates', 'QuotaExceededError');
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    assert.deepEqual(env.dump('Heyho_ResetJournal'), { runs: [], chunks: [] });
+  });
+
+  it('writes nothing when the journal cannot be saved', async () => {
+    const database = sampleDatabase();
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+    const original = env.dump('Heyho_EventsDB');
+    env.idb.failNext('chunks', 'QuotaExceededError');
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Could not save the repair journal .* nothing was changed/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('refuses to write records changed after they were read', async () => {
+    const database = sampleDatabase();
+    database.stores.tabAggregates.records[0].closedAt = BASE - DAY;
+    const aggregate = { ...database.stores.tabAggregates.records[0], syncedAt: BASE + DAY };
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+    // The aggregate is synced again while the repair is planned
+    env.sandbox.Constants = {
+      get INVALID_URL_PREFIXES() {
+        request(env.idb.open('Heyho_EventsDB')).then(db => {
+          db.transaction('tabAggregates', 'readwrite').objectStore('tabAggregates').put(aggregate);
+          db.close();
+        });
+        return ['chrome://'];
+      }
+    };
+
+    const result = await env.run('repair_local_data.js');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /tabAggregates 101 changed while the run was planned - nothing was changed/);
+    assert.deepEqual(env.dump('Heyho_EventsDB').tabAggregates[0], aggregate);
+    assert.equal(env.dump('Heyho_EventsDB').pageVisits.length, 4);
+    assert.deepEqual(env.dump('Heyho_ResetJournal'), { runs: [], chunks: [] });
+  });
+
+  it('only checks the sync state before writing', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { SyncManager: undefined } });
+
+    const dryRun = await env.run('repair_local_data.js', { config: { DRY_RUN: true } });
+    const repair = await env.run('repair_local_data.js');
+
+    assert.equal(dryRun.success, true);
+    assert.equal(repair.success, false);
+    assert.match(repair.error, /Could not determine whether the extension is syncing/);
+    assert.equal(env.dump('Heyho_EventsDB').pageVisits.length, 4);
+  });
+
+  it('refuses to undo without a journal', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('repair_local_data.js', { config: { UNDO: true } });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /No repair journal found/);
+  });
+});
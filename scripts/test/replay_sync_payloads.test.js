@@ -0,0 +1,189 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { main, serverIds } = require('../replay_sync_payloads');
+const { BASE, pageVisit, tabAggregate } = require('./support/fixtures');
+
+// Answers GET /api/v1/browsing_data with the stored ids and
+// POST /api/v1/data/sync with the next queued answer, or stores the records
+// and reports the ones named in `reject` as invalid
+function startBackend() {
+  const backend = { requests: [], answers: [], reject: [], pageVisits: new Set(['visit_1']), tabAggregates: new Set() };
+  backend.server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      backend.requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization, body: text });
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (url.pathname === '/api/v1/browsing_data') {
+        send(200, {
+          success: true,
+          data: {
+            page_visits: Array.from(backend.pageVisits, id => ({ id })),
+            tab_aggregates: Array.from(backend.tabAggregates, id => ({ id })),
+            pagination: { page: 1, per_page: 100, total_page_visits: backend.pageVisits.size, total_tab_aggregates: backend.tabAggregates.size }
+          }
+        });
+        return;
+      }
+
+      if (backend.answers.length > 0) {
+        const [status, body] = backend.answers.shift();
+        send(status, body);
+        return;
+      }
+      const payload = JSON.parse(text);
+      const ids = serverIds(payload);
+      const rejected = ids.pageVisits.filter(id => backend.reject.includes(id));
+      const saved = ids.pageVisits.filter(id => !rejected.includes(id));
+      saved.forEach(id => backend.pageVisits.add(id));
+      ids.tabAggregates.forEach(id => backend.tabAggregates.add(id));
+      send(200, {
+        success: true,
+        message: 'Data synced successfully',
+        data: {
+          page_visits_synced: saved.length,
+          tab_aggregates_synced: ids.tabAggregates.length,
+          rejected_records_count: rejected.length,
+          data_quality_score: 100,
+          validation_errors: rejected.map(id => ({ record_id: id, record_type: 'page_visit', field: 'url', message: 'url is invalid' }))
+        }
+      });
+    });
+  });
+  return new Promise(resolve => {
+    backend.server.listen(0, '127.0.0.1', () => {
+      backend.baseUrl = `http://127.0.0.1:${backend.server.address().port}`;
+      resolve(backend);
+    });
+  });
+}
+
+async function runCli(args, env = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main(args, {
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } },
+    env
+  });
+  return { code, stdout, stderr };
+}
+
+describe('replay_sync_payloads.js', () => {
+  let backend;
+  let dir;
+  const writeJson = (name, value) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heyho-replay-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const withBackend = test => async () => {
+    backend = await startBackend();
+    try {
+      await test();
+    } finally {
+      await new Promise(resolve => backend.server.close(resolve));
+    }
+  };
+
+  it('replays a payload and a HAR recording, counting created, updated and rejected records', withBackend(async () => {
+    backend.reject = ['visit_3'];
+    const payload = writeJson('payload.json', {
+      pageVisits: [pageVisit(), pageVisit({ visitId: 'visit_2', tabId: 102 })],
+      tabAggregates: [tabAggregate(), tabAggregate({ tabId: 999 })],
+      extensionVersion: '1.4.0'
+    });
+    const har = writeJson('traffic.har', {
+      log: {
+        entries: [
+          { request: { method: 'POST', url: 'http://localhost:3000/api/v1/auth/login', postData: { text: '{}' } } },
+          { request: { method: 'POST', url: 'http://localhost:3000/api/v1/data/sync', postData: { text: JSON.stringify({ pageVisits: [pageVisit({ visitId: 'visit_2', tabId: 102 }), pageVisit({ visitId: 'visit_3', tabId: 103 })], tabAggregates: [] }) } } },
+          { request: { method: 'POST', url: 'http://localhost:3000/api/v1/data/sync' } }
+        ]
+      }
+    });
+
+    const { code, stdout, stderr } = await runCli(['--base-url', backend.baseUrl, '--json', payload, har], { HEYHO_ACCESS_TOKEN: 'jwt-123' });
+    const report = JSON.parse(stdout);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Skipped 1 entry\(ies\) of .*traffic\.har without a sync body/);
+    assert.equal(report.classified, true);
+    assert.deepEqual(report.batches.map(batch => batch.label), ['payload.json', 'traffic.har']);
+    assert.deepEqual(report.batches[0].pageVisits, { synced: 2, created: 1, updated: 1, rejected: 0 });
+    assert.deepEqual(report.batches[0].tabAggregates, { synced: 1, created: 1, updated: 0, rejected: 0 });
+    assert.deepEqual(report.batches[1].pageVisits, { synced: 1, created: 0, updated: 1, rejected: 1 });
+    assert.deepEqual(report.batches[1].rejected, [{ type: 'page_visit', id: 'visit_3', errors: [{ field: 'url', message: 'url is invalid' }] }]);
+    assert.equal(report.batches.every(batch => typeof batch.latencyMs === 'number'), true);
+    assert.deepEqual(report.totals.pageVisits, { synced: 3, created: 1, updated: 2, rejected: 1 });
+    assert.equal(report.totals.accepted, 1);
+    assert.equal(report.totals.partial, 1);
+
+    const syncRequests = backend.requests.filter(request => request.path === '/api/v1/data/sync');
+    assert.equal(syncRequests.length, 2);
+    assert.equal(syncRequests.every(request => request.authorization === 'Bearer jwt-123'), true);
+    assert.equal(JSON.parse(syncRequests[0].body).extensionVersion, '1.4.0');
+  }));
+
+  it('reports failed batches and leaves created / updated unknown without classifying', withBackend(async () => {
+    backend.answers.push([400, { success: false, message: 'Batch size exceeded. Maximum 1000 records allowed, got 1001' }]);
+    const visits = Array.from({ length: 1001 }, (_, index) => pageVisit({ visitId: `visit_${index}`, startedAt: BASE + index }));
+    const large = writeJson('large.json', { pageVisits: visits, tabAggregates: [] });
+    const small = writeJson('small.json', [{ pageVisits: [pageVisit({ visitId: 'visit_9999' })], tabAggregates: [] }]);
+
+    const { code, stdout, stderr } = await runCli(['--token', 'jwt-123', '--base-url', backend.baseUrl, '--no-classify', large, small]);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /large\.json holds 1001 records - the server rejects batches over 1000/);
+    assert.match(stdout, /\[1\/2\] large\.json: 1001 visits \+ 0 aggregates - HTTP 400 in \d+ms\n {4}Batch size exceeded/);
+    assert.match(stdout, /\[2\/2\] small\.json: 1 visits \+ 0 aggregates - HTTP 200 in \d+ms\n {4}page visits: {4}\? created, \? updated, 0 rejected/);
+    assert.match(stdout, /2 batch\(es\): 1 accepted, 0 with rejections, 1 failed/);
+    assert.equal(backend.requests.some(request => request.path === '/api/v1/browsing_data'), false);
+  }));
+
+  it('lists the batches without sending anything on a dry run', withBackend(async () => {
+    const payload = writeJson('dry.json', { pageVisits: [pageVisit()], tabAggregates: [tabAggregate()] });
+
+    const { code, stdout } = await runCli(['--base-url', backend.baseUrl, '--dry-run', payload]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /\[1\/1\] dry\.json: 1 visits \+ 1 aggregates/);
+    assert.equal(backend.requests.length, 0);
+  }));
+
+  it('rejects missing tokens and files without payloads', async () => {
+    const payload = writeJson('usage.json', { pageVisits: [], tabAggregates: [] });
+    const empty = writeJson('empty.json', { hello: 'world' });
+
+    const noToken = await runCli([payload]);
+    const noPayload = await runCli(['--token', 'jwt-123', empty]);
+    const unknown = await runCli(['--token', 'jwt-123', '--retries', '3', payload]);
+
+    assert.equal(noToken.code, 2);
+    assert.match(noToken.stderr, /No token given/);
+    assert.equal(noPayload.code, 2);
+    assert.match(noPayload.stderr, /No sync payloads found in .*empty\.json/);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown option --retries/);
+  });
+});
@@ -0,0 +1,269 @@
+'use strict';
+
+// reset_indexeddb_sync_status.js and reset_sync_simple.js are both thin
+// wrappers around heyho.reset(), so both run through the same cases.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, createToolkitEnvironment } = require('./support/harness');
+const { BASE, DAY, eventsDatabase, pageVisit, sampleDatabase } = require('./support/fixtures');
+
+const manyVisits = count => Array.from({ length: count }, (_, i) => pageVisit({ visitId: `visit_${i}`, startedAt: BASE + i * 1000 }));
+
+// getSyncState() stub reporting isSyncing from the list, then the last entry forever
+const syncSequence = (...states) => {
+  let calls = 0;
+  return { getSyncState: () => ({ isSyncing: states[Math.min(calls++, states.length - 1)] }) };
+};
+
+const syncFlags = records => Object.fromEntries(records.map(record => [record.visitId || record.tabId, record.synced]));
+
+for (const script of ['reset_indexeddb_sync_status.js', 'reset_sync_simple.js']) {
+  describe(script, () => {
+    it('resets every synced flag and clears the tracking store', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+      const result = await env.run(script);
+
+      assert.equal(result.success, true);
+      assert.equal(result.outcome, 'committed');
+      assert.deepEqual(result.stores.pageVisits, { count: 4, updated: 4, skipped: 0, unmatched: 0 });
+      assert.deepEqual(result.stores.tabAggregates, { count: 3, updated: 3, skipped: 0, unmatched: 0 });
+      assert.deepEqual(result.cleared.syncedPageVisits, { count: 2, cleared: 2 });
+
+      const db = env.dump('Heyho_EventsDB');
+      assert.ok(db.pageVisits.every(visit => visit.synced === false && !('syncedAt' in visit)));
+      assert.ok(db.tabAggregates.every(aggregate => aggregate.synced === false));
+      assert.deepEqual(db.syncedPageVisits, []);
+    });
+
+    it('skips records without a synced field', async () => {
+      const database = sampleDatabase();
+      delete database.stores.pageVisits.records[0].synced;
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+
+      const result = await env.run(script);
+
+      assert.equal(result.stores.pageVisits.updated, 3);
+      assert.equal(result.stores.pageVisits.skipped, 1);
+      assert.equal('synced' in env.dump('Heyho_EventsDB').pageVisits[0], false);
+    });
+
+    it('previews without writing in dry-run mode', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const before = env.dump('Heyho_EventsDB');
+
+      const result = await env.run(script, { config: { DRY_RUN: true, SAMPLE_SIZE: 1 } });
+
+      assert.equal(result.dryRun, true);
+      assert.equal(result.preview.pageVisits.action, 'reset');
+      assert.equal(result.preview.pageVisits.affected, 4);
+      assert.equal(result.preview.pageVisits.alreadyUnsynced, 2);
+      assert.equal(result.preview.pageVisits.samples.length, 1);
+      assert.equal(result.preview.syncedPageVisits.action, 'clear');
+      assert.equal(result.preview.syncedPageVisits.affected, 2);
+      assert.deepEqual(env.dump('Heyho_EventsDB'), before);
+    });
+
+    it('limits the reset to visits matching the filters and their aggregates', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+      const result = await env.run(script, {
+        config: { FILTERS: { startedAfter: null, startedBefore: BASE + DAY, domains: ['github.com'], visitIds: [] } }
+      });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.matched, { pageVisits: 1, tabs: 1 });
+      assert.deepEqual(result.stores.pageVisits, { count: 4, updated: 1, skipped: 0, unmatched: 3 });
+      assert.deepEqual(result.cleared.syncedPageVisits, { count: 2, cleared: 1 });
+
+      const db = env.dump('Heyho_EventsDB');
+      assert.deepEqual(syncFlags(db.pageVisits), { visit_1: false, visit_2: true, visit_3: false, visit_4: false });
+      assert.deepEqual(syncFlags(db.tabAggregates), { 101: false, 102: true, 103: false });
+      assert.deepEqual(db.syncedPageVisits.map(entry => entry.visitId), ['visit_2']);
+    });
+
+    it('rolls back every store when one of them fails', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+      env.idb.failNext('tabAggregates', 'QuotaExceededError');
+
+      const result = await env.run(script);
+
+      assert.equal(result.success, false);
+      assert.equal(result.outcome, 'rolledBack');
+      assert.deepEqual(result.errors.map(error => error.store), ['tabAggregates']);
+      assert.deepEqual(result.stores, {});
+      assert.deepEqual(result.cleared, {});
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+      assert.match(env.output(), /rolled back/i);
+    });
+
+    it('keeps the synced flags when clearing the tracking store fails', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+      env.idb.failNext('syncedPageVisits', 'UnknownError');
+
+      const result = await env.run(script);
+
+      assert.equal(result.outcome, 'rolledBack');
+      assert.deepEqual(result.errors.map(error => error.store), ['syncedPageVisits']);
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    });
+
+    it('walks large stores in chunks and reports progress', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: eventsDatabase({ pageVisits: manyVisits(1200) }) } });
+
+      const result = await env.run(script, { config: { CHUNK_SIZE: 500 } });
+
+      assert.equal(result.outcome, 'committed');
+      assert.deepEqual(result.stores.pageVisits, { count: 1200, updated: 1200, skipped: 0, unmatched: 0 });
+      const progress = env.logs.map(entry => entry.message).filter(message => /records\/s/.test(message));
+      assert.equal(progress.length, 3);
+      assert.match(progress[0], /pageVisits: 42% \(500\/1200\), \d+ records\/s/);
+      assert.match(progress[2], /pageVisits: 100% \(1200\/1200\)/);
+      assert.ok(env.dump('Heyho_EventsDB').pageVisits.every(visit => visit.synced === false));
+    });
+
+    it('rolls back when a write fails partway through a store', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: eventsDatabase({ pageVisits: manyVisits(50) }) } });
+      const original = env.dump('Heyho_EventsDB');
+      // Let the count, the cursor and about half the writes through first
+      env.idb.failNext('pageVisits', 'QuotaExceededError', { after: 40 });
+
+      const result = await env.run(script);
+
+      assert.equal(result.outcome, 'rolledBack');
+      assert.deepEqual(result.errors.map(error => error.store), ['pageVisits']);
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    });
+
+    it('waits for an in-flight sync before writing', async () => {
+      const env = await createToolkitEnvironment({
+        databases: { Heyho_EventsDB: sampleDatabase() },
+        globals: { SyncManager: syncSequence(true, true, false) }
+      });
+
+      const result = await env.run(script);
+
+      assert.equal(result.outcome, 'committed');
+      assert.equal(result.syncGuard.status, 'waited');
+      assert.ok(result.syncGuard.waitedMs > 0);
+      assert.match(env.output(), /waiting for it to finish/);
+    });
+
+    it('refuses to run when the sync state cannot be read unless forced', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { SyncManager: undefined } });
+      const original = env.dump('Heyho_EventsDB');
+
+      const refused = await env.run(script);
+
+      assert.equal(refused.success, false);
+      assert.match(refused.error, /FORCE_WITHOUT_SYNC_STATE/);
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+
+      const forced = await env.run(script, { config: { FORCE_WITHOUT_SYNC_STATE: true } });
+
+      assert.equal(forced.outcome, 'committed');
+      assert.equal(forced.syncGuard.status, 'unknown');
+    });
+
+    it('pauses and resumes the sync through self.HEYHO_SYNC_HOOKS', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const calls = [];
+      env.sandbox.HEYHO_SYNC_HOOKS = {
+        pause: async () => calls.push(['pause', syncFlags(env.dump('Heyho_EventsDB').pageVisits).visit_1]),
+        resume: async () => calls.push(['resume', syncFlags(env.dump('Heyho_EventsDB').pageVisits).visit_1])
+      };
+
+      const result = await env.run(script);
+
+      assert.equal(result.outcome, 'committed');
+      assert.deepEqual(calls, [['pause', true], ['resume', false]]);
+    });
+
+    it('gives up and resumes the sync when it does not finish in time', async () => {
+      const env = await createToolkitEnvironment({
+        databases: { Heyho_EventsDB: sampleDatabase() },
+        globals: { SyncManager: syncSequence(true) }
+      });
+      const original = env.dump('Heyho_EventsDB');
+      const calls = [];
+      env.sandbox.HEYHO_SYNC_HOOKS = { pause: () => calls.push('pause'), resume: () => calls.push('resume') };
+
+      const result = await env.run(script, { config: { SYNC_WAIT_TIMEOUT_MS: 50 } });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /still syncing/);
+      assert.deepEqual(calls, ['pause', 'resume']);
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    });
+
+    it('reports the synced breakdown read before the reset', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+      const result = await env.run(script);
+
+      assert.equal(result.report.script, script);
+      assert.equal(result.report.success, true);
+      assert.deepEqual(result.report.databases, [{
+        name: 'Heyho_EventsDB',
+        version: 3,
+        stores: {
+          pageVisits: { count: 4, synced: 2, unsynced: 2, missingSyncedField: 0 },
+          tabAggregates: { count: 3, synced: 2, unsynced: 1, missingSyncedField: 0 },
+          syncedPageVisits: { count: 2, synced: 0, unsynced: 0, missingSyncedField: 2 }
+        }
+      }]);
+      assert.equal(result.report.details.outcome, 'committed');
+      assert.deepEqual(result.report.details.stores, result.stores);
+    });
+
+    it('leaves the failed store out of the report and lists the error', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      env.idb.failNext('tabAggregates', 'QuotaExceededError');
+
+      const { report } = await env.run(script);
+
+      assert.equal(report.success, false);
+      assert.deepEqual(Object.keys(report.databases[0].stores), ['pageVisits']);
+      assert.deepEqual(report.errors.map(error => [error.database, error.store]), [['Heyho_EventsDB', 'tabAggregates']]);
+      assert.equal(report.details.outcome, 'rolledBack');
+    });
+
+    it('reports a dry run and a refused run', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+      const preview = await env.run(script, { config: { DRY_RUN: true } });
+
+      assert.equal(preview.report.details.dryRun, true);
+      assert.equal(preview.report.details.preview.pageVisits.affected, 4);
+      assert.equal(preview.report.databases[0].stores.pageVisits.synced, 2);
+
+      env.sandbox.SyncManager = undefined;
+      const refused = await env.run(script);
+
+      assert.equal(refused.report.success, false);
+      assert.match(refused.report.errors[0].error, /FORCE_WITHOUT_SYNC_STATE/);
+      assert.equal(refused.report.details.syncGuard.status, 'unknown');
+    });
+
+    it('asks for the toolkit when it is not installed', async () => {
+      const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+
+      const result = await env.run(script);
+
+      assert.deepEqual(result, { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' });
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    });
+
+    it('fails when no database has the extension stores', async () => {
+      const env = await createToolkitEnvironment({ databases: { OtherDB: { version: 1, stores: { settings: { keyPath: 'key' } } } } });
+
+      const result = await env.run(script);
+
+      assert.equal(result.success, false);
+    });
+  });
+}
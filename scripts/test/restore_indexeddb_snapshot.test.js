@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, eventsDatabase, pageVisit, tabAggregate, sampleDatabase } = require('./support/fixtures');
+
+async function snapshotOf(database) {
+  const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+  await env.run('export_indexeddb_snapshot.js', { config: { DOWNLOAD: false } });
+  return { json: env.sandbox.heyhoLastSnapshotJson, dump: env.dump('Heyho_EventsDB') };
+}
+
+// A profile that already holds other browsing data
+function existingDatabase() {
+  return eventsDatabase({
+    pageVisits: [pageVisit({ visitId: 'visit_local', tabId: 301, startedAt: BASE + 5000 })],
+    tabAggregates: [tabAggregate({ tabId: 301 })],
+    syncedPageVisits: [{ visitId: 'visit_local', syncedAt: BASE }]
+  });
+}
+
+async function restore(database, json, config = {}) {
+  const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: database } });
+  env.sandbox.HEYHO_SNAPSHOT = json;
+  const original = env.dump('Heyho_EventsDB');
+  return { env, original, result: await env.run('restore_indexeddb_snapshot.js', { config }) };
+}
+
+describe('restore_indexeddb_snapshot.js', () => {
+  it('refuses to write over stores that hold records unless OVERWRITE is set', async () => {
+    const { json } = await snapshotOf(sampleDatabase());
+
+    const { env, original, result } = await restore(existingDatabase(), json);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /already has 1 records\. Set OVERWRITE = true to replace them/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('replaces every store with OVERWRITE', async () => {
+    const { json, dump } = await snapshotOf(sampleDatabase());
+
+    const { env, result } = await restore(existingDatabase(), json, { OVERWRITE: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.created, false);
+    assert.deepEqual(result.stores, {
+      pageVisits: { restored: 4, replaced: 1 },
+      syncedPageVisits: { restored: 2, replaced: 1 },
+      tabAggregates: { restored: 3, replaced: 1 }
+    });
+    assert.deepEqual(env.dump('Heyho_EventsDB'), dump);
+    assert.match(env.output(), /pageVisits: 4 records \(replaced 1\)/);
+  });
+
+  it('rolls every store back when a write fails', async () => {
+    const { json } = await snapshotOf(sampleDatabase());
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: existingDatabase() } });
+    env.sandbox.HEYHO_SNAPSHOT = json;
+    const original = env.dump('Heyho_EventsDB');
+    // tabAggregates is restored last: its count and clear pass, its first put fails
+    env.idb.failNext('tabAggregates', 'QuotaExceededError', { after: 2 });
+    const result = await env.run('restore_indexeddb_snapshot.js', { config: { OVERWRITE: true } });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Injected QuotaExceededError on tabAggregates');
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    assert.match(env.output(), /RESTORE FAILED \(nothing was written\)/);
+  });
+
+  it('deletes the database it created when the write fails', async () => {
+    const { json } = await snapshotOf(sampleDatabase());
+    const env = await createToolkitEnvironment();
+    env.sandbox.HEYHO_SNAPSHOT = json;
+    // The new tabAggregates store passes its count, its first put fails
+    env.idb.failNext('tabAggregates', 'QuotaExceededError', { after: 1 });
+
+    const result = await env.run('restore_indexeddb_snapshot.js');
+
+    assert.equal(result.error, 'Injected QuotaExceededError on tabAggregates');
+    assert.deepEqual(await env.idb.databases(), []);
+    assert.equal(env.idb.openConnections('Heyho_EventsDB'), 0);
+  });
+
+  it('creates no database when the sync guard refuses', async () => {
+    const { json } = await snapshotOf(sampleDatabase());
+    const env = await createToolkitEnvironment({ globals: { SyncManager: undefined } });
+    env.sandbox.HEYHO_SNAPSHOT = json;
+
+    const result = await env.run('restore_indexeddb_snapshot.js');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Could not determine whether the extension is syncing/);
+    assert.deepEqual(await env.idb.databases(), []);
+  });
+
+  it('refuses a database of another version or without the snapshot stores', async () => {
+    const { json } = await snapshotOf(sampleDatabase());
+
+    const older = await restore(eventsDatabase({ version: 2 }), json);
+    assert.equal(older.result.error, 'Database Heyho_EventsDB exists with version 2, snapshot is version 3. Restore into a profile running the same extension version.');
+
+    const partial = eventsDatabase();
+    delete partial.stores.syncedPageVisits;
+    const missing = await restore(partial, json);
+    assert.equal(missing.result.error, 'Existing database is missing stores: syncedPageVisits');
+    assert.deepEqual(missing.env.dump('Heyho_EventsDB'), missing.original);
+  });
+});
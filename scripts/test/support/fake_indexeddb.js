@@ -0,0 +1,865 @@
+// In-memory IndexedDB for running the console scripts under Node.
+//
+// Implements the subset of the IndexedDB API the scripts in scripts/ use:
+// open/databases/deleteDatabase, versionchange upgrades, readonly and
+// readwrite transactions with auto-commit and rollback on abort, object
+// stores, indexes, cursors and key ranges. Requests fire asynchronously in
+// order, like the browser, so code that awaits each request behaves the same.
+
+'use strict';
+
+function domError(name, message) {
+  return new DOMException(message || name, name);
+}
+
+function keyType(key) {
+  if (typeof key === 'number') return 1;
+  if (key instanceof Date) return 2;
+  if (typeof key === 'string') return 3;
+  if (Array.isArray(key)) return 4;
+  return 0;
+}
+
+function compareKeys(a, b) {
+  const ta = keyType(a);
+  const tb = keyType(b);
+  if (ta !== tb) return ta - tb;
+  if (ta === 4) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareKeys(a[i], b[i]);
+      if (c !== 0) return c;
+    }
+    return a.length - b.length;
+  }
+  const va = ta === 2 ? a.getTime() : a;
+  const vb = tb === 2 ? b.getTime() : b;
+  if (va < vb) return -1;
+  if (va > vb) return 1;
+  return 0;
+}
+
+function validKey(key) {
+  const type = keyType(key);
+  if (type === 0) return false;
+  if (type === 1) return !Number.isNaN(key);
+  if (type === 4) return key.every(validKey);
+  return true;
+}
+
+function extractKey(value, keyPath) {
+  if (Array.isArray(keyPath)) return keyPath.map(path => extractKey(value, path));
+  let current = value;
+  for (const part of keyPath.split('.')) {
+    if (current === null || typeof current !== 'object' || !(part in current)) return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function injectKey(value, keyPath, key) {
+  const parts = keyPath.split('.');
+  let current = value;
+  for (const part of parts.slice(0, -1)) {
+    if (!(part in current)) current[part] = {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = key;
+}
+
+class FakeKeyRange {
+  constructor(lower, upper, lowerOpen, upperOpen) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
+  }
+
+  static only(value) {
+    return new FakeKeyRange(value, value, false, false);
+  }
+
+  static lowerBound(lower, open = false) {
+    return new FakeKeyRange(lower, undefined, open, true);
+  }
+
+  static upperBound(upper, open = false) {
+    return new FakeKeyRange(undefined, upper, true, open);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    return new FakeKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  includes(key) {
+    if (this.lower !== undefined) {
+      const c = compareKeys(key, this.lower);
+      if (c < 0 || (c === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const c = compareKeys(key, this.upper);
+      if (c > 0 || (c === 0 && this.upperOpen)) return false;
+    }
+    return true;
+  }
+}
+
+function toRange(query) {
+  if (query === undefined || query === null) return null;
+  if (query instanceof FakeKeyRange) return query;
+  return FakeKeyRange.only(query);
+}
+
+class FakeStringList {
+  constructor(names) {
+    this._names = [...names].sort();
+  }
+
+  get length() {
+    return this._names.length;
+  }
+
+  item(index) {
+    return this._names[index] ?? null;
+  }
+
+  contains(name) {
+    return this._names.includes(name);
+  }
+
+  [Symbol.iterator]() {
+    return this._names[Symbol.iterator]();
+  }
+}
+
+class FakeRequest {
+  constructor(source, transaction) {
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+
+  _succeed(result) {
+    this.readyState = 'done';
+    this.result = result;
+    if (this.onsuccess) this.onsuccess({ type: 'success', target: this });
+  }
+
+  _fail(error) {
+    this.readyState = 'done';
+    this.error = error;
+    let prevented = false;
+    const event = {
+      type: 'error',
+      target: this,
+      preventDefault: () => { prevented = true; },
+      stopPropagation: () => {}
+    };
+    if (this.onerror) this.onerror(event);
+    return prevented;
+  }
+}
+
+class FakeOpenRequest extends FakeRequest {
+  constructor() {
+    super(null, null);
+    this.onupgradeneeded = null;
+    this.onblocked = null;
+  }
+}
+
+// Committed state of one object store.
+class StoreData {
+  constructor(name, keyPath, autoIncrement) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.records = new Map();
+    this.indexes = new Map();
+    this.keyGenerator = 1;
+  }
+
+  clone() {
+    const copy = new StoreData(this.name, this.keyPath, this.autoIncrement);
+    copy.records = new Map(this.records);
+    copy.indexes = new Map(this.indexes);
+    copy.keyGenerator = this.keyGenerator;
+    return copy;
+  }
+
+  sortedEntries() {
+    return [...this.records.values()].sort((a, b) => compareKeys(a.key, b.key));
+  }
+}
+
+class FakeIndex {
+  constructor(store, name, definition) {
+    this.objectStore = store;
+    this.name = name;
+    this.keyPath = definition.keyPath;
+    this.unique = definition.unique;
+    this.multiEntry = definition.multiEntry;
+  }
+
+  _entries(range) {
+    const data = this.objectStore._data();
+    const entries = [];
+    for (const { key, value } of data.sortedEntries()) {
+      const indexKey = extractKey(value, this.keyPath);
+      const keys = this.multiEntry && Array.isArray(indexKey) ? indexKey : [indexKey];
+      for (const k of keys) {
+        if (!validKey(k)) continue;
+        if (range && !range.includes(k)) continue;
+        entries.push({ key: k, primaryKey: key, value });
+      }
+    }
+    return entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+  }
+
+  get(query) {
+    return this.objectStore._transaction._request(this, () => {
+      const entry = this._entries(toRange(query))[0];
+      return entry ? structuredClone(entry.value) : undefined;
+    });
+  }
+
+  getAll(query, count) {
+    return this.objectStore._transaction._request(this, () => {
+      const entries = this._entries(toRange(query));
+      return entries.slice(0, count || entries.length).map(e => structuredClone(e.value));
+    });
+  }
+
+  count(query) {
+    return this.objectStore._transaction._request(this, () => this._entries(toRange(query)).length);
+  }
+
+  openCursor(query, direction = 'next') {
+    return this.objectStore._openCursor(this, () => this._entries(toRange(query)), direction);
+  }
+}
+
+class FakeCursor {
+  constructor(request, store, entries, position) {
+    this._request = request;
+    this._store = store;
+    this._entries = entries;
+    this._position = position;
+    this.source = request.source;
+    this.direction = 'next';
+  }
+
+  get key() {
+    return this._entries[this._position].key;
+  }
+
+  get primaryKey() {
+    return this._entries[this._position].primaryKey;
+  }
+
+  get value() {
+    return structuredClone(this._entries[this._position].value);
+  }
+
+  continue() {
+    this.advance(1);
+  }
+
+  advance(count) {
+    this._store._transaction._requeue(this._request, () => {
+      this._position += count;
+      return this._position < this._entries.length ? this : null;
+    });
+  }
+
+  update(value) {
+    return this._store.put(value, this._store.keyPath ? undefined : this.primaryKey);
+  }
+
+  delete() {
+    return this._store.delete(this.primaryKey);
+  }
+}
+
+class FakeObjectStore {
+  constructor(transaction, name) {
+    this._transaction = transaction;
+    this.name = name;
+    this.transaction = transaction;
+  }
+
+  _data() {
+    return this._transaction._storeData(this.name);
+  }
+
+  get keyPath() {
+    return this._data().keyPath;
+  }
+
+  get autoIncrement() {
+    return this._data().autoIncrement;
+  }
+
+  get indexNames() {
+    return new FakeStringList(this._data().indexes.keys());
+  }
+
+  index(name) {
+    const definition = this._data().indexes.get(name);
+    if (!definition) throw domError('NotFoundError', `No index named ${name}`);
+    return new FakeIndex(this, name, definition);
+  }
+
+  createIndex(name, keyPath, options = {}) {
+    if (this._transaction.mode !== 'versionchange') throw domError('InvalidStateError');
+    this._data().indexes.set(name, {
+      keyPath,
+      unique: Boolean(options.unique),
+      multiEntry: Boolean(options.multiEntry)
+    });
+    return this.index(name);
+  }
+
+  _writable() {
+    if (this._transaction.mode === 'readonly') throw domError('ReadOnlyError', 'Transaction is read-only');
+    return this._transaction._writableStoreData(this.name);
+  }
+
+  _entries(range) {
+    return this._data().sortedEntries()
+      .filter(entry => !range || range.includes(entry.key))
+      .map(entry => ({ key: entry.key, primaryKey: entry.key, value: entry.value }));
+  }
+
+  get(query) {
+    return this._transaction._request(this, () => {
+      const entry = this._entries(toRange(query))[0];
+      return entry ? structuredClone(entry.value) : undefined;
+    });
+  }
+
+  getAll(query, count) {
+    return this._transaction._request(this, () => {
+      const entries = this._entries(toRange(query));
+      return entries.slice(0, count || entries.length).map(e => structuredClone(e.value));
+    });
+  }
+
+  getAllKeys(query, count) {
+    return this._transaction._request(this, () => {
+      const entries = this._entries(toRange(query));
+      return entries.slice(0, count || entries.length).map(e => e.key);
+    });
+  }
+
+  count(query) {
+    return this._transaction._request(this, () => this._entries(toRange(query)).length);
+  }
+
+  _store(value, key, overwrite) {
+    const data = this._writable();
+    const stored = structuredClone(value);
+    return this._transaction._request(this, () => {
+      const target = this._transaction._writableStoreData(this.name);
+      let recordKey = key;
+      if (target.keyPath) {
+        recordKey = extractKey(stored, target.keyPath);
+        if (recordKey === undefined && target.autoIncrement) {
+          recordKey = target.keyGenerator;
+          injectKey(stored, target.keyPath, recordKey);
+        }
+      } else if (recordKey === undefined && target.autoIncrement) {
+        recordKey = target.keyGenerator;
+      }
+      if (!validKey(recordKey)) throw domError('DataError', 'Invalid or missing key');
+      if (typeof recordKey === 'number' && recordKey >= target.keyGenerator) {
+        target.keyGenerator = Math.floor(recordKey) + 1;
+      }
+      const existing = [...target.records.values()].find(e => compareKeys(e.key, recordKey) === 0);
+      if (existing && !overwrite) throw domError('ConstraintError', 'Key already exists');
+      if (existing) target.records.delete(existing.mapKey);
+      const mapKey = JSON.stringify([keyType(recordKey), recordKey]);
+      target.records.set(mapKey, { key: recordKey, value: stored, mapKey });
+      return recordKey;
+    }, data);
+  }
+
+  put(value, key) {
+    return this._store(value, key, true);
+  }
+
+  add(value, key) {
+    return this._store(value, key, false);
+  }
+
+  delete(query) {
+    this._writable();
+    return this._transaction._request(this, () => {
+      const target = this._transaction._writableStoreData(this.name);
+      const range = toRange(query);
+      for (const [mapKey, entry] of [...target.records]) {
+        if (range.includes(entry.key)) target.records.delete(mapKey);
+      }
+      return undefined;
+    });
+  }
+
+  clear() {
+    this._writable();
+    return this._transaction._request(this, () => {
+      this._transaction._writableStoreData(this.name).records.clear();
+      return undefined;
+    });
+  }
+
+  openCursor(query, direction = 'next') {
+    return this._openCursor(this, () => this._entries(toRange(query)), direction);
+  }
+
+  _openCursor(source, loadEntries, direction) {
+    const request = new FakeRequest(source, this._transaction);
+    this._transaction._enqueue(request, () => {
+      const entries = loadEntries();
+      if (direction === 'prev') entries.reverse();
+      if (entries.length === 0) return null;
+      const cursor = new FakeCursor(request, this, entries, 0);
+      cursor.direction = direction;
+      return cursor;
+    });
+    return request;
+  }
+}
+
+let transactionIds = 0;
+
+class FakeTransaction {
+  constructor(connection, storeNames, mode) {
+    this.id = ++transactionIds;
+    this.db = connection;
+    this.mode = mode;
+    this.objectStoreNames = new FakeStringList(storeNames);
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this._server = connection._server;
+    this._scope = storeNames;
+    this._queue = [];
+    this._working = new Map();
+    this._state = 'waiting';
+    this._running = false;
+    this._server._register(this);
+  }
+
+  objectStore(name) {
+    if (!this._scope.includes(name)) {
+      throw domError('NotFoundError', `Store ${name} is not in this transaction's scope`);
+    }
+    return new FakeObjectStore(this, name);
+  }
+
+  abort() {
+    if (this._state === 'committed' || this._state === 'aborted') {
+      throw domError('InvalidStateError', 'Transaction already finished');
+    }
+    this._abort(domError('AbortError', 'Transaction was aborted'), false);
+  }
+
+  commit() {
+    this._scheduleCommitCheck();
+  }
+
+  _storeData(name) {
+    if (this._working.has(name)) return this._working.get(name);
+    return this._server._database(this.db.name).stores.get(name);
+  }
+
+  _writableStoreData(name) {
+    if (!this._working.has(name)) {
+      this._working.set(name, this._server._database(this.db.name).stores.get(name).clone());
+    }
+    return this._working.get(name);
+  }
+
+  _request(source, operation) {
+    const request = new FakeRequest(source, this);
+    this._enqueue(request, operation);
+    return request;
+  }
+
+  _enqueue(request, operation) {
+    if (this._state === 'committed' || this._state === 'aborted') {
+      throw domError('TransactionInactiveError', 'Transaction has finished');
+    }
+    this._queue.push({ request, operation });
+    this._pump();
+  }
+
+  _requeue(request, operation) {
+    request.readyState = 'pending';
+    this._queue.push({ request, operation });
+    this._pump();
+  }
+
+  _start() {
+    if (this._state !== 'waiting') return;
+    this._state = 'active';
+    this._pump();
+    this._scheduleCommitCheck();
+  }
+
+  _pump() {
+    if (this._state !== 'active' || this._running || this._queue.length === 0) return;
+    this._running = true;
+    setTimeout(() => {
+      this._running = false;
+      if (this._state !== 'active') return;
+      const { request, operation } = this._queue.shift();
+      let result;
+      try {
+        this._server._maybeFail(this, request.source);
+        result = operation();
+      } catch (error) {
+        const prevented = request._fail(error);
+        if (this._state === 'active') {
+          if (this.onerror) this.onerror({ type: 'error', target: request });
+          if (!prevented) this._abort(error, true);
+        }
+        this._afterRequest();
+        return;
+      }
+      request._succeed(result);
+      this._afterRequest();
+    }, 0);
+  }
+
+  _afterRequest() {
+    if (this._queue.length > 0) {
+      this._pump();
+    } else {
+      this._scheduleCommitCheck();
+    }
+  }
+
+  _scheduleCommitCheck() {
+    setTimeout(() => {
+      if (this._state === 'active' && this._queue.length === 0 && !this._running) {
+        this._commit();
+      }
+    }, 0);
+  }
+
+  _commit() {
+    this._state = 'committed';
+    const database = this._server._database(this.db.name);
+    for (const [name, data] of this._working) {
+      if (database.stores.has(name) || this.mode === 'versionchange') database.stores.set(name, data);
+    }
+    this._server._finished(this);
+    setTimeout(() => {
+      if (this.oncomplete) this.oncomplete({ type: 'complete', target: this });
+    }, 0);
+  }
+
+  _abort(error, fromRequest) {
+    if (this._state === 'committed' || this._state === 'aborted') return;
+    this._state = 'aborted';
+    this.error = fromRequest ? error : null;
+    this._working.clear();
+    const pending = this._queue.splice(0);
+    this._server._finished(this);
+    setTimeout(() => {
+      for (const { request } of pending) {
+        request._fail(domError('AbortError', 'Transaction was aborted'));
+      }
+      if (this.onabort) this.onabort({ type: 'abort', target: this });
+    }, 0);
+  }
+}
+
+class FakeDatabase {
+  constructor(server, name, version) {
+    this._server = server;
+    this.name = name;
+    this.version = version;
+    this.onversionchange = null;
+    this.onclose = null;
+    this._closed = false;
+    this._upgradeTransaction = null;
+    server._connections.add(this);
+  }
+
+  get objectStoreNames() {
+    const stores = this._upgradeTransaction
+      ? this._upgradeTransaction._stores
+      : this._server._database(this.name).stores;
+    return new FakeStringList(stores.keys());
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this._closed) throw domError('InvalidStateError', 'Database connection is closed');
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    for (const name of names) {
+      if (!this.objectStoreNames.contains(name)) {
+        throw domError('NotFoundError', `No object store named ${name}`);
+      }
+    }
+    if (!['readonly', 'readwrite'].includes(mode)) throw new TypeError(`Invalid mode ${mode}`);
+    return new FakeTransaction(this, names, mode);
+  }
+
+  createObjectStore(name, options = {}) {
+    const transaction = this._upgradeTransaction;
+    if (!transaction) throw domError('InvalidStateError', 'Not in a versionchange transaction');
+    if (transaction._stores.has(name)) throw domError('ConstraintError', `Store ${name} exists`);
+    const data = new StoreData(name, options.keyPath ?? null, Boolean(options.autoIncrement));
+    transaction._stores.set(name, data);
+    transaction._working.set(name, data);
+    transaction._scope.push(name);
+    return new FakeObjectStore(transaction, name);
+  }
+
+  deleteObjectStore(name) {
+    const transaction = this._upgradeTransaction;
+    if (!transaction) throw domError('InvalidStateError', 'Not in a versionchange transaction');
+    transaction._stores.delete(name);
+    transaction._working.delete(name);
+  }
+
+  close() {
+    this._closed = true;
+    this._server._connections.delete(this);
+  }
+}
+
+// Upgrade transactions edit a copy of the store map that replaces the
+// database's on commit, so aborting an upgrade leaves the database untouched.
+class FakeVersionChangeTransaction extends FakeTransaction {
+  constructor(connection, stores) {
+    super(connection, [...stores.keys()], 'versionchange');
+    this._stores = stores;
+  }
+
+  _storeData(name) {
+    return this._working.get(name) || this._stores.get(name);
+  }
+
+  _writableStoreData(name) {
+    if (!this._working.has(name)) this._working.set(name, this._stores.get(name).clone());
+    return this._working.get(name);
+  }
+
+  _commit() {
+    this._state = 'committed';
+    const database = this._server._database(this.db.name);
+    for (const [name, data] of this._stores) {
+      database.stores.set(name, this._working.get(name) || data);
+    }
+    for (const name of [...database.stores.keys()]) {
+      if (!this._stores.has(name)) database.stores.delete(name);
+    }
+    database.version = this.db.version;
+    this.db._upgradeTransaction = null;
+    this._server._finished(this);
+    setTimeout(() => {
+      if (this.oncomplete) this.oncomplete({ type: 'complete', target: this });
+    }, 0);
+  }
+}
+
+class FakeIndexedDB {
+  constructor() {
+    this._databases = new Map();
+    this._transactions = [];
+    this._faults = [];
+    this._connections = new Set();
+  }
+
+  open(name, version) {
+    const request = new FakeOpenRequest();
+    setTimeout(() => this._open(request, name, version), 0);
+    return request;
+  }
+
+  _open(request, name, version) {
+    const existing = this._databases.get(name);
+    const currentVersion = existing ? existing.version : 0;
+    const targetVersion = version === undefined ? Math.max(currentVersion, 1) : version;
+
+    if (targetVersion < currentVersion) {
+      request._fail(domError('VersionError', `Requested version ${targetVersion} is less than ${currentVersion}`));
+      return;
+    }
+
+    if (targetVersion === currentVersion) {
+      request._succeed(new FakeDatabase(this, name, currentVersion));
+      return;
+    }
+
+    const isNew = !existing;
+    if (isNew) this._databases.set(name, { name, version: 0, stores: new Map() });
+    const database = this._databases.get(name);
+    const connection = new FakeDatabase(this, name, targetVersion);
+    const stores = new Map([...database.stores].map(([storeName, data]) => [storeName, data.clone()]));
+    const transaction = new FakeVersionChangeTransaction(connection, stores);
+    connection._upgradeTransaction = transaction;
+    request.transaction = transaction;
+    request.result = connection;
+
+    transaction.oncomplete = () => {
+      request.transaction = null;
+      request._succeed(connection);
+    };
+    transaction.onabort = () => {
+      connection._upgradeTransaction = null;
+      this._connections.delete(connection);
+      if (isNew) this._databases.delete(name);
+      request.result = undefined;
+      request._fail(domError('AbortError', 'Version change transaction was aborted'));
+    };
+
+    transaction._state = 'active';
+    if (request.onupgradeneeded) {
+      request.onupgradeneeded({
+        type: 'upgradeneeded',
+        target: request,
+        oldVersion: currentVersion,
+        newVersion: targetVersion
+      });
+    }
+    if (transaction._state === 'active') {
+      transaction._pump();
+      transaction._scheduleCommitCheck();
+    }
+  }
+
+  databases() {
+    return Promise.resolve(
+      [...this._databases.values()]
+        .filter(database => database.version > 0)
+        .map(database => ({ name: database.name, version: database.version }))
+    );
+  }
+
+  deleteDatabase(name) {
+    const request = new FakeOpenRequest();
+    setTimeout(() => {
+      this._databases.delete(name);
+      request._succeed(undefined);
+    }, 0);
+    return request;
+  }
+
+  cmp(a, b) {
+    return Math.sign(compareKeys(a, b));
+  }
+
+  // The connections to `name` that were opened and not closed yet
+  openConnections(name) {
+    return [...this._connections].filter(connection => connection.name === name).length;
+  }
+
+  // Makes the next request on `storeName` in a `mode` transaction fail with
+  // the given DOMException name, after letting `after` such requests succeed.
+  failNext(storeName, errorName = 'UnknownError', { mode = 'readwrite', after = 0 } = {}) {
+    this._faults.push({ storeName, errorName, mode, remaining: after });
+  }
+
+  _maybeFail(transaction, source) {
+    const storeName = source && (source.objectStore ? source.objectStore.name : source.name);
+    const index = this._faults.findIndex(fault =>
+      fault.storeName === storeName && fault.mode === transaction.mode
+    );
+    if (index === -1) return;
+    const fault = this._faults[index];
+    if (fault.remaining > 0) {
+      fault.remaining -= 1;
+      return;
+    }
+    this._faults.splice(index, 1);
+    throw domError(fault.errorName, `Injected ${fault.errorName} on ${storeName}`);
+  }
+
+  _database(name) {
+    return this._databases.get(name);
+  }
+
+  _register(transaction) {
+    this._transactions.push(transaction);
+    if (transaction.mode !== 'versionchange') setTimeout(() => this._schedule(), 0);
+  }
+
+  _finished(transaction) {
+    this._transactions = this._transactions.filter(t => t !== transaction);
+    this._schedule();
+  }
+
+  // Starts waiting transactions unless an earlier, unfinished transaction on
+  // the same database overlaps their scope and either of them writes.
+  _schedule() {
+    for (const transaction of this._transactions) {
+      if (transaction._state !== 'waiting') continue;
+      const blocked = this._transactions.some(other => {
+        if (other === transaction) return false;
+        if (other.id > transaction.id) return false;
+        if (other.db.name !== transaction.db.name) return false;
+        if (other._state === 'committed' || other._state === 'aborted') return false;
+        if (other.mode === 'readonly' && transaction.mode === 'readonly') return false;
+        return other._scope.some(name => transaction._scope.includes(name));
+      });
+      if (!blocked) transaction._start();
+    }
+  }
+}
+
+// Builds a database directly, without going through open/upgrade.
+// `stores` maps store names to { keyPath, autoIncrement, indexes, records }.
+function seedDatabase(idb, name, { version = 1, stores = {} } = {}) {
+  const database = { name, version, stores: new Map() };
+  for (const [storeName, definition] of Object.entries(stores)) {
+    const data = new StoreData(storeName, definition.keyPath ?? null, Boolean(definition.autoIncrement));
+    for (const [indexName, index] of Object.entries(definition.indexes || {})) {
+      data.indexes.set(indexName, {
+        keyPath: index.keyPath,
+        unique: Boolean(index.unique),
+        multiEntry: Boolean(index.multiEntry)
+      });
+    }
+    (definition.records || []).forEach((record, position) => {
+      const value = structuredClone(record);
+      let key = data.keyPath ? extractKey(value, data.keyPath) : position + 1;
+      if (key === undefined && data.autoIncrement) {
+        key = data.keyGenerator;
+        injectKey(value, data.keyPath, key);
+      }
+      if (typeof key === 'number' && key >= data.keyGenerator) data.keyGenerator = Math.floor(key) + 1;
+      const mapKey = JSON.stringify([keyType(key), key]);
+      data.records.set(mapKey, { key, value, mapKey });
+    });
+    database.stores.set(storeName, data);
+  }
+  idb._databases.set(name, database);
+  return database;
+}
+
+// Returns a plain snapshot of a database's committed records, keyed by store.
+function dumpDatabase(idb, name) {
+  const database = idb._database(name);
+  if (!database) return null;
+  const dump = {};
+  for (const [storeName, data] of database.stores) {
+    dump[storeName] = data.sortedEntries().map(entry => structuredClone(entry.value));
+  }
+  return dump;
+}
+
+module.exports = {
+  FakeIndexedDB,
+  FakeKeyRange,
+  seedDatabase,
+  dumpDatabase,
+  compareKeys
+};
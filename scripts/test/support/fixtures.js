@@ -0,0 +1,97 @@
+// Fixture databases shaped like the extension's Heyho_EventsDB.
+//
+// The record factories take overrides; an override set to undefined removes
+// the field, e.g. pageVisit({ synced: false, syncedAt: undefined }).
+
+'use strict';
+
+const DAY = 24 * 60 * 60 * 1000;
+const BASE = Date.UTC(2025, 9, 20, 9, 0, 0);
+
+function withoutUndefined(record) {
+  for (const key of Object.keys(record)) {
+    if (record[key] === undefined) delete record[key];
+  }
+  return record;
+}
+
+function pageVisit(overrides = {}) {
+  return withoutUndefined({
+    visitId: 'visit_1',
+    tabId: 101,
+    url: 'https://github.com/heyho/sync',
+    title: 'heyho/sync',
+    domain: 'github.com',
+    startedAt: BASE,
+    activeDuration: 120000,
+    durationSeconds: 180,
+    engagementRate: 0.6,
+    category: 'work_coding',
+    categoryConfidence: 0.9,
+    categoryMethod: 'metadata',
+    synced: true,
+    syncedAt: BASE + 60000,
+    ...overrides
+  });
+}
+
+function tabAggregate(overrides = {}) {
+  return withoutUndefined({
+    tabId: 101,
+    startTime: BASE,
+    lastActiveTime: BASE + 180000,
+    currentUrl: 'https://github.com/heyho/sync',
+    currentDomain: 'github.com',
+    pageCount: 1,
+    synced: true,
+    syncedAt: BASE + 60000,
+    ...overrides
+  });
+}
+
+function eventsDatabase({ pageVisits = [], tabAggregates = [], syncedPageVisits = [], version = 3 } = {}) {
+  return {
+    version,
+    stores: {
+      pageVisits: {
+        keyPath: 'visitId',
+        indexes: { startedAt: { keyPath: 'startedAt' }, domain: { keyPath: 'domain' }, tabId: { keyPath: 'tabId' } },
+        records: pageVisits
+      },
+      tabAggregates: {
+        keyPath: 'tabId',
+        indexes: { startTime: { keyPath: 'startTime' } },
+        records: tabAggregates
+      },
+      syncedPageVisits: {
+        keyPath: 'visitId',
+        records: syncedPageVisits
+      }
+    }
+  };
+}
+
+// Two synced visits (github.com, news.ycombinator.com) with their aggregates
+// and tracking entries, one unsynced docs.github.com visit with its aggregate,
+// and one unsynced chrome:// visit the extension never sends.
+function sampleDatabase() {
+  const unsynced = { synced: false, syncedAt: undefined };
+  const pageVisits = [
+    pageVisit(),
+    pageVisit({ visitId: 'visit_2', tabId: 102, url: 'https://news.ycombinator.com/', domain: 'news.ycombinator.com', startedAt: BASE + DAY, syncedAt: BASE + DAY + 60000, category: 'news' }),
+    pageVisit({ visitId: 'visit_3', tabId: 103, url: 'https://docs.github.com/en', domain: 'docs.github.com', startedAt: BASE + 2 * DAY, ...unsynced }),
+    pageVisit({ visitId: 'visit_4', tabId: 104, url: 'chrome://extensions', domain: 'extensions', startedAt: BASE + 3 * DAY, ...unsynced })
+  ];
+  const tabAggregates = [
+    tabAggregate(),
+    tabAggregate({ tabId: 102, startTime: BASE + DAY, lastActiveTime: BASE + DAY + 60000, currentUrl: 'https://news.ycombinator.com/', currentDomain: 'news.ycombinator.com' }),
+    tabAggregate({ tabId: 103, startTime: BASE + 2 * DAY, lastActiveTime: BASE + 2 * DAY + 60000, ...unsynced })
+  ];
+  const syncedPageVisits = [
+    { visitId: 'visit_1', syncedAt: BASE + 60000 },
+    { visitId: 'visit_2', syncedAt: BASE + DAY + 60000 }
+  ];
+  return eventsDatabase({ pageVisits, tabAggregates, syncedPageVisits });
+}
+
+module.exports = { DAY, BASE, pageVisit, tabAggregate, eventsDatabase, sampleDatabase };
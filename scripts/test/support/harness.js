@@ -0,0 +1,165 @@
+// Runs the browser console scripts in scripts/ under Node.
+//
+// Each script is evaluated in a fresh vm context that stands in for the
+// extension's service worker: `self`, an in-memory `indexedDB`, stub
+// StorageModule/SyncManager/AuthManager/Constants globals and a captured
+// console. The scripts are IIFEs, so evaluating one returns the promise the
+// IIFE returns, and the harness resolves it to the script's result object.
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { FakeIndexedDB, FakeKeyRange, seedDatabase, dumpDatabase } = require('./fake_indexeddb');
+
+const SCRIPTS_DIR = path.resolve(__dirname, '..', '..');
+
+// Replaces the value of a top-level `const NAME = ...;` configuration
+// constant. Values spanning several lines (object or array literals) are
+// matched up to the semicolon that closes them.
+function overrideConstant(source, name, value) {
+  const pattern = new RegExp(`^(\\s*)const ${name} = `, 'm');
+  const match = pattern.exec(source);
+  if (!match) throw new Error(`Configuration constant ${name} not found`);
+
+  const start = match.index + match[0].length;
+  let depth = 0;
+  let quote = null;
+  let end = start;
+  for (; end < source.length; end++) {
+    const char = source[end];
+    if (quote) {
+      if (char === '\\') end++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '\'' || char === '"' || char === '`') quote = char;
+    else if ('{[('.includes(char)) depth++;
+    else if ('}])'.includes(char)) depth--;
+    else if (char === ';' && depth === 0) break;
+  }
+
+  return source.slice(0, start) + JSON.stringify(value) + source.slice(end);
+}
+
+function createConsole(logs) {
+  const record = level => (...args) => {
+    logs.push({ level, message: args.map(formatArg).join(' ') });
+  };
+  return {
+    log: record('log'),
+    info: record('info'),
+    warn: record('warn'),
+    error: record('error'),
+    table: record('table'),
+    group: record('group'),
+    groupCollapsed: record('group'),
+    groupEnd: () => {}
+  };
+}
+
+function formatArg(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    return JSON.stringify(arg);
+  } catch (error) {
+    return String(arg);
+  }
+}
+
+// Stubs for the extension modules the scripts read from `self`. Every stub
+// can be replaced per test through `createEnvironment({ globals })`.
+function createExtensionStubs(idb, { dbName = 'Heyho_EventsDB', syncState = { isSyncing: false } } = {}) {
+  const unsynced = storeName => () => {
+    const database = dumpDatabase(idb, dbName);
+    const records = (database && database[storeName]) || [];
+    return Promise.resolve(records.filter(record => record.synced === false));
+  };
+
+  return {
+    StorageModule: {
+      getUnsyncedPageVisits: unsynced('pageVisits'),
+      getUnsyncedTabAggregates: unsynced('tabAggregates')
+    },
+    SyncManager: {
+      getSyncState: () => ({ ...syncState })
+    },
+    AuthManager: {
+      isAuthenticated: () => true
+    },
+    Constants: {
+      INVALID_URL_PREFIXES: ['chrome://', 'chrome-extension://', 'about:', 'edge://', 'moz-extension://']
+    }
+  };
+}
+
+function createEnvironment({ databases = {}, globals = {}, stubs = {} } = {}) {
+  const idb = new FakeIndexedDB();
+  for (const [name, definition] of Object.entries(databases)) {
+    seedDatabase(idb, name, definition);
+  }
+
+  const logs = [];
+  const extension = createExtensionStubs(idb, stubs);
+
+  const sandbox = {
+    indexedDB: idb,
+    IDBKeyRange: FakeKeyRange,
+    console: createConsole(logs),
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    structuredClone,
+    TextEncoder,
+    crypto,
+    URL,
+    Blob,
+    DOMException,
+    performance,
+    ...extension,
+    ...globals
+  };
+  sandbox.self = sandbox;
+  sandbox.globalThis = sandbox;
+
+  const context = vm.createContext(sandbox);
+
+  return {
+    idb,
+    logs,
+    context,
+    sandbox,
+    dump: name => dumpDatabase(idb, name),
+    output: () => logs.map(entry => entry.message).join('\n'),
+
+    // Evaluates scripts/<file> and resolves to whatever the script returns,
+    // cloned out of the vm context so assert.deepStrictEqual sees plain
+    // main-realm objects.
+    async run(file, { config = {} } = {}) {
+      let source = fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8');
+      for (const [name, value] of Object.entries(config)) {
+        source = overrideConstant(source, name, value);
+      }
+      const result = await vm.runInContext(source, context, { filename: file });
+      return structuredClone(result);
+    }
+  };
+}
+
+// Most scripts take shared helpers from self.heyho, so tests that run them
+// paste the toolkit first, as a user would
+async function createToolkitEnvironment(options) {
+  const env = createEnvironment(options);
+  await env.run('heyho_toolkit.js');
+  return env;
+}
+
+module.exports = {
+  createEnvironment,
+  createToolkitEnvironment,
+  overrideConstant,
+  SCRIPTS_DIR
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+// guardSync() and releaseSync() live in heyho_toolkit.js, and every other
+// script that writes while the extension may sync calls them through
+// self.heyho. These tests cover the scripts that guard only part of their
+// work, and the scripts run without the toolkit.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockSyncServer } = require('../mock_sync_server');
+const { createEnvironment, createToolkitEnvironment } = require('./support/harness');
+const { sampleDatabase } = require('./support/fixtures');
+
+const GUARDED = ['repair_local_data.js', 'restore_indexeddb_snapshot.js', 'undo_reset.js', 'reconcile_sync_data.js', 'generate_browsing_data.js'];
+
+async function reconcile(env, config) {
+  const mock = createMockSyncServer({});
+  const url = await mock.listen(0);
+  try {
+    return await env.run('reconcile_sync_data.js', { config: { ACCESS_TOKEN: 'jwt-123', API_BASE_URL: url, MARK_MISSING_UNSYNCED: true, ...config } });
+  } finally {
+    await mock.close();
+  }
+}
+
+describe('sync guard', () => {
+  it('refuses to run without the toolkit and writes nothing', async () => {
+    for (const file of GUARDED) {
+      const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+
+      const result = await env.run(file);
+
+      assert.deepEqual(result, { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' }, file);
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original, file);
+    }
+  });
+
+  it('refuses to replace generated records when the sync state is unknown', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { SyncManager: undefined } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const refused = await env.run('generate_browsing_data.js', { config: { SEED: 42 } });
+
+    assert.equal(refused.success, false);
+    assert.match(refused.error, /FORCE_WITHOUT_SYNC_STATE/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+
+    const added = await env.run('generate_browsing_data.js', { config: { SEED: 42, REPLACE_GENERATED: false } });
+
+    assert.equal(added.success, true);
+    assert.equal(added.syncGuard, null);
+  });
+
+  it('marks missing records unsynced in reconcile only behind the guard', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() }, globals: { fetch, SyncManager: undefined } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const refused = await reconcile(env);
+
+    assert.equal(refused.marked, null);
+    assert.deepEqual(refused.errors.map(error => error.step), ['markUnsynced']);
+    assert.equal(refused.syncGuard.status, 'unknown');
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+
+    const calls = [];
+    env.sandbox.SyncManager = { getSyncState: () => ({ isSyncing: false }) };
+    env.sandbox.HEYHO_SYNC_HOOKS = { pause: () => calls.push('pause'), resume: () => calls.push('resume') };
+    const marked = await reconcile(env);
+
+    assert.deepEqual(marked.marked, { pageVisits: 2, tabAggregates: 2, syncedPageVisits: 2 });
+    assert.deepEqual(calls, ['pause', 'resume']);
+  });
+});
@@ -0,0 +1,304 @@
+'use strict';
+
+// The sync rules live in lib/sync_rules.js, and the console scripts that
+// preview what the server does with a record carry copies of the parts they
+// use. These tests run the same records through every copy and the module.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../lib/sync_rules');
+const { SCRIPTS_DIR } = require('./support/harness');
+const { BASE, pageVisit, tabAggregate } = require('./support/fixtures');
+
+const CONSTANTS = [
+  'MAX_URL_LENGTH', 'MAX_TITLE_LENGTH', 'MAX_DOMAIN_LENGTH', 'MAX_DURATION',
+  'MIN_SCROLL_DEPTH', 'MAX_SCROLL_DEPTH', 'MIN_ENGAGEMENT_RATE', 'MAX_ENGAGEMENT_RATE',
+  'MAX_METADATA_BYTES', 'VALID_URL_SCHEMES', 'VALID_CATEGORY_METHODS', 'VALID_CATEGORIES',
+  'METADATA_MAX_STRING_LENGTH', 'METADATA_DANGEROUS_KEYS'
+];
+
+const RULES = [
+  'truthy', 'blank', 'getValue', 'timestampToIso8601', 'sanitizeMetadata', 'buildPageVisitHash',
+  'transformTabAggregate', 'validatePageVisit', 'validateTabAggregate', 'isIso8601', 'validators'
+];
+
+// The functions each copy carries
+const COPIES = {
+  'validate_sync_data.js': [...RULES, 'buildTabToPageVisitMap'],
+  'explain_sync_eligibility.js': RULES,
+  'analyze_storage_footprint.js': ['truthy', 'blank', 'sanitizeMetadata', 'checkMetadata', 'byteLength'],
+  'debug_sync_flow.js': ['truthy', 'blank', 'getValue', 'timestampToIso8601', 'buildTabToPageVisitMap', 'previewTransform'],
+  'push_sync_data.js': ['truthy', 'blank', 'getValue', 'buildTabToPageVisitMap', 'isExtensionFormat', 'serverAggregateId', 'skipReason']
+};
+
+// The copied functions and rule constants of a console script, evaluated on
+// their own. Results cross back from another realm, so compare them as JSON.
+function loadCopy(file) {
+  const source = fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8');
+  const parts = [];
+  const constants = [];
+  for (const name of CONSTANTS) {
+    const match = source.match(new RegExp(`^  const ${name} = [\\s\\S]*?;`, 'm'));
+    if (match) {
+      parts.push(match[0]);
+      constants.push(name);
+    }
+  }
+  for (const name of COPIES[file]) {
+    const start = source.indexOf(`  function ${name}(`);
+    const end = source.indexOf('\n  }\n', start);
+    assert.ok(start !== -1 && end !== -1, `${file} has no ${name}()`);
+    parts.push(source.slice(start, end + 4));
+  }
+  const names = [...constants, ...COPIES[file]];
+  const context = { TextEncoder, URL, results: { metadata: { checked: 0, largestBytes: 0, overLimit: [] } } };
+  const copy = vm.runInNewContext(`${parts.join('\n')}\n({ ${names.join(', ')} })`, context);
+  copy.constants = constants;
+  copy.results = context.results;
+  return copy;
+}
+
+function json(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+const copies = Object.fromEntries(Object.keys(COPIES).map(file => [file, loadCopy(file)]));
+
+function copiesWith(name) {
+  return Object.entries(copies).filter(([, copy]) => typeof copy[name] === 'function');
+}
+
+const VALUES = [null, undefined, false, true, 0, 1, NaN, '', '  ', '0', 'a', [], [0], {}, { a: null }];
+
+const TIMESTAMPS = [
+  null, undefined, '', '  ', 0, BASE, BASE + 0.7, String(BASE), '2025-10-20', '2025-10-20T09:00:00.000Z',
+  '20 Oct 2025', 'not a date', 8.64e15 + 1, [], {}
+];
+
+const METADATA = [
+  null, undefined, '', 'text', [], [1, 2], {},
+  { og: { title: 'heyho' }, keywords: ['sync', 'x'.repeat(2500)] },
+  JSON.parse('{"__proto__": "x", "constructor": "x", "prototype": "y", "kept": "z"}'),
+  { description: 'a'.repeat(1999), nested: [{ deep: 'b'.repeat(2001) }] },
+  { blob: '<>&'.repeat(600) },
+  Object.fromEntries(Array.from({ length: 30 }, (_, i) => [`k${i}`, '<'.repeat(2000)])),
+  Object.fromEntries(Array.from({ length: 40 }, (_, i) => [`k${i}`, 'é'.repeat(2000)]))
+];
+
+const VISITS = [
+  pageVisit(),
+  pageVisit({ visitId: undefined, id: 'visit_server_id' }),
+  pageVisit({ id: false, visitId: 'visit_false_id' }),
+  pageVisit({ visitId: '', tabId: '' }),
+  pageVisit({ visitId: 'visit_tab_0', tabId: 0 }),
+  pageVisit({ visitId: 'visit_no_tab', tabId: undefined }),
+  pageVisit({ visitId: 'visit_iso', startedAt: '2025-10-20T09:00:00Z', openedAt: BASE - 1000 }),
+  pageVisit({ visitId: 'visit_snake', startedAt: undefined, visited_at: String(BASE), duration_seconds: 5, durationSeconds: undefined }),
+  pageVisit({ visitId: 'visit_bad_date', startedAt: 'yesterday' }),
+  pageVisit({ visitId: 'visit_scheme', url: 'chrome://extensions' }),
+  pageVisit({ visitId: 'visit_spaces', url: 'https://example.com/a b' }),
+  pageVisit({ visitId: 'visit_unicode', url: 'https://exämple.com/' }),
+  pageVisit({ visitId: 'visit_no_host', url: 'http:' }),
+  pageVisit({ visitId: 'visit_long_url', url: 'https://example.com/' + 'a'.repeat(2048) }),
+  pageVisit({ visitId: 'visit_long_title', title: 't'.repeat(501), domain: 'd'.repeat(254) }),
+  pageVisit({ visitId: 'visit_negative', durationSeconds: -1, activeDuration: -1500 }),
+  pageVisit({ visitId: 'visit_long_stay', durationSeconds: 86401, activeDuration: 1500.5 }),
+  pageVisit({ visitId: 'visit_string_duration', durationSeconds: '180', engagementRate: '0.5' }),
+  pageVisit({ visitId: 'visit_rates', engagementRate: 1.5, categoryConfidence: -0.1 }),
+  pageVisit({ visitId: 'visit_category', category: 'gaming', categoryMethod: 'llm' }),
+  pageVisit({ visitId: 'visit_blank_category', category: ' ', categoryMethod: '' }),
+  pageVisit({ visitId: 'visit_metadata', metadata: METADATA[7] }),
+  pageVisit({ visitId: 'visit_big_metadata', metadata: METADATA[11] }),
+  pageVisit({ visitId: undefined, url: undefined, startedAt: undefined })
+];
+
+const AGGREGATES = [
+  tabAggregate(),
+  tabAggregate({ id: 'agg_given' }),
+  tabAggregate({ tabId: 0 }),
+  tabAggregate({ tabId: '' }),
+  tabAggregate({ tabId: '', page_visit_id: 'visit_1', total_time_seconds: 10 }),
+  tabAggregate({ tabId: 999 }),
+  tabAggregate({ tabId: undefined, startTime: undefined, pageVisitId: 'visit_1', closedAt: BASE, activeTimeSeconds: 7 }),
+  tabAggregate({ tabId: undefined, startTime: undefined, id: 'legacy_no_visit' }),
+  tabAggregate({ startTime: '  ', page_visit_id: 'visit_1' }),
+  tabAggregate({ start_time: BASE, startTime: undefined }),
+  tabAggregate({ lastActiveTime: undefined }),
+  tabAggregate({ lastActiveTime: BASE - 5000 }),
+  tabAggregate({ lastActiveTime: BASE + 366 * 24 * 3600 * 1000 }),
+  tabAggregate({ startTime: 'soon' }),
+  tabAggregate({ isOpen: false }),
+  tabAggregate({ isOpen: true, closedAt: '2025-10-20T10:00:00Z' }),
+  tabAggregate({ is_open: false, lastActiveTime: BASE + 0.5 }),
+  tabAggregate({ closedAt: '2025-10-19T10:00:00Z', openedAt: BASE }),
+  tabAggregate({ closedAt: BASE, openedAt: 'whenever' }),
+  tabAggregate({ isOpen: false, is_open: true }),
+  tabAggregate({ isOpen: false, is_open: false }),
+  tabAggregate({ closed_at: 'never' }),
+  tabAggregate({ scroll_depth_percent: 150, currentUrl: undefined, url: 'ftp://files' }),
+  tabAggregate({ scroll_depth_percent: -1, currentUrl: undefined, current_url: 'https://example.com' })
+];
+
+// The hash keys ('id' => ...) or the data fields (data['id']) a method of
+// the Ruby services builds or reads
+const SERVICES_DIR = path.join(SCRIPTS_DIR, '..', 'app', 'services', 'data_processing');
+
+function rubyFields(file, method, pattern) {
+  const source = fs.readFileSync(path.join(SERVICES_DIR, file), 'utf8');
+  const start = source.indexOf(`    def ${method}(`);
+  assert.ok(start !== -1, `${file} has no ${method}`);
+  const end = source.indexOf('\n    def ', start + 1);
+  return [...new Set(Array.from(source.slice(start, end).matchAll(pattern), match => match[1]))].sort();
+}
+
+const built = method => rubyFields('data_sync_service.rb', method, /'(\w+)' =>/g);
+const validated = method => rubyFields('data_validation_service.rb', method, /data\['(\w+)'\]/g);
+
+// A hash may leave out fields the server builds, but not the validated ones:
+// the server checks a field exactly when its hash carries it
+function assertBuiltLike(hash, rubyBuilt, rubyValidated, label) {
+  const keys = Object.keys(hash);
+  assert.deepEqual(keys.filter(key => !rubyBuilt.includes(key)), [], `${label} has fields the server does not build`);
+  assert.deepEqual(
+    rubyValidated.filter(field => keys.includes(field)),
+    rubyValidated.filter(field => rubyBuilt.includes(field)),
+    `${label} differs from the server in the fields it validates`
+  );
+}
+
+describe('sync rules', () => {
+  it('declares the same constants in every copy', () => {
+    for (const [file, copy] of Object.entries(copies)) {
+      for (const name of copy.constants) {
+        assert.deepEqual(json(copy[name]), json(rules[name]), `${file} ${name}`);
+      }
+    }
+    assert.deepEqual(copies['validate_sync_data.js'].constants, CONSTANTS);
+    assert.deepEqual(copies['explain_sync_eligibility.js'].constants, CONSTANTS);
+  });
+
+  it('reads values with Ruby truthiness and blank?', () => {
+    for (const name of ['truthy', 'blank']) {
+      for (const [file, copy] of copiesWith(name)) {
+        for (const value of VALUES) {
+          assert.equal(copy[name](value), rules[name](value), `${file} ${name}(${JSON.stringify(value)})`);
+        }
+      }
+    }
+    for (const [file, copy] of copiesWith('getValue')) {
+      for (const value of VALUES) {
+        const hash = { first: value, second: 'fallback' };
+        assert.deepEqual(json(copy.getValue(hash, 'first', 'second')), json(rules.getValue(hash, 'first', 'second')), `${file} getValue(${JSON.stringify(value)})`);
+      }
+    }
+  });
+
+  it('converts timestamps and sanitizes metadata alike', () => {
+    for (const [file, copy] of copiesWith('timestampToIso8601')) {
+      for (const value of TIMESTAMPS) {
+        assert.deepEqual(json(copy.timestampToIso8601(value)), json(rules.timestampToIso8601(value)), `${file} timestampToIso8601(${JSON.stringify(value)})`);
+      }
+    }
+    for (const [file, copy] of copiesWith('sanitizeMetadata')) {
+      METADATA.forEach((metadata, index) => {
+        assert.deepEqual(json(copy.sanitizeMetadata(metadata)), json(rules.sanitizeMetadata(metadata)), `${file} metadata ${index}`);
+      });
+    }
+    for (const [file, copy] of copiesWith('isIso8601')) {
+      for (const value of [...TIMESTAMPS, '2025-10-20T09:00:00+02', '2025-10-20T09:00', '-2025-10-20', '2025-13-45']) {
+        assert.equal(copy.isIso8601(value), rules.isIso8601(value), `${file} isIso8601(${JSON.stringify(value)})`);
+      }
+    }
+  });
+
+  it('transforms and validates page visits alike', () => {
+    for (const [file, copy] of copiesWith('buildPageVisitHash')) {
+      VISITS.forEach((visit, index) => {
+        const expected = rules.buildPageVisitHash(visit);
+        assert.deepEqual(json(copy.buildPageVisitHash(visit)), json(expected), `${file} visit ${index}`);
+        assert.deepEqual(json(copy.validatePageVisit(expected)), json(rules.validatePageVisit(expected)), `${file} validating visit ${index}`);
+      });
+    }
+  });
+
+  it('links tabs to their first visit and transforms aggregates alike', () => {
+    const tabToPageVisit = rules.buildTabToPageVisitMap(VISITS);
+    assert.deepEqual(json(tabToPageVisit), { '': '', 0: 'visit_tab_0', 101: 'visit_1' });
+    for (const [file, copy] of copiesWith('buildTabToPageVisitMap')) {
+      assert.deepEqual(json(copy.buildTabToPageVisitMap(VISITS)), json(tabToPageVisit), file);
+    }
+
+    for (const [file, copy] of copiesWith('transformTabAggregate')) {
+      AGGREGATES.forEach((aggregate, index) => {
+        const expected = rules.transformTabAggregate(aggregate, tabToPageVisit);
+        assert.deepEqual(json(copy.transformTabAggregate(aggregate, tabToPageVisit)), json(expected), `${file} aggregate ${index}`);
+        if (expected.aggregate) {
+          assert.deepEqual(json(copy.validateTabAggregate(expected.aggregate)), json(rules.validateTabAggregate(expected.aggregate)), `${file} validating aggregate ${index}`);
+        }
+      });
+    }
+  });
+
+  it('measures metadata as the server does in analyze_storage_footprint.js', () => {
+    const copy = copies['analyze_storage_footprint.js'];
+    METADATA.forEach((metadata, index) => {
+      copy.results.metadata.overLimit = [];
+      copy.checkMetadata(index, { visitId: `visit_${index}`, metadata }, 0);
+      const error = rules.validatePageVisit({ ...rules.buildPageVisitHash(pageVisit({ metadata })) }).errors.find(entry => entry.field === 'metadata');
+      const over = copy.results.metadata.overLimit[0];
+      assert.equal(Boolean(over), Boolean(error), `metadata ${index}`);
+      if (over) assert.equal(error.message, `is too large (${over.bytes} bytes, max ${rules.MAX_METADATA_BYTES} bytes)`);
+    });
+    assert.equal(copy.results.metadata.checked, METADATA.length);
+  });
+
+  it('previews the transform the server makes in debug_sync_flow.js', () => {
+    const preview = copies['debug_sync_flow.js'].previewTransform({ pageVisits: VISITS, tabAggregates: AGGREGATES });
+    const tabToPageVisit = rules.buildTabToPageVisitMap(VISITS);
+
+    VISITS.forEach((visit, index) => {
+      const { metadata, ...expected } = rules.buildPageVisitHash(visit);
+      const { tab_id: tabId, ...actual } = json(preview.pageVisits[index]);
+      assert.deepEqual(actual, json(expected), `visit ${index}`);
+    });
+
+    const outcomes = AGGREGATES.map(aggregate => rules.transformTabAggregate(aggregate, tabToPageVisit));
+    assert.deepEqual(json(preview.skipped.map(entry => entry.tabId)), json(AGGREGATES.filter((_, index) => outcomes[index].skipped).map(aggregate => aggregate.tabId)));
+    const fields = ['id', 'page_visit_id', 'total_time_seconds', 'active_time_seconds', 'closed_at'];
+    const pick = aggregate => Object.fromEntries(fields.map(field => [field, aggregate[field] ?? null]));
+    assert.deepEqual(
+      json(preview.tabAggregates).map(pick),
+      outcomes.filter(outcome => !outcome.skipped).map(outcome => pick(json(outcome.aggregate)))
+    );
+  });
+
+  it('skips and identifies aggregates as the server does in push_sync_data.js', () => {
+    const copy = copies['push_sync_data.js'];
+    const tabToPageVisit = rules.buildTabToPageVisitMap(VISITS);
+    AGGREGATES.forEach((aggregate, index) => {
+      const expected = rules.transformTabAggregate(aggregate, tabToPageVisit);
+      const reason = copy.skipReason(aggregate, tabToPageVisit);
+      assert.equal(reason === null, !expected.skipped, `aggregate ${index}: ${reason}`);
+      if (!expected.skipped) assert.deepEqual(json(copy.serverAggregateId(aggregate)), json(expected.aggregate.id), `aggregate ${index}`);
+    });
+  });
+
+  it('builds the fields the Ruby services build and validate', () => {
+    VISITS.forEach((visit, index) => {
+      assertBuiltLike(rules.buildPageVisitHash(visit), built('build_page_visit_hash'), validated('validate_page_visit'), `visit ${index}`);
+    });
+
+    const tabToPageVisit = rules.buildTabToPageVisitMap(VISITS);
+    AGGREGATES.forEach((aggregate, index) => {
+      const outcome = rules.transformTabAggregate(aggregate, tabToPageVisit);
+      if (outcome.skipped) return;
+      // DataSyncService#browser_extension_format?
+      const extension = !rules.blank(aggregate.tabId) && !rules.blank(rules.getValue(aggregate, 'startTime', 'start_time'));
+      const method = extension ? 'build_aggregate_hash' : 'transform_api_aggregate';
+      assertBuiltLike(outcome.aggregate, built(method), validated('validate_tab_aggregate'), `aggregate ${index} (${method})`);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolkitEnvironment } = require('./support/harness');
+const { BASE, DAY, sampleDatabase } = require('./support/fixtures');
+
+function request(source) {
+  return new Promise((resolve, reject) => {
+    source.onsuccess = () => resolve(source.result);
+    source.onerror = () => reject(source.error);
+  });
+}
+
+// Changes a record behind the scripts' back, as the extension would
+async function updateRecord(env, storeName, key, changes) {
+  const db = await request(env.idb.open('Heyho_EventsDB'));
+  const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+  const record = await request(store.get(key));
+  await request(store.put({ ...record, ...changes }));
+  db.close();
+}
+
+// Entries a run journaled for one store, in chunk order
+function journalEntries(env, kind, storeName) {
+  return env.dump('Heyho_ResetJournal').chunks
+    .filter(chunk => chunk.kind === kind && chunk.store === storeName)
+    .flatMap(chunk => chunk.entries);
+}
+
+for (const script of ['reset_indexeddb_sync_status.js', 'reset_sync_simple.js']) {
+  describe(`undo_reset.js after ${script}`, () => {
+    it('restores a full reset exactly', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+
+      const reset = await env.run(script);
+
+      assert.equal(reset.journal.saved, true);
+      const [run] = env.dump('Heyho_ResetJournal').runs;
+      assert.equal(run.runId, reset.journal.runId);
+      assert.equal(run.script, script);
+      assert.equal(run.status, 'committed');
+      assert.deepEqual(run.counts, { stores: { pageVisits: 4, tabAggregates: 3 }, cleared: { syncedPageVisits: 2 } });
+      const visits = journalEntries(env, 'stores', 'pageVisits');
+      assert.deepEqual(visits[0], { key: 'visit_1', synced: true, syncedAt: BASE + 60000 });
+      assert.deepEqual(visits[2], { key: 'visit_3', synced: false });
+      assert.equal(journalEntries(env, 'cleared', 'syncedPageVisits').length, 2);
+
+      const undo = await env.run('undo_reset.js');
+
+      assert.equal(undo.success, true);
+      assert.equal(undo.outcome, 'committed');
+      assert.equal(undo.runId, run.runId);
+      assert.deepEqual(undo.restored, { pageVisits: 4, tabAggregates: 3 });
+      assert.deepEqual(undo.reinserted, { syncedPageVisits: 2 });
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+      assert.ok(env.dump('Heyho_ResetJournal').runs[0].undoneAt);
+      assert.ok(env.dump('Heyho_ResetJournal').chunks.every(chunk => chunk.undoneAt));
+    });
+
+    it('journals in chunks of CHUNK_SIZE entries and restores every chunk', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+
+      const reset = await env.run(script, { config: { CHUNK_SIZE: 2 } });
+
+      assert.equal(reset.journal.chunks, 5);
+      const chunks = env.dump('Heyho_ResetJournal').chunks;
+      assert.deepEqual(chunks.map(chunk => [chunk.seq, chunk.store, chunk.entries.length]), [
+        [0, 'pageVisits', 2], [1, 'pageVisits', 2], [2, 'tabAggregates', 2], [3, 'tabAggregates', 1], [4, 'syncedPageVisits', 2]
+      ]);
+
+      const undo = await env.run('undo_reset.js');
+
+      assert.equal(undo.outcome, 'committed');
+      assert.deepEqual(undo.restored, { pageVisits: 4, tabAggregates: 3 });
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    });
+
+    it('restores a filtered reset', async () => {
+      const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+      const original = env.dump('Heyho_EventsDB');
+
+      await env.run(script, { config: { FILTERS: { startedAfter: BASE + DAY, startedBefore: BASE + 2 * DAY, domains: [], visitIds: [] } } });
+      assert.deepEqual(journalEntries(env, 'stores', 'pageVisits').map(prior => prior.key), ['visit_2']);
+      assert.deepEqual(journalEntries(env, 'cleared', 'syncedPageVisits').map(entry => entry.key), ['visit_2']);
+
+      await env.run('undo_reset.js');
+
+      assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+    });
+  });
+}
+
+describe('undo_reset.js', () => {
+  it('leaves records synced again since the reset alone unless FORCE is set', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    await env.run('reset_sync_simple.js');
+    await updateRecord(env, 'pageVisits', 'visit_1', { synced: true, syncedAt: BASE + 5 * DAY });
+
+    const undo = await env.run('undo_reset.js');
+
+    assert.deepEqual(undo.conflicts, [{ store: 'pageVisits', key: 'visit_1', synced: true, syncedAt: BASE + 5 * DAY }]);
+    assert.equal(undo.restored.pageVisits, 3);
+    const visits = env.dump('Heyho_EventsDB').pageVisits;
+    assert.equal(visits[0].syncedAt, BASE + 5 * DAY);
+    assert.equal(visits[1].syncedAt, BASE + DAY + 60000);
+  });
+
+  it('restores conflicting records too with FORCE', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const original = env.dump('Heyho_EventsDB');
+    await env.run('reset_sync_simple.js');
+    await updateRecord(env, 'pageVisits', 'visit_1', { synced: true, syncedAt: BASE + 5 * DAY });
+
+    const undo = await env.run('undo_reset.js', { config: { FORCE: true } });
+
+    assert.deepEqual(undo.conflicts, []);
+    assert.deepEqual(env.dump('Heyho_EventsDB').pageVisits, original.pageVisits);
+  });
+
+  it('undoes the latest run first and refuses to undo a run twice', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const first = await env.run('reset_sync_simple.js');
+    const second = await env.run('reset_sync_simple.js');
+
+    const undo = await env.run('undo_reset.js');
+    assert.equal(undo.runId, second.journal.runId);
+
+    const again = await env.run('undo_reset.js', { config: { RUN_ID: second.journal.runId } });
+    assert.equal(again.success, false);
+    assert.match(again.error, /already undone/);
+
+    const older = await env.run('undo_reset.js');
+    assert.equal(older.runId, first.journal.runId);
+    assert.equal(env.dump('Heyho_EventsDB').pageVisits[0].syncedAt, BASE + 60000);
+  });
+
+  it('rolls back when the first chunk fails', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    await env.run('reset_sync_simple.js');
+    const afterReset = env.dump('Heyho_EventsDB');
+    env.idb.failNext('pageVisits', 'QuotaExceededError', { after: 1 });
+
+    const undo = await env.run('undo_reset.js');
+
+    assert.equal(undo.success, false);
+    assert.equal(undo.outcome, 'rolledBack');
+    assert.deepEqual(env.dump('Heyho_EventsDB'), afterReset);
+    assert.equal(env.dump('Heyho_ResetJournal').runs[0].undoneAt, null);
+  });
+
+  it('keeps the chunks restored before a failing one and continues on the next run', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const original = env.dump('Heyho_EventsDB');
+    await env.run('reset_sync_simple.js');
+    env.idb.failNext('syncedPageVisits', 'QuotaExceededError');
+
+    const partial = await env.run('undo_reset.js');
+
+    assert.equal(partial.success, false);
+    assert.equal(partial.outcome, 'partial');
+    assert.match(env.output(), /Run the script again to continue/);
+    const journal = env.dump('Heyho_ResetJournal');
+    assert.deepEqual(journal.chunks.map(chunk => Boolean(chunk.undoneAt)), [true, true, false]);
+    assert.equal(journal.runs[0].undoneAt, null);
+    assert.deepEqual(env.dump('Heyho_EventsDB').pageVisits, original.pageVisits);
+    assert.equal(env.dump('Heyho_EventsDB').syncedPageVisits.length, 0);
+
+    const resumed = await env.run('undo_reset.js');
+
+    assert.equal(resumed.outcome, 'committed');
+    assert.deepEqual(resumed.restored, {});
+    assert.deepEqual(resumed.reinserted, { syncedPageVisits: 2 });
+    assert.deepEqual(resumed.conflicts, []);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('waits for the sync like the reset does', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    await env.run('reset_sync_simple.js');
+    const afterReset = env.dump('Heyho_EventsDB');
+    env.sandbox.SyncManager = { getSyncState: () => ({ isSyncing: true }) };
+
+    const undo = await env.run('undo_reset.js', { config: { SYNC_WAIT_TIMEOUT_MS: 50 } });
+
+    assert.equal(undo.success, false);
+    assert.match(undo.error, /still syncing/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), afterReset);
+  });
+
+  it('fails when no reset was journaled', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    await env.run('reset_sync_simple.js', { config: { WRITE_JOURNAL: false } });
+
+    const undo = await env.run('undo_reset.js');
+
+    assert.equal(undo.success, false);
+    assert.match(undo.error, /No reset journal found/);
+  });
+
+  it('refuses to reset when the journal cannot be opened', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const original = env.dump('Heyho_EventsDB');
+    env.idb.open = (open => (name, version) => {
+      if (name === 'Heyho_ResetJournal') {
+        const failing = {};
+        setTimeout(() => {
+          failing.error = new Error('QuotaExceededError');
+          failing.onerror();
+        });
+        return failing;
+      }
+      return open(name, version);
+    })(env.idb.open.bind(env.idb));
+
+    const reset = await env.run('reset_sync_simple.js');
+
+    assert.equal(reset.success, false);
+    assert.match(reset.error, /Could not open the undo journal .* set WRITE_JOURNAL = false/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('flags the run incomplete when a chunk cannot be saved', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    env.idb.failNext('chunks', 'QuotaExceededError', { after: 1 });
+
+    const reset = await env.run('reset_sync_simple.js');
+
+    assert.equal(reset.success, true);
+    assert.equal(reset.outcome, 'committed');
+    assert.equal(reset.journal.saved, false);
+    assert.equal(env.dump('Heyho_ResetJournal').runs[0].status, 'incomplete');
+    assert.match(env.output(), /undo_reset\.js cannot restore/);
+
+    const undo = await env.run('undo_reset.js', { config: { RUN_ID: reset.journal.runId } });
+
+    assert.equal(undo.success, false);
+    assert.match(undo.error, /is incomplete/);
+  });
+
+  it('removes the journal again when the reset rolls back', async () => {
+    const env = await createToolkitEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    env.idb.failNext('syncedPageVisits', 'QuotaExceededError');
+
+    const reset = await env.run('reset_sync_simple.js', { config: { CHUNK_SIZE: 2 } });
+
+    assert.equal(reset.outcome, 'rolledBack');
+    assert.equal(reset.journal, null);
+    assert.deepEqual(env.dump('Heyho_ResetJournal'), { runs: [], chunks: [] });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./support/harness');
+const { BASE, eventsDatabase, pageVisit, sampleDatabase, tabAggregate } = require('./support/fixtures');
+
+const unsynced = { synced: false, syncedAt: undefined };
+const statuses = result => result.records.map(record => [record.store, record.id, record.status]);
+
+describe('validate_sync_data.js', () => {
+  it('checks only what the next sync sends, without writing', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    const original = env.dump('Heyho_EventsDB');
+
+    const result = await env.run('validate_sync_data.js');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.summary, {
+      pageVisits: { checked: 2, valid: 1, warning: 0, rejected: 0, filtered: 1 },
+      tabAggregates: { checked: 1, valid: 1, warning: 0, rejected: 0, skipped: 0 }
+    });
+    assert.deepEqual(statuses(result), [['pageVisits', 'visit_4', 'filtered']]);
+    assert.match(result.records[0].reason, /INVALID_URL_PREFIXES entry "chrome:\/\/"/);
+    assert.match(env.output(), /No records would be rejected by the server/);
+    assert.deepEqual(env.dump('Heyho_EventsDB'), original);
+  });
+
+  it('reports rejected, warned and skipped records with the server messages', async () => {
+    const env = createEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          pageVisits: [
+            pageVisit({ ...unsynced }),
+            pageVisit({ visitId: 'visit_ftp', tabId: 102, url: 'ftp://example.com/', ...unsynced }),
+            pageVisit({ visitId: 'visit_long', tabId: 0, title: 't'.repeat(501), ...unsynced })
+          ],
+          tabAggregates: [
+            tabAggregate({ scroll_depth_percent: 150, ...unsynced }),
+            tabAggregate({ tabId: 0, openedAt: BASE, closedAt: '2025-10-19T09:00:00Z', ...unsynced }),
+            tabAggregate({ tabId: 999, ...unsynced })
+          ]
+        })
+      }
+    });
+
+    const result = await env.run('validate_sync_data.js');
+
+    assert.deepEqual(statuses(result), [
+      ['pageVisits', 'visit_ftp', 'rejected'],
+      ['pageVisits', 'visit_long', 'warning'],
+      ['tabAggregates', 'agg_' + BASE + '_101', 'rejected'],
+      ['tabAggregates', 'tab_999', 'skipped']
+    ]);
+    const [ftp, long, scrolled, skipped] = result.records;
+    assert.deepEqual(ftp.errors, [{ field: 'url', message: 'must use http or https scheme' }]);
+    assert.deepEqual(long.warnings, [{ field: 'title', message: 'exceeds recommended length of 500 characters (will be truncated)' }]);
+    assert.deepEqual(scrolled.errors, [{ field: 'scroll_depth_percent', message: 'cannot exceed 100' }]);
+    assert.equal(skipped.reason, 'no matching page visit found for tabId 999 in this sync batch');
+    assert.equal(result.summary.tabAggregates.valid, 1);
+    assert.match(env.output(), /2 record\(s\) will be rejected by the server/);
+  });
+
+  it('accepts an aggregate opened after it was closed, as the server does', async () => {
+    // The server builds no opened_at for extension aggregates, so it never
+    // compares it with closed_at
+    const env = createEnvironment({
+      databases: {
+        Heyho_EventsDB: eventsDatabase({
+          pageVisits: [pageVisit({ ...unsynced })],
+          tabAggregates: [tabAggregate({ openedAt: BASE + 60000, closedAt: BASE, ...unsynced })]
+        })
+      }
+    });
+
+    const result = await env.run('validate_sync_data.js');
+
+    assert.deepEqual(result.summary.tabAggregates, { checked: 1, valid: 1, warning: 0, rejected: 0, skipped: 0 });
+    assert.deepEqual(result.records, []);
+  });
+
+  it('checks synced records too when ONLY_UNSYNCED is false', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+
+    const result = await env.run('validate_sync_data.js', { config: { ONLY_UNSYNCED: false } });
+
+    assert.equal(result.onlyUnsynced, false);
+    assert.equal(result.summary.pageVisits.checked, 4);
+    assert.equal(result.summary.tabAggregates.checked, 3);
+    assert.equal(result.summary.tabAggregates.valid, 3);
+  });
+
+  it('fails when a store cannot be read', async () => {
+    const env = createEnvironment({ databases: { Heyho_EventsDB: sampleDatabase() } });
+    env.idb.failNext('tabAggregates', 'UnknownError', { mode: 'readonly' });
+
+    const result = await env.run('validate_sync_data.js');
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Injected UnknownError on tabAggregates');
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Undo a Sync Status Reset
+ *
+ * Restores the sync state a reset run (reset_indexeddb_sync_status.js or
+ * reset_sync_simple.js) overwrote, using the journal the run wrote to the
+ * Heyho_ResetJournal database:
+ * - synced / syncedAt of every record the run touched are set back to their
+ *   previous values (syncedAt is removed again if the record had none)
+ * - the syncedPageVisits entries the run removed are put back
+ *
+ * USAGE:
+ * 1. Open the extension's service worker / background page console
+ * 2. Paste heyho_toolkit.js once per console session - this script takes
+ *    its sync guard from it
+ * 3. Copy and paste this entire script
+ * 4. Press Enter to run
+ *
+ * The journaled runs are listed first. RUN_ID = null undoes the most recent
+ * committed run that has not been undone yet; set it to a runId from the
+ * list to pick another.
+ *
+ * Records synced again since the reset (synced = true, or a syncedAt) are
+ * newer than the journal and are left alone unless FORCE = true. Tracking
+ * entries that exist again are kept as they are. Nothing is written before
+ * any in-flight sync has finished (see the sync guard in heyho_toolkit.js).
+ *
+ * The reset writes its journal in chunks, and each chunk is restored in its
+ * own readwrite transaction and then flagged as undone, so memory stays flat
+ * on large profiles. If a chunk fails, it is rolled back, the chunks before it
+ * stay restored (results.outcome = 'partial'), and running the script again
+ * continues with the failed chunk.
+ */
+
+(async function undoReset() {
+  console.log('↩️  Starting sync reset undo...\n');
+
+  const JOURNAL_DB_NAME = 'Heyho_ResetJournal';
+  const RUN_ID = null; // null = most recent committed run not undone yet
+  const FORCE = false; // Set to true to also restore records synced again since the reset
+  const SYNC_WAIT_TIMEOUT_MS = 60000; // How long to wait for an in-flight sync before giving up
+  const FORCE_WITHOUT_SYNC_STATE = false; // Set to true to write even when the sync state cannot be read
+
+  if (!self.heyho || typeof self.heyho.guardSync !== 'function') {
+    console.error('[ERROR] heyho_toolkit.js is not installed - paste it first, then run this script again');
+    return { success: false, error: 'heyho_toolkit.js is not installed - paste it into this console first' };
+  }
+  const { guardSync, releaseSync } = self.heyho;
+
+  const results = {
+    success: true,
+    runId: null,
+    outcome: null, // 'committed', 'partial' or 'rolledBack'
+    restored: {},
+    reinserted: {},
+    conflicts: [],
+    missing: [],
+    syncGuard: null,
+    errors: []
+  };
+
+  try {
+    const run = await loadRun();
+    results.runId = run.runId;
+
+    if (run.undoneAt) {
+      throw new Error(`Run ${run.runId} was already undone at ${run.undoneAt}`);
+    }
+
+    console.log(`\n🎯 Undoing ${run.runId} (${run.script}, ${run.createdAt})`);
+    if (run.filters) {
+      console.log(`   Filters: ${run.filters.join(', ')}`);
+    }
+
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(run.database.name);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+        reject(new Error(`Database ${run.database.name} does not exist`));
+      };
+    });
+
+    const counts = run.counts;
+    const storeNames = [...Object.keys(counts.stores), ...Object.keys(counts.cleared)];
+    const missingStores = storeNames.filter(name => !db.objectStoreNames.contains(name));
+    if (missingStores.length > 0) {
+      db.close();
+      throw new Error(`Database ${db.name} is missing stores: ${missingStores.join(', ')}`);
+    }
+
+    const syncGuard = await guardSync({
+      syncWaitTimeoutMs: SYNC_WAIT_TIMEOUT_MS,
+      forceWithoutSyncState: FORCE_WITHOUT_SYNC_STATE,
+      forceHint: 'set FORCE_WITHOUT_SYNC_STATE = true'
+    });
+    results.syncGuard = syncGuard;
+    if (!syncGuard.proceed) {
+      db.close();
+      throw new Error(syncGuard.reason);
+    }
+
+    let applied = 0;
+    try {
+      for (let seq = 0; seq < run.chunks; seq++) {
+        const chunk = await withJournal('chunks', 'readonly', store => requestToPromise(store.get([run.runId, seq])));
+        if (!chunk) {
+          throw new Error(`Chunk ${seq} of ${run.runId} is missing from the journal`);
+        }
+        if (chunk.undoneAt) continue;
+        await applyChunk(db, chunk);
+        applied++;
+        await markUndone('chunks', chunk);
+      }
+    } catch (error) {
+      results.outcome = applied > 0 ? 'partial' : 'rolledBack';
+      throw error;
+    } finally {
+      db.close();
+      await releaseSync(syncGuard);
+    }
+
+    results.outcome = 'committed';
+    await markUndone('runs', run);
+
+    for (const [storeName, count] of Object.entries(counts.stores)) {
+      console.log(`   ✅ ${storeName}: restored ${results.restored[storeName] || 0} of ${count} records`);
+    }
+    for (const [storeName, count] of Object.entries(counts.cleared)) {
+      console.log(`   ✅ ${storeName}: put back ${results.reinserted[storeName] || 0} of ${count} tracking entries`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 UNDO SUMMARY');
+    console.log('='.repeat(60));
+    const totalRestored = Object.values(results.restored).reduce((sum, count) => sum + count, 0);
+    const totalReinserted = Object.values(results.reinserted).reduce((sum, count) => sum + count, 0);
+    console.log(`  Records restored: ${totalRestored}`);
+    console.log(`  Tracking entries put back: ${totalReinserted}`);
+    if (results.conflicts.length > 0) {
+      console.log(`  ⚠️  Left alone (synced again since the reset): ${results.conflicts.length} - set FORCE = true to restore them anyway`);
+    }
+    if (results.missing.length > 0) {
+      console.log(`  ℹ️  No longer in the database: ${results.missing.length}`);
+    }
+    console.log(`\n✅ Undid ${run.runId}`);
+
+    return results;
+
+  } catch (error) {
+    console.error('\n❌ Error:', error);
+    if (results.outcome === 'rolledBack') {
+      console.error('   The undo was rolled back - no records were changed.');
+    } else if (results.outcome === 'partial') {
+      console.error('   The chunks before the failed one stay restored. Run the script again to continue - restored chunks are skipped.');
+    }
+    return { success: false, runId: results.runId, outcome: results.outcome, error: error.message };
+  }
+
+  // Picks the run to undo from the journal database
+  async function loadRun() {
+    const databases = await indexedDB.databases();
+    if (!databases.some(db => db.name === JOURNAL_DB_NAME)) {
+      throw new Error(`No reset journal found (${JOURNAL_DB_NAME} does not exist). Only resets run with WRITE_JOURNAL = true can be undone.`);
+    }
+
+    // Walks the run headers with a cursor and keeps only the one to undo
+    const rows = [];
+    let run = null;
+    await withJournal('runs', 'readonly', store => new Promise((resolve, reject) => {
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const candidate = cursor.value;
+        // repair_local_data.js keeps its runs here too, and undoes them itself
+        if (candidate.type === 'repair') {
+          cursor.continue();
+          return;
+        }
+        const counts = candidate.counts;
+        rows.push({
+          runId: candidate.runId,
+          createdAt: candidate.createdAt,
+          script: candidate.script,
+          status: candidate.status || 'committed',
+          records: Object.values(counts.stores).reduce((sum, count) => sum + count, 0),
+          trackingEntries: Object.values(counts.cleared).reduce((sum, count) => sum + count, 0),
+          undoneAt: candidate.undoneAt || ''
+        });
+        const pick = RUN_ID
+          ? candidate.runId === RUN_ID
+          : !candidate.undoneAt && (candidate.status || 'committed') === 'committed' && (!run || candidate.createdAt > run.createdAt);
+        if (pick) run = candidate;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    }));
+    rows.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    console.log(`📒 ${rows.length} journaled run(s):`);
+    console.table(rows);
+
+    if (!run) {
+      throw new Error(RUN_ID ? `Run ${RUN_ID} not found in the journal` : 'Every committed journaled run has already been undone');
+    }
+    if (run.status && run.status !== 'committed') {
+      throw new Error(`Run ${run.runId} is ${run.status}: its journal was not saved completely and cannot be undone`);
+    }
+    return run;
+  }
+
+  // Restores a chunk in one readwrite transaction. Counts, conflicts and
+  // missing records are added to results only once it has committed.
+  async function applyChunk(db, chunk) {
+    const transaction = db.transaction(chunk.store, 'readwrite');
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || new Error('Undo transaction aborted'));
+    });
+
+    const store = transaction.objectStore(chunk.store);
+    let count = 0;
+    const conflicts = [];
+    const missing = [];
+
+    try {
+      if (chunk.kind === 'cleared') {
+        for (const entry of chunk.entries) {
+          const existing = await requestToPromise(store.get(entry.key));
+          if (existing !== undefined) continue;
+          await requestToPromise(store.keyPath === null ? store.put(entry.value, entry.key) : store.put(entry.value));
+          count++;
+        }
+      } else {
+        for (const prior of chunk.entries) {
+          const record = await requestToPromise(store.get(prior.key));
+          if (record === undefined) {
+            missing.push({ store: chunk.store, key: prior.key });
+            continue;
+          }
+          if (!FORCE && (record.synced !== false || 'syncedAt' in record)) {
+            conflicts.push({ store: chunk.store, key: prior.key, synced: record.synced, syncedAt: record.syncedAt ?? null });
+            continue;
+          }
+
+          record.synced = prior.synced;
+          if ('syncedAt' in prior) {
+            record.syncedAt = prior.syncedAt;
+          } else {
+            delete record.syncedAt;
+          }
+          await requestToPromise(store.keyPath === null ? store.put(record, prior.key) : store.put(record));
+          count++;
+        }
+      }
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // Already aborted
+      }
+      await done.catch(() => {});
+      throw error;
+    }
+    await done;
+
+    const totals = chunk.kind === 'cleared' ? results.reinserted : results.restored;
+    totals[chunk.store] = (totals[chunk.store] || 0) + count;
+    results.conflicts.push(...conflicts);
+    results.missing.push(...missing);
+  }
+
+  // Runs fn against a store of the journal database and waits for the transaction
+  async function withJournal(storeName, mode, fn) {
+    const journalDb = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(JOURNAL_DB_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    try {
+      const transaction = journalDb.transaction(storeName, mode);
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('Journal transaction aborted'));
+      });
+      const result = await fn(transaction.objectStore(storeName));
+      await done;
+      return result;
+    } finally {
+      journalDb.close();
+    }
+  }
+
+  // Keeps the run or chunk in the journal, flagged so it cannot be applied twice
+  async function markUndone(storeName, entry) {
+    try {
+      await withJournal(storeName, 'readwrite', store => requestToPromise(store.put({ ...entry, undoneAt: new Date().toISOString() })));
+    } catch (error) {
+      console.error(`⚠️  Undo applied, but the journal could not be updated: ${error.message}`);
+      results.errors.push({ store: storeName, error: error.message });
+    }
+  }
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+})();